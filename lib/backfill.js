@@ -0,0 +1,167 @@
+/**
+ * ========================================
+ * BACKFILL HISTÓRICO POR VENTANAS
+ * ========================================
+ * Divide un rango largo de fechas en ventanas de un mes, una semana o un
+ * día, las achica cuando el listado parece truncado y calcula la
+ * cobertura del corpus a partir de las ventanas registradas
+ */
+
+const moment = require('moment');
+const _ = require('lodash');
+const { DATE_FORMAT, GRANULARIDADES_BACKFILL } = require('./scrapeConfig');
+
+// Formato de las fechas de las ventanas (columnas DATE)
+const FORMATO_VENTANA = 'YYYY-MM-DD';
+
+const GRANULARIDADES = GRANULARIDADES_BACKFILL;
+
+const UNIDADES = {
+    mes: 'month',
+    semana: 'isoWeek',
+    dia: 'day'
+};
+
+const ESTADOS_VENTANA = {
+    PENDIENTE: 'pendiente',
+    COMPLETA: 'completa',
+    CON_ERRORES: 'con_errores',
+    DIVIDIDA: 'dividida',
+    TRUNCADA: 'truncada'
+};
+
+/**
+ * Fecha de la configuración (DD/MM/YYYY) o de una ventana (YYYY-MM-DD)
+ */
+function leerFecha(fecha) {
+    return moment(fecha, [DATE_FORMAT, FORMATO_VENTANA], true).startOf('day');
+}
+
+/**
+ * Fecha en formato de ventana (YYYY-MM-DD)
+ */
+function fechaVentana(fecha) {
+    return leerFecha(fecha).format(FORMATO_VENTANA);
+}
+
+/**
+ * Fecha en el formato del formulario de búsqueda (DD/MM/YYYY)
+ */
+function fechaBusqueda(fecha) {
+    return leerFecha(fecha).format(DATE_FORMAT);
+}
+
+/**
+ * Dividir [desde, hasta] en ventanas alineadas al calendario
+ *
+ * La primera y la última ventana se recortan a los bordes del rango.
+ */
+function dividirRango(desde, hasta, granularidad) {
+    const unidad = UNIDADES[granularidad];
+    if (!unidad) {
+        throw new Error(`Granularidad inválida: ${granularidad}. Opciones: ${GRANULARIDADES.join(', ')}`);
+    }
+
+    const inicio = leerFecha(desde);
+    const fin = leerFecha(hasta);
+    const ventanas = [];
+
+    for (let cursor = inicio.clone(); !cursor.isAfter(fin); cursor = cursor.clone().endOf(unidad).add(1, 'day').startOf('day')) {
+        const cierre = moment.min(cursor.clone().endOf(unidad).startOf('day'), fin);
+        ventanas.push({
+            desde: cursor.format(FORMATO_VENTANA),
+            hasta: cierre.format(FORMATO_VENTANA),
+            granularidad
+        });
+    }
+
+    return ventanas;
+}
+
+/**
+ * Ventanas de la granularidad siguiente, o null si ya es de un día
+ */
+function subdividir(ventana) {
+    const siguiente = GRANULARIDADES[GRANULARIDADES.indexOf(ventana.granularidad) + 1];
+    if (!siguiente || ventana.desde === ventana.hasta) return null;
+
+    return dividirRango(ventana.desde, ventana.hasta, siguiente);
+}
+
+/**
+ * El listado de una ventana parece truncado
+ *
+ * @param {Object} listado - `{ listados, total_reportado, hay_mas }` de executeSearch;
+ *   `listados` incluye los resultados sin ROL, que el sitio también cuenta en su total
+ * @param {number} limite - Resultados que se leen como máximo por ventana
+ */
+function pareceTruncado(listado, limite) {
+    if (listado.total_reportado && listado.total_reportado > listado.listados) return true;
+    return listado.listados >= limite && listado.hay_mas;
+}
+
+/**
+ * Cobertura del rango según las ventanas registradas
+ *
+ * Un día queda cubierto si cae en una ventana completa; las ventanas
+ * divididas no cuentan (cuentan sus hijas).
+ */
+function calcularCobertura(ventanas, desde, hasta) {
+    const inicio = leerFecha(desde);
+    const fin = leerFecha(hasta);
+    const hojas = _.sortBy(ventanas.filter(v => v.estado !== ESTADOS_VENTANA.DIVIDIDA), ['desde', 'hasta']);
+
+    const cubiertos = new Set();
+    for (const ventana of hojas.filter(v => v.estado === ESTADOS_VENTANA.COMPLETA)) {
+        for (let dia = leerFecha(ventana.desde); !dia.isAfter(leerFecha(ventana.hasta)); dia.add(1, 'day')) {
+            cubiertos.add(dia.format(FORMATO_VENTANA));
+        }
+    }
+
+    const huecos = [];
+    let diasCubiertos = 0;
+    for (let dia = inicio.clone(); !dia.isAfter(fin); dia.add(1, 'day')) {
+        const fecha = dia.format(FORMATO_VENTANA);
+        if (cubiertos.has(fecha)) {
+            diasCubiertos++;
+            continue;
+        }
+
+        const ultimo = huecos[huecos.length - 1];
+        if (ultimo && moment(ultimo.hasta).add(1, 'day').format(FORMATO_VENTANA) === fecha) {
+            ultimo.hasta = fecha;
+        } else {
+            huecos.push({ desde: fecha, hasta: fecha });
+        }
+    }
+
+    const conteo = _.countBy(hojas, 'estado');
+    return {
+        desde: inicio.format(FORMATO_VENTANA),
+        hasta: fin.format(FORMATO_VENTANA),
+        ventanas: {
+            total: hojas.length,
+            completas: conteo[ESTADOS_VENTANA.COMPLETA] || 0,
+            con_errores: conteo[ESTADOS_VENTANA.CON_ERRORES] || 0,
+            truncadas: conteo[ESTADOS_VENTANA.TRUNCADA] || 0,
+            pendientes: conteo[ESTADOS_VENTANA.PENDIENTE] || 0
+        },
+        sentencias: _.sumBy(hojas, v => v.guardadas || 0),
+        dias_cubiertos: diasCubiertos,
+        huecos,
+        sin_huecos: huecos.length === 0,
+        por_ventana: hojas.map(v => _.pick(v, ['desde', 'hasta', 'granularidad', 'estado', 'listados', 'total_reportado', 'guardadas', 'errores']))
+    };
+}
+
+module.exports = {
+    FORMATO_VENTANA,
+    GRANULARIDADES,
+    ESTADOS_VENTANA,
+    fechaVentana,
+    fechaBusqueda,
+    dividirRango,
+    subdividir,
+    pareceTruncado,
+    calcularCobertura
+};
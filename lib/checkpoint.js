@@ -0,0 +1,170 @@
+/**
+ * ========================================
+ * CHECKPOINTS DE CORRIDAS
+ * ========================================
+ * Progreso de una búsqueda (última página leída y estado de cada resultado)
+ * que se persiste mientras avanza la corrida, para que una corrida con los
+ * mismos parámetros retome donde quedó la anterior
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+
+// Parámetros que definen la búsqueda; maxSentencias no cambia el listado
+const PARAMETROS_BUSQUEDA = ['tribunal', 'startDate', 'endDate', 'searchTerm'];
+
+const ESTADOS_CHECKPOINT = {
+    EN_CURSO: 'en_curso',
+    COMPLETADO: 'completado'
+};
+
+const ESTADOS_RESULTADO = {
+    PENDIENTE: 'pendiente',
+    HECHO: 'hecho',
+    FALLIDO: 'fallido'
+};
+
+/**
+ * Clave estable del checkpoint para unos parámetros de búsqueda
+ */
+function claveCheckpoint(config) {
+    const parametros = _.pick(config, PARAMETROS_BUSQUEDA);
+    const normalizados = PARAMETROS_BUSQUEDA.map(clave => [clave, parametros[clave] ?? '']);
+    return crypto.createHash('sha256').update(JSON.stringify(normalizados)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Conteo de filas de resultados por estado
+ */
+function resumirResultados(filas) {
+    const conteo = _.countBy(filas, 'estado');
+    return {
+        total: filas.length,
+        pendiente: conteo[ESTADOS_RESULTADO.PENDIENTE] || 0,
+        hecho: conteo[ESTADOS_RESULTADO.HECHO] || 0,
+        fallido: conteo[ESTADOS_RESULTADO.FALLIDO] || 0
+    };
+}
+
+/**
+ * Checkpoints sin actividad hace más de `dias` días
+ */
+function checkpointsObsoletos(encabezados, dias, ahora = new Date()) {
+    const limite = ahora.getTime() - dias * 24 * 60 * 60 * 1000;
+    return encabezados.filter(encabezado => new Date(encabezado.actualizado_en).getTime() < limite);
+}
+
+class CrawlCheckpoint {
+    /**
+     * @param {Object} encabezado - Fila de scrape_checkpoints
+     * @param {Object[]} resultados - Filas de scrape_checkpoint_resultados, en orden
+     */
+    constructor(encabezado, resultados = []) {
+        this.clave = encabezado.clave;
+        this.parametros = encabezado.parametros;
+        this.estado = encabezado.estado || ESTADOS_CHECKPOINT.EN_CURSO;
+        this.run_id = encabezado.run_id || null;
+        this.ultima_pagina = encabezado.ultima_pagina || 0;
+        this.listado_completo = Boolean(encabezado.listado_completo);
+        this.creado_en = encabezado.creado_en || new Date().toISOString();
+        this.actualizado_en = encabezado.actualizado_en || this.creado_en;
+        this.resultados = _.sortBy(resultados, 'posicion');
+    }
+
+    /**
+     * Checkpoint vacío para la configuración de una corrida
+     */
+    static nuevo(config, runId = null) {
+        return new CrawlCheckpoint({
+            clave: claveCheckpoint(config),
+            parametros: _.pick(config, PARAMETROS_BUSQUEDA),
+            run_id: runId
+        });
+    }
+
+    /**
+     * Hay progreso que retomar
+     */
+    get reanudable() {
+        return this.estado === ESTADOS_CHECKPOINT.EN_CURSO && this.ultima_pagina > 0;
+    }
+
+    /**
+     * Resultados ya guardados de una página del listado
+     */
+    resultadosDePagina(pagina) {
+        return this.resultados.filter(fila => fila.pagina === pagina).map(fila => fila.resultado);
+    }
+
+    /**
+     * Registrar los resultados de una página recién leída
+     *
+     * @returns {Object[]} filas nuevas, para persistir
+     */
+    registrarPagina(pagina, resultados) {
+        const filas = resultados.map((resultado, i) => ({
+            clave: this.clave,
+            posicion: this.resultados.length + i,
+            pagina,
+            rol: resultado.rol || null,
+            estado: ESTADOS_RESULTADO.PENDIENTE,
+            error: null,
+            resultado
+        }));
+
+        this.resultados.push(...filas);
+        this.ultima_pagina = Math.max(this.ultima_pagina, pagina);
+        this.tocar();
+        return filas;
+    }
+
+    /**
+     * Cambiar el estado del resultado en la posición dada
+     */
+    marcar(posicion, estado, error = null) {
+        const fila = this.resultados[posicion];
+        if (!fila) return null;
+
+        fila.estado = estado;
+        fila.error = error;
+        this.tocar();
+        return fila;
+    }
+
+    tocar() {
+        this.actualizado_en = new Date().toISOString();
+    }
+
+    /**
+     * Conteo de resultados por estado
+     */
+    resumen() {
+        return resumirResultados(this.resultados);
+    }
+
+    /**
+     * Fila de scrape_checkpoints (sin los resultados)
+     */
+    encabezado() {
+        return {
+            clave: this.clave,
+            parametros: this.parametros,
+            estado: this.estado,
+            run_id: this.run_id,
+            ultima_pagina: this.ultima_pagina,
+            listado_completo: this.listado_completo,
+            creado_en: this.creado_en,
+            actualizado_en: this.actualizado_en
+        };
+    }
+}
+
+module.exports = {
+    PARAMETROS_BUSQUEDA,
+    ESTADOS_CHECKPOINT,
+    ESTADOS_RESULTADO,
+    claveCheckpoint,
+    resumirResultados,
+    checkpointsObsoletos,
+    CrawlCheckpoint
+};
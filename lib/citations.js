@@ -0,0 +1,353 @@
+/**
+ * ========================================
+ * CITAS LEGALES Y DE JURISPRUDENCIA
+ * ========================================
+ * Encuentra en los considerandos los artículos de códigos y leyes
+ * ("artículo 1545 del Código Civil", "artículos 3° y 12 de la Ley
+ * N° 19.496"), las leyes citadas sin artículo y los ROL de otras causas.
+ * El nombre de la norma se normaliza ("C.C." y "Código Civil" son la misma)
+ * para poder preguntar qué sentencias citan un artículo.
+ */
+
+const _ = require('lodash');
+const { parsearRol, normalizarRol } = require('./rolParser');
+
+const TIPOS_CITA = {
+    ARTICULO: 'articulo',
+    LEY: 'ley',
+    ROL: 'rol'
+};
+
+const LIMITE_POR_DEFECTO = 50;
+const LIMITE_MAXIMO = 500;
+
+// Caracteres de texto alrededor de la cita que se guardan como contexto
+const CONTEXTO_CITA = 80;
+
+// Caracteres entre el último artículo de la lista y el "del"/"de la" que lleva a la norma
+const DISTANCIA_NORMA = 60;
+
+const PARAMETROS_CITAS = ['rol', 'norma', 'articulo', 'limite'];
+
+// Cuerpos legales por nombre o sigla, sobre texto en minúsculas y sin tildes.
+// El orden importa: las siglas más largas antes que las que las contienen
+const CUERPOS_LEGALES = [
+    { nombre: 'Constitución Política de la República', patron: /^(?:la\s+)?constitucion(?:\s+politica)?(?:\s+de\s+la\s+republica)?(?:\s+de\s+chile)?|^c\.\s?p\.\s?r\.|^cpr\b/ },
+    { nombre: 'Código de Procedimiento Civil', patron: /^codigo\s+de\s+procedimiento\s+civil|^c\.\s?p\.\s?c\.|^cpc\b/ },
+    { nombre: 'Código de Procedimiento Penal', patron: /^codigo\s+de\s+procedimiento\s+penal/ },
+    { nombre: 'Código Procesal Penal', patron: /^codigo\s+procesal\s+penal|^c\.\s?p\.\s?p\.|^cpp\b/ },
+    { nombre: 'Código Orgánico de Tribunales', patron: /^codigo\s+organico\s+de\s+tribunales|^c\.\s?o\.\s?t\.|^cot\b/ },
+    { nombre: 'Código del Trabajo', patron: /^codigo\s+del\s+trabajo|^c\.\s?(?:del\s+)?t\.|^cdt\b/ },
+    { nombre: 'Código de Comercio', patron: /^codigo\s+de\s+comercio|^c\.\s?de\s?c\./ },
+    { nombre: 'Código Tributario', patron: /^codigo\s+tributario/ },
+    { nombre: 'Código de Aguas', patron: /^codigo\s+de\s+aguas/ },
+    { nombre: 'Código de Minería', patron: /^codigo\s+de\s+mineria/ },
+    { nombre: 'Código Sanitario', patron: /^codigo\s+sanitario/ },
+    { nombre: 'Código Civil', patron: /^codigo\s+civil|^c\.\s?c\.|^cc\b/ },
+    { nombre: 'Código Penal', patron: /^codigo\s+penal|^c\.\s?p\./ }
+];
+
+// Leyes, decretos leyes y DFL con su número ("Ley N° 19.496", "D.L. 2.695")
+const NORMAS_NUMERADAS = [
+    { nombre: 'Ley', patron: /^(?:la\s+)?ley(?:\s+organica\s+constitucional)?\s*/ },
+    { nombre: 'Decreto Ley', patron: /^(?:el\s+)?(?:decreto\s+ley|d\.\s?l\.|dl\b)\s*/ },
+    { nombre: 'Decreto con Fuerza de Ley', patron: /^(?:el\s+)?(?:decreto\s+con\s+fuerza\s+de\s+ley|d\.\s?f\.\s?l\.|dfl\b)\s*/ }
+];
+const NUMERO_NORMA = /^(?:n(?:ro\.?|[°º.])?\s*|numero\s+)?(\d{1,3}(?:\.\d{3})+|\d{1,6})(?![\d.]*\d)/;
+
+// "del mismo código", "de dicho cuerpo legal": la última norma citada
+const ANAFORA = /^(?:(?:el|la)\s+)?(?:mism[oa]|citad[oa]|dich[oa]|referid[oa]|precitad[oa]|aludid[oa]|este|esta|ese|esa)\s+(?:codigo|cuerpo\s+(?:legal|normativo)|ley|texto\s+legal)\b/;
+
+// Número de artículo: "1545", "3°", "474 bis", "161-A"
+const NUMERO_ARTICULO = String.raw`\d+(?:\s*[°º])?(?:\s+(?:bis|ter|quater|quinquies|sexies))?(?:\s*-\s*[a-z]\b)?`;
+const ARTICULOS = new RegExp(
+    String.raw`\b(?:articulos?|arts?\.)\s*(${NUMERO_ARTICULO}(?:(?:\s*,\s*|\s+(?:y|e|o|a|al)\s+)${NUMERO_ARTICULO})*)`,
+    'gi'
+);
+const SEPARADOR_ARTICULOS = /\s*,\s*|\s+(?:y|e|o|a|al)\s+/;
+
+// Conectores entre el artículo y la norma
+const CONECTOR = /\b(?:del|de\s+(?:la|los|las|el)|de)\s+/g;
+
+// Leyes citadas sin artículo
+const LEYES = /\b(?:ley(?:\s+organica\s+constitucional)?|decreto\s+ley|d\.\s?l\.|dl|decreto\s+con\s+fuerza\s+de\s+ley|d\.\s?f\.\s?l\.|dfl)\s*(?:n(?:ro\.?|[°º.])?\s*|numero\s+)?(?:\d{1,3}(?:\.\d{3})+|\d{1,6})\b/gi;
+
+// ROL, RIT o RUC de otra causa, solos o en lista ("roles N°s 1234-2019 y 5678-2020")
+const NUMERO_CAUSA = String.raw`(?:[a-z]{1,20}\s*-\s*)?\d[\d.]*\s*-\s*(?:\d{4}|[\dk])\b`;
+const CAUSAS = new RegExp(
+    String.raw`\b(rol(?:es)?|rit|ruc|ingreso(?:\s+corte)?)\s*(?:n(?:ro\.?|[°º.])?s?\s*)?:?\s*(${NUMERO_CAUSA}(?:(?:\s*,\s*|\s+y\s+)${NUMERO_CAUSA})*)`,
+    'gi'
+);
+
+/**
+ * Minúsculas sin tildes, con el mismo largo que el texto en NFC
+ * para que los índices sirvan en ambos
+ */
+function plano(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * "19496" -> "19.496"
+ */
+function conPuntos(numero) {
+    return numero.replace(/\./g, '').replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+}
+
+/**
+ * Norma al inicio del texto, con cuántos caracteres ocupa
+ *
+ * @param {string} texto - En minúsculas y sin tildes (ver `plano`)
+ * @returns {{ nombre: string, largo: number }|null}
+ */
+function normaAlInicio(texto) {
+    for (const { nombre, patron } of CUERPOS_LEGALES) {
+        const calce = texto.match(patron);
+        if (calce) return { nombre, largo: calce[0].length };
+    }
+    for (const { nombre, patron } of NORMAS_NUMERADAS) {
+        const calce = texto.match(patron);
+        const numero = calce && texto.slice(calce[0].length).match(NUMERO_NORMA);
+        if (numero) {
+            return { nombre: `${nombre} ${conPuntos(numero[1])}`, largo: calce[0].length + numero[0].length };
+        }
+    }
+    return null;
+}
+
+/**
+ * Nombre normalizado de una norma escrita de cualquier forma
+ * ("C.C." -> "Código Civil", "ley n° 19496" -> "Ley 19.496"), o null si no se reconoce
+ */
+function normalizarNorma(texto) {
+    if (typeof texto !== 'string') return null;
+    const norma = normaAlInicio(plano(texto.normalize('NFC').trim()));
+    return norma ? norma.nombre : null;
+}
+
+/**
+ * "3 °" -> "3", "474  Bis" -> "474 bis", "161 - a" -> "161-A"
+ */
+function normalizarArticulo(texto) {
+    if (texto === undefined || texto === null) return null;
+    const calce = plano(String(texto).trim()).match(/^(\d+)\s*[°º]?(?:\s+(bis|ter|quater|quinquies|sexies))?(?:\s*-\s*([a-z]))?$/);
+    if (!calce) return null;
+    return `${Number(calce[1])}${calce[2] ? ` ${calce[2]}` : ''}${calce[3] ? `-${calce[3].toUpperCase()}` : ''}`;
+}
+
+/**
+ * Norma a la que se refiere la lista de artículos que termina en `desde`
+ *
+ * @returns {{ nombre: string, fin: number }|null}
+ */
+function normaDeArticulos(textoPlano, desde, ultimaNorma) {
+    const tramo = textoPlano.slice(desde, desde + DISTANCIA_NORMA + 80);
+    CONECTOR.lastIndex = 0;
+    let conector;
+    while ((conector = CONECTOR.exec(tramo)) && conector.index <= DISTANCIA_NORMA) {
+        // Otra lista de artículos o el fin de la oración (un punto tras una palabra,
+        // no tras una sigla como "N°." o "C.") cortan la referencia
+        const intermedio = tramo.slice(0, conector.index);
+        if (/\b(?:articulos?|arts?\.)|[;:]|[a-z]{3}\.\s/.test(intermedio)) return null;
+
+        const resto = tramo.slice(conector.index + conector[0].length);
+        const norma = normaAlInicio(resto);
+        if (norma) return { nombre: norma.nombre, fin: desde + conector.index + conector[0].length + norma.largo };
+
+        const anafora = resto.match(ANAFORA);
+        if (anafora && ultimaNorma) {
+            return { nombre: ultimaNorma, fin: desde + conector.index + conector[0].length + anafora[0].length };
+        }
+    }
+    return null;
+}
+
+function contextoDe(texto, inicio, fin) {
+    const desde = Math.max(0, inicio - CONTEXTO_CITA);
+    const hasta = Math.min(texto.length, fin + CONTEXTO_CITA);
+    return `${desde > 0 ? '…' : ''}${texto.slice(desde, hasta).replace(/\s+/g, ' ').trim()}${hasta < texto.length ? '…' : ''}`;
+}
+
+/**
+ * Citas de un fragmento (un considerando o el texto completo)
+ */
+function citasDelTexto(textoOriginal, considerando, rolPropio) {
+    const texto = textoOriginal.normalize('NFC');
+    const textoPlano = plano(texto);
+    const citas = [];
+    // Tramos ya atribuidos a un artículo, para no contar la ley dos veces
+    const ocupados = [];
+    let ultimaNorma = null;
+
+    ARTICULOS.lastIndex = 0;
+    let lista;
+    while ((lista = ARTICULOS.exec(textoPlano))) {
+        const fin = lista.index + lista[0].length;
+        const norma = normaDeArticulos(textoPlano, fin, ultimaNorma);
+        if (!norma) continue;
+
+        ultimaNorma = norma.nombre;
+        ocupados.push([lista.index, norma.fin]);
+        for (const numero of lista[1].split(SEPARADOR_ARTICULOS)) {
+            const articulo = normalizarArticulo(numero);
+            if (!articulo) continue;
+            citas.push({
+                tipo: TIPOS_CITA.ARTICULO,
+                norma: norma.nombre,
+                articulo,
+                rol_citado: null,
+                considerando,
+                contexto: contextoDe(texto, lista.index, norma.fin)
+            });
+        }
+    }
+
+    LEYES.lastIndex = 0;
+    let ley;
+    while ((ley = LEYES.exec(textoPlano))) {
+        const inicio = ley.index;
+        if (ocupados.some(([desde, hasta]) => inicio >= desde && inicio < hasta)) continue;
+        const norma = normaAlInicio(textoPlano.slice(inicio));
+        if (!norma) continue;
+        citas.push({
+            tipo: TIPOS_CITA.LEY,
+            norma: norma.nombre,
+            articulo: null,
+            rol_citado: null,
+            considerando,
+            contexto: contextoDe(texto, inicio, inicio + ley[0].length)
+        });
+    }
+
+    CAUSAS.lastIndex = 0;
+    let causa;
+    while ((causa = CAUSAS.exec(textoPlano))) {
+        const sistema = causa[1].startsWith('ri') ? 'RIT' : causa[1].startsWith('ru') ? 'RUC' : 'Rol';
+        for (const numero of causa[2].split(/\s*,\s*|\s+y\s+/)) {
+            const rol = parsearRol(`${sistema} ${numero}`);
+            if (!rol || rol.canonico === rolPropio) continue;
+            citas.push({
+                tipo: TIPOS_CITA.ROL,
+                norma: null,
+                articulo: null,
+                rol_citado: rol.canonico,
+                considerando,
+                contexto: contextoDe(texto, causa.index, causa.index + causa[0].length)
+            });
+        }
+    }
+
+    return citas;
+}
+
+/**
+ * Citas de una sentencia, una por norma + artículo o por ROL citado, con
+ * el primer considerando y el contexto donde aparece y cuántas veces se menciona
+ *
+ * Lee los considerandos separados por el parser; si no los hay, el texto completo.
+ *
+ * @param {Object} sentencia - `considerandos_detalle`, `texto_completo` y `rol`
+ * @returns {Object[]} `[{ tipo, norma, articulo, rol_citado, considerando, contexto, menciones }]`
+ */
+function extraerCitas(sentencia) {
+    const rolPropio = normalizarRol(sentencia.rol);
+    const fragmentos = (sentencia.considerandos_detalle || []).length > 0
+        ? sentencia.considerandos_detalle.map(c => ({ texto: c.texto || '', considerando: c.numero ?? null }))
+        : [{ texto: sentencia.texto_completo || '', considerando: null }];
+
+    const porClave = new Map();
+    for (const { texto, considerando } of fragmentos) {
+        for (const cita of citasDelTexto(texto, considerando, rolPropio)) {
+            const clave = [cita.tipo, cita.norma, cita.articulo, cita.rol_citado].join('|');
+            const previa = porClave.get(clave);
+            if (previa) {
+                previa.menciones++;
+            } else {
+                porClave.set(clave, { ...cita, menciones: 1 });
+            }
+        }
+    }
+    return [...porClave.values()];
+}
+
+/**
+ * Validar los parámetros de GET /citas
+ *
+ * Se consulta por `rol` citado o por `norma` (con `articulo` opcional).
+ *
+ * @returns {{ params: { rolCitado, norma, articulo, limite }, errores: string[] }}
+ */
+function validarConsultaCitas(input = {}) {
+    const errores = [];
+    const params = { rolCitado: null, norma: null, articulo: null, limite: LIMITE_POR_DEFECTO };
+    const provisto = (clave) => input[clave] !== undefined && input[clave] !== '';
+
+    for (const clave of Object.keys(input)) {
+        if (!PARAMETROS_CITAS.includes(clave)) {
+            errores.push(`Parámetro desconocido: ${clave}`);
+        }
+    }
+
+    if (provisto('rol') === provisto('norma')) {
+        errores.push('Indicar rol o norma (no ambos)');
+    }
+    if (provisto('rol')) {
+        params.rolCitado = normalizarRol(String(input.rol));
+        if (!params.rolCitado) errores.push(`rol no reconocible: ${input.rol}`);
+    }
+    if (provisto('norma')) {
+        params.norma = normalizarNorma(String(input.norma));
+        if (!params.norma) errores.push(`norma no reconocida: ${input.norma} (p. ej. "Código Civil", "Ley 19.496")`);
+    }
+    if (provisto('articulo')) {
+        params.articulo = normalizarArticulo(input.articulo);
+        if (!provisto('norma')) {
+            errores.push('articulo requiere norma');
+        } else if (!params.articulo) {
+            errores.push(`articulo inválido: ${input.articulo}`);
+        }
+    }
+    if (provisto('limite')) {
+        params.limite = Number(input.limite);
+        if (!Number.isInteger(params.limite) || params.limite < 1 || params.limite > LIMITE_MAXIMO) {
+            errores.push(`limite debe ser un entero entre 1 y ${LIMITE_MAXIMO}`);
+        }
+    }
+
+    return { params, errores };
+}
+
+/**
+ * Sentencias guardadas que citan un ROL o una norma (y artículo), las más recientes primero
+ *
+ * @param {Object} opciones
+ * @param {StorageBackend} opciones.storage
+ * @returns {Promise<{ total: number, sentencias: Object[] }>} cada sentencia con
+ *   `identidad`, `rol`, `caratula`, `tribunal`, `fecha_sentencia` y las citas que calzaron
+ */
+async function buscarCitantes({ storage, rolCitado = null, norma = null, articulo = null, limite = LIMITE_POR_DEFECTO }) {
+    const citas = await storage.findCitations({ rolCitado, norma, articulo });
+    const porIdentidad = _.groupBy(citas, 'identidad');
+    const identidades = Object.keys(porIdentidad);
+    const filas = identidades.length > 0
+        ? await storage.findByIdentidades(identidades, ['identidad', 'rol', 'caratula', 'tribunal', 'fecha_sentencia'])
+        : [];
+
+    const sentencias = _.orderBy(filas, [fila => fila.fecha_sentencia || '', 'rol'], ['desc', 'asc'])
+        .slice(0, limite)
+        .map(fila => ({
+            ...fila,
+            citas: _.sortBy(porIdentidad[fila.identidad], 'considerando').map(cita => _.pick(cita, ['tipo', 'norma', 'articulo', 'rol_citado', 'considerando', 'menciones', 'contexto']))
+        }));
+
+    return { total: filas.length, sentencias };
+}
+
+module.exports = {
+    TIPOS_CITA,
+    normalizarNorma,
+    normalizarArticulo,
+    extraerCitas,
+    validarConsultaCitas,
+    buscarCitantes
+};
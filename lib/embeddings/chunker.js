@@ -0,0 +1,124 @@
+/**
+ * ========================================
+ * DIVISIÓN DEL TEXTO EN CHUNKS
+ * ========================================
+ * Corta el texto de una sentencia en trozos que caben en la entrada del
+ * modelo de embeddings, respetando párrafos y oraciones cuando se puede,
+ * con un solapamiento entre trozos vecinos y offsets sobre el texto
+ */
+
+// Un token de los modelos de OpenAI rinde ~4 caracteres; se cuenta por palabra para no quedarse corto
+const CARACTERES_POR_TOKEN = 4;
+
+// Cortes cada vez más finos para un segmento que no cabe: oraciones, palabras y caracteres
+const CORTES = [/[^.;:!?]+(?:[.;:!?]+|$)\s*/g, /\S+\s*/g];
+
+/**
+ * Estimación conservadora de tokens (no subestima texto en español)
+ */
+function contarTokens(texto) {
+    const piezas = String(texto || '').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+    return piezas.reduce((total, pieza) => total + Math.ceil(pieza.length / CARACTERES_POR_TOKEN), 0);
+}
+
+/**
+ * Recortar un texto a como mucho `maxTokens` tokens estimados
+ */
+function recortarTokens(texto, maxTokens) {
+    if (contarTokens(texto) <= maxTokens) return texto;
+
+    const [segmento] = partir(texto, 0, texto.length, maxTokens, 0);
+    return texto.slice(segmento.inicio, segmento.fin).trim();
+}
+
+/**
+ * Dividir [inicio, fin) en segmentos de como mucho `maxTokens`, con cortes del nivel dado o más finos
+ */
+function partir(texto, inicio, fin, maxTokens, nivel) {
+    const tokens = contarTokens(texto.slice(inicio, fin));
+    if (tokens <= maxTokens) {
+        return [{ inicio, fin, tokens }];
+    }
+
+    // Sin cortes más finos se parte por caracteres
+    if (nivel >= CORTES.length) {
+        const paso = maxTokens * CARACTERES_POR_TOKEN;
+        const segmentos = [];
+        for (let desde = inicio; desde < fin; desde += paso) {
+            const hasta = Math.min(fin, desde + paso);
+            segmentos.push({ inicio: desde, fin: hasta, tokens: contarTokens(texto.slice(desde, hasta)) });
+        }
+        return segmentos;
+    }
+
+    const patron = new RegExp(CORTES[nivel].source, 'g');
+    const segmentos = [];
+    for (const match of texto.slice(inicio, fin).matchAll(patron)) {
+        if (!match[0]) continue;
+        const desde = inicio + match.index;
+        segmentos.push(...partir(texto, desde, desde + match[0].length, maxTokens, nivel + 1));
+    }
+    return segmentos;
+}
+
+/**
+ * Dividir un texto en chunks
+ *
+ * @param {string} texto - Normalmente texto_completo (un párrafo por línea)
+ * @param {Object} opciones
+ * @param {number} opciones.maxTokens - Tokens estimados por chunk
+ * @param {number} [opciones.solapamiento] - Tokens del final de un chunk que se repiten al inicio del siguiente
+ * @returns {Object[]} `[{ indice, inicio, fin, tokens, texto }]` con offsets sobre `texto`
+ */
+function dividirEnChunks(texto, { maxTokens, solapamiento = 0 }) {
+    if (!texto) return [];
+
+    const segmentos = [];
+    for (const parrafo of texto.matchAll(/[^\n]+/g)) {
+        segmentos.push(...partir(texto, parrafo.index, parrafo.index + parrafo[0].length, maxTokens, 0));
+    }
+
+    const chunks = [];
+    const cerrar = (propios) => {
+        const inicio = propios[0].inicio;
+        let fin = propios[propios.length - 1].fin;
+        while (fin > inicio && /\s/.test(texto[fin - 1])) fin--;
+
+        const contenido = texto.slice(inicio, fin);
+        chunks.push({ indice: chunks.length, inicio, fin, tokens: contarTokens(contenido), texto: contenido });
+    };
+
+    let actual = [];
+    let suma = 0;
+    for (const segmento of segmentos) {
+        if (actual.length > 0 && suma + segmento.tokens > maxTokens) {
+            cerrar(actual);
+
+            // El siguiente chunk arranca con la cola del anterior
+            const previos = [];
+            let tokensPrevios = 0;
+            for (let i = actual.length - 1; i >= 0 && tokensPrevios + actual[i].tokens <= solapamiento; i--) {
+                previos.unshift(actual[i]);
+                tokensPrevios += actual[i].tokens;
+            }
+            while (previos.length > 0 && tokensPrevios + segmento.tokens > maxTokens) {
+                tokensPrevios -= previos.shift().tokens;
+            }
+            actual = previos;
+            suma = tokensPrevios;
+        }
+        actual.push(segmento);
+        suma += segmento.tokens;
+    }
+    if (actual.length > 0) {
+        cerrar(actual);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    contarTokens,
+    recortarTokens,
+    dividirEnChunks
+};
@@ -0,0 +1,213 @@
+/**
+ * ========================================
+ * EMBEDDINGS DE SENTENCIAS
+ * ========================================
+ * Arma los textos de cada sentencia (carátula, descriptores y chunks del
+ * texto), no vuelve a calcular los que ya están en el caché por hash, y
+ * junta en un mismo pedido al proveedor los textos de las sentencias que
+ * se procesan a la vez
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const { log } = require('../logger');
+const { metricas } = require('../metrics');
+const { contarTokens, recortarTokens, dividirEnChunks } = require('./chunker');
+
+// Vectores recientes que se conservan en memoria; el resto queda en el caché del almacenamiento
+const MAX_CACHE_MEMORIA = 1000;
+
+const hashTexto = (texto) => crypto.createHash('sha256').update(texto).digest('hex');
+
+/**
+ * Promedio de vectores ponderado, normalizado (vector del documento a partir de sus chunks)
+ */
+function promediarVectores(vectores, pesos) {
+    const suma = new Array(vectores[0].length).fill(0);
+    vectores.forEach((vector, i) => {
+        for (let d = 0; d < vector.length; d++) {
+            suma[d] += vector[d] * pesos[i];
+        }
+    });
+
+    const norma = Math.sqrt(suma.reduce((total, x) => total + x * x, 0)) || 1;
+    return suma.map(x => x / norma);
+}
+
+class Embedder {
+    /**
+     * @param {Object} opciones
+     * @param {EmbeddingProvider} opciones.provider
+     * @param {StorageBackend} [opciones.storage] - Caché persistente por hash
+     * @param {number} [opciones.chunkTokens] - Tokens estimados por chunk
+     * @param {number} [opciones.chunkOverlap] - Tokens repetidos entre chunks vecinos
+     * @param {number} [opciones.loteTextos] - Textos por pedido al proveedor
+     * @param {number} [opciones.loteTokens] - Tokens estimados por pedido al proveedor
+     * @param {number} [opciones.esperaLote] - Milisegundos que se espera a otras sentencias antes de pedir
+     */
+    constructor({ provider, storage = null, chunkTokens = 500, chunkOverlap = 50, loteTextos = 96, loteTokens = 100000, esperaLote = 200 }) {
+        this.provider = provider;
+        this.storage = storage;
+        this.chunkTokens = chunkTokens;
+        this.chunkOverlap = chunkOverlap;
+        this.loteTextos = loteTextos;
+        this.loteTokens = loteTokens;
+        this.esperaLote = esperaLote;
+
+        this.cache = new Map();
+        // hash -> promesa del vector, para no pedir dos veces el mismo texto
+        this.enCurso = new Map();
+        this.cola = [];
+        this.temporizador = null;
+        this.solicitudes = 0;
+    }
+
+    get modelo() {
+        return this.provider.modelo;
+    }
+
+    recordar(hash, vector) {
+        this.cache.delete(hash);
+        this.cache.set(hash, vector);
+        if (this.cache.size > MAX_CACHE_MEMORIA) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Vectores de una lista de textos, usando el caché
+     *
+     * @returns {Promise<{ vectores: number[][], nuevos: number, en_cache: number }>}
+     *   `nuevos` son los textos que hubo que pedir al proveedor
+     */
+    async embed(textos) {
+        const hashes = textos.map(hashTexto);
+
+        const faltantes = _.uniq(hashes).filter(hash => !this.cache.has(hash) && !this.enCurso.has(hash));
+        if (faltantes.length > 0 && this.storage) {
+            const guardados = await this.storage.getCachedEmbeddings(faltantes, this.modelo);
+            for (const [hash, vector] of guardados) {
+                this.recordar(hash, vector);
+            }
+        }
+
+        let nuevos = 0;
+        const vectores = await Promise.all(hashes.map((hash, i) => {
+            if (this.cache.has(hash)) return this.cache.get(hash);
+
+            if (!this.enCurso.has(hash)) {
+                nuevos++;
+                this.enCurso.set(hash, this.encolar(hash, textos[i]));
+            }
+            return this.enCurso.get(hash);
+        }));
+
+        return { vectores, nuevos, en_cache: textos.length - nuevos };
+    }
+
+    /**
+     * Agregar un texto al próximo pedido; se envía al juntar un lote o al vencer la espera
+     */
+    encolar(hash, texto) {
+        return new Promise((resolve, reject) => {
+            this.cola.push({ hash, texto, tokens: contarTokens(texto), resolve, reject });
+
+            if (this.cola.length >= this.loteTextos || _.sumBy(this.cola, 'tokens') >= this.loteTokens) {
+                this.vaciar();
+            } else if (!this.temporizador) {
+                this.temporizador = setTimeout(() => this.vaciar(), this.esperaLote);
+            }
+        });
+    }
+
+    /**
+     * Enviar la cola en lotes de como mucho loteTextos textos y loteTokens tokens
+     */
+    vaciar() {
+        clearTimeout(this.temporizador);
+        this.temporizador = null;
+
+        while (this.cola.length > 0) {
+            const lote = [];
+            let tokens = 0;
+            while (this.cola.length > 0 && lote.length < this.loteTextos &&
+                (lote.length === 0 || tokens + this.cola[0].tokens <= this.loteTokens)) {
+                const item = this.cola.shift();
+                lote.push(item);
+                tokens += item.tokens;
+            }
+            this.enviar(lote);
+        }
+    }
+
+    async enviar(lote) {
+        try {
+            this.solicitudes++;
+            const proveedor = this.provider.nombre;
+            metricas.tokensEmbeddings.inc({ proveedor }, _.sumBy(lote, 'tokens'));
+            const vectores = await metricas.embeddings.time({ proveedor }, () => this.provider.embed(lote.map(item => item.texto)));
+            if (vectores.length !== lote.length) {
+                throw new Error(`${this.provider.nombre} devolvió ${vectores.length} vectores para ${lote.length} textos`);
+            }
+
+            lote.forEach((item, i) => this.recordar(item.hash, vectores[i]));
+            if (this.storage) {
+                try {
+                    await this.storage.saveCachedEmbeddings(lote.map((item, i) => ({ hash: item.hash, modelo: this.modelo, embedding: vectores[i] })));
+                } catch (error) {
+                    log.warning(`No se pudo guardar el caché de embeddings: ${error.message}`);
+                }
+            }
+            lote.forEach((item, i) => item.resolve(vectores[i]));
+        } catch (error) {
+            lote.forEach(item => item.reject(error));
+        } finally {
+            lote.forEach(item => this.enCurso.delete(item.hash));
+        }
+    }
+
+    /**
+     * Embeddings de una sentencia
+     *
+     * `embedding_contenido` es el promedio de los chunks del texto, ponderado por tokens.
+     *
+     * @returns {Promise<{ columnas: Object, chunks: Object[], nuevos: number, en_cache: number }>}
+     *   `columnas` trae embedding_titulo, embedding_contenido y embedding_descriptores;
+     *   `chunks` las filas de sentencia_chunks (sin `rol`)
+     */
+    async embedSentencia(sentencia) {
+        const chunks = dividirEnChunks(sentencia.texto_completo || '', { maxTokens: this.chunkTokens, solapamiento: this.chunkOverlap });
+        const titulo = recortarTokens(sentencia.caratulado || '', this.chunkTokens);
+        const descriptores = recortarTokens(
+            [...[].concat(sentencia.descriptores || []), sentencia.materia].filter(Boolean).join('; '),
+            this.chunkTokens
+        );
+
+        // Solo se piden los textos no vacíos
+        const entradas = [titulo, descriptores, ...chunks.map(chunk => chunk.texto)];
+        const conTexto = entradas.map((texto, i) => (texto ? i : -1)).filter(i => i >= 0);
+        const { vectores, nuevos, en_cache } = await this.embed(conTexto.map(i => entradas[i]));
+
+        const vectorDe = new Array(entradas.length).fill(null);
+        conTexto.forEach((i, j) => { vectorDe[i] = vectores[j]; });
+        const vectoresChunks = vectorDe.slice(2);
+
+        return {
+            columnas: {
+                embedding_titulo: vectorDe[0],
+                embedding_descriptores: vectorDe[1],
+                embedding_contenido: chunks.length > 0 ? promediarVectores(vectoresChunks, chunks.map(chunk => chunk.tokens)) : null
+            },
+            chunks: chunks.map((chunk, i) => ({
+                ...chunk,
+                hash_contenido: hashTexto(chunk.texto),
+                embedding: vectoresChunks[i],
+                modelo: this.modelo
+            })),
+            nuevos,
+            en_cache
+        };
+    }
+}
+
+module.exports = { Embedder, hashTexto, promediarVectores };
@@ -0,0 +1,31 @@
+/**
+ * ========================================
+ * INTERFAZ DE PROVEEDOR DE EMBEDDINGS
+ * ========================================
+ * Contrato común de los proveedores: convertir una lista de textos en
+ * vectores de `dimensiones` componentes, en el mismo orden
+ */
+
+class EmbeddingProvider {
+    /**
+     * @param {string} nombre
+     * @param {Object} opciones - `modelo` (se guarda junto a cada vector) y `dimensiones`
+     */
+    constructor(nombre, { modelo, dimensiones }) {
+        this.nombre = nombre;
+        this.modelo = modelo;
+        this.dimensiones = dimensiones;
+    }
+
+    /**
+     * Vectores de los textos, en el mismo orden
+     *
+     * @param {string[]} textos
+     * @returns {Promise<number[][]>}
+     */
+    async embed(textos) {
+        throw new Error(`${this.nombre}: embed() no implementado`);
+    }
+}
+
+module.exports = { EmbeddingProvider };
@@ -0,0 +1,52 @@
+/**
+ * ========================================
+ * SELECCIÓN DE PROVEEDOR DE EMBEDDINGS
+ * ========================================
+ * EMBEDDING_PROVIDER=openai | local
+ */
+
+const { OpenAIProvider } = require('./openaiProvider');
+const { LocalProvider } = require('./localProvider');
+const { Embedder } = require('./embedder');
+
+// Tamaño de las columnas VECTOR del esquema
+const DIMENSIONES = 1536;
+
+const PROVIDERS = {
+    openai: (config) => new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        modelo: config.embeddingModel,
+        dimensiones: DIMENSIONES
+    }),
+    local: () => new LocalProvider({ dimensiones: DIMENSIONES })
+};
+
+/**
+ * Crear el proveedor configurado
+ */
+function createEmbeddingProvider(config = {}) {
+    const nombre = config.embeddingProvider || 'openai';
+    const factory = PROVIDERS[nombre];
+
+    if (!factory) {
+        throw new Error(`Proveedor de embeddings desconocido: ${nombre}. Opciones: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return factory(config);
+}
+
+/**
+ * Crear el Embedder de una corrida, con el caché en el almacenamiento dado
+ */
+function createEmbedder(config, storage) {
+    return new Embedder({
+        provider: createEmbeddingProvider(config),
+        storage,
+        chunkTokens: config.chunkTokens,
+        chunkOverlap: config.chunkOverlap,
+        loteTextos: config.embeddingBatchSize,
+        esperaLote: config.embeddingBatchWait
+    });
+}
+
+module.exports = { DIMENSIONES, PROVIDERS, createEmbeddingProvider, createEmbedder, Embedder };
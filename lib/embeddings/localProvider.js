@@ -0,0 +1,35 @@
+/**
+ * Proveedor de embeddings local y determinista, sin red
+ *
+ * Cada palabra suma ±1 en una componente elegida por su hash (feature
+ * hashing) y el vector se normaliza. Textos con palabras en común quedan
+ * cerca, lo que basta para desarrollo y tests; no reemplaza a un modelo.
+ */
+
+const crypto = require('crypto');
+const { EmbeddingProvider } = require('./embeddingProvider');
+
+class LocalProvider extends EmbeddingProvider {
+    constructor({ dimensiones = 1536 } = {}) {
+        super('local', { modelo: `local-hash-${dimensiones}`, dimensiones });
+    }
+
+    vector(texto) {
+        const vector = new Array(this.dimensiones).fill(0);
+        const palabras = String(texto).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [];
+
+        for (const palabra of palabras) {
+            const hash = crypto.createHash('sha256').update(palabra).digest();
+            vector[hash.readUInt32BE(0) % this.dimensiones] += hash[4] & 1 ? 1 : -1;
+        }
+
+        const norma = Math.sqrt(vector.reduce((suma, x) => suma + x * x, 0)) || 1;
+        return vector.map(x => x / norma);
+    }
+
+    async embed(textos) {
+        return textos.map(texto => this.vector(texto));
+    }
+}
+
+module.exports = { LocalProvider };
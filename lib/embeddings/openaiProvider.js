@@ -0,0 +1,34 @@
+/**
+ * Proveedor de embeddings sobre la API de OpenAI
+ */
+
+const OpenAI = require('openai');
+const { EmbeddingProvider } = require('./embeddingProvider');
+
+class OpenAIProvider extends EmbeddingProvider {
+    constructor({ apiKey, modelo = 'text-embedding-3-small', dimensiones = 1536, client = null } = {}) {
+        super('openai', { modelo, dimensiones });
+
+        if (!apiKey && !client) {
+            throw new Error('OpenAI requiere OPENAI_API_KEY');
+        }
+
+        this.client = client || new OpenAI({ apiKey });
+    }
+
+    async embed(textos) {
+        const respuesta = await this.client.embeddings.create({
+            model: this.modelo,
+            input: textos,
+            encoding_format: 'float',
+            // Los modelos text-embedding-3 pueden reducirse al tamaño de las columnas VECTOR
+            ...(/^text-embedding-3/.test(this.modelo) && { dimensions: this.dimensiones })
+        });
+
+        return [...respuesta.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,303 @@
+/**
+ * ========================================
+ * EXPORTACIÓN DEL CORPUS
+ * ========================================
+ * Vuelca una selección de jurisprudencia_cs como NDJSON, CSV o XML
+ * Akoma Ntoso (`judgment`), fila a fila: el backend entrega las
+ * sentencias por lotes y la salida respeta la contrapresión del destino,
+ * así que el tamaño del volcado no pesa en memoria
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { validarFiltros } = require('./search');
+const { COLUMNAS_EMBEDDING } = require('./revisionDiff');
+
+// Parámetros que aceptan GET /export y `npm run exportar`
+const PARAMETROS_EXPORTACION = ['formato', 'tribunal', 'startDate', 'endDate', 'materia', 'tipo_recurso', 'embeddings'];
+
+const FORMATOS = {
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    akn: { contentType: 'application/akn+xml; charset=utf-8', extension: 'xml' }
+};
+
+// Columnas de jurisprudencia_cs que se exportan, en el orden de las columnas del CSV
+const COLUMNAS_EXPORTACION = [
+    'rol', 'caratula', 'fecha_sentencia', 'tribunal', 'sala', 'materia', 'tipo_recurso', 'resultado_recurso',
+    'descriptores', 'corte_origen', 'ministro_redactor', 'ministros', 'abogados_integrantes',
+    'url_detalle', 'url_pdf', 'fuente_texto', 'parte_expositiva', 'considerandos', 'considerandos_detalle',
+    'parte_resolutiva', 'votos_minoria', 'texto_completo'
+];
+
+// Espacio de nombres de los elementos propios dentro de <proprietary>
+const NS_PROPIO = 'urn:jurisprudencia-scraper:akn';
+
+/**
+ * Validar los parámetros de la exportación
+ *
+ * Devuelve `{ params, errores }` con `params = { formato, filtros, embeddings }`;
+ * los filtros son los de validarFiltros().
+ */
+function validarExportacion(input = {}) {
+    const errores = [];
+
+    for (const clave of Object.keys(input)) {
+        if (!PARAMETROS_EXPORTACION.includes(clave)) {
+            errores.push(`Parámetro desconocido: ${clave}`);
+        }
+    }
+
+    const formato = input.formato === undefined || input.formato === '' ? 'ndjson' : String(input.formato).toLowerCase();
+    if (!FORMATOS[formato]) {
+        errores.push(`formato inválido: ${input.formato}. Opciones: ${Object.keys(FORMATOS).join(', ')}`);
+    }
+
+    const filtros = validarFiltros(input, errores);
+
+    let embeddings = false;
+    if (input.embeddings !== undefined && input.embeddings !== '') {
+        const valor = String(input.embeddings).toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(valor)) {
+            errores.push(`embeddings debe ser true o false: ${input.embeddings}`);
+        }
+        embeddings = valor === 'true' || valor === '1';
+    }
+
+    return { params: { formato, filtros, embeddings }, errores };
+}
+
+/**
+ * Valor de una celda CSV (RFC 4180); arrays y objetos van como JSON
+ */
+function celdaCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+
+    const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Escapar texto para XML, quitando los caracteres de control que XML 1.0 no admite
+ */
+function escaparXml(valor) {
+    return String(valor)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Segmento de URI: minúsculas, sin tildes y con guiones
+ */
+function slug(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Párrafos <p> de un bloque de texto, uno por línea no vacía
+ */
+function parrafos(texto, sangria) {
+    return String(texto || '').split(/\r?\n/).map(linea => linea.trim()).filter(Boolean)
+        .map(linea => `${sangria}<p>${escaparXml(linea)}</p>`).join('\n');
+}
+
+/**
+ * Considerandos como <paragraph> numerados; sin el detalle, el texto de la columna `considerandos`
+ */
+function considerandosAkn(fila, sangria) {
+    const detalle = Array.isArray(fila.considerandos_detalle) ? fila.considerandos_detalle : [];
+    if (detalle.length === 0) return parrafos(fila.considerandos, sangria);
+
+    return detalle.map(({ numero, etiqueta, texto }) => [
+        `${sangria}<paragraph eId="para_${numero}">`,
+        `${sangria}  <num>${escaparXml(etiqueta || `${numero}.`)}</num>`,
+        `${sangria}  <content>`,
+        parrafos(texto, `${sangria}    `),
+        `${sangria}  </content>`,
+        `${sangria}</paragraph>`
+    ].join('\n')).join('\n');
+}
+
+/**
+ * Documento Akoma Ntoso `judgment` de una sentencia
+ *
+ * VISTOS va en <introduction>, los considerandos en <motivation>, la parte
+ * resolutiva en <decision> y los votos de minoría en <conclusions>. Si el
+ * parser no separó las partes, el texto completo queda en <introduction>.
+ */
+function judgmentAkn(fila, { embeddings = false } = {}) {
+    const tribunal = fila.tribunal || 'Corte Suprema';
+    const fecha = fila.fecha_sentencia;
+    const work = `/akn/cl/judgment/${slug(tribunal)}/${fecha}/${slug(fila.rol)}`;
+    const expresion = `${work}/spa@`;
+
+    const bloques = [];
+    const seccion = (elemento, contenido) => {
+        if (contenido) bloques.push(`        <${elemento}>\n${contenido}\n        </${elemento}>`);
+    };
+    seccion('introduction', parrafos(fila.parte_expositiva, '          '));
+    seccion('motivation', considerandosAkn(fila, '          '));
+    seccion('decision', parrafos(fila.parte_resolutiva, '          '));
+    if (bloques.length === 0) {
+        seccion('introduction', parrafos(fila.texto_completo, '          '));
+    }
+
+    const propios = [
+        ['materia', fila.materia],
+        ['tipoRecurso', fila.tipo_recurso],
+        ['resultadoRecurso', fila.resultado_recurso],
+        ['corteOrigen', fila.corte_origen],
+        ['urlDetalle', fila.url_detalle]
+    ].filter(([, valor]) => valor).map(([elemento, valor]) => `          <rj:${elemento}>${escaparXml(valor)}</rj:${elemento}>`);
+    for (const descriptor of fila.descriptores || []) {
+        propios.push(`          <rj:descriptor>${escaparXml(descriptor)}</rj:descriptor>`);
+    }
+    if (embeddings) {
+        for (const columna of COLUMNAS_EMBEDDING) {
+            if (Array.isArray(fila[columna])) {
+                propios.push(`          <rj:embedding campo="${columna}" dimensiones="${fila[columna].length}">${fila[columna].join(' ')}</rj:embedding>`);
+            }
+        }
+    }
+
+    const lineas = [
+        '    <judgment name="sentencia">',
+        '      <meta>',
+        '        <identification source="#scraper">',
+        '          <FRBRWork>',
+        `            <FRBRthis value="${escaparXml(`${work}/!main`)}"/>`,
+        `            <FRBRuri value="${escaparXml(work)}"/>`,
+        `            <FRBRdate date="${fecha}" name="sentencia"/>`,
+        '            <FRBRauthor href="#tribunal"/>',
+        '            <FRBRcountry value="cl"/>',
+        `            <FRBRnumber value="${escaparXml(fila.rol)}"/>`,
+        '          </FRBRWork>',
+        '          <FRBRExpression>',
+        `            <FRBRthis value="${escaparXml(`${expresion}/!main`)}"/>`,
+        `            <FRBRuri value="${escaparXml(expresion)}"/>`,
+        `            <FRBRdate date="${fecha}" name="sentencia"/>`,
+        '            <FRBRauthor href="#tribunal"/>',
+        '            <FRBRlanguage language="spa"/>',
+        '          </FRBRExpression>',
+        '          <FRBRManifestation>',
+        `            <FRBRthis value="${escaparXml(`${expresion}/!main.xml`)}"/>`,
+        `            <FRBRuri value="${escaparXml(`${expresion}.akn`)}"/>`,
+        `            <FRBRdate date="${fecha}" name="sentencia"/>`,
+        '            <FRBRauthor href="#scraper"/>',
+        '          </FRBRManifestation>',
+        '        </identification>',
+        '        <references source="#scraper">',
+        `          <TLCOrganization eId="tribunal" href="/ontology/organization/cl/${slug(tribunal)}" showAs="${escaparXml(tribunal)}"/>`,
+        '          <TLCOrganization eId="scraper" href="/ontology/organization/cl/jurisprudencia-scraper" showAs="jurisprudencia-scraper"/>',
+        '        </references>'
+    ];
+    if (propios.length > 0) {
+        lineas.push(`        <proprietary source="#scraper" xmlns:rj="${NS_PROPIO}">`, ...propios, '        </proprietary>');
+    }
+    lineas.push(
+        '      </meta>',
+        '      <header>',
+        `        <p><docNumber>${escaparXml(fila.rol)}</docNumber> <docTitle>${escaparXml(fila.caratula || '')}</docTitle>` +
+            ` <docDate date="${fecha}">${fecha}</docDate> <courtType refersTo="#tribunal">${escaparXml(tribunal)}</courtType>` +
+            `${fila.sala ? ` <docProponent>${escaparXml(fila.sala)}</docProponent>` : ''}</p>`,
+        '      </header>',
+        '      <judgmentBody>',
+        ...bloques,
+        '      </judgmentBody>'
+    );
+    if (fila.votos_minoria) {
+        lineas.push(
+            '      <conclusions>',
+            '        <blockContainer eId="votos">',
+            parrafos(fila.votos_minoria, '          '),
+            '        </blockContainer>',
+            '      </conclusions>'
+        );
+    }
+    lineas.push('    </judgment>');
+
+    return lineas.join('\n');
+}
+
+/**
+ * Partes del volcado en el formato pedido: cabecera, una por sentencia y cierre
+ *
+ * El XML es un único <akomaNtoso> con un <documentCollection> cuyos <component>
+ * traen cada `judgment`.
+ *
+ * @param {Object} opciones
+ * @param {StorageBackend} opciones.storage
+ * @param {string} [opciones.formato] - ndjson, csv o akn
+ * @param {Object} [opciones.filtros] - `{ tribunal, desde, hasta, materia, tipo_recurso }`
+ * @param {boolean} [opciones.embeddings] - Incluir embedding_titulo, embedding_contenido y embedding_descriptores
+ * @param {Object} [opciones.progreso] - Se le suma `exportadas` a medida que avanza
+ * @returns {AsyncGenerator<string>}
+ */
+async function* generarExportacion({ storage, formato = 'ndjson', filtros = {}, embeddings = false, progreso = {} }) {
+    const columnas = embeddings ? [...COLUMNAS_EXPORTACION, ...COLUMNAS_EMBEDDING] : COLUMNAS_EXPORTACION;
+    progreso.exportadas = 0;
+
+    if (formato === 'csv') {
+        yield `${columnas.join(',')}\r\n`;
+    } else if (formato === 'akn') {
+        yield [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<akomaNtoso xmlns="http://docs.oasis-open.org/legaldocml/ns/akn/3.0">',
+            '  <documentCollection name="jurisprudencia">',
+            '    <meta>',
+            '      <identification source="#scraper">',
+            '        <FRBRWork><FRBRthis value="/akn/cl/documentCollection/jurisprudencia/!main"/><FRBRuri value="/akn/cl/documentCollection/jurisprudencia"/>' +
+                `<FRBRdate date="${new Date().toISOString().slice(0, 10)}" name="exportacion"/><FRBRauthor href="#scraper"/><FRBRcountry value="cl"/></FRBRWork>`,
+            '      </identification>',
+            '    </meta>',
+            '    <collectionBody>',
+            ''
+        ].join('\n');
+    }
+
+    for await (const fila of storage.streamRows({ filtros, columnas })) {
+        progreso.exportadas++;
+
+        if (formato === 'csv') {
+            yield `${columnas.map(columna => celdaCsv(fila[columna])).join(',')}\r\n`;
+        } else if (formato === 'akn') {
+            const documento = judgmentAkn(fila, { embeddings }).replace(/^/gm, '    ');
+            yield `      <component eId="cmp_${progreso.exportadas}">\n${documento}\n      </component>\n`;
+        } else {
+            yield `${JSON.stringify(fila)}\n`;
+        }
+    }
+
+    if (formato === 'akn') {
+        yield '    </collectionBody>\n  </documentCollection>\n</akomaNtoso>\n';
+    }
+}
+
+/**
+ * Escribir la exportación en un stream (archivo, stdout o respuesta HTTP)
+ *
+ * Espera a que el destino drene antes de pedir más filas al backend.
+ *
+ * @param {Object} opciones - Las de generarExportacion() más `salida`, un stream Writable
+ * @returns {Promise<{ exportadas: number }>}
+ */
+async function exportarSentencias({ salida, ...opciones }) {
+    const progreso = { exportadas: 0 };
+    await pipeline(Readable.from(generarExportacion({ ...opciones, progreso })), salida);
+    return { exportadas: progreso.exportadas };
+}
+
+module.exports = {
+    PARAMETROS_EXPORTACION,
+    FORMATOS,
+    COLUMNAS_EXPORTACION,
+    validarExportacion,
+    celdaCsv,
+    judgmentAkn,
+    generarExportacion,
+    exportarSentencias
+};
@@ -0,0 +1,112 @@
+/**
+ * ========================================
+ * SERVIDOR LOCAL DE FIXTURES (juris.pjud.cl)
+ * ========================================
+ * Sirve páginas grabadas del sitio judicial para correr el scraper sin red.
+ *
+ * Cada directorio de fixtures tiene un `manifest.json`:
+ *
+ *   {
+ *     "parametros": { "tribunal": "Corte_Suprema", ... },
+ *     "routes": [
+ *       { "method": "GET", "path": "/resultados", "match": { "pagina": "2" }, "file": "resultados_2.html" }
+ *     ]
+ *   }
+ *
+ * `match` es un subconjunto de parámetros (query o body de formulario) que
+ * deben coincidir; gana la ruta con más parámetros coincidentes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const CONTENT_TYPE_DEFAULT = 'text/html; charset=utf-8';
+
+/**
+ * Leer el manifest de un directorio de fixtures
+ */
+function loadManifest(dir) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    return {
+        parametros: manifest.parametros || {},
+        routes: (manifest.routes || []).map(route => ({
+            method: (route.method || 'GET').toUpperCase(),
+            match: {},
+            status: 200,
+            contentType: CONTENT_TYPE_DEFAULT,
+            ...route
+        }))
+    };
+}
+
+/**
+ * Buscar la ruta más específica que coincide con la solicitud
+ */
+function findRoute(routes, { method, pathname, params }) {
+    return routes
+        .filter(route => route.method === method && route.path === pathname)
+        .filter(route => Object.entries(route.match).every(([clave, valor]) => params[clave] === String(valor)))
+        .sort((a, b) => Object.keys(b.match).length - Object.keys(a.match).length)[0] || null;
+}
+
+/**
+ * Leer el body de una solicitud como parámetros de formulario
+ */
+function readFormBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Crear un servidor de fixtures para el directorio dado
+ */
+function createFixtureServer({ dir }) {
+    const manifest = loadManifest(dir);
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = req.method === 'POST' ? await readFormBody(req) : {};
+        const params = { ...Object.fromEntries(url.searchParams), ...body };
+
+        requests.push({ method: req.method, pathname: url.pathname, params });
+
+        const route = findRoute(manifest.routes, { method: req.method, pathname: url.pathname, params });
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end(`Fixture no encontrado: ${req.method} ${url.pathname}${url.search}`);
+        }
+
+        res.writeHead(route.status, { 'Content-Type': route.contentType });
+        fs.createReadStream(path.join(dir, route.file)).pipe(res);
+    });
+
+    return {
+        manifest,
+        requests,
+        url: null,
+
+        /**
+         * Escuchar en el puerto dado (0 = aleatorio) y devolver la URL base
+         */
+        start(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    this.url = `http://127.0.0.1:${server.address().port}`;
+                    resolve(this.url);
+                });
+            });
+        },
+
+        stop() {
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createFixtureServer, loadManifest, findRoute };
@@ -0,0 +1,78 @@
+/**
+ * ========================================
+ * ESTADO DE LAS DEPENDENCIAS
+ * ========================================
+ * Comprobaciones para GET /health: navegador, base de datos y proveedor
+ * de embeddings. El resultado se guarda un rato para que un monitor que
+ * consulta seguido no gaste pedidos al proveedor
+ */
+
+const TIEMPO_LIMITE_MS = 5000;
+const VIGENCIA_MS = 60 * 1000;
+
+// Lo que devuelve una comprobación que no aplica con la configuración actual
+const DESHABILITADO = 'deshabilitado';
+
+function conTiempoLimite(promesa, ms) {
+    let temporizador;
+    const limite = new Promise((resolve, reject) => {
+        temporizador = setTimeout(() => reject(new Error(`Sin respuesta en ${ms}ms`)), ms);
+    });
+    return Promise.race([promesa, limite]).finally(() => clearTimeout(temporizador));
+}
+
+class HealthCheck {
+    /**
+     * @param {Object} comprobaciones - nombre -> función async que lanza si la
+     *   dependencia no responde o devuelve DESHABILITADO
+     */
+    constructor(comprobaciones, { tiempoLimiteMs = TIEMPO_LIMITE_MS, vigenciaMs = VIGENCIA_MS, ahora = Date.now } = {}) {
+        this.comprobaciones = comprobaciones;
+        this.tiempoLimiteMs = tiempoLimiteMs;
+        this.vigenciaMs = vigenciaMs;
+        this.ahora = ahora;
+        this.ultimo = null;
+        this.enCurso = null;
+    }
+
+    async comprobar(fn) {
+        const inicio = this.ahora();
+        try {
+            const resultado = await conTiempoLimite(Promise.resolve().then(fn), this.tiempoLimiteMs);
+            if (resultado === DESHABILITADO) return { estado: DESHABILITADO };
+            return { estado: 'ok', latencia_ms: this.ahora() - inicio };
+        } catch (error) {
+            return { estado: 'error', latencia_ms: this.ahora() - inicio, error: error.message };
+        }
+    }
+
+    /**
+     * `estado` es 'ok' si ninguna comprobación falló; las que se repiten
+     * dentro de la vigencia reciben el mismo resultado
+     */
+    async estado() {
+        if (this.ultimo && this.ahora() - this.ultimo.instante < this.vigenciaMs) {
+            return this.ultimo.resultado;
+        }
+        if (!this.enCurso) {
+            this.enCurso = this.evaluar().finally(() => { this.enCurso = null; });
+        }
+        return this.enCurso;
+    }
+
+    async evaluar() {
+        const nombres = Object.keys(this.comprobaciones);
+        const resultados = await Promise.all(nombres.map(nombre => this.comprobar(this.comprobaciones[nombre])));
+        const comprobaciones = Object.fromEntries(nombres.map((nombre, i) => [nombre, resultados[i]]));
+
+        const resultado = {
+            estado: resultados.some(r => r.estado === 'error') ? 'degradado' : 'ok',
+            comprobaciones,
+            comprobado_en: new Date(this.ahora()).toISOString()
+        };
+        this.ultimo = { instante: this.ahora(), resultado };
+        return resultado;
+    }
+}
+
+module.exports = { HealthCheck, DESHABILITADO };
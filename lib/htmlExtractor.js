@@ -0,0 +1,330 @@
+/**
+ * ========================================
+ * EXTRACCIÓN DESDE EL HTML DE juris.pjud.cl
+ * ========================================
+ * Lee listados y páginas de detalle con cheerio, sin importar si el HTML
+ * llegó por HTTP o desde una pestaña de Puppeteer (`page.content()`).
+ * Los selectores salen del perfil de extracción del tribunal (lib/profiles)
+ */
+
+const cheerio = require('cheerio');
+const _ = require('lodash');
+const { parsearRol } = require('./rolParser');
+const { selectoresDe, perfilPara } = require('./profiles');
+
+// Elementos que innerText separa en su propia línea
+const BLOQUES = 'p, div, li, tr, dt, dd, h1, h2, h3, h4, h5, h6, section, article, header, footer, table, ul, ol, dl, blockquote, pre';
+
+/**
+ * Resolver un href contra la URL de la página
+ */
+function urlAbsoluta(href, baseUrl) {
+    if (!href) return '';
+    try {
+        return new URL(href, baseUrl).href;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Texto de un elemento como lo mostraría innerText: una línea por bloque
+ * o `<br>`, con los espacios colapsados
+ */
+function textoVisible($, elemento) {
+    const clon = $(elemento).clone();
+    clon.find('script, style').remove();
+    clon.find('*').addBack().contents().each((_, nodo) => {
+        if (nodo.type === 'text') nodo.data = nodo.data.replace(/\s+/g, ' ');
+    });
+    clon.find('br').replaceWith('\n');
+    clon.find(BLOQUES).each((_, bloque) => {
+        $(bloque).prepend('\n').append('\n');
+    });
+
+    return clon.text()
+        .split('\n')
+        .map(linea => linea.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Primer selector de la regla que encuentra un elemento con texto
+ *
+ * @returns {{ selector: string|null, texto: string }}
+ */
+function primeraCoincidencia($, raiz, regla) {
+    for (const selector of selectoresDe(regla)) {
+        const elemento = raiz.find(selector).first();
+        const texto = elemento.length > 0 ? elemento.text().trim() : '';
+        if (texto) return { selector, texto };
+    }
+    return { selector: null, texto: '' };
+}
+
+/**
+ * Texto del primer selector de la regla que tenga contenido
+ */
+function primerTexto($, raiz, regla) {
+    return primeraCoincidencia($, raiz, regla).texto;
+}
+
+/**
+ * Primer elemento que calza con algún selector de la regla
+ */
+function primerElemento(raiz, regla) {
+    for (const selector of selectoresDe(regla)) {
+        const elemento = raiz.find(selector).first();
+        if (elemento.length > 0) return { selector, elemento };
+    }
+    return { selector: null, elemento: null };
+}
+
+/**
+ * Campos de texto de una regla por campo (`{ materia: '...', ... }`)
+ */
+function textosDe($, raiz, reglas = {}) {
+    const textos = {};
+    for (const [campo, regla] of Object.entries(reglas)) {
+        textos[campo] = primerTexto($, raiz, regla);
+    }
+    return textos;
+}
+
+/**
+ * Filas del listado según el primer selector de `listado.filas` que encuentre alguna
+ */
+function filasDelListado($, perfil) {
+    for (const selector of selectoresDe(perfil.listado.filas)) {
+        const elementos = $(selector);
+        if (elementos.length > 0) {
+            return { elementos, selector, generico: (perfil.listado.filas_genericas || []).includes(selector) };
+        }
+    }
+    return { elementos: $(), selector: null, generico: false };
+}
+
+/**
+ * Extraer los resultados de una página del listado, con el selector que
+ * calzó, cuántos elementos se descartaron por no parecer resultados y los
+ * resultados rechazados por no traer un ROL reconocible
+ *
+ * El `rol` de cada resultado queda en forma canónica (lib/rolParser) y el
+ * texto mostrado por el sitio en `rol_original`.
+ *
+ * @param {string} html
+ * @param {string} baseUrl - URL de la página, para resolver los enlaces al detalle
+ * @returns {{ resultados: Object[], selector: string|null, descartados: number,
+ *   sinRol: Array<{ index: number, rol: string, enlace: string }> }}
+ */
+function extraerListado(html, baseUrl, perfil = perfilPara()) {
+    const $ = cheerio.load(html);
+    const { elementos, selector, generico } = filasDelListado($, perfil);
+    const { campos, metadatos = {}, descripcion } = perfil.listado;
+
+    const items = [];
+    let descartados = 0;
+    const sinRol = [];
+    elementos.each((index, nodo) => {
+        const elemento = $(nodo);
+        // Una fila que envuelve otras tablas es de diseño, no un resultado
+        if (generico && elemento.find('tr, table').length > 0) {
+            descartados++;
+            return;
+        }
+
+        const { rol, fecha, tribunal, caratulado } = textosDe($, elemento, _.omit(campos, 'enlace'));
+        const bloqueDescripcion = primerElemento(elemento, descripcion).elemento;
+        const { elemento: enlaceDetalle } = primerElemento(elemento, campos.enlace);
+        const enlace = enlaceDetalle ? urlAbsoluta(enlaceDetalle.attr('href'), baseUrl) : '';
+
+        const rolParseado = parsearRol(rol);
+        if (!(rol || fecha || tribunal) || (generico && !enlace && !rolParseado)) {
+            descartados++;
+            return;
+        }
+        // Sin ROL no hay identidad con que evitar duplicados
+        if (!rolParseado) {
+            sinRol.push({ index, rol, enlace });
+            return;
+        }
+
+        items.push({
+            rol: rolParseado.canonico,
+            rol_original: rol,
+            fecha: fecha || '',
+            tribunal: tribunal || '',
+            caratulado: caratulado || '',
+            enlace,
+            // Campos del modo "con descripción"
+            metadatos: {
+                ...textosDe($, elemento, metadatos),
+                descripcion: bloqueDescripcion ? textoVisible($, bloqueDescripcion) : ''
+            },
+            index
+        });
+    });
+
+    return { resultados: items, selector, descartados, sinRol };
+}
+
+/**
+ * Extraer los resultados de una página del listado
+ *
+ * @param {string} html
+ * @param {string} baseUrl - URL de la página, para resolver los enlaces al detalle
+ * @returns {Object[]} `{ rol, rol_original, fecha, tribunal, caratulado, enlace, metadatos, index }`
+ */
+function extraerResultados(html, baseUrl, perfil = perfilPara()) {
+    return extraerListado(html, baseUrl, perfil).resultados;
+}
+
+/**
+ * Extraer el texto, las partes y los metadatos de una página de detalle
+ *
+ * @param {string} html
+ * @param {string} baseUrl - URL de la página, para resolver los enlaces a PDF
+ * @returns {Object} campos de la sentencia, `metadatos` y `enlaces_pdf` (PDFs adjuntos)
+ */
+function extraerDetalle(html, baseUrl, perfil = perfilPara()) {
+    const $ = cheerio.load(html);
+    const raiz = $.root();
+    const { campos, metadatos = {}, descripcion } = perfil.detalle;
+    const bloqueDescripcion = primerElemento(raiz, descripcion).elemento;
+
+    const enlacesPdf = $('a[href], iframe[src], embed[src], object[data]')
+        .map((_i, nodo) => {
+            const elemento = $(nodo);
+            const destino = urlAbsoluta(elemento.attr('href') || elemento.attr('src') || elemento.attr('data'), baseUrl);
+            const esPdf = /\.pdf($|[?#])/i.test(destino) || elemento.attr('type') === 'application/pdf';
+            return destino && esPdf ? destino : null;
+        })
+        .get();
+
+    return {
+        texto_completo: '',
+        considerandos: '',
+        resolucion: '',
+        fecha: '',
+        tribunal: '',
+        ...textosDe($, raiz, campos),
+        metadatos: {
+            ...textosDe($, raiz, metadatos),
+            descripcion: bloqueDescripcion ? textoVisible($, bloqueDescripcion) : ''
+        },
+        enlaces_pdf: [...new Set(enlacesPdf)]
+    };
+}
+
+/**
+ * Elemento del enlace "Siguiente": por `paginacion.siguiente` o por el texto del enlace
+ */
+function buscarSiguiente($, perfil) {
+    const { siguiente, texto_siguiente: textoSiguiente } = perfil.paginacion;
+    const porSelector = primerElemento($.root(), siguiente);
+    if (porSelector.elemento) return { regla: porSelector.selector, elemento: porSelector.elemento };
+
+    if (textoSiguiente) {
+        const patron = new RegExp(textoSiguiente, 'i');
+        const enlace = $('a').filter((_i, nodo) => patron.test($(nodo).text().trim())).first();
+        if (enlace.length > 0) return { regla: `texto ${textoSiguiente}`, elemento: enlace };
+    }
+    return { regla: null, elemento: null };
+}
+
+/**
+ * Enlace a la página siguiente del listado
+ *
+ * @returns {{ url: string|null }|null} null si no hay página siguiente;
+ *   `url` null si el enlace no es navegable (p. ej. `javascript:`) y hay que hacer clic
+ */
+function enlaceSiguiente(html, baseUrl, perfil = perfilPara()) {
+    const { elemento } = buscarSiguiente(cheerio.load(html), perfil);
+    if (!elemento) return null;
+
+    const href = (elemento.attr('href') || '').trim();
+    const navegable = href && !href.startsWith('#') && !/^javascript:/i.test(href);
+    return { url: navegable ? urlAbsoluta(href, baseUrl) : null };
+}
+
+/**
+ * Correr un perfil sobre HTML guardado y contar qué selector de cada regla calzó
+ *
+ * @param {Object} perfil
+ * @param {Object} paginas - HTML de `busqueda`, `listado` y `detalle` (los que haya)
+ * @returns {Object} por sección, cada regla con el selector que calzó (null si ninguno)
+ */
+function probarPerfil(perfil, { busqueda, listado, detalle, baseUrl = 'http://localhost/' }) {
+    const reporte = {};
+
+    if (busqueda) {
+        const raiz = cheerio.load(busqueda).root();
+        reporte.formulario = _.mapValues(perfil.formulario, regla => {
+            const { selector } = primerElemento(raiz, regla);
+            return { selector };
+        });
+    }
+
+    if (listado) {
+        const $ = cheerio.load(listado);
+        const { elementos, selector } = filasDelListado($, perfil);
+        const { resultados, descartados, sinRol } = extraerListado(listado, baseUrl, perfil);
+
+        // Por regla, cuántas filas resolvió cada selector
+        const porRegla = (reglas, esEnlace) => _.mapValues(reglas, regla => {
+            const selectores = {};
+            let vacias = 0;
+            elementos.each((_i, nodo) => {
+                const coincidencia = esEnlace ? primerElemento($(nodo), regla) : primeraCoincidencia($, $(nodo), regla);
+                if (coincidencia.selector) {
+                    selectores[coincidencia.selector] = (selectores[coincidencia.selector] || 0) + 1;
+                } else {
+                    vacias++;
+                }
+            });
+            return { selectores, vacias };
+        });
+
+        reporte.listado = {
+            filas: { selector, encontradas: elementos.length, resultados: resultados.length, descartados, sin_rol: sinRol.length },
+            total: { selector: primerElemento($.root(), perfil.listado.total).selector },
+            campos: {
+                ...porRegla(_.omit(perfil.listado.campos, 'enlace')),
+                ...porRegla(_.pick(perfil.listado.campos, 'enlace'), true)
+            },
+            metadatos: porRegla(perfil.listado.metadatos || {})
+        };
+
+        const siguiente = buscarSiguiente($, perfil);
+        reporte.paginacion = {
+            regla: siguiente.regla,
+            siguiente: siguiente.elemento ? enlaceSiguiente(listado, baseUrl, perfil) : null
+        };
+    }
+
+    if (detalle) {
+        const $ = cheerio.load(detalle);
+        const raiz = $.root();
+        const porCampo = reglas => _.mapValues(reglas, regla => {
+            const { selector, texto } = primeraCoincidencia($, raiz, regla);
+            return { selector, caracteres: texto.length };
+        });
+        reporte.detalle = {
+            campos: porCampo(perfil.detalle.campos),
+            metadatos: porCampo(perfil.detalle.metadatos || {}),
+            descripcion: { selector: primerElemento(raiz, perfil.detalle.descripcion).selector }
+        };
+    }
+
+    return reporte;
+}
+
+module.exports = {
+    textoVisible,
+    extraerListado,
+    extraerResultados,
+    extraerDetalle,
+    enlaceSiguiente,
+    probarPerfil
+};
@@ -0,0 +1,145 @@
+/**
+ * ========================================
+ * SESIÓN HTTP CON EL SITIO JUDICIAL
+ * ========================================
+ * Pedidos sin navegador que comparten las cookies de la sesión abierta
+ * por Puppeteer en el formulario de búsqueda, y guardan las que el sitio
+ * vaya entregando
+ */
+
+const axios = require('axios');
+
+/**
+ * Host de una URL, o '' si no es válida
+ */
+function hostDe(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * La cookie de `dominio` se envía a `host` (mismo host o subdominio)
+ */
+function dominioCoincide(host, dominio) {
+    const limpio = String(dominio || '').replace(/^\./, '').toLowerCase();
+    return host === limpio || host.endsWith(`.${limpio}`);
+}
+
+/**
+ * Leer un header Set-Cookie ("nombre=valor; Path=/; Domain=...")
+ */
+function parseSetCookie(linea, hostPorDefecto) {
+    const [par, ...atributos] = linea.split(';');
+    const igual = par.indexOf('=');
+    if (igual <= 0) return null;
+
+    const cookie = {
+        name: par.slice(0, igual).trim(),
+        value: par.slice(igual + 1).trim(),
+        domain: hostPorDefecto
+    };
+    for (const atributo of atributos) {
+        const [clave, ...valor] = atributo.split('=');
+        if (clave.trim().toLowerCase() === 'domain' && valor.length > 0) {
+            cookie.domain = valor.join('=').trim();
+        }
+    }
+    return cookie;
+}
+
+/**
+ * Decodificar el cuerpo según el charset del Content-Type (UTF-8 por defecto)
+ */
+function decodificar(datos, contentType = '') {
+    const charset = (String(contentType).match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(datos);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(datos);
+    }
+}
+
+class HttpSession {
+    /**
+     * @param {Object} [opciones]
+     * @param {string} [opciones.userAgent] - El mismo del navegador, para que el sitio vea una sola sesión
+     * @param {number} [opciones.timeout] - Milisegundos por pedido
+     */
+    constructor({ userAgent = null, timeout = 15000 } = {}) {
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        // `${dominio}|${nombre}` -> { name, value, domain }
+        this.cookies = new Map();
+    }
+
+    /**
+     * Guardar cookies con el formato de Puppeteer (`page.cookies()`)
+     */
+    importarCookies(cookies = []) {
+        for (const cookie of cookies) {
+            this.cookies.set(`${cookie.domain}|${cookie.name}`, { name: cookie.name, value: cookie.value, domain: cookie.domain });
+        }
+    }
+
+    /**
+     * Header Cookie para una URL
+     */
+    cookieHeader(url) {
+        const host = hostDe(url);
+        return [...this.cookies.values()]
+            .filter(cookie => dominioCoincide(host, cookie.domain))
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join('; ');
+    }
+
+    /**
+     * GET con las cookies de la sesión
+     *
+     * No lanza por status HTTP: quien llama decide qué hacer con un 4xx/5xx.
+     *
+     * @param {string} url
+     * @param {Object} [opciones]
+     * @param {number} [opciones.maxBytes] - Tamaño máximo de la respuesta
+     * @param {string} [opciones.accept] - Header Accept
+     * @returns {Promise<{ status: number, url: string, headers: Object, datos: Buffer, texto: Function }>}
+     *   `url` es la final, después de las redirecciones; `texto()` decodifica el cuerpo
+     */
+    async get(url, { maxBytes = -1, accept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' } = {}) {
+        const cookie = this.cookieHeader(url);
+        const respuesta = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: maxBytes,
+            validateStatus: () => true,
+            headers: {
+                'Accept': accept,
+                'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8',
+                ...(this.userAgent && { 'User-Agent': this.userAgent }),
+                ...(cookie && { Cookie: cookie })
+            }
+        });
+
+        const final = (respuesta.request && respuesta.request.res && respuesta.request.res.responseUrl) || url;
+        for (const linea of [].concat(respuesta.headers['set-cookie'] || [])) {
+            const nueva = parseSetCookie(linea, hostDe(final));
+            if (nueva) this.importarCookies([nueva]);
+        }
+
+        const datos = Buffer.from(respuesta.data);
+        return {
+            status: respuesta.status,
+            url: final,
+            headers: respuesta.headers,
+            datos,
+            texto: () => decodificar(datos, respuesta.headers['content-type'])
+        };
+    }
+}
+
+module.exports = {
+    HttpSession,
+    parseSetCookie
+};
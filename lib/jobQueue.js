@@ -0,0 +1,215 @@
+/**
+ * ========================================
+ * COLA DE TRABAJOS DE SCRAPING
+ * ========================================
+ * Ejecuta corridas del scraper en segundo plano con un límite de
+ * concurrencia y conserva el historial de trabajos terminados
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { log, conContexto } = require('./logger');
+
+const ESTADOS = {
+    PENDIENTE: 'pendiente',
+    EN_EJECUCION: 'en_ejecucion',
+    COMPLETADO: 'completado',
+    FALLIDO: 'fallido',
+    CANCELADO: 'cancelado'
+};
+
+const ESTADOS_FINALES = [ESTADOS.COMPLETADO, ESTADOS.FALLIDO, ESTADOS.CANCELADO];
+
+/**
+ * Cola de trabajos en memoria
+ *
+ * `createScraper(params)` debe devolver un objeto con `run()`, `cancel()`
+ * y `getProgress()` (normalmente un JurisprudenciaScraper). Emite
+ * `finalizado` con cada trabajo que llega a un estado final.
+ */
+class JobQueue extends EventEmitter {
+    constructor({ concurrency = 1, historyLimit = 100, createScraper } = {}) {
+        super();
+
+        if (typeof createScraper !== 'function') {
+            throw new Error('JobQueue requiere una función createScraper');
+        }
+
+        this.concurrency = Math.max(1, concurrency);
+        this.historyLimit = Math.max(0, historyLimit);
+        this.createScraper = createScraper;
+
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    /**
+     * Encolar una nueva corrida y devolver el trabajo creado
+     */
+    enqueue(params = {}) {
+        const job = {
+            id: uuidv4(),
+            estado: ESTADOS.PENDIENTE,
+            parametros: params,
+            creado: new Date(),
+            iniciado: null,
+            finalizado: null,
+            resultado: null,
+            error: null,
+            scraper: null,
+            cancelSolicitado: false
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this.drain();
+
+        return job;
+    }
+
+    /**
+     * Obtener un trabajo por id
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Listar trabajos, del más reciente al más antiguo
+     */
+    list() {
+        return [...this.jobs.values()].reverse();
+    }
+
+    /**
+     * Esperar a que un trabajo termine (completado, fallido o cancelado)
+     */
+    waitFor(id) {
+        const job = this.get(id);
+        if (!job) {
+            return Promise.reject(new Error(`Trabajo inexistente: ${id}`));
+        }
+        if (ESTADOS_FINALES.includes(job.estado)) {
+            return Promise.resolve(job);
+        }
+
+        return new Promise((resolve) => {
+            const alTerminar = (terminado) => {
+                if (terminado !== job) return;
+                this.off('finalizado', alTerminar);
+                resolve(job);
+            };
+            this.on('finalizado', alTerminar);
+        });
+    }
+
+    /**
+     * Cancelar un trabajo pendiente o en ejecución
+     */
+    async cancel(id) {
+        const job = this.get(id);
+        if (!job || ESTADOS_FINALES.includes(job.estado)) {
+            return job;
+        }
+
+        job.cancelSolicitado = true;
+
+        if (job.estado === ESTADOS.PENDIENTE) {
+            this.pending = this.pending.filter(pendiente => pendiente !== job);
+            this.finish(job, ESTADOS.CANCELADO);
+            return job;
+        }
+
+        if (job.scraper) {
+            await job.scraper.cancel();
+        }
+
+        return job;
+    }
+
+    /**
+     * Iniciar trabajos pendientes mientras haya cupo
+     */
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.execute(job);
+        }
+    }
+
+    /**
+     * Ejecutar un trabajo y registrar su resultado
+     */
+    async execute(job) {
+        this.running++;
+        job.estado = ESTADOS.EN_EJECUCION;
+        job.iniciado = new Date();
+
+        try {
+            job.scraper = this.createScraper(job.parametros);
+            const resultado = await conContexto({ trabajo: job.id }, () => job.scraper.run());
+            job.resultado = resultado || null;
+            this.finish(job, job.cancelSolicitado ? ESTADOS.CANCELADO : ESTADOS.COMPLETADO);
+        } catch (error) {
+            job.error = error && error.message ? error.message : String(error);
+            log.error(`❌ Trabajo ${job.id} falló`, error);
+            this.finish(job, job.cancelSolicitado ? ESTADOS.CANCELADO : ESTADOS.FALLIDO);
+        } finally {
+            this.running--;
+            this.drain();
+        }
+    }
+
+    /**
+     * Marcar un trabajo como terminado y recortar el historial
+     */
+    finish(job, estado) {
+        job.estado = estado;
+        job.finalizado = new Date();
+
+        if (job.scraper) {
+            job.progresoFinal = job.scraper.getProgress();
+            job.scraper = null;
+        }
+
+        this.pruneHistory();
+        this.emit('finalizado', job);
+    }
+
+    /**
+     * Descartar los trabajos terminados más antiguos sobre el límite
+     */
+    pruneHistory() {
+        const terminados = [...this.jobs.values()].filter(job => ESTADOS_FINALES.includes(job.estado));
+        const sobrantes = terminados.length - this.historyLimit;
+
+        for (let i = 0; i < sobrantes; i++) {
+            this.jobs.delete(terminados[i].id);
+        }
+    }
+
+    /**
+     * Representación pública de un trabajo para la API
+     */
+    serialize(job) {
+        let progreso = job.progresoFinal || null;
+        if (job.scraper) {
+            progreso = job.scraper.getProgress();
+        }
+
+        return {
+            id: job.id,
+            estado: job.estado,
+            parametros: job.parametros,
+            creado: job.creado,
+            iniciado: job.iniciado,
+            finalizado: job.finalizado,
+            progreso,
+            resultado: job.resultado,
+            error: job.error
+        };
+    }
+}
+
+module.exports = { JobQueue, ESTADOS };
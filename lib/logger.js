@@ -0,0 +1,214 @@
+/**
+ * ========================================
+ * LOGGING ESTRUCTURADO
+ * ========================================
+ * Una línea JSON por evento, con el contexto de la corrida (run_id,
+ * tribunal, rol, página) que se fija con `conContexto` y viaja por las
+ * llamadas asíncronas. LOG_FORMAT=pretty da líneas legibles para
+ * desarrollo local.
+ *
+ * `log.error('Error guardando', error)` serializa el error con su stack
+ * y su causa; un objeto plano como argumento se agrega como campos.
+ * Las claves de API y las URLs de Supabase se ocultan antes de escribir.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const NIVELES = { debug: 10, info: 20, warning: 30, error: 40 };
+const FORMATOS = ['json', 'pretty'];
+
+const OCULTO = '[oculto]';
+
+// Variables de entorno cuyos valores nunca deben aparecer en un log
+const VARIABLES_SECRETAS = ['OPENAI_API_KEY', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_URL', 'DATABASE_URL'];
+
+// Secretos reconocibles aunque no vengan de las variables de entorno
+const PATRONES_SECRETOS = [
+    // Claves de OpenAI
+    [/\bsk-[A-Za-z0-9_-]{16,}/g, OCULTO],
+    // JWT (las claves de Supabase lo son)
+    [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, OCULTO],
+    // Proyecto de Supabase en la URL
+    [/\b([a-z0-9]{20})\.supabase\.(co|in)\b/gi, `${OCULTO}.supabase.$2`],
+    // Contraseña en una cadena de conexión
+    [/(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+@/gi, `$1${OCULTO}@`],
+    // Cabeceras y parámetros de autenticación
+    [/\b(Bearer\s+)[A-Za-z0-9._~+/-]+=*/g, `$1${OCULTO}`],
+    [/\b((?:api[_-]?key|apikey|token|password)["']?\s*[=:]\s*["']?)[^\s"'&,}]+/gi, `$1${OCULTO}`]
+];
+
+const PROFUNDIDAD_CAUSAS = 5;
+
+const contexto = new AsyncLocalStorage();
+
+/**
+ * Ejecutar `fn` con campos que se agregan a cada línea de log que se
+ * escriba dentro, incluidas las llamadas asíncronas que lance
+ */
+function conContexto(campos, fn) {
+    return contexto.run({ ...contexto.getStore(), ...campos }, fn);
+}
+
+/**
+ * Sumar campos al contexto en curso (por ejemplo la página del listado);
+ * fuera de un `conContexto` no hace nada
+ */
+function agregarContexto(campos) {
+    const actual = contexto.getStore();
+    if (actual) Object.assign(actual, campos);
+}
+
+function contextoActual() {
+    return contexto.getStore() || {};
+}
+
+/**
+ * Errores de Supabase y PostgREST llegan como objetos planos con `message`
+ */
+function pareceError(valor) {
+    return valor instanceof Error ||
+        (valor !== null && typeof valor === 'object' && typeof valor.message === 'string' &&
+            ('stack' in valor || 'code' in valor || 'details' in valor || 'hint' in valor));
+}
+
+/**
+ * Error -> objeto JSON con mensaje, stack, código, clase y la cadena de causas
+ */
+function serializarError(error, profundidad = 0) {
+    if (!pareceError(error)) {
+        return { mensaje: String(error) };
+    }
+
+    const serializado = {
+        tipo: error.name || 'Error',
+        mensaje: error.message
+    };
+    if (error.code !== undefined) serializado.codigo = error.code;
+    if (error.clase) serializado.clase = error.clase;
+    if (error.status) serializado.status = error.status;
+    if (error.details) serializado.detalles = error.details;
+    if (error.hint) serializado.sugerencia = error.hint;
+    if (error.stack) serializado.stack = error.stack;
+    if (error.cause !== undefined && profundidad < PROFUNDIDAD_CAUSAS) {
+        serializado.causa = serializarError(error.cause, profundidad + 1);
+    }
+    return serializado;
+}
+
+/**
+ * Reemplazar secretos conocidos y reconocibles en un texto
+ */
+function ocultarSecretos(texto, secretos = []) {
+    let resultado = texto;
+    for (const secreto of secretos) {
+        resultado = resultado.split(secreto).join(OCULTO);
+    }
+    for (const [patron, reemplazo] of PATRONES_SECRETOS) {
+        resultado = resultado.replace(patron, reemplazo);
+    }
+    return resultado;
+}
+
+function secretosDelEntorno(env) {
+    // Valores muy cortos reemplazarían texto cualquiera
+    return VARIABLES_SECRETAS.map(nombre => env[nombre]).filter(valor => valor && valor.length >= 8);
+}
+
+/**
+ * Nivel mínimo: LOG_LEVEL, o debug si DEBUG=true
+ */
+function nivelDelEntorno(env) {
+    const nivel = (env.LOG_LEVEL || '').toLowerCase();
+    if (NIVELES[nivel]) return nivel;
+    return env.DEBUG === 'true' ? 'debug' : 'info';
+}
+
+/**
+ * Formato: LOG_FORMAT, o json en producción y pretty en otro caso
+ */
+function formatoDelEntorno(env) {
+    const formato = (env.LOG_FORMAT || '').toLowerCase();
+    if (FORMATOS.includes(formato)) return formato;
+    return env.NODE_ENV === 'production' ? 'json' : 'pretty';
+}
+
+/**
+ * Línea legible: `[NIVEL] fecha - mensaje clave=valor`, con el stack debajo
+ */
+function lineaPretty({ hora, nivel, mensaje, error, ...campos }) {
+    const extras = Object.entries(campos)
+        .filter(([, valor]) => valor !== undefined)
+        .map(([clave, valor]) => `${clave}=${typeof valor === 'string' ? valor : JSON.stringify(valor)}`);
+    const lineas = [`[${nivel.toUpperCase()}] ${hora} - ${mensaje}${extras.length > 0 ? ` (${extras.join(' ')})` : ''}`];
+
+    for (let actual = error, prefijo = ''; actual; actual = actual.causa, prefijo = 'Causado por: ') {
+        lineas.push(`  ${prefijo}${actual.stack || `${actual.tipo}: ${actual.mensaje}`}`);
+    }
+    return lineas.join('\n');
+}
+
+/**
+ * @param {Object} [opciones]
+ * @param {string} [opciones.nivel] - debug, info, warning o error
+ * @param {string} [opciones.formato] - json o pretty
+ * @param {Function} [opciones.escribir] - (nivel, línea); por defecto stdout para
+ *   debug e info y stderr para warning y error
+ * @param {string[]} [opciones.secretos] - Valores a ocultar además de los patrones
+ */
+function crearLogger({
+    nivel = nivelDelEntorno(process.env),
+    formato = formatoDelEntorno(process.env),
+    escribir = (nivelLinea, linea) => (NIVELES[nivelLinea] >= NIVELES.warning ? process.stderr : process.stdout).write(`${linea}\n`),
+    secretos = secretosDelEntorno(process.env)
+} = {}) {
+    const minimo = NIVELES[nivel] || NIVELES.info;
+
+    const registrar = (nivelLinea, mensaje, extras) => {
+        if (NIVELES[nivelLinea] < minimo) return;
+
+        const evento = { hora: new Date().toISOString(), nivel: nivelLinea, mensaje: String(mensaje), ...contextoActual() };
+        const textos = [];
+        for (const extra of extras) {
+            if (pareceError(extra)) {
+                evento.error = serializarError(extra);
+            } else if (extra !== null && typeof extra === 'object' && !Array.isArray(extra)) {
+                Object.assign(evento, extra);
+            } else if (extra !== undefined) {
+                textos.push(typeof extra === 'string' ? extra : JSON.stringify(extra));
+            }
+        }
+        if (textos.length > 0) {
+            evento.mensaje = `${evento.mensaje} ${textos.join(' ')}`;
+        }
+
+        let linea;
+        try {
+            linea = formato === 'pretty' ? lineaPretty(evento) : JSON.stringify(evento);
+        } catch (error) {
+            // Campos con referencias circulares u otros que JSON no admite
+            linea = JSON.stringify({ hora: evento.hora, nivel: nivelLinea, mensaje: evento.mensaje, error_log: error.message });
+        }
+        escribir(nivelLinea, ocultarSecretos(linea, secretos));
+    };
+
+    return {
+        nivel,
+        formato,
+        debug: (mensaje, ...extras) => registrar('debug', mensaje, extras),
+        info: (mensaje, ...extras) => registrar('info', mensaje, extras),
+        warning: (mensaje, ...extras) => registrar('warning', mensaje, extras),
+        error: (mensaje, ...extras) => registrar('error', mensaje, extras)
+    };
+}
+
+const log = crearLogger();
+
+module.exports = {
+    log,
+    crearLogger,
+    conContexto,
+    agregarContexto,
+    serializarError,
+    ocultarSecretos,
+    NIVELES
+};
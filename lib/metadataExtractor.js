@@ -0,0 +1,197 @@
+/**
+ * ========================================
+ * METADATOS DE LA SENTENCIA
+ * ========================================
+ * materia, tipo_recurso, resultado_recurso, corte_origen y descriptores
+ * desde el listado "con descripción", la página de detalle y el texto.
+ *
+ * tipo_recurso y resultado_recurso usan un vocabulario controlado: si un
+ * valor no se puede mapear con certeza el campo queda vacío.
+ */
+
+// Vocabulario de tipos de recurso; el orden importa (lo específico primero)
+const TIPOS_RECURSO = [
+    { valor: 'casacion_forma_fondo', patron: /casacion en (?:la )?forma y (?:en el )?fondo|casacion en (?:el )?fondo y (?:en la )?forma/ },
+    { valor: 'casacion_forma', patron: /casacion en (?:la )?forma/ },
+    { valor: 'casacion_fondo', patron: /casacion en (?:el )?fondo/ },
+    { valor: 'unificacion_jurisprudencia', patron: /unificacion de jurisprudencia/ },
+    { valor: 'amparo_economico', patron: /amparo economico/ },
+    { valor: 'amparo', patron: /\bamparo\b|habeas corpus/ },
+    { valor: 'proteccion', patron: /\bproteccion\b/ },
+    { valor: 'nulidad', patron: /\bnulidad\b/ },
+    { valor: 'queja', patron: /\bqueja\b/ },
+    { valor: 'revision', patron: /\brevision\b/ },
+    { valor: 'reclamacion', patron: /\breclamacion\b|\breclamo\b/ },
+    { valor: 'hecho', patron: /\brecurso de hecho\b|^hecho$/ },
+    { valor: 'apelacion', patron: /\bapelacion\b/ }
+];
+
+// Vocabulario de resultados del recurso
+const RESULTADOS_RECURSO = [
+    { valor: 'inadmisible', patron: /inadmisib/ },
+    { valor: 'acogido_parcialmente', patron: /acog\w* parcialmente|parcialmente acog/ },
+    { valor: 'desierto', patron: /\bdesiert[oa]\b/ },
+    { valor: 'desistido', patron: /desist/ },
+    { valor: 'acogido', patron: /\bacog/ },
+    { valor: 'rechazado', patron: /\brechaz/ },
+    { valor: 'confirmada', patron: /\bconfirm/ },
+    { valor: 'revocada', patron: /\brevoc/ }
+];
+
+// Tribunales que pueden aparecer como corte de origen en el texto
+const CORTE_ORIGEN_RE = /(?:Iltma\.\s+)?(Corte de Apelaciones de [A-ZÁÉÍÓÚÑ][\wáéíóúñ]*(?: (?:de |del |la )?[A-ZÁÉÍÓÚÑ][\wáéíóúñ]*)*|Corte Marcial|(?:\d+°\s+)?(?:Tribunal de Juicio Oral en lo Penal|Juzgado de Garantía|Juzgado de Letras del Trabajo|Juzgado de Cobranza Laboral y Previsional|Juzgado de Familia|Juzgado Civil|Juzgado de Letras(?: y Garantía)?) de [A-ZÁÉÍÓÚÑ][\wáéíóúñ]*(?: (?:de |del |la )?[A-ZÁÉÍÓÚÑ][\wáéíóúñ]*)*)/;
+
+// Etiquetas del bloque "con descripción" y el campo que alimentan
+const ETIQUETAS = {
+    materia: 'materia',
+    recurso: 'tipo_recurso',
+    'tipo de recurso': 'tipo_recurso',
+    resultado: 'resultado_recurso',
+    'resultado del recurso': 'resultado_recurso',
+    descriptores: 'descriptores',
+    voces: 'descriptores',
+    'corte de origen': 'corte_origen',
+    'tribunal de origen': 'corte_origen'
+};
+
+/**
+ * Minúsculas sin tildes ni espacios repetidos, para comparar
+ */
+function normalizarClave(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Limpiar un valor de texto libre
+ */
+function limpiar(texto) {
+    const limpio = String(texto || '').replace(/\s+/g, ' ').trim();
+    return limpio || null;
+}
+
+/**
+ * Mapear un valor libre al primer término del vocabulario que calce
+ */
+function mapearVocabulario(valor, vocabulario) {
+    const clave = normalizarClave(valor);
+    if (!clave) return null;
+
+    const encontrado = vocabulario.find(({ patron }) => patron.test(clave));
+    return encontrado ? encontrado.valor : null;
+}
+
+function normalizarTipoRecurso(valor) {
+    return mapearVocabulario(valor, TIPOS_RECURSO);
+}
+
+function normalizarResultado(valor) {
+    return mapearVocabulario(valor, RESULTADOS_RECURSO);
+}
+
+/**
+ * Separar descriptores en una lista sin duplicados
+ */
+function parseDescriptores(valor) {
+    const lista = Array.isArray(valor) ? valor : String(valor || '').split(/[;|\n]+/);
+    const vistos = new Set();
+
+    return lista
+        .map(limpiar)
+        .filter(Boolean)
+        .filter((descriptor) => {
+            const clave = normalizarClave(descriptor);
+            if (vistos.has(clave)) return false;
+            vistos.add(clave);
+            return true;
+        });
+}
+
+/**
+ * Leer pares "Etiqueta: valor" del bloque de descripción
+ */
+function parseDescripcion(texto) {
+    const campos = {};
+    const etiquetas = Object.keys(ETIQUETAS).sort((a, b) => b.length - a.length).join('|');
+    const re = new RegExp(`(?:^|\\n|;)\\s*(${etiquetas})\\s*:\\s*(.*?)\\s*(?=;\\s*(?:${etiquetas})\\s*:|\\n|$)`, 'gi');
+
+    let match;
+    while ((match = re.exec(String(texto || ''))) !== null) {
+        const campo = ETIQUETAS[normalizarClave(match[1])];
+        if (campo && !campos[campo]) {
+            campos[campo] = limpiar(match[2]);
+        }
+    }
+
+    return campos;
+}
+
+/**
+ * Inferir el resultado desde la parte resolutiva
+ *
+ * Si el fallo acoge y rechaza a la vez (p. ej. forma y fondo) no se elige.
+ */
+function resultadoDesdeResolutiva(resolutiva) {
+    const texto = normalizarClave(resolutiva);
+    if (!texto) return null;
+
+    if (/declara(?:n)? inadmisible|inadmisible el recurso/.test(texto)) return 'inadmisible';
+    if (/se acoge\w* parcialmente|acoge\w* parcialmente/.test(texto)) return 'acogido_parcialmente';
+
+    const acoge = /\bse acoge\b|\bacogiendose\b|que se acoge/.test(texto);
+    const rechaza = /\bse rechaza\b|que se rechaza/.test(texto);
+    if (acoge && !rechaza) return 'acogido';
+    if (rechaza && !acoge) return 'rechazado';
+
+    return null;
+}
+
+/**
+ * Combinar fuentes de metadatos en los campos de la sentencia
+ *
+ * @param {Object[]} fuentes - Campos crudos (listado, detalle), en orden de prioridad;
+ *                             cada uno puede traer `descripcion` con pares etiqueta: valor
+ * @param {Object} partes - Partes de la sentencia (parte_expositiva, parte_resolutiva)
+ */
+function extraerMetadatos(fuentes = [], partes = {}) {
+    const crudos = {};
+
+    for (const fuente of fuentes.filter(Boolean)) {
+        const deDescripcion = parseDescripcion(fuente.descripcion);
+        for (const campo of ['materia', 'tipo_recurso', 'resultado_recurso', 'corte_origen', 'descriptores']) {
+            const valor = limpiar(fuente[campo]) || deDescripcion[campo];
+            if (valor && !crudos[campo]) {
+                crudos[campo] = valor;
+            }
+        }
+    }
+
+    const expositiva = partes.parte_expositiva || '';
+    const origenTexto = expositiva.match(CORTE_ORIGEN_RE);
+    const recursoTexto = expositiva.match(/recursos? de ([a-záéíóúñ ]+?)(?:[,.;]| en contra| deducid| interpuest| contra)/i);
+
+    return {
+        materia: limpiar(crudos.materia),
+        tipo_recurso: normalizarTipoRecurso(crudos.tipo_recurso) ||
+            (recursoTexto ? normalizarTipoRecurso(recursoTexto[0]) : null),
+        resultado_recurso: normalizarResultado(crudos.resultado_recurso) ||
+            resultadoDesdeResolutiva(partes.parte_resolutiva),
+        corte_origen: limpiar(crudos.corte_origen) || (origenTexto ? origenTexto[1] : null),
+        descriptores: parseDescriptores(crudos.descriptores)
+    };
+}
+
+module.exports = {
+    TIPOS_RECURSO,
+    RESULTADOS_RECURSO,
+    normalizarTipoRecurso,
+    normalizarResultado,
+    parseDescriptores,
+    parseDescripcion,
+    resultadoDesdeResolutiva,
+    extraerMetadatos
+};
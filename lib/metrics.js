@@ -0,0 +1,213 @@
+/**
+ * ========================================
+ * MÉTRICAS PARA PROMETHEUS
+ * ========================================
+ * Contadores e histogramas en memoria del proceso, expuestos en
+ * GET /metrics con el formato de texto de Prometheus. Se reinician con
+ * el proceso; el historial que sobrevive está en scrape_runs
+ */
+
+// Límites (segundos) de los histogramas de duración
+const BUCKETS_SEGUNDOS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const BUCKETS_CORRIDA = [10, 30, 60, 300, 600, 1800, 3600, 7200, 21600];
+
+const escaparEtiqueta = (valor) => String(valor).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * `{a="1",b="2"}` en el orden de `nombres`, o vacío si no hay etiquetas
+ */
+function formatearEtiquetas(nombres, valores, extra = '') {
+    const pares = nombres.map((nombre, i) => `${nombre}="${escaparEtiqueta(valores[i])}"`);
+    if (extra) pares.push(extra);
+    return pares.length > 0 ? `{${pares.join(',')}}` : '';
+}
+
+class Metrica {
+    constructor(tipo, { nombre, ayuda, etiquetas = [] }) {
+        this.tipo = tipo;
+        this.nombre = nombre;
+        this.ayuda = ayuda;
+        this.etiquetas = etiquetas;
+        // JSON de los valores de las etiquetas -> serie
+        this.series = new Map();
+    }
+
+    serie(etiquetas, crear) {
+        const valores = this.etiquetas.map(nombre => (etiquetas[nombre] === undefined || etiquetas[nombre] === null ? '' : etiquetas[nombre]));
+        const clave = JSON.stringify(valores);
+        if (!this.series.has(clave)) {
+            this.series.set(clave, { valores, ...crear() });
+        }
+        return this.series.get(clave);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    encabezado() {
+        return [`# HELP ${this.nombre} ${this.ayuda}`, `# TYPE ${this.nombre} ${this.tipo}`];
+    }
+}
+
+class Counter extends Metrica {
+    constructor(opciones) {
+        super('counter', opciones);
+    }
+
+    inc(etiquetas = {}, valor = 1) {
+        if (!(valor > 0)) return;
+        this.serie(etiquetas, () => ({ valor: 0 })).valor += valor;
+    }
+
+    render() {
+        return [
+            ...this.encabezado(),
+            ...[...this.series.values()].map(serie => `${this.nombre}${formatearEtiquetas(this.etiquetas, serie.valores)} ${serie.valor}`)
+        ];
+    }
+}
+
+class Histogram extends Metrica {
+    constructor({ buckets = BUCKETS_SEGUNDOS, ...opciones }) {
+        super('histogram', opciones);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(etiquetas = {}, valor) {
+        if (!Number.isFinite(valor)) return;
+
+        const serie = this.serie(etiquetas, () => ({ cuentas: this.buckets.map(() => 0), suma: 0, total: 0 }));
+        this.buckets.forEach((limite, i) => {
+            if (valor <= limite) serie.cuentas[i]++;
+        });
+        serie.suma += valor;
+        serie.total++;
+    }
+
+    /**
+     * Medir cuánto tarda `fn` (en segundos), también si falla
+     */
+    async time(etiquetas, fn) {
+        const inicio = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(etiquetas, Number(process.hrtime.bigint() - inicio) / 1e9);
+        }
+    }
+
+    render() {
+        const lineas = this.encabezado();
+        for (const serie of this.series.values()) {
+            this.buckets.forEach((limite, i) => {
+                lineas.push(`${this.nombre}_bucket${formatearEtiquetas(this.etiquetas, serie.valores, `le="${limite}"`)} ${serie.cuentas[i]}`);
+            });
+            lineas.push(`${this.nombre}_bucket${formatearEtiquetas(this.etiquetas, serie.valores, 'le="+Inf"')} ${serie.total}`);
+            lineas.push(`${this.nombre}_sum${formatearEtiquetas(this.etiquetas, serie.valores)} ${serie.suma}`);
+            lineas.push(`${this.nombre}_count${formatearEtiquetas(this.etiquetas, serie.valores)} ${serie.total}`);
+        }
+        return lineas;
+    }
+}
+
+/**
+ * Conjunto de métricas que se exponen juntas
+ */
+class Registry {
+    constructor() {
+        this.metricas = [];
+    }
+
+    counter(opciones) {
+        const metrica = new Counter(opciones);
+        this.metricas.push(metrica);
+        return metrica;
+    }
+
+    histogram(opciones) {
+        const metrica = new Histogram(opciones);
+        this.metricas.push(metrica);
+        return metrica;
+    }
+
+    /**
+     * Texto para Prometheus (text/plain; version=0.0.4)
+     */
+    render() {
+        return `${this.metricas.flatMap(metrica => metrica.render()).join('\n')}\n`;
+    }
+
+    reset() {
+        this.metricas.forEach(metrica => metrica.reset());
+    }
+}
+
+const registry = new Registry();
+
+// Métricas del scraper, compartidas por todas las corridas del proceso
+const metricas = {
+    paginas: registry.counter({
+        nombre: 'jurisprudencia_paginas_total',
+        ayuda: 'Páginas de listado y detalle obtenidas, por tribunal y vía (http o navegador)',
+        etiquetas: ['tribunal', 'via']
+    }),
+    detalle: registry.histogram({
+        nombre: 'jurisprudencia_detalle_duracion_seconds',
+        ayuda: 'Duración de la extracción del detalle de una sentencia, reintentos aparte',
+        etiquetas: ['tribunal']
+    }),
+    sentencias: registry.counter({
+        nombre: 'jurisprudencia_sentencias_total',
+        ayuda: 'Resultados procesados por desenlace: guardada, duplicada, actualizada, sin_cambios o sin_rol',
+        etiquetas: ['tribunal', 'resultado']
+    }),
+    errores: registry.counter({
+        nombre: 'jurisprudencia_errores_total',
+        ayuda: 'Resultados que fallaron tras los reintentos, por clase de error',
+        etiquetas: ['tribunal', 'clase']
+    }),
+    reintentos: registry.counter({
+        nombre: 'jurisprudencia_reintentos_total',
+        ayuda: 'Reintentos ante errores transitorios',
+        etiquetas: ['tribunal']
+    }),
+    embeddings: registry.histogram({
+        nombre: 'jurisprudencia_embeddings_duracion_seconds',
+        ayuda: 'Duración de cada pedido al proveedor de embeddings',
+        etiquetas: ['proveedor']
+    }),
+    tokensEmbeddings: registry.counter({
+        nombre: 'jurisprudencia_embeddings_tokens_total',
+        ayuda: 'Tokens estimados enviados al proveedor de embeddings',
+        etiquetas: ['proveedor']
+    }),
+    textosEmbeddings: registry.counter({
+        nombre: 'jurisprudencia_embeddings_textos_total',
+        ayuda: 'Textos con embedding, por origen: proveedor o cache',
+        etiquetas: ['origen']
+    }),
+    invalidas: registry.counter({
+        nombre: 'jurisprudencia_extracciones_invalidas_total',
+        ayuda: 'Extracciones marcadas como no válidas, por motivo',
+        etiquetas: ['tribunal', 'motivo']
+    }),
+    derivas: registry.counter({
+        nombre: 'jurisprudencia_deriva_selectores_total',
+        ayuda: 'Veces que la proporción de extracciones inválidas superó el umbral (posible cambio de marcado)',
+        etiquetas: ['tribunal']
+    }),
+    corridas: registry.counter({
+        nombre: 'jurisprudencia_corridas_total',
+        ayuda: 'Corridas terminadas por estado final',
+        etiquetas: ['estado']
+    }),
+    duracionCorrida: registry.histogram({
+        nombre: 'jurisprudencia_corrida_duracion_seconds',
+        ayuda: 'Duración de las corridas terminadas',
+        etiquetas: ['estado'],
+        buckets: BUCKETS_CORRIDA
+    })
+};
+
+module.exports = { Counter, Histogram, Registry, registry, metricas };
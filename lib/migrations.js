@@ -0,0 +1,116 @@
+/**
+ * ========================================
+ * MIGRACIONES VERSIONADAS DEL ESQUEMA
+ * ========================================
+ * Los archivos `migrations/NNN_nombre.sql` se aplican en orden y quedan
+ * registrados en `schema_migrations` con su checksum
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const PATRON_ARCHIVO = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Leer las migraciones disponibles en disco, ordenadas por versión
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(archivo => ({ archivo, match: archivo.match(PATRON_ARCHIVO) }))
+        .filter(({ match }) => match)
+        .map(({ archivo, match }) => {
+            const sql = fs.readFileSync(path.join(dir, archivo), 'utf8');
+            return {
+                version: parseInt(match[1], 10),
+                nombre: match[2],
+                archivo,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Comparar migraciones locales con las registradas en la base de datos
+ */
+function compareMigrations(locales, aplicadas) {
+    const porVersion = new Map(aplicadas.map(m => [Number(m.version), m]));
+
+    return {
+        aplicadas: locales.filter(m => porVersion.has(m.version)).map(m => m.version),
+        pendientes: locales.filter(m => !porVersion.has(m.version)),
+        modificadas: locales.filter(m => porVersion.has(m.version) && porVersion.get(m.version).checksum !== m.checksum)
+    };
+}
+
+/**
+ * Aplicar migraciones pendientes con un cliente `pg` conectado
+ *
+ * Cada migración corre en su propia transacción.
+ */
+async function applyMigrations(client, { dir = MIGRATIONS_DIR, onApply = () => {} } = {}) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            version INTEGER PRIMARY KEY,
+            nombre TEXT NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            aplicada_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+    `);
+
+    const { rows } = await client.query(`SELECT version, checksum FROM ${MIGRATIONS_TABLE}`);
+    const estado = compareMigrations(loadMigrations(dir), rows);
+
+    if (estado.modificadas.length > 0) {
+        const archivos = estado.modificadas.map(m => m.archivo).join(', ');
+        throw new Error(`Migraciones ya aplicadas fueron modificadas: ${archivos}`);
+    }
+
+    for (const migracion of estado.pendientes) {
+        try {
+            await client.query('BEGIN');
+            await client.query(migracion.sql);
+            await client.query(
+                `INSERT INTO ${MIGRATIONS_TABLE} (version, nombre, checksum) VALUES ($1, $2, $3)`,
+                [migracion.version, migracion.nombre, migracion.checksum]
+            );
+            await client.query('COMMIT');
+            onApply(migracion);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Error aplicando ${migracion.archivo}: ${error.message}`);
+        }
+    }
+
+    return estado.pendientes;
+}
+
+/**
+ * Revisar el estado de las migraciones usando el cliente de Supabase
+ */
+async function checkMigrations(supabase, { dir = MIGRATIONS_DIR } = {}) {
+    const locales = loadMigrations(dir);
+    const { data, error } = await supabase
+        .from(MIGRATIONS_TABLE)
+        .select('version, checksum');
+
+    if (error) {
+        // Sin tabla de migraciones: ninguna fue aplicada con el migrador
+        return { ...compareMigrations(locales, []), error: error.message };
+    }
+
+    return compareMigrations(locales, data || []);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MIGRATIONS_TABLE,
+    loadMigrations,
+    compareMigrations,
+    applyMigrations,
+    checkMigrations
+};
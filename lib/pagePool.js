@@ -0,0 +1,151 @@
+/**
+ * ========================================
+ * POOL DE PÁGINAS DEL NAVEGADOR
+ * ========================================
+ * Reparte un número fijo de pestañas de Puppeteer entre tareas
+ * concurrentes y limita cuántas apuntan al mismo host a la vez
+ */
+
+/**
+ * Semáforo con cola FIFO
+ */
+class Semaphore {
+    constructor(cupos) {
+        this.cupos = Math.max(1, cupos);
+        this.enUso = 0;
+        this.espera = [];
+    }
+
+    async acquire() {
+        if (this.enUso < this.cupos) {
+            this.enUso++;
+            return;
+        }
+        await new Promise(resolve => this.espera.push(resolve));
+    }
+
+    release() {
+        const siguiente = this.espera.shift();
+        if (siguiente) {
+            // El cupo pasa directo al siguiente en la cola
+            siguiente();
+        } else {
+            this.enUso--;
+        }
+    }
+
+    async use(fn) {
+        await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            this.release();
+        }
+    }
+}
+
+class PagePool {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createPage - Abre y configura una pestaña nueva
+     * @param {number} options.size - Pestañas como máximo
+     * @param {number} options.hostConcurrency - Pestañas como máximo sobre un mismo host
+     * @param {Function} [options.onCreate] - Se llama con cada pestaña nueva
+     */
+    constructor({ createPage, size = 4, hostConcurrency = 2, onCreate = null }) {
+        if (typeof createPage !== 'function') {
+            throw new Error('PagePool requiere una función createPage');
+        }
+
+        this.createPage = createPage;
+        this.size = Math.max(1, size);
+        this.hostConcurrency = Math.max(1, hostConcurrency);
+        this.onCreate = onCreate;
+
+        this.cupos = new Semaphore(this.size);
+        this.hosts = new Map();
+        this.libres = [];
+        this.paginas = [];
+        this.cerrado = false;
+    }
+
+    /**
+     * Semáforo del host de una URL
+     */
+    hostSemaphore(url) {
+        let host = '';
+        try {
+            host = new URL(url).host;
+        } catch (error) {
+            host = '';
+        }
+
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, new Semaphore(this.hostConcurrency));
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Tomar una pestaña libre o abrir una nueva
+     */
+    async acquire() {
+        await this.cupos.acquire();
+
+        try {
+            if (this.cerrado) {
+                throw new Error('El pool de páginas está cerrado');
+            }
+
+            const libre = this.libres.pop();
+            if (libre && !libre.isClosed()) {
+                return libre;
+            }
+
+            const pagina = await this.createPage();
+            this.paginas.push(pagina);
+            if (this.onCreate) {
+                this.onCreate(pagina);
+            }
+            return pagina;
+        } catch (error) {
+            this.cupos.release();
+            throw error;
+        }
+    }
+
+    release(pagina) {
+        if (!this.cerrado && !pagina.isClosed()) {
+            this.libres.push(pagina);
+        }
+        this.cupos.release();
+    }
+
+    /**
+     * Ejecutar `fn(page)` con una pestaña del pool, respetando el límite del host de `url`
+     */
+    async use(url, fn) {
+        return this.hostSemaphore(url).use(async () => {
+            const pagina = await this.acquire();
+            try {
+                return await fn(pagina);
+            } finally {
+                this.release(pagina);
+            }
+        });
+    }
+
+    /**
+     * Cerrar todas las pestañas abiertas por el pool
+     */
+    async close() {
+        this.cerrado = true;
+        const paginas = this.paginas;
+        this.paginas = [];
+        this.libres = [];
+
+        await Promise.all(paginas.map(pagina => (pagina.isClosed() ? null : pagina.close().catch(() => null))));
+    }
+}
+
+module.exports = { Semaphore, PagePool };
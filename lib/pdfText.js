@@ -0,0 +1,97 @@
+/**
+ * ========================================
+ * TEXTO DE SENTENCIAS PUBLICADAS EN PDF
+ * ========================================
+ * Extrae el texto de un PDF adjunto página por página, conservando dónde
+ * empieza y termina cada página dentro del texto, y detecta los PDFs
+ * escaneados sin capa de texto (necesitan OCR)
+ */
+
+// La entrada del paquete corre un ejemplo al cargarse sin module.parent (p. ej. en jest)
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { normalizarTexto } = require('./sentenceParser');
+
+// Origen del texto_completo de una sentencia
+const FUENTES_TEXTO = {
+    HTML: 'html',
+    PDF: 'pdf'
+};
+
+// Con menos caracteres visibles por página en promedio se asume que es un escaneo
+const MIN_CARACTERES_POR_PAGINA = 20;
+
+/**
+ * Texto de una página de pdf.js, con un salto de línea por cada cambio de renglón
+ */
+async function textoDePagina(pagina) {
+    const contenido = await pagina.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+    let ultimaY = null;
+    let texto = '';
+    for (const item of contenido.items) {
+        const y = item.transform[5];
+        texto += ultimaY === null || y === ultimaY ? item.str : `\n${item.str}`;
+        ultimaY = y;
+    }
+    return texto;
+}
+
+/**
+ * Extraer el texto de un PDF
+ *
+ * El texto se normaliza igual que el de las páginas HTML, así que los
+ * offsets de `paginas` siguen valiendo después de parseSentencia.
+ *
+ * @param {Buffer} buffer - Contenido del PDF
+ * @returns {Promise<{ texto: string, paginas: Object[], num_paginas: number, requiere_ocr: boolean }>}
+ *   `paginas` es `[{ pagina, inicio, fin }]` sobre `texto`
+ */
+async function extraerTextoPdf(buffer) {
+    const textos = [];
+    // pdf.js lee el ArrayBuffer completo: un Buffer chico puede ser un trozo del pool compartido
+    const { numpages } = await pdfParse(new Uint8Array(buffer), {
+        pagerender: async (pagina) => {
+            const texto = await textoDePagina(pagina);
+            textos.push(texto);
+            return texto;
+        }
+    });
+
+    const paginas = [];
+    let texto = '';
+    textos.forEach((crudo, i) => {
+        const propio = normalizarTexto(crudo);
+        if (propio && texto) texto += '\n';
+
+        const inicio = texto.length;
+        texto += propio;
+        paginas.push({ pagina: i + 1, inicio, fin: texto.length });
+    });
+
+    const visibles = texto.replace(/\s/g, '').length;
+    return {
+        texto,
+        paginas,
+        num_paginas: numpages,
+        requiere_ocr: visibles < MIN_CARACTERES_POR_PAGINA * Math.max(1, numpages)
+    };
+}
+
+/**
+ * El Content-Type o la URL indican un PDF
+ */
+function esPdf(url, contentType = '') {
+    if (/application\/pdf/i.test(contentType)) return true;
+    try {
+        return /\.pdf$/i.test(new URL(url).pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    FUENTES_TEXTO,
+    MIN_CARACTERES_POR_PAGINA,
+    extraerTextoPdf,
+    esPdf
+};
@@ -0,0 +1,230 @@
+/**
+ * ========================================
+ * PERFILES DE EXTRACCIÓN
+ * ========================================
+ * Los selectores del formulario, el listado, la paginación y el detalle,
+ * y los formatos de fecha, viven en archivos JSON versionados en
+ * profiles/ (o PROFILES_DIR), uno por tribunal o uno común ("*").
+ * Cada perfil se revisa contra profiles/perfil.schema.json al cargarlo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const DIRECTORIO_PERFILES = path.join(__dirname, '..', 'profiles');
+const ARCHIVO_ESQUEMA = 'perfil.schema.json';
+const ESQUEMA = require('../profiles/perfil.schema.json');
+
+// Tribunales que usan un perfil sin tener uno propio
+const TODOS = '*';
+
+// Pseudoclases de jQuery/Sizzle que cheerio acepta pero document.querySelector no:
+// un perfil con ellas funciona por HTTP y falla en el navegador
+const PSEUDOS_NO_ESTANDAR = /:(contains|has-text|eq|gt|lt|first|last|even|odd|header|input|button|checkbox|radio|text|selected|parent|hidden|visible)(?![\w-])/i;
+
+// Perfiles ya cargados por directorio
+const cache = new Map();
+
+function tipoDe(valor) {
+    if (Array.isArray(valor)) return 'array';
+    if (valor === null) return 'null';
+    if (Number.isInteger(valor)) return 'integer';
+    return typeof valor;
+}
+
+/**
+ * Validar un valor contra el subconjunto de JSON Schema que usa el
+ * esquema de perfiles: type, required, properties, additionalProperties,
+ * items, minItems, minLength, pattern y $ref locales
+ */
+function validarEsquema(valor, esquema, ruta = '', errores = []) {
+    if (esquema.$ref) {
+        const definicion = esquema.$ref.replace(/^#\//, '').split('/').reduce((nodo, clave) => nodo[clave], ESQUEMA);
+        return validarEsquema(valor, definicion, ruta, errores);
+    }
+
+    const donde = ruta || 'perfil';
+    const tipos = [].concat(esquema.type || []);
+    const tipo = tipoDe(valor);
+    if (tipos.length > 0 && !tipos.includes(tipo) && !(tipo === 'integer' && tipos.includes('number'))) {
+        errores.push(`${donde} debe ser ${tipos.join(' o ')}`);
+        return errores;
+    }
+
+    if (tipo === 'string') {
+        if (esquema.minLength && valor.length < esquema.minLength) errores.push(`${donde} no puede estar vacío`);
+        if (esquema.pattern && !new RegExp(esquema.pattern).test(valor)) errores.push(`${donde} no calza con ${esquema.pattern}`);
+    }
+
+    if (tipo === 'array') {
+        if (esquema.minItems && valor.length < esquema.minItems) errores.push(`${donde} necesita al menos ${esquema.minItems} elemento(s)`);
+        if (esquema.items) valor.forEach((item, i) => validarEsquema(item, esquema.items, `${donde}[${i}]`, errores));
+    }
+
+    if (tipo === 'object') {
+        for (const requerido of esquema.required || []) {
+            if (!(requerido in valor)) errores.push(`${donde}.${requerido} es obligatorio`);
+        }
+        for (const [clave, contenido] of Object.entries(valor)) {
+            const propiedad = (esquema.properties || {})[clave];
+            const hija = ruta ? `${ruta}.${clave}` : clave;
+            if (propiedad) {
+                validarEsquema(contenido, propiedad, hija, errores);
+            } else if (esquema.additionalProperties === false) {
+                errores.push(`${hija} no es una propiedad conocida`);
+            } else if (typeof esquema.additionalProperties === 'object') {
+                validarEsquema(contenido, esquema.additionalProperties, hija, errores);
+            }
+        }
+    }
+
+    return errores;
+}
+
+/**
+ * Selectores de una regla: un texto o una lista en orden de prioridad
+ */
+function selectoresDe(regla) {
+    if (!regla) return [];
+    return Array.isArray(regla) ? regla : [regla];
+}
+
+/**
+ * Pares [ruta, selector] de todas las reglas del perfil
+ */
+function reglasDelPerfil(perfil) {
+    const reglas = [];
+    const agregar = (ruta, regla) => selectoresDe(regla).forEach(selector => reglas.push([ruta, selector]));
+    const agregarCampos = (ruta, campos) => Object.entries(campos || {}).forEach(([campo, regla]) => agregar(`${ruta}.${campo}`, regla));
+
+    const { formulario = {}, listado = {}, paginacion = {}, detalle = {} } = perfil;
+    agregarCampos('formulario', formulario);
+    for (const clave of ['espera', 'filas', 'filas_genericas', 'total', 'descripcion']) {
+        agregar(`listado.${clave}`, listado[clave]);
+    }
+    agregarCampos('listado.campos', listado.campos);
+    agregarCampos('listado.metadatos', listado.metadatos);
+    agregar('paginacion.siguiente', paginacion.siguiente);
+    agregarCampos('detalle.campos', detalle.campos);
+    agregarCampos('detalle.metadatos', detalle.metadatos);
+    agregar('detalle.descripcion', detalle.descripcion);
+    return reglas;
+}
+
+/**
+ * Errores del perfil: esquema, selectores que no compilan o que el
+ * navegador no entiende, y la expresión del enlace "Siguiente"
+ *
+ * @returns {string[]} vacío si el perfil es válido
+ */
+function validarPerfil(perfil) {
+    const errores = validarEsquema(perfil, ESQUEMA);
+    if (errores.length > 0) return errores;
+
+    const $ = cheerio.load('');
+    for (const [ruta, selector] of reglasDelPerfil(perfil)) {
+        const pseudo = selector.match(PSEUDOS_NO_ESTANDAR);
+        if (pseudo) {
+            errores.push(`${ruta}: "${selector}" usa ${pseudo[0]}, que no existe en el navegador`);
+            continue;
+        }
+        try {
+            $(selector);
+        } catch (error) {
+            errores.push(`${ruta}: selector inválido "${selector}" (${error.message})`);
+        }
+    }
+
+    if (perfil.paginacion.texto_siguiente) {
+        try {
+            new RegExp(perfil.paginacion.texto_siguiente, 'i');
+        } catch (error) {
+            errores.push(`paginacion.texto_siguiente: ${error.message}`);
+        }
+    }
+
+    return errores;
+}
+
+/**
+ * Leer y validar los perfiles de un directorio
+ *
+ * Falla con todos los errores juntos si algún perfil es inválido o si dos
+ * perfiles se atribuyen el mismo tribunal.
+ */
+function cargarPerfiles(directorio = process.env.PROFILES_DIR || DIRECTORIO_PERFILES) {
+    if (cache.has(directorio)) return cache.get(directorio);
+
+    const perfiles = [];
+    // Archivo de cada perfil, para los mensajes de error
+    const archivos = new Map();
+    const errores = [];
+    const nombres = fs.readdirSync(directorio).filter(archivo => archivo.endsWith('.json') && archivo !== ARCHIVO_ESQUEMA).sort();
+
+    for (const archivo of nombres) {
+        let perfil;
+        try {
+            perfil = JSON.parse(fs.readFileSync(path.join(directorio, archivo), 'utf8'));
+        } catch (error) {
+            errores.push(`${archivo}: ${error.message}`);
+            continue;
+        }
+        const propios = validarPerfil(perfil);
+        if (propios.length > 0) {
+            errores.push(...propios.map(error => `${archivo}: ${error}`));
+            continue;
+        }
+        perfiles.push(perfil);
+        archivos.set(perfil, archivo);
+    }
+
+    const duenos = new Map();
+    for (const perfil of perfiles) {
+        for (const tribunal of perfil.tribunales) {
+            if (duenos.has(tribunal)) {
+                errores.push(`${archivos.get(perfil)}: ${tribunal} ya tiene el perfil de ${duenos.get(tribunal)}`);
+            }
+            duenos.set(tribunal, archivos.get(perfil));
+        }
+    }
+
+    if (errores.length > 0) {
+        throw new Error(`Perfiles de extracción inválidos en ${directorio}:\n${errores.join('\n')}`);
+    }
+    if (perfiles.length === 0) {
+        throw new Error(`No hay perfiles de extracción en ${directorio}`);
+    }
+
+    cache.set(directorio, perfiles);
+    return perfiles;
+}
+
+/**
+ * Perfil del tribunal, o el común si no tiene uno propio
+ */
+function perfilPara(tribunal = TODOS, perfiles = cargarPerfiles()) {
+    const perfil = perfiles.find(p => p.tribunales.includes(tribunal)) || perfiles.find(p => p.tribunales.includes(TODOS));
+    if (!perfil) {
+        throw new Error(`Ningún perfil de extracción cubre ${tribunal}`);
+    }
+    return perfil;
+}
+
+/**
+ * "nombre@versión", para registrar con qué perfil se extrajo una corrida
+ */
+function etiquetaPerfil(perfil) {
+    return `${perfil.nombre}@${perfil.version}`;
+}
+
+module.exports = {
+    DIRECTORIO_PERFILES,
+    TODOS,
+    selectoresDe,
+    validarEsquema,
+    validarPerfil,
+    cargarPerfiles,
+    perfilPara,
+    etiquetaPerfil
+};
@@ -0,0 +1,132 @@
+/**
+ * ========================================
+ * CALIDAD DE LA EXTRACCIÓN
+ * ========================================
+ * Puntúa cada sentencia según las partes que se pudieron separar, el
+ * largo del texto, la fecha y el ROL, y vigila la proporción de
+ * extracciones de baja calidad de la corrida: si salta, lo más probable
+ * es que el sitio haya cambiado su marcado y los selectores ya no calcen
+ */
+
+const { toFechaSentencia } = require('./recordMapper');
+const { parsearRol } = require('./rolParser');
+
+// Motivos que se guardan en errores_procesamiento
+const MOTIVOS = {
+    // La extracción falló porque la página no trajo el texto
+    SIN_TEXTO: 'sin_texto',
+    TEXTO_CORTO: 'texto_corto',
+    SIN_PARTE_EXPOSITIVA: 'sin_parte_expositiva',
+    SIN_CONSIDERANDOS: 'sin_considerandos',
+    SIN_PARTE_RESOLUTIVA: 'sin_parte_resolutiva',
+    FECHA_INVALIDA: 'fecha_invalida',
+    ROL_MAL_FORMADO: 'rol_mal_formado'
+};
+
+// Puntos de cada criterio (suman 100) y el motivo que se anota si no se cumple
+const CRITERIOS = [
+    { puntos: 30, motivo: MOTIVOS.TEXTO_CORTO, cumple: (s, o) => (s.texto_completo || '').length >= o.minimoCaracteres },
+    { puntos: 15, motivo: MOTIVOS.SIN_PARTE_EXPOSITIVA, cumple: s => Boolean(s.parte_expositiva) },
+    { puntos: 20, motivo: MOTIVOS.SIN_CONSIDERANDOS, cumple: s => (s.considerandos_detalle || []).length > 0 },
+    { puntos: 15, motivo: MOTIVOS.SIN_PARTE_RESOLUTIVA, cumple: s => Boolean(s.resolucion || s.parte_resolutiva) },
+    { puntos: 10, motivo: MOTIVOS.FECHA_INVALIDA, cumple: s => toFechaSentencia(s.fecha || s.fecha_sentencia) !== null },
+    { puntos: 10, motivo: MOTIVOS.ROL_MAL_FORMADO, cumple: s => esRolBienFormado(s.rol) }
+];
+
+// Sin texto suficiente o sin ROL la fila no sirve, aunque el resto esté
+const MOTIVOS_INVALIDANTES = [MOTIVOS.TEXTO_CORTO, MOTIVOS.ROL_MAL_FORMADO];
+
+const MINIMO_CARACTERES = 500;
+const CALIDAD_MINIMA = 60;
+
+// Cualquier ROL, RIT o RUC que lib/rolParser reconozca
+function esRolBienFormado(rol) {
+    return parsearRol(rol) !== null;
+}
+
+/**
+ * Caracteres, palabras y párrafos (líneas con texto) del texto completo
+ */
+function estadisticasTexto(texto) {
+    const limpio = (texto || '').trim();
+    return {
+        num_caracteres: limpio.length,
+        num_palabras: limpio ? limpio.split(/\s+/).length : 0,
+        num_parrafos: limpio ? limpio.split(/\n+/).filter(linea => linea.trim()).length : 0
+    };
+}
+
+/**
+ * Puntuar una sentencia ya descompuesta en partes
+ *
+ * @param {Object} sentencia - Con `texto_completo`, `parte_expositiva`, `considerandos_detalle`,
+ *   `resolucion`, `fecha` y `rol`
+ * @returns {{ calidad_extraccion: number, es_valido: boolean, errores_procesamiento: string[] }}
+ */
+function evaluarCalidad(sentencia, { minimoCaracteres = MINIMO_CARACTERES, calidadMinima = CALIDAD_MINIMA } = {}) {
+    let calidad = 0;
+    const motivos = [];
+    for (const criterio of CRITERIOS) {
+        if (criterio.cumple(sentencia, { minimoCaracteres })) {
+            calidad += criterio.puntos;
+        } else {
+            motivos.push(criterio.motivo);
+        }
+    }
+
+    return {
+        calidad_extraccion: calidad,
+        es_valido: calidad >= calidadMinima && !motivos.some(motivo => MOTIVOS_INVALIDANTES.includes(motivo)),
+        errores_procesamiento: motivos
+    };
+}
+
+/**
+ * Ventana móvil con las últimas extracciones de una corrida
+ *
+ * `registrar()` devuelve la deriva cuando la proporción de extracciones
+ * inválidas en la ventana llega al umbral (una vez por episodio: vuelve
+ * a avisar solo si antes bajó del umbral).
+ */
+class MonitorCalidad {
+    constructor({ ventana = 20, umbral = 0.5 } = {}) {
+        this.tamano = ventana;
+        this.umbral = umbral;
+        this.recientes = [];
+        this.enDeriva = false;
+    }
+
+    /**
+     * @returns {Object|null} `{ invalidas, ventana, proporcion, motivos }` si recién se detectó la deriva
+     */
+    registrar(evaluacion) {
+        this.recientes.push({ es_valido: evaluacion.es_valido, errores_procesamiento: evaluacion.errores_procesamiento || [] });
+        if (this.recientes.length > this.tamano) this.recientes.shift();
+        if (this.recientes.length < this.tamano) return null;
+
+        const invalidas = this.recientes.filter(e => !e.es_valido);
+        const proporcion = invalidas.length / this.recientes.length;
+        if (proporcion < this.umbral) {
+            this.enDeriva = false;
+            return null;
+        }
+        if (this.enDeriva) return null;
+
+        this.enDeriva = true;
+        const motivos = {};
+        for (const motivo of invalidas.flatMap(e => e.errores_procesamiento)) {
+            motivos[motivo] = (motivos[motivo] || 0) + 1;
+        }
+        return { invalidas: invalidas.length, ventana: this.recientes.length, proporcion, motivos };
+    }
+}
+
+module.exports = {
+    MOTIVOS,
+    MINIMO_CARACTERES,
+    CALIDAD_MINIMA,
+    esRolBienFormado,
+    estadisticasTexto,
+    evaluarCalidad,
+    MonitorCalidad
+};
@@ -0,0 +1,435 @@
+/**
+ * ========================================
+ * LIMITADOR DE PEDIDOS AL SITIO JUDICIAL
+ * ========================================
+ * Token bucket por host para cada navegación del scraper, que se frena
+ * solo ante 429/503, timeouts o latencia en alza, respeta Retry-After,
+ * robots.txt y un horario de silencio. Las corridas del mismo proceso
+ * con la misma configuración comparten el limitador
+ */
+
+const axios = require('axios');
+const { log } = require('./logger');
+const { CLASES_ERROR, ScrapeError } = require('./retryPolicy');
+
+// El intervalo entre pedidos se multiplica como mucho por este factor
+const FACTOR_MAXIMO = 16;
+// Latencia promedio sobre la mínima observada que se considera "en alza"
+const UMBRAL_LATENCIA = 3;
+// Peso de la última medición en el promedio móvil de latencia
+const PESO_LATENCIA = 0.2;
+// Respuestas que piden bajar el ritmo
+const STATUS_FRENO = [429, 503];
+
+/**
+ * Milisegundos que pide esperar un header Retry-After (segundos o fecha HTTP)
+ */
+function parseRetryAfter(valor, ahora = Date.now()) {
+    if (valor === undefined || valor === null || valor === '') return 0;
+
+    const texto = String(valor).trim();
+    if (/^\d+$/.test(texto)) {
+        return parseInt(texto, 10) * 1000;
+    }
+
+    const fecha = Date.parse(texto);
+    return Number.isNaN(fecha) ? 0 : Math.max(0, fecha - ahora);
+}
+
+/**
+ * Leer un horario de silencio "HH:MM-HH:MM" (puede cruzar la medianoche)
+ *
+ * @returns {{ desde: number, hasta: number }|null} minutos desde la medianoche
+ */
+function parseHorarioSilencio(texto) {
+    if (!texto) return null;
+
+    const match = String(texto).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`Horario de silencio inválido: ${texto}. Formato: HH:MM-HH:MM`);
+    }
+
+    const [h1, m1, h2, m2] = match.slice(1).map(Number);
+    if (h1 > 23 || h2 > 23 || m1 > 59 || m2 > 59) {
+        throw new Error(`Horario de silencio inválido: ${texto}. Formato: HH:MM-HH:MM`);
+    }
+    return { desde: h1 * 60 + m1, hasta: h2 * 60 + m2 };
+}
+
+/**
+ * Milisegundos hasta que termine el horario de silencio, o 0 si `fecha` está fuera
+ *
+ * Usa la hora local del proceso (variable TZ).
+ */
+function esperaHorarioSilencio(horario, fecha = new Date()) {
+    if (!horario || horario.desde === horario.hasta) return 0;
+
+    const minuto = fecha.getHours() * 60 + fecha.getMinutes();
+    const cruzaMedianoche = horario.desde > horario.hasta;
+    const adentro = cruzaMedianoche
+        ? minuto >= horario.desde || minuto < horario.hasta
+        : minuto >= horario.desde && minuto < horario.hasta;
+    if (!adentro) return 0;
+
+    const minutosRestantes = (horario.hasta - minuto + 24 * 60) % (24 * 60);
+    return minutosRestantes * 60 * 1000 - fecha.getSeconds() * 1000 - fecha.getMilliseconds();
+}
+
+/**
+ * Esperar `ms`, o rechazar con el motivo de `signal` apenas se aborte
+ */
+function dormirCancelable(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const alAbortar = () => {
+            clearTimeout(temporizador);
+            reject(signal.reason);
+        };
+        const temporizador = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', alAbortar);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', alAbortar, { once: true });
+    });
+}
+
+/**
+ * Reglas de robots.txt que aplican a cualquier agente (`User-agent: *`)
+ */
+function parseRobots(texto) {
+    const robots = { reglas: [], crawlDelay: null };
+    let agentes = [];
+    let enReglas = false;
+
+    for (const lineaCruda of String(texto || '').split(/\r?\n/)) {
+        const linea = lineaCruda.replace(/#.*$/, '').trim();
+        const match = linea.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const campo = match[1].toLowerCase();
+        const valor = match[2].trim();
+
+        if (campo === 'user-agent') {
+            // Un User-agent después de reglas abre un grupo nuevo
+            if (enReglas) {
+                agentes = [];
+                enReglas = false;
+            }
+            agentes.push(valor);
+            continue;
+        }
+
+        enReglas = true;
+        if (!agentes.includes('*')) continue;
+
+        if ((campo === 'allow' || campo === 'disallow') && valor) {
+            robots.reglas.push({ permitir: campo === 'allow', ruta: valor });
+        } else if (campo === 'crawl-delay' && Number(valor) > 0) {
+            robots.crawlDelay = Number(valor);
+        }
+    }
+
+    return robots;
+}
+
+/**
+ * La ruta de una regla (con * y $) coincide con el comienzo de `ruta`
+ */
+function coincideRegla(regla, ruta) {
+    const patron = regla.ruta
+        .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${patron}`).test(ruta);
+}
+
+/**
+ * robots.txt permite la URL: gana la regla más larga; ante empate, Allow
+ */
+function permitidoPorRobots(robots, url) {
+    const { pathname, search } = new URL(url);
+    const ruta = pathname + search;
+
+    let elegida = null;
+    for (const regla of robots.reglas) {
+        if (!coincideRegla(regla, ruta)) continue;
+        if (!elegida || regla.ruta.length > elegida.ruta.length || (regla.ruta.length === elegida.ruta.length && regla.permitir)) {
+            elegida = regla;
+        }
+    }
+    return !elegida || elegida.permitir;
+}
+
+/**
+ * Descargar robots.txt de un origen; si no existe o no responde, no hay reglas
+ */
+async function descargarRobots(origen) {
+    try {
+        const respuesta = await axios.get(`${origen}/robots.txt`, { timeout: 10000, validateStatus: () => true, responseType: 'text' });
+        if (respuesta.status >= 400) {
+            return parseRobots('');
+        }
+        return parseRobots(respuesta.data);
+    } catch (error) {
+        log.warning(`No se pudo leer ${origen}/robots.txt, se sigue sin reglas: ${error.message}`);
+        return parseRobots('');
+    }
+}
+
+/**
+ * Ritmo de pedidos hacia un host
+ */
+class HostLimiter {
+    constructor(host, { requestsPerSecond, burst, ahora }) {
+        this.host = host;
+        this.tasaBase = requestsPerSecond;
+        this.capacidad = Math.max(1, burst);
+        this.ahora = ahora;
+
+        this.tokens = this.capacidad;
+        this.ultimaRecarga = ahora();
+        this.factor = 1;
+        this.pausaHasta = 0;
+        this.latencia = null;
+        this.latenciaMinima = null;
+    }
+
+    /**
+     * Pedidos por segundo permitidos ahora, con el freno aplicado
+     */
+    get tasa() {
+        return this.tasaBase / this.factor;
+    }
+
+    /**
+     * Consumir un token si hay; si no, milisegundos hasta el próximo
+     */
+    tomarToken() {
+        const ahora = this.ahora();
+        const transcurrido = Math.max(0, ahora - this.ultimaRecarga) / 1000;
+        this.tokens = Math.min(this.capacidad, this.tokens + transcurrido * this.tasa);
+        this.ultimaRecarga = ahora;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.tasa * 1000);
+    }
+
+    /**
+     * Bajar el ritmo (multiplicar el intervalo)
+     */
+    frenar(multiplicador, motivo) {
+        const anterior = this.factor;
+        this.factor = Math.min(FACTOR_MAXIMO, this.factor * multiplicador);
+        if (this.factor !== anterior) {
+            log.warning(`Bajando el ritmo hacia ${this.host} (${motivo}): ${this.tasa.toFixed(2)} pedidos/s`);
+        }
+    }
+
+    /**
+     * Respetar una pausa pedida por el servidor
+     */
+    pausar(ms) {
+        if (ms <= 0) return;
+        this.pausaHasta = Math.max(this.pausaHasta, this.ahora() + ms);
+        log.warning(`${this.host} pidió esperar ${Math.round(ms / 1000)} s`);
+    }
+
+    registrarRespuesta(status, retryAfter) {
+        if (!STATUS_FRENO.includes(status) && status < 500) return;
+
+        this.frenar(2, `HTTP ${status}`);
+        this.pausar(parseRetryAfter(retryAfter, this.ahora()));
+    }
+
+    registrarLatencia(ms) {
+        this.latencia = this.latencia === null ? ms : (1 - PESO_LATENCIA) * this.latencia + PESO_LATENCIA * ms;
+        this.latenciaMinima = this.latenciaMinima === null ? this.latencia : Math.min(this.latenciaMinima, this.latencia);
+
+        if (this.latencia > this.latenciaMinima * UMBRAL_LATENCIA) {
+            this.frenar(1.5, `latencia ${Math.round(this.latencia)} ms`);
+        } else if (this.factor > 1) {
+            // Recuperar el ritmo de a poco mientras el servidor responde bien
+            this.factor = Math.max(1, this.factor * 0.9);
+        }
+    }
+
+    estado() {
+        return {
+            pedidos_por_segundo: Number(this.tasa.toFixed(3)),
+            factor: Number(this.factor.toFixed(2)),
+            pausa_hasta: this.pausaHasta > this.ahora() ? new Date(this.pausaHasta).toISOString() : null,
+            latencia_ms: this.latencia === null ? null : Math.round(this.latencia)
+        };
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.requestsPerSecond - Pedidos por segundo por host, sin freno
+     * @param {number} options.burst - Pedidos seguidos permitidos tras un rato sin pedir
+     * @param {string} [options.quietHours] - Horario sin pedidos, "HH:MM-HH:MM" en hora local
+     * @param {boolean} [options.respectRobots] - Leer robots.txt de cada host
+     * @param {Function} [options.cargarRobots] - `(origen) => robots` (tests)
+     * @param {Function} [options.ahora] - Reloj en ms (tests)
+     * @param {Function} [options.dormir] - `(ms, signal)`: espera en ms que corta si signal se aborta (tests)
+     */
+    constructor({
+        requestsPerSecond = 0.5,
+        burst = 2,
+        quietHours = null,
+        respectRobots = true,
+        cargarRobots = descargarRobots,
+        ahora = Date.now,
+        dormir = dormirCancelable
+    } = {}) {
+        this.opciones = { requestsPerSecond, burst, ahora };
+        this.horarioSilencio = parseHorarioSilencio(quietHours);
+        this.respectRobots = respectRobots;
+        this.cargarRobots = cargarRobots;
+        this.ahora = ahora;
+        this.dormir = dormir;
+
+        this.hosts = new Map();
+        this.robots = new Map();
+    }
+
+    host(url) {
+        const { host } = new URL(url);
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, new HostLimiter(host, this.opciones));
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * robots.txt del origen de la URL (se descarga una vez por proceso)
+     */
+    async robotsDe(url) {
+        const { origin } = new URL(url);
+        if (!this.robots.has(origin)) {
+            const robots = Promise.resolve(this.cargarRobots(origin)).then((reglas) => {
+                // Crawl-delay baja la tasa base del host si es más lento que la configurada
+                if (reglas.crawlDelay) {
+                    const limitador = this.host(url);
+                    limitador.tasaBase = Math.min(limitador.tasaBase, 1 / reglas.crawlDelay);
+                }
+                return reglas;
+            });
+            this.robots.set(origin, robots);
+        }
+        return this.robots.get(origin);
+    }
+
+    /**
+     * Esperar hasta poder pedir `url`
+     *
+     * Lanza un ScrapeError `bloqueado` si robots.txt no lo permite. Con `signal`
+     * (la cancelación de la corrida) deja de esperar y lanza su motivo: el
+     * horario de silencio o un Retry-After pueden durar horas.
+     */
+    async esperarTurno(url, { signal = null } = {}) {
+        if (this.respectRobots) {
+            const robots = await this.robotsDe(url);
+            if (!permitidoPorRobots(robots, url)) {
+                throw new ScrapeError(`robots.txt no permite ${url}`, CLASES_ERROR.BLOQUEADO);
+            }
+        }
+
+        const limitador = this.host(url);
+        for (;;) {
+            if (signal) signal.throwIfAborted();
+
+            const silencio = esperaHorarioSilencio(this.horarioSilencio, new Date(this.ahora()));
+            if (silencio > 0) {
+                log.info(`Horario de silencio: se retoma en ${Math.ceil(silencio / 60000)} min`);
+                await this.dormir(silencio, signal);
+                continue;
+            }
+
+            const pausa = limitador.pausaHasta - this.ahora();
+            if (pausa > 0) {
+                await this.dormir(pausa, signal);
+                continue;
+            }
+
+            const espera = limitador.tomarToken();
+            if (espera === 0) return;
+            await this.dormir(espera, signal);
+        }
+    }
+
+    /**
+     * Ejecutar una navegación a `url` cuando toque, midiendo su latencia
+     *
+     * @param {Object} [opciones] - `signal` para dejar de esperar el turno (ver esperarTurno)
+     */
+    async programar(url, navegar, { signal = null } = {}) {
+        await this.esperarTurno(url, { signal });
+
+        const inicio = this.ahora();
+        try {
+            const resultado = await navegar();
+            this.host(url).registrarLatencia(this.ahora() - inicio);
+            return resultado;
+        } catch (error) {
+            if (error.name === 'TimeoutError' || /timeout/i.test(error.message || '')) {
+                this.host(url).frenar(2, 'timeout');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar el status y Retry-After de una respuesta del host
+     */
+    registrarRespuesta(url, status, retryAfter = null) {
+        this.host(url).registrarRespuesta(status, retryAfter);
+    }
+
+    /**
+     * Estado por host, para el progreso de la corrida
+     */
+    estado() {
+        return Object.fromEntries([...this.hosts].map(([host, limitador]) => [host, limitador.estado()]));
+    }
+}
+
+// Limitadores por configuración, compartidos entre las corridas del proceso
+const compartidos = new Map();
+
+/**
+ * Limitador compartido para una configuración de scraping
+ */
+function obtenerLimitador(config) {
+    const opciones = {
+        requestsPerSecond: config.requestsPerSecond,
+        burst: config.rateLimitBurst,
+        quietHours: config.quietHours || null,
+        respectRobots: config.respectRobots
+    };
+
+    const clave = JSON.stringify(opciones);
+    if (!compartidos.has(clave)) {
+        compartidos.set(clave, new RateLimiter(opciones));
+    }
+    return compartidos.get(clave);
+}
+
+module.exports = {
+    RateLimiter,
+    HostLimiter,
+    obtenerLimitador,
+    parseRetryAfter,
+    parseHorarioSilencio,
+    esperaHorarioSilencio,
+    dormirCancelable,
+    parseRobots,
+    permitidoPorRobots
+};
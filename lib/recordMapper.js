@@ -0,0 +1,142 @@
+/**
+ * ========================================
+ * MAPEO SENTENCIA -> FILA DE jurisprudencia_cs
+ * ========================================
+ * Traduce el objeto `sentencia` que arma el scraper a las columnas
+ * definidas en migrations/ y detecta campos requeridos faltantes
+ */
+
+const moment = require('moment');
+const { version: VERSION_SCRAPER } = require('../package.json');
+const { parsearRol, identidadSentencia } = require('./rolParser');
+
+// Columnas NOT NULL sin valor por defecto en el esquema
+const COLUMNAS_REQUERIDAS = [
+    'rol',
+    'identidad',
+    'k_parameter',
+    'url_detalle',
+    'caratula',
+    'fecha_sentencia',
+    'texto_completo',
+    'hash_contenido'
+];
+
+// Columnas opcionales que se copian tal cual desde la sentencia
+const COLUMNAS_OPCIONALES = [
+    'sala',
+    'tipo_recurso',
+    'resultado_recurso',
+    'materia',
+    'descriptores',
+    'corte_origen',
+    'ministro_redactor',
+    'parte_expositiva',
+    'considerandos',
+    'considerandos_detalle',
+    'votos_minoria',
+    'ministros',
+    'abogados_integrantes',
+    'fuente_texto',
+    'url_pdf',
+    'paginas_pdf',
+    'num_caracteres',
+    'num_palabras',
+    'num_parrafos',
+    'es_valido',
+    'errores_procesamiento',
+    'calidad_extraccion',
+    'embedding_titulo',
+    'embedding_contenido',
+    'embedding_descriptores'
+];
+
+/**
+ * Obtener el parámetro `k` de la URL de detalle
+ */
+function extractKParameter(url) {
+    if (!url) return null;
+
+    try {
+        return new URL(url).searchParams.get('k') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convertir la fecha de la sentencia a formato DATE (YYYY-MM-DD)
+ */
+function toFechaSentencia(fecha) {
+    if (!fecha) return null;
+
+    const parsed = moment(fecha, [moment.ISO_8601, 'DD/MM/YYYY', 'DD-MM-YYYY'], true);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Nombre legible del tribunal configurado (Corte_Suprema -> Corte Suprema)
+ */
+function nombreTribunal(tribunal) {
+    return tribunal ? tribunal.replace(/_/g, ' ') : null;
+}
+
+const vacio = (valor) => valor === undefined || valor === null || valor === '' ||
+    (Array.isArray(valor) && valor.length === 0);
+
+/**
+ * Mapear una sentencia a una fila de jurisprudencia_cs
+ *
+ * @param {Object} sentencia - Objeto armado por extractSentenceDetails
+ * @param {Object} contexto - `tribunal` configurado, usado si la página no lo trae
+ * @returns {{ row: Object, faltantes: string[] }}
+ */
+function mapSentenciaToRow(sentencia, contexto = {}) {
+    // Un ROL que no se reconoce queda en null y la fila se rechaza por faltante
+    const rol = parsearRol(sentencia.rol);
+    const row = {
+        rol: rol ? rol.canonico : null,
+        rol_original: sentencia.rol_original || (rol ? rol.original : sentencia.rol) || null,
+        rol_sistema: rol ? rol.sistema : null,
+        rol_tipo: rol ? rol.tipo : null,
+        rol_numero: rol ? rol.numero : null,
+        rol_anio: rol ? rol.anio : null,
+        k_parameter: sentencia.k_parameter || extractKParameter(sentencia.enlace),
+        url_detalle: sentencia.enlace || null,
+        caratula: sentencia.caratulado || null,
+        fecha_sentencia: toFechaSentencia(sentencia.fecha),
+        tribunal: sentencia.tribunal || nombreTribunal(contexto.tribunal),
+        texto_completo: sentencia.texto_completo || null,
+        parte_resolutiva: sentencia.resolucion || null,
+        hash_contenido: sentencia.hash_contenido || null,
+        fecha_scraping: sentencia.fecha_ingreso || new Date().toISOString(),
+        version_scraper: VERSION_SCRAPER
+    };
+
+    row.identidad = identidadSentencia({
+        tribunal: contexto.tribunal || row.tribunal,
+        rol: row.rol,
+        k_parameter: row.k_parameter
+    });
+
+    for (const columna of COLUMNAS_OPCIONALES) {
+        row[columna] = vacio(sentencia[columna]) ? null : sentencia[columna];
+    }
+
+    // Sin tribunal se deja que la base use su valor por defecto
+    if (!row.tribunal) {
+        delete row.tribunal;
+    }
+
+    const faltantes = COLUMNAS_REQUERIDAS.filter(columna => vacio(row[columna]));
+
+    return { row, faltantes };
+}
+
+module.exports = {
+    COLUMNAS_REQUERIDAS,
+    VERSION_SCRAPER,
+    extractKParameter,
+    toFechaSentencia,
+    mapSentenciaToRow
+};
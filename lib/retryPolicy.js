@@ -0,0 +1,130 @@
+/**
+ * ========================================
+ * REINTENTOS Y CLASIFICACIÓN DE ERRORES
+ * ========================================
+ * Clasifica los fallos al procesar una sentencia, reintenta los
+ * transitorios con backoff exponencial y jitter, y arma la carta que
+ * se guarda en sentencias_fallidas cuando ya no quedan intentos
+ */
+
+const CLASES_ERROR = {
+    // Timeouts, errores de navegación o de red y respuestas 5xx
+    TRANSITORIO: 'transitorio',
+    // La página respondió pero no se obtuvo texto de la sentencia
+    PARSEO: 'parseo',
+    // Falló la lectura o escritura en el backend de almacenamiento
+    ALMACENAMIENTO: 'almacenamiento',
+    // robots.txt no permite la URL
+    BLOQUEADO: 'bloqueado',
+    // PDF escaneado sin capa de texto; no se reintenta hasta tener OCR
+    REQUIERE_OCR: 'requiere_ocr',
+    DESCONOCIDO: 'desconocido'
+};
+
+const ESTADOS_FALLIDA = {
+    PENDIENTE: 'pendiente',
+    REPROCESADA: 'reprocesada'
+};
+
+// Mensajes de Puppeteer y de red que indican un fallo pasajero
+const PATRON_TRANSITORIO = /timeout|timed out|net::ERR_|navigation|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|Target closed|Session closed/i;
+
+/**
+ * Error con su clase ya determinada
+ */
+class ScrapeError extends Error {
+    /**
+     * @param {string} mensaje
+     * @param {string} clase - Una de CLASES_ERROR
+     * @param {Object} [opciones] - `cause` (error original) y `status` (HTTP)
+     */
+    constructor(mensaje, clase, { cause, status } = {}) {
+        super(mensaje, cause ? { cause } : undefined);
+        this.name = 'ScrapeError';
+        this.clase = clase;
+        if (status) this.status = status;
+    }
+}
+
+/**
+ * Clase de un error (ver CLASES_ERROR)
+ */
+function clasificarError(error) {
+    if (!error) return CLASES_ERROR.DESCONOCIDO;
+    if (error.clase) return error.clase;
+    if (error.status >= 500) return CLASES_ERROR.TRANSITORIO;
+    if (error.name === 'TimeoutError' || PATRON_TRANSITORIO.test(error.message || '')) {
+        return CLASES_ERROR.TRANSITORIO;
+    }
+    return CLASES_ERROR.DESCONOCIDO;
+}
+
+/**
+ * Espera antes del reintento número `intento` (desde 1)
+ *
+ * Backoff exponencial acotado a `esperaMaxima`, con jitter: se espera
+ * entre la mitad y el total del tope, para que los trabajadores no reintenten juntos.
+ */
+function calcularEspera(intento, { esperaBase, esperaMaxima }, aleatorio = Math.random) {
+    const tope = Math.min(esperaMaxima, esperaBase * 2 ** (intento - 1));
+    return Math.round(tope / 2 + aleatorio() * tope / 2);
+}
+
+/**
+ * Ejecutar `fn` reintentando los errores transitorios
+ *
+ * @param {Function} fn - Recibe el número de intento (desde 1)
+ * @param {Object} politica - `{ intentos, esperaBase, esperaMaxima }`
+ * @param {Object} [opciones]
+ * @param {Function} [opciones.alReintentar] - `(error, intento, espera)` antes de cada espera; si lanza, se corta
+ * @param {Function} [opciones.esperar] - Reemplaza la espera (tests)
+ * @returns {Promise<*>} lo que devuelva `fn`; si se agotan los intentos lanza el último error con `intentos`
+ */
+async function conReintentos(fn, politica, { alReintentar = null, esperar = null, aleatorio = Math.random } = {}) {
+    const dormir = esperar || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    for (let intento = 1; ; intento++) {
+        try {
+            return await fn(intento);
+        } catch (error) {
+            if (intento >= politica.intentos || clasificarError(error) !== CLASES_ERROR.TRANSITORIO) {
+                error.intentos = intento;
+                throw error;
+            }
+
+            const espera = calcularEspera(intento, politica, aleatorio);
+            if (alReintentar) {
+                await alReintentar(error, intento, espera);
+            }
+            await dormir(espera);
+        }
+    }
+}
+
+/**
+ * Fila de sentencias_fallidas para un resultado que no se pudo procesar
+ */
+function cartaFallida(resultado, error, { tribunal, runId = null }) {
+    return {
+        tribunal,
+        rol: resultado.rol,
+        enlace: resultado.enlace || null,
+        clase_error: clasificarError(error),
+        error: error.message,
+        stack: error.stack || null,
+        intentos: error.intentos || 1,
+        resultado,
+        run_id: runId,
+        estado: ESTADOS_FALLIDA.PENDIENTE
+    };
+}
+
+module.exports = {
+    CLASES_ERROR,
+    ESTADOS_FALLIDA,
+    ScrapeError,
+    clasificarError,
+    calcularEspera,
+    conReintentos,
+    cartaFallida
+};
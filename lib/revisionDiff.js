@@ -0,0 +1,253 @@
+/**
+ * ========================================
+ * DETECCIÓN DE CAMBIOS ENTRE VERSIONES
+ * ========================================
+ * Compara la fila guardada de una sentencia con la recién extraída y
+ * resume qué cambió, para el historial de jurisprudencia_cs_revisiones
+ */
+
+const moment = require('moment');
+
+// Columnas que cuentan como cambio de la sentencia publicada.
+// url_detalle, k_parameter y los campos de procesamiento no cuentan.
+const CAMPOS_COMPARADOS = [
+    'caratula',
+    'fecha_sentencia',
+    'tribunal',
+    'sala',
+    'tipo_recurso',
+    'resultado_recurso',
+    'materia',
+    'descriptores',
+    'corte_origen',
+    'ministro_redactor',
+    'texto_completo',
+    'parte_expositiva',
+    'considerandos',
+    'considerandos_detalle',
+    'parte_resolutiva',
+    'votos_minoria',
+    'ministros',
+    'abogados_integrantes'
+];
+
+// Campos de texto: se resumen con el diff por párrafo, no valor a valor
+const CAMPOS_TEXTO = ['texto_completo', 'parte_expositiva', 'considerandos', 'considerandos_detalle', 'parte_resolutiva', 'votos_minoria'];
+
+// Columnas que no se copian a version_anterior
+const COLUMNAS_EMBEDDING = ['embedding_titulo', 'embedding_contenido', 'embedding_descriptores'];
+
+// Campos de los que sale cada embedding (ver Embedder.embedSentencia);
+// embedding_contenido depende del texto y sigue a texto_cambiado
+const FUENTES_EMBEDDING = {
+    embedding_titulo: ['caratula'],
+    embedding_descriptores: ['descriptores', 'materia']
+};
+
+// Máximo de párrafos listados en el resumen y largo de cada extracto
+const MAX_CAMBIOS = 20;
+const MAX_EXTRACTO = 200;
+
+// Sobre este tamaño (párrafos antes x después) no se calcula la LCS
+const MAX_CELDAS_LCS = 4000000;
+
+/**
+ * JSON con las claves ordenadas: JSONB no conserva el orden original
+ */
+function estable(valor) {
+    if (Array.isArray(valor)) {
+        return `[${valor.map(estable).join(',')}]`;
+    }
+    if (valor && typeof valor === 'object') {
+        return `{${Object.keys(valor).sort().map(clave => `${JSON.stringify(clave)}:${estable(valor[clave])}`).join(',')}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+/**
+ * Valor comparable de una columna, sin importar cómo la devolvió el backend
+ */
+function valorComparable(campo, valor) {
+    if (valor === undefined || valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0)) {
+        return null;
+    }
+    if (campo === 'fecha_sentencia') {
+        const fecha = moment(valor instanceof Date ? valor : String(valor).slice(0, 10), [moment.ISO_8601, 'YYYY-MM-DD']);
+        return fecha.isValid() ? fecha.format('YYYY-MM-DD') : String(valor);
+    }
+    if (typeof valor === 'string' && campo === 'considerandos_detalle') {
+        try {
+            return estable(JSON.parse(valor));
+        } catch (error) {
+            return valor;
+        }
+    }
+    return typeof valor === 'object' ? estable(valor) : String(valor);
+}
+
+/**
+ * Dividir un texto en párrafos no vacíos
+ */
+function parrafos(texto) {
+    return String(texto || '').split(/\n+/).map(p => p.trim()).filter(Boolean);
+}
+
+function extracto(texto) {
+    return texto.length > MAX_EXTRACTO ? `${texto.slice(0, MAX_EXTRACTO)}…` : texto;
+}
+
+/**
+ * Párrafos eliminados y agregados entre dos textos (LCS por párrafo)
+ */
+function diffParrafos(antes, despues) {
+    const n = antes.length;
+    const m = despues.length;
+
+    // Textos enormes: comparación por conjunto, sin orden
+    if (n * m > MAX_CELDAS_LCS) {
+        const enDespues = new Set(despues);
+        const enAntes = new Set(antes);
+        return [
+            ...antes.map((texto, i) => ({ tipo: 'eliminado', parrafo: i + 1, texto })).filter(c => !enDespues.has(c.texto)),
+            ...despues.map((texto, j) => ({ tipo: 'agregado', parrafo: j + 1, texto })).filter(c => !enAntes.has(c.texto))
+        ];
+    }
+
+    // largo[i][j] = LCS de antes[i..] y despues[j..]
+    const largo = new Int32Array((n + 1) * (m + 1));
+    const celda = (i, j) => i * (m + 1) + j;
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            largo[celda(i, j)] = antes[i] === despues[j]
+                ? largo[celda(i + 1, j + 1)] + 1
+                : Math.max(largo[celda(i + 1, j)], largo[celda(i, j + 1)]);
+        }
+    }
+
+    const cambios = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && antes[i] === despues[j]) {
+            i++;
+            j++;
+        } else if (j >= m || (i < n && largo[celda(i + 1, j)] >= largo[celda(i, j + 1)])) {
+            cambios.push({ tipo: 'eliminado', parrafo: i + 1, texto: antes[i] });
+            i++;
+        } else {
+            cambios.push({ tipo: 'agregado', parrafo: j + 1, texto: despues[j] });
+            j++;
+        }
+    }
+    return cambios;
+}
+
+/**
+ * Números de los considerandos cuyo texto cambió, apareció o desapareció
+ */
+function considerandosModificados(antes, despues) {
+    const leer = (valor) => {
+        if (typeof valor === 'string') {
+            try {
+                return JSON.parse(valor);
+            } catch (error) {
+                return [];
+            }
+        }
+        return Array.isArray(valor) ? valor : [];
+    };
+    const porNumero = (lista) => new Map(leer(lista).map(c => [c.numero, (c.texto || '').trim()]));
+
+    const previos = porNumero(antes);
+    const nuevos = porNumero(despues);
+    const numeros = new Set([...previos.keys(), ...nuevos.keys()]);
+
+    return [...numeros]
+        .filter(numero => previos.get(numero) !== nuevos.get(numero))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Resumen legible de los cambios en el texto completo
+ */
+function resumirDiffTexto(textoAnterior, textoNuevo) {
+    const antes = parrafos(textoAnterior);
+    const despues = parrafos(textoNuevo);
+    const cambios = diffParrafos(antes, despues);
+
+    return {
+        caracteres_antes: String(textoAnterior || '').length,
+        caracteres_despues: String(textoNuevo || '').length,
+        parrafos_antes: antes.length,
+        parrafos_despues: despues.length,
+        parrafos_eliminados: cambios.filter(c => c.tipo === 'eliminado').length,
+        parrafos_agregados: cambios.filter(c => c.tipo === 'agregado').length,
+        cambios: cambios.slice(0, MAX_CAMBIOS).map(c => ({ ...c, texto: extracto(c.texto) }))
+    };
+}
+
+/**
+ * Comparar la fila guardada con la nueva
+ *
+ * El texto cuenta como cambiado si difiere hash_contenido y, cuando la fila
+ * guardada trae el texto, este también difiere (filas antiguas pueden tener
+ * un hash calculado de otra forma).
+ *
+ * @param {Object} anterior - Fila actual en el almacenamiento
+ * @param {Object} nueva - Fila mapeada desde la sentencia recién extraída
+ * @returns {{ campos_cambiados: string[], texto_cambiado: boolean, resumen_diff: Object }}
+ */
+function compararFilas(anterior, nueva) {
+    const campos_cambiados = CAMPOS_COMPARADOS.filter(campo =>
+        campo in nueva && valorComparable(campo, anterior[campo]) !== valorComparable(campo, nueva[campo])
+    );
+
+    const texto_cambiado = anterior.hash_contenido !== nueva.hash_contenido &&
+        (anterior.texto_completo === undefined || campos_cambiados.includes('texto_completo'));
+
+    const resumen_diff = {};
+    if (texto_cambiado) {
+        Object.assign(resumen_diff, resumirDiffTexto(anterior.texto_completo, nueva.texto_completo));
+    }
+    if (campos_cambiados.includes('considerandos_detalle')) {
+        resumen_diff.considerandos_modificados = considerandosModificados(anterior.considerandos_detalle, nueva.considerandos_detalle);
+    }
+    for (const campo of campos_cambiados.filter(c => !CAMPOS_TEXTO.includes(c))) {
+        resumen_diff[campo] = { antes: anterior[campo] ?? null, despues: nueva[campo] ?? null };
+    }
+
+    return { campos_cambiados, texto_cambiado, resumen_diff };
+}
+
+/**
+ * Columnas de embedding cuyo texto de origen cambió y deben recalcularse
+ *
+ * @param {{ campos_cambiados: string[], texto_cambiado: boolean }} cambios - Resultado de compararFilas
+ * @returns {string[]}
+ */
+function embeddingsDesactualizados({ campos_cambiados, texto_cambiado }) {
+    return COLUMNAS_EMBEDDING.filter(columna => (columna in FUENTES_EMBEDDING
+        ? FUENTES_EMBEDDING[columna].some(campo => campos_cambiados.includes(campo))
+        : texto_cambiado));
+}
+
+/**
+ * Copia de la fila sin embeddings, para version_anterior
+ */
+function sinEmbeddings(fila) {
+    const copia = { ...fila };
+    for (const columna of COLUMNAS_EMBEDDING) {
+        delete copia[columna];
+    }
+    return copia;
+}
+
+module.exports = {
+    CAMPOS_COMPARADOS,
+    COLUMNAS_EMBEDDING,
+    resumirDiffTexto,
+    considerandosModificados,
+    compararFilas,
+    embeddingsDesactualizados,
+    sinEmbeddings
+};
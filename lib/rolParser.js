@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * ROL DE LA CAUSA E IDENTIDAD DE LA SENTENCIA
+ * ========================================
+ * Lee los identificadores de causa tal como los muestra el sitio
+ * ("Rol N° 12.345-2023", "C-1234-2022", "Protección-5678-2021",
+ * "RIT O-123-2023", "RUC 2300123456-7") y los lleva a una forma canónica,
+ * que es la que se guarda en `rol`. La identidad de una sentencia es
+ * tribunal + ROL canónico + parámetro `k` del sitio
+ */
+
+// Sistema de numeración: ROL de las cortes y juzgados, RIT (rol interno del
+// tribunal) y RUC (rol único de causa de la Fiscalía) de los tribunales penales
+const SISTEMAS = {
+    ROL: 'ROL',
+    RIT: 'RIT',
+    RUC: 'RUC'
+};
+
+// "Rol N° ", "RIT: ", "RUC-" (forma canónica), "Rol Nro. "
+const PREFIJO = /^(rol|rit|ruc)\b\s*(?:n(?:ro\.?|[°º.])?\s*)?[:-]?\s*/i;
+
+// Letra o nombre de la competencia opcional, número con puntos de miles y año
+const PATRON_ROL = /^(?:([a-z]{1,20})\s*-?\s*)?(\d{1,3}(?:\.\d{3})+|\d{1,9})\s*-\s*(\d{4})$/i;
+
+// Diez dígitos (los dos primeros son el año) y dígito verificador
+const PATRON_RUC = /^(\d{2}(?:\.?\d){8})\s*-\s*([\dk])$/i;
+
+const ANIO_MINIMO = 1900;
+const ANIO_MAXIMO = 2099;
+
+function sinTildes(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Separar un identificador de causa en sistema, tipo, número y año
+ *
+ * @param {string} texto - ROL como aparece en el listado o ya canónico
+ * @returns {{ sistema: string, tipo: string|null, numero: number, anio: number,
+ *   digito?: string, canonico: string, original: string }|null} null si no se reconoce
+ */
+function parsearRol(texto) {
+    if (typeof texto !== 'string') return null;
+
+    const original = texto.trim();
+    let resto = sinTildes(original).replace(/\s+/g, ' ');
+    let sistema = SISTEMAS.ROL;
+
+    const prefijo = resto.match(PREFIJO);
+    if (prefijo) {
+        sistema = prefijo[1].toUpperCase();
+        resto = resto.slice(prefijo[0].length);
+    }
+
+    const ruc = resto.match(PATRON_RUC);
+    if (ruc && sistema !== SISTEMAS.RIT) {
+        const numero = ruc[1].replace(/\./g, '');
+        const digito = ruc[2].toUpperCase();
+        return {
+            sistema: SISTEMAS.RUC,
+            tipo: null,
+            numero: Number(numero),
+            anio: 2000 + Number(numero.slice(0, 2)),
+            digito,
+            canonico: `${SISTEMAS.RUC}-${numero}-${digito}`,
+            original
+        };
+    }
+
+    const rol = resto.match(PATRON_ROL);
+    if (!rol || sistema === SISTEMAS.RUC) return null;
+
+    const tipo = rol[1] ? rol[1].toUpperCase() : null;
+    const numero = Number(rol[2].replace(/\./g, ''));
+    const anio = Number(rol[3]);
+    if (numero === 0 || anio < ANIO_MINIMO || anio > ANIO_MAXIMO) return null;
+
+    const partes = [sistema === SISTEMAS.ROL ? null : sistema, tipo, numero, anio];
+    return {
+        sistema,
+        tipo,
+        numero,
+        anio,
+        canonico: partes.filter(parte => parte !== null).join('-'),
+        original
+    };
+}
+
+/**
+ * Forma canónica del ROL ("Rol N° 12.345-2023" -> "12345-2023"), o null si no se reconoce
+ */
+function normalizarRol(texto) {
+    const rol = parsearRol(texto);
+    return rol ? rol.canonico : null;
+}
+
+// Nombre del tribunal como lo muestra el sitio -> clave de la corrida (las de
+// SEARCH_URLS en lib/scrapeConfig.js), en orden. clave_tribunal() en
+// migrations/013_identidad_sentencias.sql aplica las mismas reglas a las filas
+// ya guardadas: lo que cambie aquí va también allá
+const CLAVES_TRIBUNAL = [
+    [/^corte suprema/, 'Corte_Suprema'],
+    [/^corte de apelaciones/, 'Corte_de_Apelaciones'],
+    [/garantia|juicio oral|penal/, 'Penales'],
+    [/familia/, 'Familia'],
+    [/trabajo|laboral|cobranza/, 'Laboral'],
+    [/civil|juzgado de letras/, 'Civil']
+];
+
+/**
+ * Clave del tribunal ("Corte de Apelaciones de Santiago" -> Corte_de_Apelaciones)
+ *
+ * Las claves de la configuración quedan igual; un nombre que no se reconoce
+ * queda con guiones bajos en vez de espacios
+ */
+function claveTribunal(tribunal) {
+    const nombre = sinTildes(tribunal).toLowerCase().replace(/[\s_]+/g, ' ').trim();
+    const clave = CLAVES_TRIBUNAL.find(([patron]) => patron.test(nombre));
+    return clave ? clave[1] : tribunal.trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Clave estable de una sentencia: `tribunal|ROL canónico|k`
+ *
+ * @param {Object} sentencia
+ * @param {string} sentencia.tribunal - Clave del tribunal de la corrida (Corte_Suprema) o su nombre en el sitio
+ * @param {string} sentencia.rol - ROL en cualquier forma que parsearRol reconozca
+ * @param {string} [sentencia.k_parameter] - Parámetro `k` de la URL de detalle
+ * @returns {string|null} null si el ROL no se reconoce o falta el tribunal
+ */
+function identidadSentencia({ tribunal, rol, k_parameter: k }) {
+    const canonico = normalizarRol(rol);
+    if (!canonico || !tribunal) return null;
+    return [claveTribunal(tribunal), canonico, k || ''].join('|');
+}
+
+module.exports = {
+    SISTEMAS,
+    parsearRol,
+    normalizarRol,
+    claveTribunal,
+    identidadSentencia
+};
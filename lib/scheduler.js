@@ -0,0 +1,353 @@
+/**
+ * ========================================
+ * PROGRAMADOR DE CORRIDAS INCREMENTALES
+ * ========================================
+ * Encola corridas por tribunal según expresiones cron (en hora local,
+ * TZ). Cada corrida empieza en la marca de agua del tribunal (la última
+ * fecha_sentencia guardada) menos un solape, y una programación no se
+ * vuelve a disparar mientras su corrida anterior siga en curso
+ */
+
+const moment = require('moment');
+const { log } = require('./logger');
+const { DATE_FORMAT, SEARCH_URLS } = require('./scrapeConfig');
+
+const CAMPOS_CRON = [
+    { nombre: 'minuto', min: 0, max: 59 },
+    { nombre: 'hora', min: 0, max: 23 },
+    { nombre: 'día del mes', min: 1, max: 31 },
+    { nombre: 'mes', min: 1, max: 12 },
+    { nombre: 'día de la semana', min: 0, max: 7 }
+];
+
+const ATAJOS_CRON = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Sin coincidencia en este plazo la expresión no se cumple nunca (p. ej. 30 de febrero)
+const HORIZONTE_BUSQUEDA_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// setTimeout no admite esperas mayores; las largas se hacen por tramos
+const ESPERA_MAXIMA_MS = 2 ** 31 - 1;
+
+/**
+ * Valores de un campo cron: `*`, `5`, `1-5`, `*\/15`, `10-50/10` y listas separadas por comas
+ */
+function parseCampo(texto, { nombre, min, max }) {
+    const valores = new Set();
+
+    for (const parte of texto.split(',')) {
+        const match = parte.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`${nombre} inválido: ${parte}`);
+        }
+
+        const [, base, fin, paso] = match;
+        const desde = base === '*' ? min : Number(base);
+        const hasta = base === '*' ? max : (fin !== undefined ? Number(fin) : (paso !== undefined ? max : desde));
+        const incremento = paso !== undefined ? Number(paso) : 1;
+
+        if (base === '*' && fin !== undefined) {
+            throw new Error(`${nombre} inválido: ${parte}`);
+        }
+        if (desde < min || hasta > max || desde > hasta || incremento < 1) {
+            throw new Error(`${nombre} fuera de rango (${min}-${max}): ${parte}`);
+        }
+
+        for (let valor = desde; valor <= hasta; valor += incremento) {
+            valores.add(valor);
+        }
+    }
+
+    return valores;
+}
+
+/**
+ * Leer una expresión cron de cinco campos (minuto hora día-del-mes mes día-de-la-semana)
+ *
+ * Como en cron, si se restringen el día del mes y el de la semana basta con
+ * que se cumpla uno de los dos. El domingo es 0 o 7.
+ */
+function parseCron(expresion) {
+    const texto = ATAJOS_CRON[String(expresion).trim()] || String(expresion).trim();
+    const partes = texto.split(/\s+/);
+    if (partes.length !== 5) {
+        throw new Error(`Expresión cron inválida: ${expresion}. Formato: minuto hora día mes día-semana`);
+    }
+
+    const [minutos, horas, dias, meses, semana] = partes.map((parte, i) => parseCampo(parte, CAMPOS_CRON[i]));
+    if (semana.has(7)) {
+        semana.add(0);
+    }
+
+    return {
+        expresion: texto,
+        minutos,
+        horas,
+        dias,
+        meses,
+        semana,
+        cualquierDia: partes[2] === '*',
+        cualquierSemana: partes[4] === '*'
+    };
+}
+
+function cumpleDia(cron, fecha) {
+    const porDia = cron.dias.has(fecha.getDate());
+    const porSemana = cron.semana.has(fecha.getDay());
+
+    if (cron.cualquierDia) return porSemana;
+    if (cron.cualquierSemana) return porDia;
+    return porDia || porSemana;
+}
+
+/**
+ * Próximo minuto posterior a `desde` que cumple la expresión, o null si no hay
+ */
+function proximaEjecucion(cron, desde = new Date()) {
+    const fecha = new Date(desde.getTime());
+    fecha.setSeconds(0, 0);
+    fecha.setMinutes(fecha.getMinutes() + 1);
+    const limite = desde.getTime() + HORIZONTE_BUSQUEDA_MS;
+
+    // Se salta de a mes, día u hora completos mientras no calcen
+    while (fecha.getTime() <= limite) {
+        if (!cron.meses.has(fecha.getMonth() + 1)) {
+            fecha.setMonth(fecha.getMonth() + 1, 1);
+            fecha.setHours(0, 0, 0, 0);
+        } else if (!cumpleDia(cron, fecha)) {
+            fecha.setDate(fecha.getDate() + 1);
+            fecha.setHours(0, 0, 0, 0);
+        } else if (!cron.horas.has(fecha.getHours())) {
+            fecha.setHours(fecha.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutos.has(fecha.getMinutes())) {
+            fecha.setMinutes(fecha.getMinutes() + 1, 0, 0);
+        } else {
+            return fecha;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Leer las programaciones de SCHEDULES: `Tribunal=cron`, separadas por punto y coma
+ *
+ * Ejemplo: "Corte_Suprema=0 3 * * *; Laboral=30 3 * * 1-5"
+ *
+ * @returns {{ tribunal: string, cron: Object }[]}
+ */
+function parseProgramaciones(texto) {
+    if (!texto || !texto.trim()) return [];
+
+    const programaciones = [];
+    for (const entrada of texto.split(';').map(parte => parte.trim()).filter(Boolean)) {
+        const separador = entrada.indexOf('=');
+        const tribunal = separador > 0 ? entrada.slice(0, separador).trim() : '';
+        if (!SEARCH_URLS[tribunal]) {
+            throw new Error(`Programación inválida: ${entrada}. Formato: Tribunal=cron, con tribunal en ${Object.keys(SEARCH_URLS).join(', ')}`);
+        }
+        if (programaciones.some(programacion => programacion.tribunal === tribunal)) {
+            throw new Error(`Programación repetida para ${tribunal}`);
+        }
+
+        programaciones.push({ tribunal, cron: parseCron(entrada.slice(separador + 1)) });
+    }
+
+    return programaciones;
+}
+
+/**
+ * Rango de fechas de una corrida incremental (en DATE_FORMAT)
+ *
+ * Desde la marca de agua menos `solapeDias`, o `diasIniciales` atrás si el
+ * tribunal todavía no tiene marca; hasta hoy.
+ */
+function rangoIncremental(marca, { solapeDias, diasIniciales, hoy = new Date() }) {
+    const hasta = moment(hoy).startOf('day');
+    let desde = marca
+        ? moment(marca.fecha_sentencia, 'YYYY-MM-DD').subtract(solapeDias, 'days')
+        : hasta.clone().subtract(diasIniciales, 'days');
+
+    if (desde.isAfter(hasta)) {
+        desde = hasta.clone();
+    }
+
+    return { startDate: desde.format(DATE_FORMAT), endDate: hasta.format(DATE_FORMAT) };
+}
+
+/**
+ * Programador en proceso que encola las corridas en la JobQueue
+ *
+ * Cada programación recuerda su próxima ejecución y la última (trabajo,
+ * rango y estado). Si al dispararse su corrida anterior sigue pendiente o
+ * en ejecución, esa vez se omite y se cuenta en `omitidas`.
+ */
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {{ tribunal: string, cron: Object }[]} options.programaciones - De parseProgramaciones()
+     * @param {JobQueue} options.jobQueue
+     * @param {Function} options.getStorage - Promesa del backend donde están las marcas de agua
+     * @param {number} [options.solapeDias] - Días antes de la marca de agua desde donde se busca
+     * @param {number} [options.diasIniciales] - Días hacia atrás para un tribunal sin marca de agua
+     * @param {Object} [options.params] - Parámetros extra para cada corrida
+     */
+    constructor({ programaciones = [], jobQueue, getStorage, solapeDias = 3, diasIniciales = 30, params = {}, ahora = () => Date.now() } = {}) {
+        if (!jobQueue || typeof getStorage !== 'function') {
+            throw new Error('Scheduler requiere jobQueue y getStorage');
+        }
+
+        this.jobQueue = jobQueue;
+        this.getStorage = getStorage;
+        this.solapeDias = Math.max(0, solapeDias);
+        this.diasIniciales = Math.max(0, diasIniciales);
+        this.params = params;
+        this.ahora = ahora;
+        this.activo = false;
+
+        this.programaciones = programaciones.map(({ tribunal, cron }) => ({
+            tribunal,
+            cron,
+            proxima: null,
+            ultima: null,
+            // Corrida en curso de esta programación (promesa hasta que termine)
+            enCurso: null,
+            omitidas: 0,
+            timer: null
+        }));
+    }
+
+    /**
+     * Armar los timers de todas las programaciones
+     */
+    start() {
+        if (this.activo) return;
+        this.activo = true;
+
+        for (const programacion of this.programaciones) {
+            this.armar(programacion);
+            log.info(`🗓️ ${programacion.tribunal} programado (${programacion.cron.expresion}), próxima: ${programacion.proxima ? programacion.proxima.toISOString() : 'nunca'}`);
+        }
+    }
+
+    /**
+     * Desarmar los timers; las corridas ya encoladas siguen su curso
+     */
+    stop() {
+        this.activo = false;
+        for (const programacion of this.programaciones) {
+            clearTimeout(programacion.timer);
+            programacion.timer = null;
+            programacion.proxima = null;
+        }
+    }
+
+    /**
+     * Programar el siguiente disparo según la expresión cron
+     */
+    armar(programacion) {
+        programacion.proxima = proximaEjecucion(programacion.cron, new Date(this.ahora()));
+        if (!programacion.proxima) return;
+
+        const esperar = () => {
+            const restante = programacion.proxima.getTime() - this.ahora();
+            programacion.timer = setTimeout(() => {
+                if (programacion.proxima.getTime() > this.ahora()) {
+                    esperar();
+                    return;
+                }
+                this.disparar(programacion);
+                this.armar(programacion);
+            }, Math.min(Math.max(0, restante), ESPERA_MAXIMA_MS));
+            programacion.timer.unref();
+        };
+        esperar();
+    }
+
+    /**
+     * Disparar una programación, salvo que su corrida anterior no haya terminado
+     */
+    disparar(programacion) {
+        if (!this.activo) return null;
+
+        if (programacion.enCurso) {
+            programacion.omitidas++;
+            log.warning(`🗓️ ${programacion.tribunal}: la corrida anterior sigue en curso, se omite esta ejecución`);
+            return null;
+        }
+
+        programacion.enCurso = this.ejecutar(programacion)
+            .catch((error) => {
+                log.error(`🗓️ ${programacion.tribunal}`, error);
+                programacion.ultima = { ...programacion.ultima, estado: 'fallido', error: error.message, finalizado: new Date(this.ahora()) };
+            })
+            .finally(() => {
+                programacion.enCurso = null;
+            });
+        return programacion.enCurso;
+    }
+
+    /**
+     * Encolar la corrida incremental del tribunal y esperar a que termine
+     */
+    async ejecutar(programacion) {
+        const { tribunal } = programacion;
+        programacion.ultima = { inicio: new Date(this.ahora()), job_id: null, parametros: null, estado: 'pendiente', error: null, finalizado: null };
+
+        const storage = await this.getStorage();
+        const marca = await storage.getWatermark(tribunal);
+        const rango = rangoIncremental(marca, {
+            solapeDias: this.solapeDias,
+            diasIniciales: this.diasIniciales,
+            hoy: new Date(this.ahora())
+        });
+
+        const parametros = { ...this.params, tribunal, tribunales: [tribunal], ...rango };
+        const job = this.jobQueue.enqueue(parametros);
+        Object.assign(programacion.ultima, { job_id: job.id, parametros, marca_agua: marca ? marca.fecha_sentencia : null });
+        log.info(`🗓️ ${tribunal}: corrida ${job.id} del ${rango.startDate} al ${rango.endDate}` +
+            `${marca ? ` (marca de agua ${marca.fecha_sentencia}, ${this.solapeDias} días de solape)` : ' (sin marca de agua)'}`);
+
+        const terminado = await this.jobQueue.waitFor(job.id);
+        Object.assign(programacion.ultima, {
+            estado: terminado.estado,
+            error: terminado.error,
+            finalizado: terminado.finalizado
+        });
+        return terminado;
+    }
+
+    /**
+     * Estado de las programaciones para la API; el de la corrida en curso se lee de la cola
+     */
+    list() {
+        return this.programaciones.map((programacion) => {
+            let ultima = programacion.ultima;
+            const job = ultima && ultima.job_id && programacion.enCurso ? this.jobQueue.get(ultima.job_id) : null;
+            if (job) {
+                ultima = { ...ultima, estado: job.estado };
+            }
+
+            return {
+                tribunal: programacion.tribunal,
+                cron: programacion.cron.expresion,
+                proxima: programacion.proxima,
+                en_curso: Boolean(programacion.enCurso),
+                omitidas: programacion.omitidas,
+                ultima
+            };
+        });
+    }
+}
+
+module.exports = {
+    parseCron,
+    proximaEjecucion,
+    parseProgramaciones,
+    rangoIncremental,
+    Scheduler
+};
@@ -0,0 +1,322 @@
+/**
+ * ========================================
+ * PARÁMETROS DE SCRAPING
+ * ========================================
+ * Valores por defecto desde variables de entorno y validación de los
+ * parámetros que llegan por la API para cada corrida
+ */
+
+const moment = require('moment');
+const { CLASES_ERROR } = require('./retryPolicy');
+const { parseHorarioSilencio } = require('./rateLimiter');
+const { log } = require('./logger');
+
+const DATE_FORMAT = 'DD/MM/YYYY';
+
+// Rutas de búsqueda por tribunal en juris.pjud.cl
+const SEARCH_URLS = {
+    'Corte_Suprema': '/busqueda?Corte_Suprema',
+    'Corte_de_Apelaciones': '/busqueda?Corte_de_Apelaciones',
+    'Penales': '/busqueda?Penales',
+    'Familia': '/busqueda?Familia',
+    'Laboral': '/busqueda?Laboral',
+    'Civil': '/busqueda?Civil'
+};
+
+// Límites aceptados para maxSentencias
+const MAX_SENTENCIAS_MIN = 1;
+const MAX_SENTENCIAS_MAX = parseInt(process.env.MAX_SENTENCIAS_LIMIT) || 1000;
+
+/**
+ * QUIET_HOURS validado al cargar la configuración: un valor inválido se
+ * ignora con un error en el log en vez de hacer fallar cada corrida
+ */
+function leerHorarioSilencio(valor) {
+    if (!valor) return null;
+
+    try {
+        parseHorarioSilencio(valor);
+        return valor;
+    } catch (error) {
+        log.error(`QUIET_HOURS ignorado`, error);
+        return null;
+    }
+}
+
+const QUIET_HOURS = leerHorarioSilencio(process.env.QUIET_HOURS);
+
+// Tamaños de ventana del modo backfill, de la más gruesa a la más fina
+const GRANULARIDADES_BACKFILL = ['mes', 'semana', 'dia'];
+
+// Cómo se descargan listados y detalles: HTTP con respaldo en el navegador, solo HTTP o solo navegador
+const MODOS_DESCARGA = ['auto', 'http', 'navegador'];
+
+// Qué hacer si salta la proporción de extracciones inválidas: avisar o detener la corrida
+const ACCIONES_CALIDAD = ['alertar', 'abortar'];
+
+// Límites aceptados para hostConcurrency
+const HOST_CONCURRENCY_MIN = 1;
+const HOST_CONCURRENCY_MAX = 10;
+
+// Parámetros que un llamador puede fijar por corrida
+const PARAMETROS_PERMITIDOS = [
+    'tribunal', 'tribunales', 'startDate', 'endDate', 'searchTerm', 'maxSentencias',
+    'updateMode', 'resume', 'backfill', 'hostConcurrency', 'replay', 'claseError', 'fetchMode',
+    'qualityAction'
+];
+
+/**
+ * Lista de tribunales desde un arreglo o un texto separado por comas
+ *
+ * `todos` equivale a todos los tribunales conocidos.
+ */
+function parseTribunales(valor) {
+    const lista = Array.isArray(valor) ? valor : String(valor).split(',');
+    const tribunales = lista.map(t => String(t).trim()).filter(Boolean);
+    return tribunales.includes('todos') ? Object.keys(SEARCH_URLS) : [...new Set(tribunales)];
+}
+
+/**
+ * Configuración por defecto tomada de las variables de entorno
+ */
+function defaultScrapeConfig() {
+    return {
+        baseUrl: process.env.JURIS_BASE_URL || 'https://juris.pjud.cl',
+        tribunal: process.env.TRIBUNAL || 'Corte_Suprema',
+        // Varios tribunales en una misma corrida (separados por comas, o "todos")
+        tribunales: process.env.TRIBUNALES ? parseTribunales(process.env.TRIBUNALES) : null,
+        startDate: process.env.START_DATE || moment().subtract(30, 'days').format(DATE_FORMAT),
+        endDate: process.env.END_DATE || moment().format(DATE_FORMAT),
+        maxSentencias: parseInt(process.env.MAX_SENTENCIAS) || 100,
+        searchTerm: process.env.SEARCH_TERM || '',
+        // Volver a descargar ROLs ya guardados y registrar sus cambios
+        updateMode: process.env.UPDATE_MODE === 'true',
+        // Retomar el checkpoint de una corrida anterior con los mismos parámetros
+        resume: process.env.RESUME_RUNS !== 'false',
+        // Recorrer el rango en ventanas (mes, semana o dia) en vez de una sola búsqueda
+        backfill: process.env.BACKFILL || null,
+        // Resultados que se leen como máximo por ventana; alcanzarlos la achica
+        backfillLimit: parseInt(process.env.BACKFILL_LIMITE_VENTANA) || 1000,
+        enableEmbeddings: process.env.ENABLE_EMBEDDINGS === 'true',
+        // openai, o local (vectores deterministas sin red, para desarrollo y tests)
+        embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
+        embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        // Tokens estimados por chunk del texto y cuántos se repiten entre chunks vecinos
+        chunkTokens: parseInt(process.env.CHUNK_TOKENS) || 500,
+        chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 50,
+        // Textos por pedido al proveedor y espera (ms) para juntar los de otras sentencias
+        embeddingBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 96,
+        embeddingBatchWait: parseInt(process.env.EMBEDDING_BATCH_WAIT) || 200,
+        debugMode: process.env.DEBUG === 'true',
+        delayBetweenRequests: parseInt(process.env.DELAY_BETWEEN_REQUESTS) || 2000,
+        // Token bucket por host: pedidos por segundo sin freno y ráfaga máxima
+        requestsPerSecond: parseFloat(process.env.RATE_LIMIT_RPS) || 0.5,
+        rateLimitBurst: parseInt(process.env.RATE_LIMIT_BURST) || 2,
+        // Horario sin pedidos al sitio, "HH:MM-HH:MM" en hora local (TZ)
+        quietHours: QUIET_HOURS,
+        respectRobots: process.env.RESPECT_ROBOTS !== 'false',
+        // Páginas por HTTP + cheerio, con Puppeteer solo para las que necesitan JavaScript
+        fetchMode: process.env.FETCH_MODE || 'auto',
+        // Pestañas del navegador para los detalles, y cuántas pueden ir al mismo host a la vez
+        pagePoolSize: parseInt(process.env.PAGE_POOL_SIZE) || 4,
+        hostConcurrency: parseInt(process.env.HOST_CONCURRENCY) || 2,
+        // Intentos por resultado ante errores transitorios, con backoff exponencial entre ellos
+        maxAttempts: parseInt(process.env.MAX_ATTEMPTS) || 3,
+        retryBaseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 1000,
+        retryMaxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 30000,
+        // Descargar el PDF adjunto cuando el detalle no trae el texto, hasta este tamaño
+        enablePdf: process.env.ENABLE_PDF !== 'false',
+        pdfMaxBytes: (parseInt(process.env.PDF_MAX_MB) || 20) * 1024 * 1024,
+        // Calidad (0-100) mínima para que una sentencia quede es_valido
+        qualityMinScore: parseInt(process.env.QUALITY_MIN_SCORE) || 60,
+        // Últimas extracciones que se miran y proporción de inválidas que indica un cambio de marcado
+        qualityWindow: parseInt(process.env.QUALITY_WINDOW) || 20,
+        qualityMaxInvalid: parseFloat(process.env.QUALITY_MAX_INVALID) || 0.5,
+        qualityAction: process.env.QUALITY_ACTION || 'alertar',
+        // Reprocesar sentencias_fallidas en vez de buscar (opcionalmente solo una clase de error)
+        replay: false,
+        claseError: null,
+        storageBackend: process.env.STORAGE_BACKEND || null,
+        storagePath: process.env.STORAGE_PATH || './data'
+    };
+}
+
+/**
+ * Combinar opciones explícitas con los valores por defecto
+ */
+function buildScrapeConfig(options = {}) {
+    const config = defaultScrapeConfig();
+
+    for (const [clave, valor] of Object.entries(options)) {
+        if (valor !== undefined && valor !== null) {
+            config[clave] = valor;
+        }
+    }
+
+    // Un tribunal explícito sin lista manda sobre TRIBUNALES; sin lista, la corrida es de un tribunal
+    if (options.tribunal && !options.tribunales) {
+        config.tribunales = [config.tribunal];
+    } else if (!config.tribunales || config.tribunales.length === 0) {
+        config.tribunales = [config.tribunal];
+    } else if (!options.tribunal) {
+        config.tribunal = config.tribunales[0];
+    }
+
+    return config;
+}
+
+/**
+ * Validar parámetros de una corrida recibidos por HTTP
+ *
+ * Devuelve `{ params, errores }`: `params` contiene solo los valores
+ * provistos, ya normalizados; `errores` lista cada problema encontrado.
+ */
+function validateScrapeParams(input = {}) {
+    const errores = [];
+    const params = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { params, errores: ['Los parámetros deben ser un objeto'] };
+    }
+
+    for (const clave of Object.keys(input)) {
+        if (!PARAMETROS_PERMITIDOS.includes(clave)) {
+            errores.push(`Parámetro desconocido: ${clave}`);
+        }
+    }
+
+    const provisto = (clave) => input[clave] !== undefined && input[clave] !== '';
+
+    if (provisto('tribunal')) {
+        if (typeof input.tribunal !== 'string' || !SEARCH_URLS[input.tribunal]) {
+            errores.push(`tribunal inválido: ${input.tribunal}. Opciones: ${Object.keys(SEARCH_URLS).join(', ')}`);
+        } else {
+            params.tribunal = input.tribunal;
+        }
+    }
+
+    if (provisto('tribunales')) {
+        if (typeof input.tribunales !== 'string' && !Array.isArray(input.tribunales)) {
+            errores.push('tribunales debe ser una lista o texto separado por comas');
+        } else {
+            const tribunales = parseTribunales(input.tribunales);
+            const invalidos = tribunales.filter(t => !SEARCH_URLS[t]);
+            if (invalidos.length > 0 || tribunales.length === 0) {
+                errores.push(`tribunales inválidos: ${invalidos.join(', ') || '(vacío)'}. Opciones: todos, ${Object.keys(SEARCH_URLS).join(', ')}`);
+            } else {
+                params.tribunales = tribunales;
+            }
+        }
+    }
+
+    for (const clave of ['startDate', 'endDate']) {
+        if (!provisto(clave)) continue;
+
+        const valor = input[clave];
+        if (typeof valor !== 'string' || !moment(valor, DATE_FORMAT, true).isValid()) {
+            errores.push(`${clave} debe tener formato ${DATE_FORMAT}: ${valor}`);
+        } else {
+            params[clave] = valor;
+        }
+    }
+
+    if (provisto('maxSentencias')) {
+        const valor = input.maxSentencias;
+        const numero = typeof valor === 'number' ? valor : (/^\d+$/.test(String(valor)) ? parseInt(valor, 10) : NaN);
+
+        if (!Number.isInteger(numero) || numero < MAX_SENTENCIAS_MIN || numero > MAX_SENTENCIAS_MAX) {
+            errores.push(`maxSentencias debe ser un entero entre ${MAX_SENTENCIAS_MIN} y ${MAX_SENTENCIAS_MAX}: ${valor}`);
+        } else {
+            params.maxSentencias = numero;
+        }
+    }
+
+    if (provisto('hostConcurrency')) {
+        const valor = input.hostConcurrency;
+        const numero = typeof valor === 'number' ? valor : (/^\d+$/.test(String(valor)) ? parseInt(valor, 10) : NaN);
+
+        if (!Number.isInteger(numero) || numero < HOST_CONCURRENCY_MIN || numero > HOST_CONCURRENCY_MAX) {
+            errores.push(`hostConcurrency debe ser un entero entre ${HOST_CONCURRENCY_MIN} y ${HOST_CONCURRENCY_MAX}: ${valor}`);
+        } else {
+            params.hostConcurrency = numero;
+        }
+    }
+
+    if (input.searchTerm !== undefined) {
+        if (typeof input.searchTerm !== 'string') {
+            errores.push('searchTerm debe ser texto');
+        } else {
+            params.searchTerm = input.searchTerm.trim();
+        }
+    }
+
+    for (const clave of ['updateMode', 'resume', 'replay']) {
+        if (!provisto(clave)) continue;
+
+        const valor = input[clave];
+        if (typeof valor === 'boolean') {
+            params[clave] = valor;
+        } else if (valor === 'true' || valor === 'false') {
+            params[clave] = valor === 'true';
+        } else {
+            errores.push(`${clave} debe ser true o false: ${valor}`);
+        }
+    }
+
+    if (provisto('backfill')) {
+        if (!GRANULARIDADES_BACKFILL.includes(input.backfill)) {
+            errores.push(`backfill inválido: ${input.backfill}. Opciones: ${GRANULARIDADES_BACKFILL.join(', ')}`);
+        } else {
+            params.backfill = input.backfill;
+        }
+    }
+
+    if (provisto('fetchMode')) {
+        if (!MODOS_DESCARGA.includes(input.fetchMode)) {
+            errores.push(`fetchMode inválido: ${input.fetchMode}. Opciones: ${MODOS_DESCARGA.join(', ')}`);
+        } else {
+            params.fetchMode = input.fetchMode;
+        }
+    }
+
+    if (provisto('qualityAction')) {
+        if (!ACCIONES_CALIDAD.includes(input.qualityAction)) {
+            errores.push(`qualityAction inválida: ${input.qualityAction}. Opciones: ${ACCIONES_CALIDAD.join(', ')}`);
+        } else {
+            params.qualityAction = input.qualityAction;
+        }
+    }
+
+    if (provisto('claseError')) {
+        const clases = Object.values(CLASES_ERROR);
+        if (!clases.includes(input.claseError)) {
+            errores.push(`claseError inválida: ${input.claseError}. Opciones: ${clases.join(', ')}`);
+        } else {
+            params.claseError = input.claseError;
+        }
+    }
+
+    // Revisar el rango efectivo, incluyendo los valores por defecto
+    const efectivos = buildScrapeConfig(params);
+    const desde = moment(efectivos.startDate, DATE_FORMAT, true);
+    const hasta = moment(efectivos.endDate, DATE_FORMAT, true);
+    if (desde.isValid() && hasta.isValid() && desde.isAfter(hasta)) {
+        errores.push(`Rango de fechas invertido: ${efectivos.startDate} es posterior a ${efectivos.endDate}`);
+    }
+
+    return { params, errores };
+}
+
+module.exports = {
+    DATE_FORMAT,
+    SEARCH_URLS,
+    GRANULARIDADES_BACKFILL,
+    MODOS_DESCARGA,
+    ACCIONES_CALIDAD,
+    PARAMETROS_PERMITIDOS,
+    parseTribunales,
+    leerHorarioSilencio,
+    defaultScrapeConfig,
+    buildScrapeConfig,
+    validateScrapeParams
+};
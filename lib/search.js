@@ -0,0 +1,377 @@
+/**
+ * ========================================
+ * BÚSQUEDA HÍBRIDA DE SENTENCIAS
+ * ========================================
+ * Combina la recuperación semántica (chunks más cercanos al embedding de
+ * la consulta) con la de texto completo mediante Reciprocal Rank Fusion,
+ * y arma fragmentos de los considerandos con los términos resaltados
+ */
+
+const moment = require('moment');
+const _ = require('lodash');
+const { log } = require('./logger');
+const { DATE_FORMAT, SEARCH_URLS } = require('./scrapeConfig');
+const { TIPOS_RECURSO, normalizarTipoRecurso } = require('./metadataExtractor');
+
+// Constante k de Reciprocal Rank Fusion: amortigua la diferencia entre los primeros puestos
+const RRF_K = 60;
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+const MAX_LARGO_CONSULTA = 500;
+
+// Candidatos que aporta cada recuperador por resultado pedido
+const CANDIDATOS_POR_RESULTADO = 3;
+
+const FRAGMENTOS_POR_RESULTADO = 3;
+// Caracteres de contexto a cada lado de la primera coincidencia
+const CONTEXTO_FRAGMENTO = 120;
+
+// Palabras frecuentes que no cuentan como término de la consulta
+const PALABRAS_VACIAS = new Set([
+    'que', 'los', 'las', 'del', 'por', 'con', 'una', 'uno', 'para', 'como', 'sus', 'este', 'esta',
+    'ese', 'esa', 'sin', 'sobre', 'entre', 'cuando', 'donde', 'pero', 'mas', 'sea', 'son', 'fue',
+    'han', 'hay', 'ser', 'les', 'todo', 'ante', 'desde', 'hasta', 'segun', 'contra'
+]);
+
+// Parámetros que acepta GET /search
+const PARAMETROS_BUSQUEDA = ['q', 'tribunal', 'startDate', 'endDate', 'materia', 'tipo_recurso', 'limite'];
+
+// Columnas de jurisprudencia_cs que se leen para cada resultado
+const COLUMNAS_RESULTADO = [
+    'identidad', 'rol', 'caratula', 'fecha_sentencia', 'tribunal', 'sala', 'materia', 'tipo_recurso',
+    'resultado_recurso', 'url_detalle', 'considerandos_detalle', 'texto_completo'
+];
+
+/**
+ * Minúsculas sin tildes, carácter por carácter: conserva los offsets del texto original
+ */
+function normalizar(texto) {
+    return String(texto || '').split('').map((caracter) => {
+        const base = caracter.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return base.length === 1 ? base : caracter;
+    }).join('');
+}
+
+/**
+ * Términos de la consulta, normalizados y sin palabras vacías
+ */
+function terminosConsulta(consulta) {
+    const palabras = normalizar(consulta).match(/[\p{L}\p{N}]+/gu) || [];
+    return _.uniq(palabras.filter(palabra => (palabra.length >= 3 || /^\d+$/.test(palabra)) && !PALABRAS_VACIAS.has(palabra)));
+}
+
+/**
+ * Expresión que encuentra palabras que empiezan con alguno de los términos (sobre texto normalizado)
+ */
+function patronTerminos(terminos) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terminos.map(_.escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'gu');
+}
+
+const escaparHtml = (texto) => texto.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Fragmento alrededor de la primera coincidencia, con las coincidencias entre <mark>
+ *
+ * El texto va escapado, así que el fragmento se puede insertar como HTML.
+ *
+ * @returns {{ texto: string, coincidencias: number, terminos: number } | null} null si no hay coincidencias
+ */
+function armarFragmento(texto, terminos, contexto = CONTEXTO_FRAGMENTO) {
+    if (!texto || terminos.length === 0) return null;
+
+    const coincidencias = [...normalizar(texto).matchAll(patronTerminos(terminos))];
+    if (coincidencias.length === 0) return null;
+
+    const primera = coincidencias[0];
+    const finPrimera = primera.index + primera[0].length;
+    let inicio = Math.max(0, primera.index - contexto);
+    let fin = Math.min(texto.length, finPrimera + contexto);
+
+    // Cortar en espacios para no partir palabras
+    if (inicio > 0) {
+        const espacio = texto.indexOf(' ', inicio);
+        if (espacio >= 0 && espacio < primera.index) inicio = espacio + 1;
+    }
+    if (fin < texto.length) {
+        const espacio = texto.lastIndexOf(' ', fin);
+        if (espacio >= finPrimera) fin = espacio;
+    }
+
+    let html = '';
+    let cursor = inicio;
+    for (const coincidencia of coincidencias) {
+        const desde = coincidencia.index;
+        const hasta = desde + coincidencia[0].length;
+        if (desde < inicio || hasta > fin) continue;
+
+        html += `${escaparHtml(texto.slice(cursor, desde))}<mark>${escaparHtml(texto.slice(desde, hasta))}</mark>`;
+        cursor = hasta;
+    }
+    html += escaparHtml(texto.slice(cursor, fin));
+
+    const distintos = new Set(coincidencias.map(c => terminos.find(termino => c[0].startsWith(termino))));
+    return {
+        texto: `${inicio > 0 ? '…' : ''}${html.trim()}${fin < texto.length ? '…' : ''}`,
+        coincidencias: coincidencias.length,
+        terminos: distintos.size
+    };
+}
+
+/**
+ * Comienzo de un texto, escapado, para resultados sin términos en común con la consulta
+ */
+function inicioTexto(texto, largo = CONTEXTO_FRAGMENTO * 2) {
+    if (texto.length <= largo) return escaparHtml(texto);
+
+    const espacio = texto.lastIndexOf(' ', largo);
+    return `${escaparHtml(texto.slice(0, espacio > 0 ? espacio : largo))}…`;
+}
+
+/**
+ * Fragmentos resaltados de los considerandos de una sentencia
+ *
+ * Primero los considerandos con más términos de la consulta. Si ninguno los
+ * tiene (resultado solo semántico) se usa el considerando donde cae el chunk
+ * más cercano, y si no hay considerandos, el texto completo.
+ *
+ * @param {Object} fila - Con considerandos_detalle y texto_completo
+ * @param {string[]} terminos - De terminosConsulta
+ * @param {Object} [chunk] - `{ inicio, fin }` del chunk más cercano a la consulta
+ * @returns {Object[]} `[{ numero, etiqueta, texto }]` (numero null si el fragmento no es de un considerando)
+ */
+function fragmentosConsiderandos(fila, terminos, chunk = null) {
+    const considerandos = Array.isArray(fila.considerandos_detalle) ? fila.considerandos_detalle : [];
+
+    const conTerminos = considerandos
+        .map(considerando => ({ considerando, fragmento: armarFragmento(considerando.texto, terminos) }))
+        .filter(({ fragmento }) => fragmento);
+    if (conTerminos.length > 0) {
+        return _.orderBy(conTerminos, [c => c.fragmento.terminos, c => c.fragmento.coincidencias], ['desc', 'desc'])
+            .slice(0, FRAGMENTOS_POR_RESULTADO)
+            .map(({ considerando, fragmento }) => ({ numero: considerando.numero, etiqueta: considerando.etiqueta, texto: fragmento.texto }));
+    }
+
+    if (chunk) {
+        const cercano = considerandos.find(c => c.inicio < chunk.fin && c.fin > chunk.inicio);
+        if (cercano) {
+            return [{ numero: cercano.numero, etiqueta: cercano.etiqueta, texto: inicioTexto(cercano.texto) }];
+        }
+    }
+
+    const enTexto = armarFragmento(fila.texto_completo, terminos);
+    if (enTexto) {
+        return [{ numero: null, etiqueta: null, texto: enTexto.texto }];
+    }
+    if (chunk && fila.texto_completo) {
+        return [{ numero: null, etiqueta: null, texto: inicioTexto(fila.texto_completo.slice(chunk.inicio, chunk.fin)) }];
+    }
+    return [];
+}
+
+/**
+ * Combinar rankings con Reciprocal Rank Fusion
+ *
+ * @param {Object} rankings - `{ nombre: [identidad, ...] }`, cada lista del mejor al peor
+ * @returns {Object[]} `[{ identidad, score, posiciones: { nombre: posición desde 1 | null } }]`, de mayor a menor score
+ */
+function fusionarRankings(rankings, k = RRF_K) {
+    const porIdentidad = new Map();
+    const nombres = Object.keys(rankings);
+
+    for (const [nombre, identidades] of Object.entries(rankings)) {
+        identidades.forEach((identidad, i) => {
+            if (!porIdentidad.has(identidad)) {
+                porIdentidad.set(identidad, { identidad, score: 0, posiciones: _.fromPairs(nombres.map(n => [n, null])) });
+            }
+            const entrada = porIdentidad.get(identidad);
+            if (entrada.posiciones[nombre] !== null) return;
+
+            entrada.posiciones[nombre] = i + 1;
+            entrada.score += 1 / (k + i + 1);
+        });
+    }
+
+    return _.orderBy([...porIdentidad.values()], 'score', 'desc');
+}
+
+/**
+ * ¿Cumple una fila de jurisprudencia_cs los filtros? (para backends sin SQL)
+ */
+function cumpleFiltros(fila, filtros = {}) {
+    const { tribunal, desde, hasta, materia, tipo_recurso } = filtros;
+    if (tribunal && !normalizar(fila.tribunal).startsWith(normalizar(tribunal))) return false;
+    if (desde && !(fila.fecha_sentencia >= desde)) return false;
+    if (hasta && !(fila.fecha_sentencia <= hasta)) return false;
+    if (materia && normalizar(fila.materia) !== normalizar(materia)) return false;
+    if (tipo_recurso && fila.tipo_recurso !== tipo_recurso) return false;
+    return true;
+}
+
+/**
+ * Validar los filtros comunes a la búsqueda y la exportación
+ *
+ * Agrega los problemas a `errores` y devuelve los filtros con los valores de la
+ * tabla (tribunal con espacios, fechas YYYY-MM-DD).
+ */
+function validarFiltros(input, errores) {
+    const filtros = {};
+    const provisto = (clave) => input[clave] !== undefined && input[clave] !== '';
+
+    if (provisto('tribunal')) {
+        if (!SEARCH_URLS[input.tribunal]) {
+            errores.push(`tribunal inválido: ${input.tribunal}. Opciones: ${Object.keys(SEARCH_URLS).join(', ')}`);
+        } else {
+            filtros.tribunal = input.tribunal.replace(/_/g, ' ');
+        }
+    }
+
+    for (const [clave, filtro] of [['startDate', 'desde'], ['endDate', 'hasta']]) {
+        if (!provisto(clave)) continue;
+
+        const fecha = moment(input[clave], DATE_FORMAT, true);
+        if (typeof input[clave] !== 'string' || !fecha.isValid()) {
+            errores.push(`${clave} debe tener formato ${DATE_FORMAT}: ${input[clave]}`);
+        } else {
+            filtros[filtro] = fecha.format('YYYY-MM-DD');
+        }
+    }
+    if (filtros.desde && filtros.hasta && filtros.desde > filtros.hasta) {
+        errores.push('startDate no puede ser posterior a endDate');
+    }
+
+    if (provisto('materia')) {
+        filtros.materia = String(input.materia).trim();
+    }
+
+    if (provisto('tipo_recurso')) {
+        const valores = TIPOS_RECURSO.map(tipo => tipo.valor);
+        const tipo = valores.includes(input.tipo_recurso) ? input.tipo_recurso : normalizarTipoRecurso(String(input.tipo_recurso));
+        if (!tipo) {
+            errores.push(`tipo_recurso inválido: ${input.tipo_recurso}. Opciones: ${valores.join(', ')}`);
+        } else {
+            filtros.tipo_recurso = tipo;
+        }
+    }
+
+    return filtros;
+}
+
+/**
+ * Validar los parámetros de GET /search
+ *
+ * Devuelve `{ params, errores }` con `params = { consulta, filtros, limite }`;
+ * los filtros son los de validarFiltros().
+ */
+function validarBusqueda(input = {}) {
+    const errores = [];
+    let limite = LIMITE_POR_DEFECTO;
+
+    for (const clave of Object.keys(input)) {
+        if (!PARAMETROS_BUSQUEDA.includes(clave)) {
+            errores.push(`Parámetro desconocido: ${clave}`);
+        }
+    }
+
+    const provisto = (clave) => input[clave] !== undefined && input[clave] !== '';
+    const consulta = typeof input.q === 'string' ? input.q.trim() : '';
+
+    if (!consulta) {
+        errores.push('Falta q con el texto a buscar');
+    } else if (consulta.length > MAX_LARGO_CONSULTA) {
+        errores.push(`q admite hasta ${MAX_LARGO_CONSULTA} caracteres`);
+    }
+
+    const filtros = validarFiltros(input, errores);
+
+    if (provisto('limite')) {
+        limite = Number(input.limite);
+        if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+            errores.push(`limite debe ser un entero entre 1 y ${LIMITE_MAXIMO}`);
+        }
+    }
+
+    return { params: { consulta, filtros, limite }, errores };
+}
+
+/**
+ * Buscar sentencias combinando recuperación semántica y de texto completo
+ *
+ * Sin proveedor de embeddings (o si falla) se busca solo por texto y se avisa en `advertencias`.
+ *
+ * @param {Object} opciones
+ * @param {StorageBackend} opciones.storage
+ * @param {EmbeddingProvider} [opciones.provider] - Para el embedding de la consulta
+ * @param {string} opciones.consulta
+ * @param {Object} [opciones.filtros] - `{ tribunal, desde, hasta, materia, tipo_recurso }`
+ * @param {number} [opciones.limite]
+ */
+async function buscarSentencias({ storage, provider = null, consulta, filtros = {}, limite = LIMITE_POR_DEFECTO }) {
+    const candidatos = limite * CANDIDATOS_POR_RESULTADO;
+    const modos = [];
+    const advertencias = [];
+
+    let vectoriales = [];
+    if (provider) {
+        try {
+            const [embedding] = await provider.embed([consulta]);
+            vectoriales = await storage.searchChunks(embedding, { limite: candidatos, filtros });
+            modos.push('vector');
+        } catch (error) {
+            log.warning(`Búsqueda sin parte semántica: ${error.message}`);
+            advertencias.push('La búsqueda semántica no está disponible; resultados solo por texto');
+        }
+    } else {
+        advertencias.push('Embeddings deshabilitados; resultados solo por texto');
+    }
+
+    const textuales = await storage.searchText(consulta, { limite: candidatos, filtros });
+    modos.push('texto');
+
+    const fusion = fusionarRankings({
+        vector: vectoriales.map(fila => fila.identidad),
+        texto: textuales.map(fila => fila.identidad)
+    }).slice(0, limite);
+
+    const filas = fusion.length > 0 ? await storage.findByIdentidades(fusion.map(r => r.identidad), COLUMNAS_RESULTADO) : [];
+    const porIdentidad = new Map(filas.map(fila => [fila.identidad, fila]));
+    const vectorPorIdentidad = new Map(vectoriales.map(fila => [fila.identidad, fila]));
+    const textoPorIdentidad = new Map(textuales.map(fila => [fila.identidad, fila]));
+    const terminos = terminosConsulta(consulta);
+
+    const resultados = fusion.filter(({ identidad }) => porIdentidad.has(identidad)).map(({ identidad, score, posiciones }) => {
+        const { considerandos_detalle, texto_completo, ...fila } = porIdentidad.get(identidad);
+        const vector = vectorPorIdentidad.get(identidad);
+        const texto = textoPorIdentidad.get(identidad);
+
+        return {
+            ...fila,
+            score,
+            posiciones,
+            similaridad: vector ? vector.similaridad : null,
+            rango_texto: texto ? texto.rango : null,
+            fragmentos: fragmentosConsiderandos(
+                { considerandos_detalle, texto_completo },
+                terminos,
+                vector ? { inicio: vector.chunk_inicio, fin: vector.chunk_fin } : null
+            )
+        };
+    });
+
+    return { consulta, filtros, modos, advertencias, total: resultados.length, resultados };
+}
+
+module.exports = {
+    RRF_K,
+    PARAMETROS_BUSQUEDA,
+    COLUMNAS_RESULTADO,
+    normalizar,
+    terminosConsulta,
+    armarFragmento,
+    fragmentosConsiderandos,
+    fusionarRankings,
+    cumpleFiltros,
+    validarFiltros,
+    validarBusqueda,
+    buscarSentencias
+};
@@ -0,0 +1,263 @@
+/**
+ * ========================================
+ * PARSER DE PARTES DE LA SENTENCIA
+ * ========================================
+ * Descompone el texto de una sentencia chilena en parte expositiva
+ * (VISTOS), considerandos numerados, parte resolutiva y votos de minoría,
+ * y obtiene sala, ministro redactor e integración del tribunal
+ */
+
+const UNIDADES = {
+    PRIMERO: 1, SEGUNDO: 2, TERCERO: 3, CUARTO: 4, QUINTO: 5,
+    SEXTO: 6, SEPTIMO: 7, OCTAVO: 8, NOVENO: 9
+};
+
+const DECENAS = {
+    DECIMO: 10, VIGESIMO: 20, TRIGESIMO: 30, CUADRAGESIMO: 40, QUINCUAGESIMO: 50,
+    SEXAGESIMO: 60, SEPTUAGESIMO: 70, OCTOGESIMO: 80, NONAGESIMO: 90
+};
+
+const ESPECIALES = { UNDECIMO: 11, DUODECIMO: 12 };
+
+const SALAS = ['Primera', 'Segunda', 'Tercera', 'Cuarta', 'Quinta', 'Sexta', 'Séptima', 'Octava', 'Novena', 'Décima'];
+
+const UNIDAD_RE = 'PRIMERO|SEGUNDO|TERCERO|CUARTO|QUINTO|SEXTO|S[EÉ]PTIMO|OCTAVO|NOVENO';
+const DECENA_RE = 'D[EÉ]CIMO|VIG[EÉ]SIMO|TRIG[EÉ]SIMO|CUADRAG[EÉ]SIMO|QUINCUAG[EÉ]SIMO|SEXAG[EÉ]SIMO|SEPTUAG[EÉ]SIMO|OCTOG[EÉ]SIMO|NONAG[EÉ]SIMO';
+const ORDINAL_RE = `UND[EÉ]CIMO|DUOD[EÉ]CIMO|(?:${DECENA_RE})(?:\\s*(?:${UNIDAD_RE}))?|${UNIDAD_RE}`;
+
+// "PRIMERO:", "DÉCIMO QUINTO.-", "1°.-", "2º)", "3.-" al inicio de línea o tras fin de oración
+const CONSIDERANDO_RE = new RegExp(
+    `(?<=^|\\n|[.;:]\\s+)(?:(${ORDINAL_RE})\\s*[:.\\-–]+|(\\d{1,3})\\s*(?:[°º][.\\-–:)]*|\\.-|\\)))\\s*`,
+    'g'
+);
+
+const VISTOS_RE = /\b(?:VISTOS?|Vistos?)\b(?=\s*(?:[:,;\n]|[yY]\b))/;
+const ENCABEZADO_CONSIDERANDOS_RE = /(?:Y\s+)?(?:CONSIDERANDO|TENIENDO PRESENTE|Y se tiene(?:,? en su lugar,? y además)?,? presente)\s*:?\s*$/i;
+const RESOLUTIVA_RE = /Por estas consideraciones|\bSE (?:RESUELVE|DECLARA|REVOCA|CONFIRMA|ACOGE|RECHAZA|ANULA|INVALIDA)\b/;
+const VOTO_RE = /Acordad[ao]s? (?:con|contra) (?:el|los) votos?|Se previene que|Prevenci[oó]n de(?:l)? |Voto concurrente/g;
+const CIERRE_RE = /Reg[ií]strese|Comun[ií]quese|Notif[ií]quese|Redacci[oó]n|Redact[oó]|Pronunciad[oa]/g;
+
+const TRATAMIENTO = '\\b(?:señora|señor|Sra\\.|Sr\\.|doña|don)';
+const PALABRA_NOMBRE = "(?!Rol\\b|Reg[ií]strese|Pronunciad|Redacci|Acordad|Santiago\\b|Se\\b)[A-ZÁÉÍÓÚÑ][A-Za-zÁÉÍÓÚÑáéíóúñü'’-]*\\.?";
+const NOMBRE = `(${PALABRA_NOMBRE}(?: (?:(?:de|del|la|las|los) )*${PALABRA_NOMBRE})*)`;
+
+const REDACTOR_RE = new RegExp(
+    `(?:Redacci[oó]n|Redact[oó])(?: a cargo)?(?: de(?:l)?)?(?: la| el)? ?(?:Ministr[oa]|Abogad[oa] Integrante|Fiscal Judicial)?(?: (?:Suplente|Interin[oa]))? ?(?:${TRATAMIENTO} )?${NOMBRE}`
+);
+const TRATAMIENTO_NOMBRE_RE = new RegExp(`${TRATAMIENTO} ${NOMBRE}`, 'g');
+const ABOGADO_INTEGRANTE_RE = /Abogad[oa]s? Integrantes?/i;
+const SALA_RE = /\b(Primera|Segunda|Tercera|Cuarta|Quinta|Sexta|S[eé]ptima|Octava|Novena|D[eé]cima|\d{1,2})\s*(?:[ªa°]\s*)?Sala\b/i;
+
+/**
+ * Quitar tildes y pasar a mayúsculas
+ */
+function sinTildes(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+}
+
+/**
+ * Convertir un ordinal escrito ("DÉCIMO QUINTO") a número
+ */
+function ordinalANumero(ordinal) {
+    const palabra = sinTildes(ordinal).replace(/\s+/g, '');
+    if (ESPECIALES[palabra]) return ESPECIALES[palabra];
+
+    for (const [decena, valor] of Object.entries(DECENAS)) {
+        if (palabra.startsWith(decena)) {
+            const resto = palabra.slice(decena.length);
+            return resto ? valor + (UNIDADES[resto] || 0) : valor;
+        }
+    }
+
+    return UNIDADES[palabra] || null;
+}
+
+/**
+ * Normalizar espacios: una línea por párrafo, sin sangrías ni líneas vacías
+ */
+function normalizarTexto(texto) {
+    return (texto || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .split('\n')
+        .map(linea => linea.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Primera posición de un patrón a partir de `desde`, o -1
+ */
+function buscarDesde(texto, patron, desde) {
+    const re = new RegExp(patron.source, patron.flags.replace('g', '') + 'g');
+    re.lastIndex = desde;
+    const match = re.exec(texto);
+    return match ? match.index : -1;
+}
+
+/**
+ * Nombres precedidos de tratamiento (señor, señora...) en un fragmento
+ */
+function extraerNombres(texto) {
+    return [...texto.matchAll(TRATAMIENTO_NOMBRE_RE)].map(match => match[1].replace(/,$/, ''));
+}
+
+/**
+ * Estilo de numeración de una marca: palabra, grado (1°), guion (1.-) o paréntesis (1))
+ */
+function estiloMarca(match) {
+    if (match[1]) return 'palabra';
+    if (/[°º]/.test(match[0])) return 'grado';
+    return match[0].includes(')') ? 'parentesis' : 'guion';
+}
+
+/**
+ * Localizar los considerandos numerados en orden consecutivo
+ */
+function extraerConsiderandos(texto, desde, hasta) {
+    const marcas = [];
+    CONSIDERANDO_RE.lastIndex = desde;
+
+    let match;
+    while ((match = CONSIDERANDO_RE.exec(texto)) !== null && match.index < hasta) {
+        const numero = match[1] ? ordinalANumero(match[1]) : parseInt(match[2], 10);
+        const estilo = estiloMarca(match);
+        const anterior = marcas[marcas.length - 1];
+
+        // Listas internas de un considerando usan otro estilo o rompen la secuencia
+        if (!anterior || (numero === anterior.numero + 1 && estilo === anterior.estilo)) {
+            marcas.push({
+                numero,
+                estilo,
+                etiqueta: match[0].trim(),
+                inicio: match.index,
+                inicioTexto: match.index + match[0].length
+            });
+        }
+    }
+
+    return marcas;
+}
+
+/**
+ * Descomponer una sentencia en sus partes
+ *
+ * @param {string} textoOriginal - Texto completo de la sentencia
+ * @returns {Object} partes, con offsets relativos al texto normalizado
+ */
+function parseSentencia(textoOriginal) {
+    const texto = normalizarTexto(textoOriginal);
+    const resultado = {
+        texto,
+        parte_expositiva: '',
+        considerandos: [],
+        parte_resolutiva: '',
+        votos: [],
+        sala: null,
+        ministro_redactor: null,
+        ministros: [],
+        abogados_integrantes: []
+    };
+
+    if (!texto) return resultado;
+
+    const vistos = texto.search(VISTOS_RE);
+    const inicio = vistos >= 0 ? vistos : 0;
+
+    // Considerandos: marcas consecutivas antes de la parte resolutiva
+    let resolutiva = buscarDesde(texto, RESOLUTIVA_RE, inicio);
+    let marcas = extraerConsiderandos(texto, inicio, resolutiva >= 0 ? resolutiva : texto.length);
+
+    // "SE DECLARA" puede aparecer dentro de un considerando; se busca tras el último
+    if (marcas.length > 0) {
+        const ultimo = marcas[marcas.length - 1].inicio;
+        const candidata = buscarDesde(texto, RESOLUTIVA_RE, ultimo + 1);
+        if (candidata > resolutiva) {
+            resolutiva = candidata;
+            marcas = extraerConsiderandos(texto, inicio, resolutiva);
+        }
+    }
+
+    const cierre = buscarDesde(texto, CIERRE_RE, Math.max(resolutiva, marcas.length ? marcas[marcas.length - 1].inicio : inicio));
+    const primerVoto = buscarDesde(texto, VOTO_RE, Math.max(resolutiva, inicio));
+    const finCuerpo = [primerVoto, cierre].filter(pos => pos >= 0).reduce((a, b) => Math.min(a, b), texto.length);
+
+    // Parte expositiva: desde VISTOS hasta el primer considerando, sin el encabezado
+    const finExpositiva = marcas.length > 0 ? marcas[0].inicio : (resolutiva >= 0 ? resolutiva : finCuerpo);
+    if (vistos >= 0) {
+        resultado.parte_expositiva = texto.slice(vistos, finExpositiva)
+            .trim()
+            .replace(ENCABEZADO_CONSIDERANDOS_RE, '')
+            .trim();
+    }
+
+    const finConsiderandos = resolutiva >= 0 ? resolutiva : finCuerpo;
+    resultado.considerandos = marcas.map((marca, i) => {
+        const fin = i + 1 < marcas.length ? marcas[i + 1].inicio : finConsiderandos;
+        const contenido = texto.slice(marca.inicioTexto, fin);
+        return {
+            numero: marca.numero,
+            etiqueta: marca.etiqueta,
+            texto: contenido.trim(),
+            inicio: marca.inicio,
+            fin: marca.inicio + texto.slice(marca.inicio, fin).trimEnd().length
+        };
+    });
+
+    if (resolutiva >= 0) {
+        resultado.parte_resolutiva = texto.slice(resolutiva, finCuerpo).trim();
+    }
+
+    // Votos de minoría, prevenciones y votos concurrentes
+    if (primerVoto >= 0) {
+        const inicios = [...texto.slice(primerVoto).matchAll(VOTO_RE)].map(match => primerVoto + match.index);
+        resultado.votos = inicios.map((inicioVoto, i) => {
+            const siguienteVoto = i + 1 < inicios.length ? inicios[i + 1] : texto.length;
+            const cierreVoto = buscarDesde(texto, CIERRE_RE, inicioVoto + 1);
+            const fin = cierreVoto >= 0 ? Math.min(siguienteVoto, cierreVoto) : siguienteVoto;
+            const contenido = texto.slice(inicioVoto, fin).trim();
+
+            let tipo = 'disidencia';
+            if (/previene|prevenci/i.test(contenido.slice(0, 40))) tipo = 'prevencion';
+            else if (/concurrente/i.test(contenido.slice(0, 40))) tipo = 'concurrente';
+
+            return { tipo, texto: contenido, ministros: extraerNombres(contenido) };
+        });
+    }
+
+    // Sala
+    const sala = texto.match(SALA_RE);
+    if (sala) {
+        const numero = parseInt(sala[1], 10);
+        const nombre = Number.isNaN(numero)
+            ? SALAS.find(s => sinTildes(s) === sinTildes(sala[1]))
+            : SALAS[numero - 1];
+        resultado.sala = nombre ? `${nombre} Sala` : null;
+    }
+
+    // Ministro redactor
+    const redactor = texto.match(REDACTOR_RE);
+    if (redactor) {
+        resultado.ministro_redactor = redactor[1].replace(/,$/, '');
+    }
+
+    // Integración: "integrada por los Ministros ... y el Abogado Integrante ..."
+    const integracion = texto.match(/integrad[ao] por[^\n]*/i) || texto.match(/Pronunciad[oa] por[^\n]*/i);
+    if (integracion) {
+        const segmento = integracion[0];
+        const corte = segmento.search(ABOGADO_INTEGRANTE_RE);
+        const ministros = corte >= 0 ? segmento.slice(0, corte) : segmento;
+        const abogados = corte >= 0 ? segmento.slice(corte) : '';
+
+        resultado.ministros = extraerNombres(ministros);
+        resultado.abogados_integrantes = extraerNombres(abogados);
+    }
+
+    return resultado;
+}
+
+module.exports = {
+    normalizarTexto,
+    ordinalANumero,
+    parseSentencia
+};
@@ -0,0 +1,49 @@
+/**
+ * ========================================
+ * SELECCIÓN DE BACKEND DE ALMACENAMIENTO
+ * ========================================
+ * STORAGE_BACKEND=supabase | postgres | ndjson
+ */
+
+const { SupabaseStorage } = require('./supabaseStorage');
+const { PostgresStorage } = require('./postgresStorage');
+const { NdjsonStorage } = require('./ndjsonStorage');
+
+const BACKENDS = {
+    supabase: () => new SupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_ANON_KEY
+    }),
+    postgres: () => new PostgresStorage({
+        connectionString: process.env.DATABASE_URL
+    }),
+    ndjson: (config) => new NdjsonStorage({
+        dir: config.storagePath
+    })
+};
+
+/**
+ * Backend por defecto: Supabase si está configurado, si no archivos locales
+ */
+function defaultBackend() {
+    if (process.env.STORAGE_BACKEND) {
+        return process.env.STORAGE_BACKEND;
+    }
+    return process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY ? 'supabase' : 'ndjson';
+}
+
+/**
+ * Crear el backend configurado
+ */
+function createStorage(config = {}) {
+    const nombre = config.storageBackend || defaultBackend();
+    const factory = BACKENDS[nombre];
+
+    if (!factory) {
+        throw new Error(`Backend de almacenamiento desconocido: ${nombre}. Opciones: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory(config);
+}
+
+module.exports = { BACKENDS, createStorage, defaultBackend };
@@ -0,0 +1,471 @@
+/**
+ * Backend local en archivos NDJSON (una fila JSON por línea)
+ *
+ * Pensado para desarrollo sin base de datos: las sentencias quedan en
+ * `<dir>/jurisprudencia_cs.ndjson`, las revisiones en
+ * `<dir>/jurisprudencia_cs_revisiones.ndjson` y las corridas en `<dir>/scrape_runs.ndjson`.
+ * Cada checkpoint es un JSON en `<dir>/checkpoints/<clave>.json` que se reescribe al guardar.
+ * Las ventanas del backfill van en `<dir>/backfill_ventanas.ndjson` (gana la última por ventana)
+ * y las sentencias fallidas en `<dir>/sentencias_fallidas.ndjson` (gana la última por tribunal y ROL).
+ * Los chunks de cada sentencia van juntos en una línea de `<dir>/sentencia_chunks.ndjson`
+ * (gana la última por identidad) y el caché de embeddings en `<dir>/embeddings_cache.ndjson`.
+ * Las citas de cada sentencia van igual, en una línea de `<dir>/sentencia_citas.ndjson`
+ * (gana la última por identidad).
+ * Los upserts agregan una línea nueva; al leer gana la última por identidad.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const _ = require('lodash');
+const { StorageBackend } = require('./storageBackend');
+const { resumirResultados } = require('../checkpoint');
+const { Semaphore } = require('../pagePool');
+const { normalizar, terminosConsulta, cumpleFiltros } = require('../search');
+
+/**
+ * Recorrer un archivo NDJSON línea a línea sin cargarlo entero
+ */
+async function* iterateNdjson(archivo) {
+    if (!fs.existsSync(archivo)) return;
+
+    const lector = readline.createInterface({ input: fs.createReadStream(archivo), crlfDelay: Infinity });
+    for await (const linea of lector) {
+        if (linea.trim()) {
+            yield JSON.parse(linea);
+        }
+    }
+}
+
+/**
+ * Leer un archivo NDJSON completo
+ */
+async function readNdjson(archivo) {
+    const filas = [];
+    for await (const fila of iterateNdjson(archivo)) {
+        filas.push(fila);
+    }
+    return filas;
+}
+
+/**
+ * Clave de una sentencia en el archivo: su identidad, o el ROL en filas
+ * guardadas antes de que existiera
+ */
+function claveSentencia(fila) {
+    return fila.identidad || fila.rol;
+}
+
+class NdjsonStorage extends StorageBackend {
+    constructor({ dir = './data' } = {}) {
+        super('ndjson');
+        // En local se guardan también filas incompletas para poder inspeccionarlas
+        this.strict = false;
+        this.dir = dir;
+        this.archivoSentencias = path.join(dir, 'jurisprudencia_cs.ndjson');
+        this.archivoRevisiones = path.join(dir, 'jurisprudencia_cs_revisiones.ndjson');
+        this.archivoRuns = path.join(dir, 'scrape_runs.ndjson');
+        this.dirCheckpoints = path.join(dir, 'checkpoints');
+        this.archivoVentanas = path.join(dir, 'backfill_ventanas.ndjson');
+        this.archivoFallidas = path.join(dir, 'sentencias_fallidas.ndjson');
+        this.archivoMarcas = path.join(dir, 'scrape_watermarks.ndjson');
+        this.archivoChunks = path.join(dir, 'sentencia_chunks.ndjson');
+        this.archivoCacheEmbeddings = path.join(dir, 'embeddings_cache.ndjson');
+        this.archivoCitas = path.join(dir, 'sentencia_citas.ndjson');
+        this.claves = new Set();
+        // Con varias sentencias en paralelo, la comprobación de duplicados y
+        // la escritura de cada fila tienen que ir juntas
+        this.escrituraSentencias = new Semaphore(1);
+        // `${modelo}|${hash}` -> vector, cargado al pedirlo por primera vez
+        this.cacheEmbeddings = null;
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (const fila of await readNdjson(this.archivoSentencias)) {
+            this.claves.add(claveSentencia(fila));
+        }
+    }
+
+    async ping() {
+        await fs.promises.access(this.dir, fs.constants.R_OK | fs.constants.W_OK);
+    }
+
+    async exists(identidad) {
+        return this.claves.has(identidad);
+    }
+
+    async findByIdentidad(identidad) {
+        if (!this.claves.has(identidad)) return null;
+
+        let ultima = null;
+        for (const fila of await readNdjson(this.archivoSentencias)) {
+            if (claveSentencia(fila) === identidad) ultima = fila;
+        }
+        return ultima;
+    }
+
+    async append(archivo, registro) {
+        await fs.promises.appendFile(archivo, JSON.stringify(registro) + '\n', 'utf8');
+    }
+
+    async insert(row) {
+        await this.escrituraSentencias.use(async () => {
+            if (this.claves.has(claveSentencia(row))) {
+                throw new Error(`Sentencia duplicada: ${claveSentencia(row)}`);
+            }
+            await this.guardarSentencia(row);
+        });
+    }
+
+    async upsert(row) {
+        await this.escrituraSentencias.use(() => this.guardarSentencia(row));
+    }
+
+    async guardarSentencia(row) {
+        await this.append(this.archivoSentencias, row);
+        this.claves.add(claveSentencia(row));
+    }
+
+    /**
+     * Leer todas las sentencias guardadas, quedándose con la última versión de cada una
+     */
+    async readAll() {
+        const porClave = new Map();
+        for (const fila of await readNdjson(this.archivoSentencias)) {
+            porClave.set(claveSentencia(fila), fila);
+        }
+        return [...porClave.values()];
+    }
+
+    async insertRevision(revision) {
+        await this.append(this.archivoRevisiones, {
+            ...revision,
+            detectada_en: new Date().toISOString()
+        });
+    }
+
+    async listRevisions(rol) {
+        const revisiones = (await readNdjson(this.archivoRevisiones)).filter(revision => revision.rol === rol);
+        return revisiones.reverse();
+    }
+
+    async startRun({ id, tribunal, parametros }) {
+        await this.append(this.archivoRuns, {
+            id,
+            tribunal,
+            parametros,
+            estado: 'en_ejecucion',
+            iniciado_en: new Date().toISOString()
+        });
+    }
+
+    async finishRun(id, resumen) {
+        await this.append(this.archivoRuns, {
+            id,
+            ...resumen,
+            error: resumen.error || null,
+            finalizado_en: new Date().toISOString()
+        });
+    }
+
+    /**
+     * El inicio y el término de una corrida son dos líneas; se juntan por id
+     */
+    async listRuns({ desde = null, estado = null, limite = 50 } = {}) {
+        const porId = new Map();
+        for (const linea of await readNdjson(this.archivoRuns)) {
+            porId.set(linea.id, { ...porId.get(linea.id), ...linea });
+        }
+
+        const corridas = [...porId.values()].filter(corrida =>
+            (!desde || corrida.iniciado_en >= desde) && (!estado || corrida.estado === estado)
+        );
+        return _.orderBy(corridas, 'iniciado_en', 'desc').slice(0, limite);
+    }
+
+    archivoCheckpoint(clave) {
+        return path.join(this.dirCheckpoints, `${path.basename(String(clave))}.json`);
+    }
+
+    async getCheckpoint(clave) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.archivoCheckpoint(clave), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Reescribir el archivo del checkpoint pasando por un temporal
+     */
+    async writeCheckpoint(checkpoint) {
+        await fs.promises.mkdir(this.dirCheckpoints, { recursive: true });
+        const archivo = this.archivoCheckpoint(checkpoint.encabezado.clave);
+        await fs.promises.writeFile(`${archivo}.tmp`, JSON.stringify(checkpoint), 'utf8');
+        await fs.promises.rename(`${archivo}.tmp`, archivo);
+    }
+
+    async saveCheckpoint(encabezado) {
+        const actual = await this.getCheckpoint(encabezado.clave);
+        await this.writeCheckpoint({ encabezado, resultados: actual ? actual.resultados : [] });
+    }
+
+    async saveCheckpointResults(filas) {
+        for (const [clave, propias] of Object.entries(_.groupBy(filas, 'clave'))) {
+            const actual = await this.getCheckpoint(clave);
+            if (!actual) {
+                throw new Error(`Checkpoint inexistente: ${clave}`);
+            }
+
+            const porPosicion = new Map(actual.resultados.map(fila => [fila.posicion, fila]));
+            for (const fila of propias) {
+                porPosicion.set(fila.posicion, fila);
+            }
+            actual.resultados = _.sortBy([...porPosicion.values()], 'posicion');
+            await this.writeCheckpoint(actual);
+        }
+    }
+
+    async listCheckpoints() {
+        if (!fs.existsSync(this.dirCheckpoints)) return [];
+
+        const checkpoints = [];
+        for (const archivo of await fs.promises.readdir(this.dirCheckpoints)) {
+            if (!archivo.endsWith('.json')) continue;
+
+            const { encabezado, resultados } = await this.getCheckpoint(path.basename(archivo, '.json'));
+            checkpoints.push({
+                ...encabezado,
+                resumen: resumirResultados(resultados)
+            });
+        }
+        return _.orderBy(checkpoints, 'actualizado_en', 'desc');
+    }
+
+    async deleteCheckpoint(clave) {
+        try {
+            await fs.promises.unlink(this.archivoCheckpoint(clave));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async saveBackfillWindow(ventana) {
+        await this.append(this.archivoVentanas, { ...ventana, actualizado_en: new Date().toISOString() });
+    }
+
+    async listBackfillWindows({ tribunal, searchTerm = '', desde, hasta }) {
+        const porVentana = new Map();
+        for (const ventana of await readNdjson(this.archivoVentanas)) {
+            porVentana.set(`${ventana.tribunal}|${ventana.search_term}|${ventana.desde}|${ventana.hasta}`, ventana);
+        }
+
+        const propias = [...porVentana.values()].filter(ventana =>
+            ventana.tribunal === tribunal && ventana.search_term === searchTerm &&
+            ventana.desde <= hasta && ventana.hasta >= desde
+        );
+        return _.sortBy(propias, ['desde', 'hasta']);
+    }
+
+    async saveDeadLetter(carta) {
+        const ahora = new Date().toISOString();
+        const anterior = (await this.listDeadLetters({ estado: null, tribunales: [carta.tribunal] }))
+            .find(fila => fila.rol === carta.rol);
+
+        await this.append(this.archivoFallidas, {
+            ...carta,
+            creado_en: anterior ? anterior.creado_en : ahora,
+            actualizado_en: ahora
+        });
+    }
+
+    async listDeadLetters({ estado = 'pendiente', tribunales = null, clase = null } = {}) {
+        const porClave = new Map();
+        for (const carta of await readNdjson(this.archivoFallidas)) {
+            porClave.set(`${carta.tribunal}|${carta.rol}`, carta);
+        }
+
+        const filtradas = [...porClave.values()].filter(carta =>
+            (!estado || carta.estado === estado) &&
+            (!tribunales || tribunales.includes(carta.tribunal)) &&
+            (!clase || carta.clase_error === clase)
+        );
+        return _.sortBy(filtradas, 'creado_en');
+    }
+
+    async getWatermark(tribunal) {
+        return (await this.listWatermarks()).find(marca => marca.tribunal === tribunal) || null;
+    }
+
+    async saveWatermark({ tribunal, fecha_sentencia, run_id = null }) {
+        const actual = await this.getWatermark(tribunal);
+        if (actual && actual.fecha_sentencia >= fecha_sentencia) return;
+
+        await this.append(this.archivoMarcas, { tribunal, fecha_sentencia, run_id, actualizado_en: new Date().toISOString() });
+    }
+
+    async listWatermarks() {
+        const porTribunal = new Map();
+        for (const marca of await readNdjson(this.archivoMarcas)) {
+            porTribunal.set(marca.tribunal, marca);
+        }
+        return _.sortBy([...porTribunal.values()], 'tribunal');
+    }
+
+    async saveChunks(sentencia, chunks) {
+        await this.append(this.archivoChunks, { identidad: claveSentencia(sentencia), rol: sentencia.rol, chunks });
+    }
+
+    async listChunks(identidad) {
+        let ultima = null;
+        for (const fila of await readNdjson(this.archivoChunks)) {
+            if (claveSentencia(fila) === identidad) ultima = fila;
+        }
+        return ultima ? ultima.chunks.map(chunk => ({ identidad, rol: ultima.rol, ...chunk })) : [];
+    }
+
+    async saveCitations(sentencia, citas) {
+        await this.append(this.archivoCitas, { identidad: claveSentencia(sentencia), rol: sentencia.rol, citas });
+    }
+
+    async listCitations(rol) {
+        return _.flatten([...(await this.readCitations()).values()]).filter(cita => cita.rol === rol);
+    }
+
+    async findCitations({ rolCitado = null, norma = null, articulo = null }) {
+        if (rolCitado === null && norma === null) return [];
+
+        const calzan = cita =>
+            (rolCitado === null || cita.rol_citado === rolCitado) &&
+            (norma === null || cita.norma === norma) &&
+            (articulo === null || cita.articulo === articulo);
+        return _.flatten([...(await this.readCitations()).values()]).filter(calzan);
+    }
+
+    /**
+     * Última versión de las citas de cada sentencia, como Map identidad -> citas con su `identidad` y `rol`
+     */
+    async readCitations() {
+        const porIdentidad = new Map();
+        for (const fila of await readNdjson(this.archivoCitas)) {
+            const identidad = claveSentencia(fila);
+            porIdentidad.set(identidad, _.sortBy(fila.citas, 'considerando').map(cita => ({ identidad, rol: fila.rol, ...cita })));
+        }
+        return porIdentidad;
+    }
+
+    /**
+     * Búsqueda semántica por fuerza bruta sobre los chunks guardados
+     */
+    async searchChunks(embedding, { limite, filtros = {} }) {
+        const sentencias = new Map((await this.readAll()).map(fila => [claveSentencia(fila), fila]));
+        const chunksPorSentencia = new Map();
+        for (const fila of await readNdjson(this.archivoChunks)) {
+            chunksPorSentencia.set(claveSentencia(fila), fila.chunks);
+        }
+
+        const resultados = [];
+        for (const [identidad, chunks] of chunksPorSentencia) {
+            const sentencia = sentencias.get(identidad);
+            if (!sentencia || !cumpleFiltros(sentencia, filtros)) continue;
+
+            let mejor = null;
+            for (const chunk of chunks) {
+                if (!chunk.embedding) continue;
+                const similaridad = chunk.embedding.reduce((suma, x, i) => suma + x * embedding[i], 0);
+                if (!mejor || similaridad > mejor.similaridad) {
+                    mejor = { identidad, rol: sentencia.rol, similaridad, chunk_indice: chunk.indice, chunk_inicio: chunk.inicio, chunk_fin: chunk.fin };
+                }
+            }
+            if (mejor) resultados.push(mejor);
+        }
+        return _.orderBy(resultados, 'similaridad', 'desc').slice(0, limite);
+    }
+
+    /**
+     * Búsqueda por texto simple: todas las palabras de la consulta (como prefijo), sin tildes
+     */
+    async searchText(consulta, { limite, filtros = {} }) {
+        const terminos = terminosConsulta(consulta);
+        if (terminos.length === 0) return [];
+
+        const resultados = [];
+        for (const fila of await this.readAll()) {
+            if (!cumpleFiltros(fila, filtros)) continue;
+
+            const palabras = _.countBy(normalizar(`${fila.caratula || ''} ${fila.texto_completo || ''}`).match(/[\p{L}\p{N}]+/gu) || []);
+            const frecuencias = terminos.map(termino => _.sum(Object.entries(palabras)
+                .filter(([palabra]) => palabra.startsWith(termino))
+                .map(([, veces]) => veces)));
+            if (frecuencias.some(veces => veces === 0)) continue;
+
+            resultados.push({ identidad: claveSentencia(fila), rol: fila.rol, rango: _.sum(frecuencias.map(veces => Math.log(1 + veces))) });
+        }
+        return _.orderBy(resultados, 'rango', 'desc').slice(0, limite);
+    }
+
+    async findByIdentidades(identidades, columnas) {
+        const buscadas = new Set(identidades);
+        return (await this.readAll())
+            .filter(fila => buscadas.has(claveSentencia(fila)))
+            .map(fila => _.pick({ ...fila, identidad: claveSentencia(fila) }, columnas));
+    }
+
+    /**
+     * Dos pasadas sobre el archivo: la primera anota en qué línea está la última versión
+     * de cada sentencia y la segunda emite solo esas. En memoria queda un número por sentencia, no las filas.
+     * Salen en el orden en que se guardaron por última vez, no por identidad
+     */
+    async *streamRows({ filtros = {}, columnas }) {
+        const ultimaLinea = new Map();
+        let numero = 0;
+        for await (const fila of iterateNdjson(this.archivoSentencias)) {
+            ultimaLinea.set(claveSentencia(fila), numero++);
+        }
+
+        const seleccion = columnas.includes('identidad') ? columnas : ['identidad', ...columnas];
+        numero = 0;
+        for await (const fila of iterateNdjson(this.archivoSentencias)) {
+            if (ultimaLinea.get(claveSentencia(fila)) !== numero++) continue;
+            if (cumpleFiltros(fila, filtros)) yield _.pick(fila, seleccion);
+        }
+    }
+
+    async loadEmbeddingsCache() {
+        if (!this.cacheEmbeddings) {
+            this.cacheEmbeddings = new Map();
+            for (const fila of await readNdjson(this.archivoCacheEmbeddings)) {
+                this.cacheEmbeddings.set(`${fila.modelo}|${fila.hash}`, fila.embedding);
+            }
+        }
+        return this.cacheEmbeddings;
+    }
+
+    async getCachedEmbeddings(hashes, modelo) {
+        const cache = await this.loadEmbeddingsCache();
+        const vectores = new Map();
+        for (const hash of hashes) {
+            const vector = cache.get(`${modelo}|${hash}`);
+            if (vector) vectores.set(hash, vector);
+        }
+        return vectores;
+    }
+
+    async saveCachedEmbeddings(filas) {
+        const cache = await this.loadEmbeddingsCache();
+        const nuevas = filas.filter(fila => !cache.has(`${fila.modelo}|${fila.hash}`));
+        if (nuevas.length === 0) return;
+
+        for (const fila of nuevas) {
+            cache.set(`${fila.modelo}|${fila.hash}`, fila.embedding);
+        }
+        await fs.promises.appendFile(this.archivoCacheEmbeddings, nuevas.map(fila => JSON.stringify(fila) + '\n').join(''), 'utf8');
+    }
+}
+
+module.exports = { NdjsonStorage, readNdjson, iterateNdjson };
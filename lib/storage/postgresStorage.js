@@ -0,0 +1,519 @@
+/**
+ * Backend de almacenamiento con conexión directa a Postgres + pgvector
+ */
+
+const { Pool } = require('pg');
+const { StorageBackend } = require('./storageBackend');
+const { compareMigrations, loadMigrations, MIGRATIONS_TABLE } = require('../migrations');
+
+const TABLA = 'jurisprudencia_cs';
+const TABLA_RUNS = 'scrape_runs';
+const TABLA_REVISIONES = 'jurisprudencia_cs_revisiones';
+const TABLA_CHECKPOINTS = 'scrape_checkpoints';
+const TABLA_CHECKPOINT_RESULTADOS = 'scrape_checkpoint_resultados';
+const TABLA_VENTANAS = 'backfill_ventanas';
+const TABLA_FALLIDAS = 'sentencias_fallidas';
+const TABLA_MARCAS = 'scrape_watermarks';
+const TABLA_CHUNKS = 'sentencia_chunks';
+const TABLA_CITAS = 'sentencia_citas';
+const TABLA_CACHE_EMBEDDINGS = 'embeddings_cache';
+
+// Columnas JSONB: `pg` convertiría los arrays JS en arrays de Postgres
+const COLUMNAS_JSON = ['considerandos_detalle', 'paginas_pdf'];
+
+// Filas por consulta al recorrer la tabla en streamRows()
+const TAMANO_LOTE = 500;
+
+/**
+ * Lista de columnas para un SELECT; las fechas van como texto porque `pg`
+ * convierte DATE a Date en la zona local
+ */
+function seleccionColumnas(columnas) {
+    return columnas.map(columna => (columna === 'fecha_sentencia'
+        ? "to_char(fecha_sentencia, 'YYYY-MM-DD') AS fecha_sentencia"
+        : columna)).join(', ');
+}
+
+/**
+ * Argumentos de filtro de buscar_chunks() y buscar_texto(), en orden
+ */
+function argumentosFiltro({ tribunal = null, desde = null, hasta = null, materia = null, tipo_recurso = null } = {}) {
+    return [tribunal, desde, hasta, materia, tipo_recurso];
+}
+
+/**
+ * Convertir valores de la fila a parámetros de `pg`
+ *
+ * pgvector espera el literal '[x,y,...]', no un array de Postgres.
+ */
+function toParam(columna, valor) {
+    if (columna.startsWith('embedding_') && Array.isArray(valor)) {
+        return JSON.stringify(valor);
+    }
+    if (COLUMNAS_JSON.includes(columna) && valor !== null && valor !== undefined) {
+        return JSON.stringify(valor);
+    }
+    return valor;
+}
+
+class PostgresStorage extends StorageBackend {
+    constructor({ connectionString, pool } = {}) {
+        super('postgres');
+
+        if (!connectionString && !pool) {
+            throw new Error('Postgres requiere DATABASE_URL');
+        }
+
+        this.pool = pool || new Pool({ connectionString });
+    }
+
+    async checkSchema() {
+        const { rows } = await this.pool.query(`SELECT to_regclass('${MIGRATIONS_TABLE}') AS tabla`);
+        const aplicadas = rows[0].tabla
+            ? (await this.pool.query(`SELECT version, checksum FROM ${MIGRATIONS_TABLE}`)).rows
+            : [];
+
+        return compareMigrations(loadMigrations(), aplicadas);
+    }
+
+    async ping() {
+        await this.pool.query('SELECT 1');
+    }
+
+    async exists(identidad) {
+        const { rows } = await this.pool.query(`SELECT 1 FROM ${TABLA} WHERE identidad = $1 LIMIT 1`, [identidad]);
+        return rows.length > 0;
+    }
+
+    async findByIdentidad(identidad) {
+        const { rows } = await this.pool.query(`SELECT * FROM ${TABLA} WHERE identidad = $1 LIMIT 1`, [identidad]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Armar un INSERT parametrizado, con ON CONFLICT opcional
+     */
+    buildInsert(row, { upsert = false } = {}) {
+        const columnas = Object.keys(row);
+        const valores = columnas.map(columna => toParam(columna, row[columna]));
+        const marcadores = columnas.map((_, i) => `$${i + 1}`);
+
+        let sql = `INSERT INTO ${TABLA} (${columnas.join(', ')}) VALUES (${marcadores.join(', ')})`;
+        if (upsert) {
+            const updates = columnas
+                .filter(columna => columna !== 'identidad')
+                .map(columna => `${columna} = EXCLUDED.${columna}`);
+            sql += ` ON CONFLICT (identidad) DO UPDATE SET ${updates.join(', ')}`;
+        }
+
+        return { sql, valores };
+    }
+
+    async insert(row) {
+        const { sql, valores } = this.buildInsert(row);
+        await this.pool.query(sql, valores);
+    }
+
+    async upsert(row) {
+        const { sql, valores } = this.buildInsert(row, { upsert: true });
+        await this.pool.query(sql, valores);
+    }
+
+    async insertRevision(revision) {
+        const columnas = ['identidad', 'rol', 'run_id', 'hash_anterior', 'hash_nuevo', 'texto_cambiado', 'campos_cambiados', 'resumen_diff', 'version_anterior'];
+        const valores = columnas.map(columna => ['resumen_diff', 'version_anterior'].includes(columna)
+            ? JSON.stringify(revision[columna] ?? null)
+            : revision[columna] ?? null);
+
+        await this.pool.query(
+            `INSERT INTO ${TABLA_REVISIONES} (${columnas.join(', ')}) VALUES (${columnas.map((_, i) => `$${i + 1}`).join(', ')})`,
+            valores
+        );
+    }
+
+    async listRevisions(rol) {
+        const { rows } = await this.pool.query(
+            `SELECT * FROM ${TABLA_REVISIONES} WHERE rol = $1 ORDER BY detectada_en DESC`,
+            [rol]
+        );
+        return rows;
+    }
+
+    async startRun({ id, tribunal, parametros }) {
+        await this.pool.query(
+            `INSERT INTO ${TABLA_RUNS} (id, tribunal, parametros) VALUES ($1, $2, $3)`,
+            [id, tribunal, parametros]
+        );
+    }
+
+    async finishRun(id, resumen) {
+        const columnas = ['estado', 'stats', 'error', 'duracion_ms', 'total_procesadas', 'exitosas', 'duplicadas', 'actualizadas', 'errores', 'tiempos_ms'];
+        await this.pool.query(
+            `UPDATE ${TABLA_RUNS} SET ${columnas.map((columna, i) => `${columna} = $${i + 2}`).join(', ')}, finalizado_en = NOW() WHERE id = $1`,
+            [id, ...columnas.map(columna => resumen[columna] ?? null)]
+        );
+    }
+
+    async listRuns({ desde = null, estado = null, limite = 50 } = {}) {
+        const condiciones = [];
+        const valores = [];
+        const agregar = (condicion, valor) => {
+            valores.push(valor);
+            condiciones.push(condicion.replace('?', `$${valores.length}`));
+        };
+
+        if (desde) agregar('iniciado_en >= ?', desde);
+        if (estado) agregar('estado = ?', estado);
+        valores.push(limite);
+
+        const { rows } = await this.pool.query(
+            `SELECT * FROM ${TABLA_RUNS}
+             ${condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : ''}
+             ORDER BY iniciado_en DESC
+             LIMIT $${valores.length}`,
+            valores
+        );
+        return rows;
+    }
+
+    async getCheckpoint(clave) {
+        const { rows } = await this.pool.query(`SELECT * FROM ${TABLA_CHECKPOINTS} WHERE clave = $1`, [clave]);
+        if (rows.length === 0) return null;
+
+        const resultados = await this.pool.query(
+            `SELECT * FROM ${TABLA_CHECKPOINT_RESULTADOS} WHERE clave = $1 ORDER BY posicion`,
+            [clave]
+        );
+        return { encabezado: rows[0], resultados: resultados.rows };
+    }
+
+    async saveCheckpoint(encabezado) {
+        const { clave, parametros, estado, run_id, ultima_pagina, listado_completo, creado_en, actualizado_en } = encabezado;
+        await this.pool.query(
+            `INSERT INTO ${TABLA_CHECKPOINTS} (clave, parametros, estado, run_id, ultima_pagina, listado_completo, creado_en, actualizado_en)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (clave) DO UPDATE SET
+                parametros = EXCLUDED.parametros, estado = EXCLUDED.estado, run_id = EXCLUDED.run_id,
+                ultima_pagina = EXCLUDED.ultima_pagina, listado_completo = EXCLUDED.listado_completo,
+                actualizado_en = EXCLUDED.actualizado_en`,
+            [clave, JSON.stringify(parametros), estado, run_id, ultima_pagina, listado_completo, creado_en, actualizado_en]
+        );
+    }
+
+    async saveCheckpointResults(filas) {
+        if (filas.length === 0) return;
+
+        const columnas = ['clave', 'posicion', 'pagina', 'rol', 'estado', 'error', 'resultado'];
+        const valores = [];
+        const tuplas = filas.map((fila) => {
+            const marcadores = columnas.map((columna) => {
+                valores.push(columna === 'resultado' ? JSON.stringify(fila.resultado) : fila[columna] ?? null);
+                return `$${valores.length}`;
+            });
+            return `(${marcadores.join(', ')})`;
+        });
+
+        await this.pool.query(
+            `INSERT INTO ${TABLA_CHECKPOINT_RESULTADOS} (${columnas.join(', ')}) VALUES ${tuplas.join(', ')}
+             ON CONFLICT (clave, posicion) DO UPDATE SET
+                estado = EXCLUDED.estado, error = EXCLUDED.error, actualizado_en = NOW()`,
+            valores
+        );
+    }
+
+    async listCheckpoints() {
+        const { rows } = await this.pool.query(
+            `SELECT c.*,
+                COUNT(r.posicion)::int AS total,
+                COUNT(r.posicion) FILTER (WHERE r.estado = 'pendiente')::int AS pendiente,
+                COUNT(r.posicion) FILTER (WHERE r.estado = 'hecho')::int AS hecho,
+                COUNT(r.posicion) FILTER (WHERE r.estado = 'fallido')::int AS fallido
+             FROM ${TABLA_CHECKPOINTS} c
+             LEFT JOIN ${TABLA_CHECKPOINT_RESULTADOS} r ON r.clave = c.clave
+             GROUP BY c.clave
+             ORDER BY c.actualizado_en DESC`
+        );
+
+        return rows.map(({ total, pendiente, hecho, fallido, ...encabezado }) => ({
+            ...encabezado,
+            resumen: { total, pendiente, hecho, fallido }
+        }));
+    }
+
+    async deleteCheckpoint(clave) {
+        const { rowCount } = await this.pool.query(`DELETE FROM ${TABLA_CHECKPOINTS} WHERE clave = $1`, [clave]);
+        return rowCount > 0;
+    }
+
+    async saveBackfillWindow(ventana) {
+        const columnas = ['tribunal', 'search_term', 'desde', 'hasta', 'granularidad', 'estado', 'listados', 'total_reportado', 'guardadas', 'errores', 'run_id'];
+        const actualizables = columnas.slice(4).map(columna => `${columna} = EXCLUDED.${columna}`);
+
+        await this.pool.query(
+            `INSERT INTO ${TABLA_VENTANAS} (${columnas.join(', ')}) VALUES (${columnas.map((_, i) => `$${i + 1}`).join(', ')})
+             ON CONFLICT (tribunal, search_term, desde, hasta) DO UPDATE SET ${actualizables.join(', ')}, actualizado_en = NOW()`,
+            columnas.map(columna => ventana[columna] ?? null)
+        );
+    }
+
+    async listBackfillWindows({ tribunal, searchTerm = '', desde, hasta }) {
+        // Fechas como texto: `pg` convierte DATE a Date en la zona local
+        const { rows } = await this.pool.query(
+            `SELECT tribunal, search_term, to_char(desde, 'YYYY-MM-DD') AS desde, to_char(hasta, 'YYYY-MM-DD') AS hasta,
+                granularidad, estado, listados, total_reportado, guardadas, errores, run_id, actualizado_en
+             FROM ${TABLA_VENTANAS}
+             WHERE tribunal = $1 AND search_term = $2 AND desde <= $4 AND hasta >= $3
+             ORDER BY desde, hasta`,
+            [tribunal, searchTerm, desde, hasta]
+        );
+        return rows;
+    }
+
+    async saveDeadLetter(carta) {
+        const columnas = ['tribunal', 'rol', 'enlace', 'clase_error', 'error', 'stack', 'intentos', 'resultado', 'run_id', 'estado'];
+        const actualizables = columnas.slice(2).map(columna => `${columna} = EXCLUDED.${columna}`);
+
+        await this.pool.query(
+            `INSERT INTO ${TABLA_FALLIDAS} (${columnas.join(', ')}) VALUES (${columnas.map((_, i) => `$${i + 1}`).join(', ')})
+             ON CONFLICT (tribunal, rol) DO UPDATE SET ${actualizables.join(', ')}, actualizado_en = NOW()`,
+            columnas.map(columna => (columna === 'resultado' ? JSON.stringify(carta.resultado) : carta[columna] ?? null))
+        );
+    }
+
+    async listDeadLetters({ estado = 'pendiente', tribunales = null, clase = null } = {}) {
+        const condiciones = [];
+        const valores = [];
+        const agregar = (condicion, valor) => {
+            valores.push(valor);
+            condiciones.push(condicion.replace('?', `$${valores.length}`));
+        };
+
+        if (estado) agregar('estado = ?', estado);
+        if (tribunales) agregar('tribunal = ANY(?)', tribunales);
+        if (clase) agregar('clase_error = ?', clase);
+
+        const { rows } = await this.pool.query(
+            `SELECT * FROM ${TABLA_FALLIDAS}
+             ${condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : ''}
+             ORDER BY creado_en`,
+            valores
+        );
+        return rows;
+    }
+
+    async getWatermark(tribunal) {
+        return (await this.listWatermarks(tribunal))[0] || null;
+    }
+
+    async saveWatermark({ tribunal, fecha_sentencia, run_id = null }) {
+        await this.pool.query(
+            `INSERT INTO ${TABLA_MARCAS} (tribunal, fecha_sentencia, run_id) VALUES ($1, $2, $3)
+             ON CONFLICT (tribunal) DO UPDATE SET
+                fecha_sentencia = EXCLUDED.fecha_sentencia, run_id = EXCLUDED.run_id, actualizado_en = NOW()
+             WHERE ${TABLA_MARCAS}.fecha_sentencia < EXCLUDED.fecha_sentencia`,
+            [tribunal, fecha_sentencia, run_id]
+        );
+    }
+
+    async listWatermarks(tribunal = null) {
+        const { rows } = await this.pool.query(
+            `SELECT tribunal, to_char(fecha_sentencia, 'YYYY-MM-DD') AS fecha_sentencia, run_id, actualizado_en
+             FROM ${TABLA_MARCAS}
+             ${tribunal ? 'WHERE tribunal = $1' : ''}
+             ORDER BY tribunal`,
+            tribunal ? [tribunal] : []
+        );
+        return rows;
+    }
+
+    async saveChunks(sentencia, chunks) {
+        const columnas = ['identidad', 'rol', 'indice', 'inicio', 'fin', 'tokens', 'texto', 'hash_contenido', 'embedding', 'modelo'];
+        const valores = [];
+        const tuplas = chunks.map((chunk) => {
+            const marcadores = columnas.map((columna) => {
+                const valor = ['identidad', 'rol'].includes(columna) ? sentencia[columna] : chunk[columna] ?? null;
+                valores.push(columna === 'embedding' && valor ? JSON.stringify(valor) : valor);
+                return `$${valores.length}`;
+            });
+            return `(${marcadores.join(', ')})`;
+        });
+
+        const cliente = await this.pool.connect();
+        try {
+            await cliente.query('BEGIN');
+            await cliente.query(`DELETE FROM ${TABLA_CHUNKS} WHERE identidad = $1`, [sentencia.identidad]);
+            if (tuplas.length > 0) {
+                await cliente.query(`INSERT INTO ${TABLA_CHUNKS} (${columnas.join(', ')}) VALUES ${tuplas.join(', ')}`, valores);
+            }
+            await cliente.query('COMMIT');
+        } catch (error) {
+            await cliente.query('ROLLBACK');
+            throw error;
+        } finally {
+            cliente.release();
+        }
+    }
+
+    async listChunks(identidad) {
+        const { rows } = await this.pool.query(`SELECT * FROM ${TABLA_CHUNKS} WHERE identidad = $1 ORDER BY indice`, [identidad]);
+        return rows.map(fila => ({ ...fila, embedding: fila.embedding ? JSON.parse(fila.embedding) : null }));
+    }
+
+    async saveCitations(sentencia, citas) {
+        const columnas = ['identidad', 'rol', 'tipo', 'norma', 'articulo', 'rol_citado', 'considerando', 'menciones', 'contexto'];
+        const valores = [];
+        const tuplas = citas.map((cita) => {
+            const marcadores = columnas.map((columna) => {
+                valores.push(['identidad', 'rol'].includes(columna) ? sentencia[columna] : cita[columna] ?? null);
+                return `$${valores.length}`;
+            });
+            return `(${marcadores.join(', ')})`;
+        });
+
+        const cliente = await this.pool.connect();
+        try {
+            await cliente.query('BEGIN');
+            await cliente.query(`DELETE FROM ${TABLA_CITAS} WHERE identidad = $1`, [sentencia.identidad]);
+            if (tuplas.length > 0) {
+                await cliente.query(`INSERT INTO ${TABLA_CITAS} (${columnas.join(', ')}) VALUES ${tuplas.join(', ')}`, valores);
+            }
+            await cliente.query('COMMIT');
+        } catch (error) {
+            await cliente.query('ROLLBACK');
+            throw error;
+        } finally {
+            cliente.release();
+        }
+    }
+
+    async listCitations(rol) {
+        const { rows } = await this.pool.query(
+            `SELECT * FROM ${TABLA_CITAS} WHERE rol = $1 ORDER BY identidad, considerando NULLS LAST, id`,
+            [rol]
+        );
+        return rows;
+    }
+
+    async findCitations({ rolCitado = null, norma = null, articulo = null }) {
+        const condiciones = [];
+        const valores = [];
+        for (const [columna, valor] of [['rol_citado', rolCitado], ['norma', norma], ['articulo', articulo]]) {
+            if (valor === null) continue;
+            valores.push(valor);
+            condiciones.push(`${columna} = $${valores.length}`);
+        }
+        if (condiciones.length === 0) return [];
+
+        const { rows } = await this.pool.query(
+            `SELECT * FROM ${TABLA_CITAS} WHERE ${condiciones.join(' AND ')} ORDER BY identidad, considerando NULLS LAST`,
+            valores
+        );
+        return rows;
+    }
+
+    async getCachedEmbeddings(hashes, modelo) {
+        if (hashes.length === 0) return new Map();
+
+        const { rows } = await this.pool.query(
+            `SELECT hash, embedding FROM ${TABLA_CACHE_EMBEDDINGS} WHERE modelo = $1 AND hash = ANY($2)`,
+            [modelo, hashes]
+        );
+        // pgvector devuelve el vector como texto '[x,y,...]'
+        return new Map(rows.map(fila => [fila.hash, JSON.parse(fila.embedding)]));
+    }
+
+    async saveCachedEmbeddings(filas) {
+        if (filas.length === 0) return;
+
+        const valores = [];
+        const tuplas = filas.map((fila) => {
+            valores.push(fila.hash, fila.modelo, JSON.stringify(fila.embedding));
+            return `($${valores.length - 2}, $${valores.length - 1}, $${valores.length})`;
+        });
+
+        await this.pool.query(
+            `INSERT INTO ${TABLA_CACHE_EMBEDDINGS} (hash, modelo, embedding) VALUES ${tuplas.join(', ')}
+             ON CONFLICT (hash, modelo) DO NOTHING`,
+            valores
+        );
+    }
+
+    async searchChunks(embedding, { limite, filtros = {} }) {
+        const { rows } = await this.pool.query(
+            'SELECT * FROM buscar_chunks($1, $2, $3, $4, $5, $6, $7)',
+            [JSON.stringify(embedding), limite, ...argumentosFiltro(filtros)]
+        );
+        return rows;
+    }
+
+    async searchText(consulta, { limite, filtros = {} }) {
+        const { rows } = await this.pool.query(
+            'SELECT * FROM buscar_texto($1, $2, $3, $4, $5, $6, $7)',
+            [consulta, limite, ...argumentosFiltro(filtros)]
+        );
+        return rows;
+    }
+
+    async findByIdentidades(identidades, columnas) {
+        const { rows } = await this.pool.query(`SELECT ${seleccionColumnas(columnas)} FROM ${TABLA} WHERE identidad = ANY($1)`, [identidades]);
+        return rows;
+    }
+
+    /**
+     * Paginación por identidad (keyset) en vez de OFFSET: cada lote cuesta lo mismo
+     */
+    async *streamRows({ filtros = {}, columnas }) {
+        const { tribunal, desde, hasta, materia, tipo_recurso } = filtros;
+        const condiciones = [];
+        const valores = [];
+        const agregar = (condicion, valor) => {
+            valores.push(valor);
+            condiciones.push(condicion.replace('?', `$${valores.length}`));
+        };
+
+        if (tribunal) agregar("tribunal ILIKE ? || '%'", tribunal);
+        if (desde) agregar('fecha_sentencia >= ?', desde);
+        if (hasta) agregar('fecha_sentencia <= ?', hasta);
+        if (materia) agregar('materia ILIKE ?', materia);
+        if (tipo_recurso) agregar('tipo_recurso = ?', tipo_recurso);
+
+        const seleccion = seleccionColumnas(columnas.includes('identidad') ? columnas : ['identidad', ...columnas]);
+        const vectores = columnas.filter(columna => columna.startsWith('embedding_'));
+        let ultimo = null;
+
+        for (;;) {
+            const where = [...condiciones];
+            const parametros = [...valores];
+            if (ultimo !== null) {
+                parametros.push(ultimo);
+                where.push(`identidad > $${parametros.length}`);
+            }
+            parametros.push(TAMANO_LOTE);
+
+            const { rows } = await this.pool.query(
+                `SELECT ${seleccion} FROM ${TABLA}
+                 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY identidad
+                 LIMIT $${parametros.length}`,
+                parametros
+            );
+
+            for (const fila of rows) {
+                // pgvector llega como texto '[x,y,...]'
+                for (const columna of vectores) {
+                    if (fila[columna]) fila[columna] = JSON.parse(fila[columna]);
+                }
+                yield fila;
+            }
+
+            if (rows.length < TAMANO_LOTE) return;
+            ultimo = rows[rows.length - 1].identidad;
+        }
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = { PostgresStorage };
@@ -0,0 +1,282 @@
+/**
+ * ========================================
+ * INTERFAZ DE ALMACENAMIENTO
+ * ========================================
+ * Contrato común de los backends: sentencias y sus revisiones, estado de
+ * las corridas, embeddings, búsqueda y exportación. Las filas llegan ya
+ * mapeadas por recordMapper a las columnas de jurisprudencia_cs
+ */
+
+class StorageBackend {
+    constructor(nombre) {
+        this.nombre = nombre;
+        // Si es true, filas con columnas requeridas faltantes se rechazan
+        this.strict = true;
+    }
+
+    /**
+     * Abrir conexiones o archivos
+     */
+    async init() {}
+
+    /**
+     * Estado de las migraciones del esquema, o null si no aplica
+     */
+    async checkSchema() {
+        return null;
+    }
+
+    /**
+     * Comprobar que el almacenamiento responde; lanza si no
+     */
+    async ping() {}
+
+    /**
+     * Verificar si ya existe una sentencia con la identidad dada
+     * (`tribunal|ROL canónico|k`, ver lib/rolParser)
+     */
+    async exists(identidad) {
+        throw new Error(`${this.nombre}: exists() no implementado`);
+    }
+
+    /**
+     * Fila guardada para una identidad, o null si no existe
+     */
+    async findByIdentidad(identidad) {
+        throw new Error(`${this.nombre}: findByIdentidad() no implementado`);
+    }
+
+    /**
+     * Insertar una fila nueva
+     */
+    async insert(row) {
+        throw new Error(`${this.nombre}: insert() no implementado`);
+    }
+
+    /**
+     * Insertar o actualizar una fila por identidad
+     */
+    async upsert(row) {
+        throw new Error(`${this.nombre}: upsert() no implementado`);
+    }
+
+    /**
+     * Guardar la versión anterior de una sentencia que cambió (con su `identidad` y su `rol`)
+     */
+    async insertRevision(revision) {
+        throw new Error(`${this.nombre}: insertRevision() no implementado`);
+    }
+
+    /**
+     * Revisiones de un ROL, de todas las sentencias que lo comparten, las más recientes primero
+     */
+    async listRevisions(rol) {
+        throw new Error(`${this.nombre}: listRevisions() no implementado`);
+    }
+
+    /**
+     * Registrar el inicio de una corrida
+     */
+    async startRun(run) {
+        throw new Error(`${this.nombre}: startRun() no implementado`);
+    }
+
+    /**
+     * Registrar el término de una corrida
+     *
+     * @param {Object} resumen - `estado`, `stats`, `error`, `duracion_ms`, `tiempos_ms` y los
+     *   contadores `total_procesadas`, `exitosas`, `duplicadas`, `actualizadas` y `errores`
+     */
+    async finishRun(id, resumen) {
+        throw new Error(`${this.nombre}: finishRun() no implementado`);
+    }
+
+    /**
+     * Corridas de la más reciente a la más antigua, opcionalmente desde una fecha o en un estado
+     */
+    async listRuns({ desde = null, estado = null, limite = 50 } = {}) {
+        throw new Error(`${this.nombre}: listRuns() no implementado`);
+    }
+
+    /**
+     * Checkpoint de una búsqueda: `{ encabezado, resultados }`, o null si no existe
+     */
+    async getCheckpoint(clave) {
+        throw new Error(`${this.nombre}: getCheckpoint() no implementado`);
+    }
+
+    /**
+     * Insertar o actualizar el encabezado de un checkpoint
+     */
+    async saveCheckpoint(encabezado) {
+        throw new Error(`${this.nombre}: saveCheckpoint() no implementado`);
+    }
+
+    /**
+     * Insertar o actualizar resultados de un checkpoint por (clave, posicion)
+     */
+    async saveCheckpointResults(filas) {
+        throw new Error(`${this.nombre}: saveCheckpointResults() no implementado`);
+    }
+
+    /**
+     * Encabezados de todos los checkpoints con el conteo de resultados por estado
+     */
+    async listCheckpoints() {
+        throw new Error(`${this.nombre}: listCheckpoints() no implementado`);
+    }
+
+    /**
+     * Borrar un checkpoint y sus resultados; devuelve false si no existía
+     */
+    async deleteCheckpoint(clave) {
+        throw new Error(`${this.nombre}: deleteCheckpoint() no implementado`);
+    }
+
+    /**
+     * Insertar o actualizar una ventana del backfill por (tribunal, search_term, desde, hasta)
+     */
+    async saveBackfillWindow(ventana) {
+        throw new Error(`${this.nombre}: saveBackfillWindow() no implementado`);
+    }
+
+    /**
+     * Ventanas del backfill que se cruzan con [desde, hasta] (fechas YYYY-MM-DD)
+     */
+    async listBackfillWindows({ tribunal, searchTerm, desde, hasta }) {
+        throw new Error(`${this.nombre}: listBackfillWindows() no implementado`);
+    }
+
+    /**
+     * Insertar o actualizar una sentencia fallida por (tribunal, rol)
+     */
+    async saveDeadLetter(carta) {
+        throw new Error(`${this.nombre}: saveDeadLetter() no implementado`);
+    }
+
+    /**
+     * Sentencias fallidas en un estado, opcionalmente de ciertos tribunales o de una clase de error
+     */
+    async listDeadLetters({ estado = 'pendiente', tribunales = null, clase = null } = {}) {
+        throw new Error(`${this.nombre}: listDeadLetters() no implementado`);
+    }
+
+    /**
+     * Marca de agua de un tribunal (`{ tribunal, fecha_sentencia, run_id, actualizado_en }`), o null si no tiene
+     */
+    async getWatermark(tribunal) {
+        throw new Error(`${this.nombre}: getWatermark() no implementado`);
+    }
+
+    /**
+     * Guardar la marca de agua de un tribunal si es posterior a la guardada (nunca retrocede)
+     */
+    async saveWatermark({ tribunal, fecha_sentencia, run_id }) {
+        throw new Error(`${this.nombre}: saveWatermark() no implementado`);
+    }
+
+    /**
+     * Marcas de agua de todos los tribunales
+     */
+    async listWatermarks() {
+        throw new Error(`${this.nombre}: listWatermarks() no implementado`);
+    }
+
+    /**
+     * Reemplazar los chunks de una sentencia (`{ identidad, rol }`)
+     * con `[{ indice, inicio, fin, tokens, texto, hash_contenido, embedding, modelo }]`
+     */
+    async saveChunks(sentencia, chunks) {
+        throw new Error(`${this.nombre}: saveChunks() no implementado`);
+    }
+
+    /**
+     * Chunks de una sentencia (por identidad) ordenados por índice
+     */
+    async listChunks(identidad) {
+        throw new Error(`${this.nombre}: listChunks() no implementado`);
+    }
+
+    /**
+     * Reemplazar las citas de una sentencia (`{ identidad, rol }`)
+     * con `[{ tipo, norma, articulo, rol_citado, considerando, menciones, contexto }]`
+     */
+    async saveCitations(sentencia, citas) {
+        throw new Error(`${this.nombre}: saveCitations() no implementado`);
+    }
+
+    /**
+     * Citas de las sentencias con ese ROL ordenadas por considerando
+     */
+    async listCitations(rol) {
+        throw new Error(`${this.nombre}: listCitations() no implementado`);
+    }
+
+    /**
+     * Citas de todas las sentencias que apuntan a un ROL canónico o a una norma
+     * (y artículo) normalizados, cada una con la `identidad` y el `rol` de la sentencia que cita
+     */
+    async findCitations({ rolCitado = null, norma = null, articulo = null }) {
+        throw new Error(`${this.nombre}: findCitations() no implementado`);
+    }
+
+    /**
+     * Embeddings ya calculados para esos hashes con ese modelo, como Map hash -> vector
+     */
+    async getCachedEmbeddings(hashes, modelo) {
+        throw new Error(`${this.nombre}: getCachedEmbeddings() no implementado`);
+    }
+
+    /**
+     * Guardar embeddings en el caché (`[{ hash, modelo, embedding }]`)
+     */
+    async saveCachedEmbeddings(filas) {
+        throw new Error(`${this.nombre}: saveCachedEmbeddings() no implementado`);
+    }
+
+    /**
+     * Sentencias con el chunk más cercano al embedding, de más a menos similar
+     *
+     * @param {number[]} embedding
+     * @param {Object} opciones - `limite` y `filtros` (`{ tribunal, desde, hasta, materia, tipo_recurso }`)
+     * @returns {Promise<Object[]>} `[{ identidad, rol, similaridad, chunk_indice, chunk_inicio, chunk_fin }]`
+     */
+    async searchChunks(embedding, { limite, filtros = {} }) {
+        throw new Error(`${this.nombre}: searchChunks() no implementado`);
+    }
+
+    /**
+     * Sentencias que calzan con la consulta en texto completo, de más a menos relevante
+     *
+     * @returns {Promise<Object[]>} `[{ identidad, rol, rango }]`
+     */
+    async searchText(consulta, { limite, filtros = {} }) {
+        throw new Error(`${this.nombre}: searchText() no implementado`);
+    }
+
+    /**
+     * Algunas columnas de las sentencias con esas identidades (fecha_sentencia como YYYY-MM-DD)
+     */
+    async findByIdentidades(identidades, columnas) {
+        throw new Error(`${this.nombre}: findByIdentidades() no implementado`);
+    }
+
+    /**
+     * Recorrer las sentencias que cumplen los filtros sin cargarlas todas en memoria
+     * (fecha_sentencia como YYYY-MM-DD, embeddings como arrays), una vez cada una y
+     * siempre con su `identidad`
+     *
+     * @param {Object} opciones - `filtros` (`{ tribunal, desde, hasta, materia, tipo_recurso }`) y `columnas`
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *streamRows({ filtros = {}, columnas }) {
+        throw new Error(`${this.nombre}: streamRows() no implementado`);
+    }
+
+    /**
+     * Cerrar conexiones o archivos
+     */
+    async close() {}
+}
+
+module.exports = { StorageBackend };
@@ -0,0 +1,465 @@
+/**
+ * Backend de almacenamiento sobre el cliente REST de Supabase
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const _ = require('lodash');
+const { StorageBackend } = require('./storageBackend');
+const { resumirResultados } = require('../checkpoint');
+const { checkMigrations } = require('../migrations');
+
+const TABLA = 'jurisprudencia_cs';
+const TABLA_RUNS = 'scrape_runs';
+const TABLA_REVISIONES = 'jurisprudencia_cs_revisiones';
+const TABLA_CHECKPOINTS = 'scrape_checkpoints';
+const TABLA_CHECKPOINT_RESULTADOS = 'scrape_checkpoint_resultados';
+const TABLA_VENTANAS = 'backfill_ventanas';
+const TABLA_FALLIDAS = 'sentencias_fallidas';
+const TABLA_MARCAS = 'scrape_watermarks';
+const TABLA_CHUNKS = 'sentencia_chunks';
+const TABLA_CITAS = 'sentencia_citas';
+const TABLA_CACHE_EMBEDDINGS = 'embeddings_cache';
+
+// PostgREST limita las filas por respuesta; se lee en bloques
+const TAMANO_PAGINA = 1000;
+
+// Hashes por consulta al caché de embeddings: van en la URL del filtro `in`
+const HASHES_POR_CONSULTA = 100;
+
+// pgvector llega por PostgREST como texto '[x,y,...]'
+const leerVector = (valor) => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+
+/**
+ * Leer todas las filas de una consulta, en bloques de TAMANO_PAGINA
+ */
+async function leerTodo(consulta) {
+    const filas = [];
+    for (let desde = 0; ; desde += TAMANO_PAGINA) {
+        const { data, error } = await consulta().range(desde, desde + TAMANO_PAGINA - 1);
+        if (error) throw error;
+
+        filas.push(...(data || []));
+        if (!data || data.length < TAMANO_PAGINA) return filas;
+    }
+}
+
+/**
+ * Argumentos de filtro de buscar_chunks() y buscar_texto()
+ */
+function argumentosFiltro({ tribunal = null, desde = null, hasta = null, materia = null, tipo_recurso = null } = {}) {
+    return {
+        filtro_tribunal: tribunal,
+        filtro_desde: desde,
+        filtro_hasta: hasta,
+        filtro_materia: materia,
+        filtro_tipo_recurso: tipo_recurso
+    };
+}
+
+class SupabaseStorage extends StorageBackend {
+    constructor({ url, key } = {}) {
+        super('supabase');
+
+        if (!url || !key) {
+            throw new Error('Supabase requiere SUPABASE_URL y SUPABASE_ANON_KEY');
+        }
+
+        this.client = createClient(url, key);
+    }
+
+    async checkSchema() {
+        return checkMigrations(this.client);
+    }
+
+    async ping() {
+        const { error } = await this.client.from(TABLA_RUNS).select('id', { count: 'exact', head: true }).limit(1);
+        if (error) throw error;
+    }
+
+    async exists(identidad) {
+        const { data, error } = await this.client
+            .from(TABLA)
+            .select('identidad')
+            .eq('identidad', identidad)
+            .limit(1);
+
+        if (error) throw error;
+
+        return data && data.length > 0;
+    }
+
+    async findByIdentidad(identidad) {
+        const { data, error } = await this.client
+            .from(TABLA)
+            .select('*')
+            .eq('identidad', identidad)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    async insert(row) {
+        const { error } = await this.client
+            .from(TABLA)
+            .insert([row]);
+
+        if (error) throw error;
+    }
+
+    async upsert(row) {
+        const { error } = await this.client
+            .from(TABLA)
+            .upsert([row], { onConflict: 'identidad' });
+
+        if (error) throw error;
+    }
+
+    async insertRevision(revision) {
+        const { error } = await this.client
+            .from(TABLA_REVISIONES)
+            .insert([revision]);
+
+        if (error) throw error;
+    }
+
+    async listRevisions(rol) {
+        const { data, error } = await this.client
+            .from(TABLA_REVISIONES)
+            .select('*')
+            .eq('rol', rol)
+            .order('detectada_en', { ascending: false });
+
+        if (error) throw error;
+
+        return data || [];
+    }
+
+    async startRun({ id, tribunal, parametros }) {
+        const { error } = await this.client
+            .from(TABLA_RUNS)
+            .insert([{ id, tribunal, parametros }]);
+
+        if (error) throw error;
+    }
+
+    async finishRun(id, resumen) {
+        const { error } = await this.client
+            .from(TABLA_RUNS)
+            .update({ ...resumen, error: resumen.error || null, finalizado_en: new Date().toISOString() })
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+
+    async listRuns({ desde = null, estado = null, limite = 50 } = {}) {
+        let consulta = this.client.from(TABLA_RUNS).select('*');
+        if (desde) consulta = consulta.gte('iniciado_en', desde);
+        if (estado) consulta = consulta.eq('estado', estado);
+
+        const { data, error } = await consulta.order('iniciado_en', { ascending: false }).limit(limite);
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getCheckpoint(clave) {
+        const { data: encabezado, error } = await this.client
+            .from(TABLA_CHECKPOINTS)
+            .select('*')
+            .eq('clave', clave)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!encabezado) return null;
+
+        const resultados = await leerTodo(() => this.client
+            .from(TABLA_CHECKPOINT_RESULTADOS)
+            .select('*')
+            .eq('clave', clave)
+            .order('posicion'));
+
+        return { encabezado, resultados };
+    }
+
+    async saveCheckpoint(encabezado) {
+        const { error } = await this.client
+            .from(TABLA_CHECKPOINTS)
+            .upsert([encabezado], { onConflict: 'clave' });
+
+        if (error) throw error;
+    }
+
+    async saveCheckpointResults(filas) {
+        if (filas.length === 0) return;
+
+        const actualizado_en = new Date().toISOString();
+        const { error } = await this.client
+            .from(TABLA_CHECKPOINT_RESULTADOS)
+            .upsert(filas.map(fila => ({ ...fila, actualizado_en })), { onConflict: 'clave,posicion' });
+
+        if (error) throw error;
+    }
+
+    async listCheckpoints() {
+        const encabezados = await leerTodo(() => this.client
+            .from(TABLA_CHECKPOINTS)
+            .select('*')
+            .order('actualizado_en', { ascending: false }));
+        const estados = await leerTodo(() => this.client
+            .from(TABLA_CHECKPOINT_RESULTADOS)
+            .select('clave, estado')
+            .order('clave')
+            .order('posicion'));
+
+        return encabezados.map(encabezado => {
+            const propios = estados.filter(fila => fila.clave === encabezado.clave);
+            return {
+                ...encabezado,
+                resumen: resumirResultados(propios)
+            };
+        });
+    }
+
+    async deleteCheckpoint(clave) {
+        const { data, error } = await this.client
+            .from(TABLA_CHECKPOINTS)
+            .delete()
+            .eq('clave', clave)
+            .select('clave');
+
+        if (error) throw error;
+
+        return Boolean(data && data.length > 0);
+    }
+
+    async saveBackfillWindow(ventana) {
+        const { error } = await this.client
+            .from(TABLA_VENTANAS)
+            .upsert([{ ...ventana, actualizado_en: new Date().toISOString() }], { onConflict: 'tribunal,search_term,desde,hasta' });
+
+        if (error) throw error;
+    }
+
+    async listBackfillWindows({ tribunal, searchTerm = '', desde, hasta }) {
+        return leerTodo(() => this.client
+            .from(TABLA_VENTANAS)
+            .select('*')
+            .eq('tribunal', tribunal)
+            .eq('search_term', searchTerm)
+            .lte('desde', hasta)
+            .gte('hasta', desde)
+            .order('desde')
+            .order('hasta'));
+    }
+
+    async saveDeadLetter(carta) {
+        const { error } = await this.client
+            .from(TABLA_FALLIDAS)
+            .upsert([{ ...carta, actualizado_en: new Date().toISOString() }], { onConflict: 'tribunal,rol' });
+
+        if (error) throw error;
+    }
+
+    async listDeadLetters({ estado = 'pendiente', tribunales = null, clase = null } = {}) {
+        return leerTodo(() => {
+            let consulta = this.client.from(TABLA_FALLIDAS).select('*');
+            if (estado) consulta = consulta.eq('estado', estado);
+            if (tribunales) consulta = consulta.in('tribunal', tribunales);
+            if (clase) consulta = consulta.eq('clase_error', clase);
+            return consulta.order('creado_en');
+        });
+    }
+
+    async getWatermark(tribunal) {
+        const { data, error } = await this.client
+            .from(TABLA_MARCAS)
+            .select('*')
+            .eq('tribunal', tribunal)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * PostgREST no tiene upsert condicional: se compara con la guardada antes de escribir
+     */
+    async saveWatermark({ tribunal, fecha_sentencia, run_id = null }) {
+        const actual = await this.getWatermark(tribunal);
+        if (actual && actual.fecha_sentencia >= fecha_sentencia) return;
+
+        const { error } = await this.client
+            .from(TABLA_MARCAS)
+            .upsert([{ tribunal, fecha_sentencia, run_id, actualizado_en: new Date().toISOString() }], { onConflict: 'tribunal' });
+
+        if (error) throw error;
+    }
+
+    async listWatermarks() {
+        return leerTodo(() => this.client.from(TABLA_MARCAS).select('*').order('tribunal'));
+    }
+
+    async saveChunks({ identidad, rol }, chunks) {
+        const { error: errorBorrado } = await this.client
+            .from(TABLA_CHUNKS)
+            .delete()
+            .eq('identidad', identidad);
+
+        if (errorBorrado) throw errorBorrado;
+        if (chunks.length === 0) return;
+
+        const { error } = await this.client
+            .from(TABLA_CHUNKS)
+            .insert(chunks.map(chunk => ({ ...chunk, identidad, rol })));
+
+        if (error) throw error;
+    }
+
+    async listChunks(identidad) {
+        const filas = await leerTodo(() => this.client
+            .from(TABLA_CHUNKS)
+            .select('*')
+            .eq('identidad', identidad)
+            .order('indice'));
+
+        return filas.map(fila => ({ ...fila, embedding: leerVector(fila.embedding) }));
+    }
+
+    async saveCitations({ identidad, rol }, citas) {
+        const { error: errorBorrado } = await this.client
+            .from(TABLA_CITAS)
+            .delete()
+            .eq('identidad', identidad);
+
+        if (errorBorrado) throw errorBorrado;
+        if (citas.length === 0) return;
+
+        const { error } = await this.client
+            .from(TABLA_CITAS)
+            .insert(citas.map(cita => ({ ...cita, identidad, rol })));
+
+        if (error) throw error;
+    }
+
+    async listCitations(rol) {
+        return leerTodo(() => this.client
+            .from(TABLA_CITAS)
+            .select('*')
+            .eq('rol', rol)
+            .order('identidad')
+            .order('considerando', { nullsFirst: false })
+            .order('id'));
+    }
+
+    async findCitations({ rolCitado = null, norma = null, articulo = null }) {
+        if (rolCitado === null && norma === null) return [];
+
+        return leerTodo(() => {
+            let consulta = this.client.from(TABLA_CITAS).select('*');
+            if (rolCitado !== null) consulta = consulta.eq('rol_citado', rolCitado);
+            if (norma !== null) consulta = consulta.eq('norma', norma);
+            if (articulo !== null) consulta = consulta.eq('articulo', articulo);
+            return consulta.order('identidad').order('id');
+        });
+    }
+
+    async getCachedEmbeddings(hashes, modelo) {
+        const vectores = new Map();
+        for (const bloque of _.chunk(hashes, HASHES_POR_CONSULTA)) {
+            const { data, error } = await this.client
+                .from(TABLA_CACHE_EMBEDDINGS)
+                .select('hash, embedding')
+                .eq('modelo', modelo)
+                .in('hash', bloque);
+
+            if (error) throw error;
+
+            for (const fila of data || []) {
+                vectores.set(fila.hash, leerVector(fila.embedding));
+            }
+        }
+        return vectores;
+    }
+
+    async saveCachedEmbeddings(filas) {
+        if (filas.length === 0) return;
+
+        const { error } = await this.client
+            .from(TABLA_CACHE_EMBEDDINGS)
+            .upsert(filas, { onConflict: 'hash,modelo', ignoreDuplicates: true });
+
+        if (error) throw error;
+    }
+
+    async searchChunks(embedding, { limite, filtros = {} }) {
+        const { data, error } = await this.client.rpc('buscar_chunks', {
+            query_embedding: JSON.stringify(embedding),
+            limite,
+            ...argumentosFiltro(filtros)
+        });
+
+        if (error) throw error;
+
+        return data || [];
+    }
+
+    async searchText(consulta, { limite, filtros = {} }) {
+        const { data, error } = await this.client.rpc('buscar_texto', {
+            consulta,
+            limite,
+            ...argumentosFiltro(filtros)
+        });
+
+        if (error) throw error;
+
+        return data || [];
+    }
+
+    async findByIdentidades(identidades, columnas) {
+        const { data, error } = await this.client
+            .from(TABLA)
+            .select(columnas.join(','))
+            .in('identidad', identidades);
+
+        if (error) throw error;
+
+        return data || [];
+    }
+
+    /**
+     * Paginación por identidad (keyset) en vez de range(): cada bloque cuesta lo mismo
+     */
+    async *streamRows({ filtros = {}, columnas }) {
+        const { tribunal, desde, hasta, materia, tipo_recurso } = filtros;
+        const seleccion = columnas.includes('identidad') ? columnas : ['identidad', ...columnas];
+        const vectores = columnas.filter(columna => columna.startsWith('embedding_'));
+        let ultimo = null;
+
+        for (;;) {
+            let consulta = this.client.from(TABLA).select(seleccion.join(','));
+            if (tribunal) consulta = consulta.ilike('tribunal', `${tribunal}%`);
+            if (desde) consulta = consulta.gte('fecha_sentencia', desde);
+            if (hasta) consulta = consulta.lte('fecha_sentencia', hasta);
+            if (materia) consulta = consulta.ilike('materia', materia);
+            if (tipo_recurso) consulta = consulta.eq('tipo_recurso', tipo_recurso);
+            if (ultimo !== null) consulta = consulta.gt('identidad', ultimo);
+
+            const { data, error } = await consulta.order('identidad').limit(TAMANO_PAGINA);
+            if (error) throw error;
+
+            const filas = data || [];
+            for (const fila of filas) {
+                for (const columna of vectores) {
+                    fila[columna] = leerVector(fila[columna]);
+                }
+                yield fila;
+            }
+
+            if (filas.length < TAMANO_PAGINA) return;
+            ultimo = filas[filas.length - 1].identidad;
+        }
+    }
+}
+
+module.exports = { SupabaseStorage };
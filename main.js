@@ -10,91 +10,184 @@
 
 require('dotenv').config();
 const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
+const axios = require('axios');
 const crypto = require('crypto');
+const fs = require('fs');
 const moment = require('moment');
 const _ = require('lodash');
+const { log, conContexto, agregarContexto } = require('./lib/logger');
+const { JobQueue } = require('./lib/jobQueue');
+const { Scheduler, parseProgramaciones } = require('./lib/scheduler');
+const { SEARCH_URLS, buildScrapeConfig, validateScrapeParams } = require('./lib/scrapeConfig');
+const { mapSentenciaToRow, extractKParameter } = require('./lib/recordMapper');
+const { identidadSentencia, normalizarRol } = require('./lib/rolParser');
+const { createStorage } = require('./lib/storage');
+const { parseSentencia } = require('./lib/sentenceParser');
+const { FUENTES_TEXTO, extraerTextoPdf, esPdf } = require('./lib/pdfText');
+const { extraerListado, extraerResultados, extraerDetalle, enlaceSiguiente } = require('./lib/htmlExtractor');
+const { perfilPara, etiquetaPerfil, selectoresDe } = require('./lib/profiles');
+const { MOTIVOS, estadisticasTexto, evaluarCalidad, MonitorCalidad } = require('./lib/quality');
+const { HttpSession } = require('./lib/httpSession');
+const { extraerMetadatos } = require('./lib/metadataExtractor');
+const { compararFilas, embeddingsDesactualizados, sinEmbeddings, COLUMNAS_EMBEDDING } = require('./lib/revisionDiff');
+const { PagePool } = require('./lib/pagePool');
+const { obtenerLimitador } = require('./lib/rateLimiter');
+const { registry, metricas } = require('./lib/metrics');
+const { HealthCheck, DESHABILITADO } = require('./lib/health');
+const { createEmbedder, createEmbeddingProvider } = require('./lib/embeddings');
+const { validarBusqueda, buscarSentencias } = require('./lib/search');
+const { extraerCitas, validarConsultaCitas, buscarCitantes } = require('./lib/citations');
+const { FORMATOS, validarExportacion, exportarSentencias } = require('./lib/export');
+const { CLASES_ERROR, ESTADOS_FALLIDA, ScrapeError, clasificarError, conReintentos, cartaFallida } = require('./lib/retryPolicy');
+const { CrawlCheckpoint, ESTADOS_CHECKPOINT, ESTADOS_RESULTADO, resumirResultados, checkpointsObsoletos } = require('./lib/checkpoint');
+const {
+    ESTADOS_VENTANA,
+    fechaVentana,
+    fechaBusqueda,
+    dividirRango,
+    subdividir,
+    pareceTruncado,
+    calcularCobertura
+} = require('./lib/backfill');
+const { v4: uuidv4 } = require('uuid');
 
-// Configuración de logging mejorado
-const log = {
-    info: (message) => console.log(`[INFO] ${new Date().toISOString()} - ${message}`),
-    warning: (message) => console.warn(`[WARNING] ${new Date().toISOString()} - ${message}`),
-    error: (message) => console.error(`[ERROR] ${new Date().toISOString()} - ${message}`),
-    debug: (message) => {
-        if (process.env.DEBUG === 'true') {
-            console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`);
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Sumar contadores numéricos, también los anidados (p. ej. errores_por_clase)
+ */
+function sumarContadores(lista) {
+    const total = {};
+    for (const contadores of lista) {
+        for (const [clave, valor] of Object.entries(contadores)) {
+            if (typeof valor === 'number') {
+                total[clave] = (total[clave] || 0) + valor;
+            } else if (_.isPlainObject(valor)) {
+                total[clave] = sumarContadores([total[clave] || {}, valor]);
+            }
         }
     }
-};
+    return total;
+}
+
+/**
+ * Sumar los contadores de varias corridas de tribunal
+ */
+function sumarStats(lista, inicio) {
+    return { inicio, ...sumarContadores(lista) };
+}
 
 /**
  * Clase principal del scraper
  */
 class JurisprudenciaScraper {
-    constructor() {
-        this.supabase = null;
-        this.openai = null;
-        this.browser = null;
+    /**
+     * @param {Object} options - Parámetros de la corrida; sobrescriben las variables de entorno
+     * @param {Object} [compartidos] - Navegador, almacenamiento, embedder, pool de páginas y runId
+     *   de una corrida multi-tribunal; quien los creó es quien los cierra
+     */
+    constructor(options = {}, compartidos = {}) {
+        this.compartidos = compartidos;
+        this.storage = compartidos.storage || null;
+        this.runId = compartidos.runId || null;
+        this.checkpoint = null;
+        this.checkpointActivo = true;
+        this.colaCheckpoint = Promise.resolve();
+        // Comparte caché y lotes de embeddings entre los tribunales de la corrida
+        this.embedder = compartidos.embedder || null;
+        this.browser = compartidos.browser || null;
         this.page = null;
+        this.pagePool = compartidos.pagePool || null;
+        this.rateLimiter = null;
+        // Pedidos sin navegador, con las cookies de la sesión de búsqueda
+        this.http = new HttpSession({ userAgent: USER_AGENT });
+        // Página del listado descargada por HTTP (null si el listado está en this.page)
+        this.listado = null;
+        this.hijos = [];
+        this.porTribunal = null;
+        this.cancelled = false;
+        // Corta las esperas largas del limitador (horario de silencio, Retry-After) al cancelar
+        this.cancelacion = new AbortController();
+        this.currentPage = 0;
+        this.ultimoListado = null;
+        this.ventanaActual = null;
+        this.cobertura = null;
+        // Última fecha_sentencia guardada en esta corrida (YYYY-MM-DD), para la marca de agua
+        this.fechaMaxima = null;
         this.stats = {
             total_procesadas: 0,
             exitosas: 0,
             duplicadas: 0,
+            actualizadas: 0,
+            sin_cambios: 0,
+            ya_procesadas: 0,
+            reintentos: 0,
             errores: 0,
+            errores_por_clase: _.mapValues(_.invert(CLASES_ERROR), () => 0),
+            reprocesadas: 0,
+            desde_pdf: 0,
+            // Textos enviados al proveedor de embeddings y reutilizados del caché
+            embeddings: { generados: 0, en_cache: 0 },
+            // Páginas (listado y detalle) obtenidas por cada estrategia
+            paginas: { http: 0, navegador: 0 },
+            // Milisegundos sumados por etapa; con trabajadores en paralelo pueden superar la duración de la corrida
+            tiempos_ms: { listado: 0, detalle: 0, embeddings: 0, guardado: 0 },
+            // Elementos del listado que no parecían resultados
+            descartados_listado: 0,
+            // Resultados rechazados por no traer un ROL, RIT o RUC reconocible
+            sin_rol: 0,
+            // Sentencias puntuadas, cuántas quedaron no válidas y la suma de sus puntajes
+            calidad: { evaluadas: 0, invalidas: 0, suma: 0, alertas: 0 },
             inicio: new Date()
         };
         
-        // Configuración desde variables de entorno
-        this.config = {
-            tribunal: process.env.TRIBUNAL || 'Corte_Suprema',
-            startDate: process.env.START_DATE || moment().subtract(30, 'days').format('DD/MM/YYYY'),
-            endDate: process.env.END_DATE || moment().format('DD/MM/YYYY'),
-            maxSentencias: parseInt(process.env.MAX_SENTENCIAS) || 100,
-            searchTerm: process.env.SEARCH_TERM || '',
-            enableEmbeddings: process.env.ENABLE_EMBEDDINGS === 'true',
-            debugMode: process.env.DEBUG === 'true',
-            delayBetweenRequests: parseInt(process.env.DELAY_BETWEEN_REQUESTS) || 2000
-        };
+        // Configuración desde variables de entorno, sobrescrita por las opciones
+        this.config = buildScrapeConfig(options);
         
-        // URLs del sitio judicial
-        this.BASE_URL = 'https://juris.pjud.cl';
-        this.SEARCH_URLS = {
-            'Corte_Suprema': '/busqueda?Corte_Suprema',
-            'Corte_de_Apelaciones': '/busqueda?Corte_de_Apelaciones',
-            'Penales': '/busqueda?Penales',
-            'Familia': '/busqueda?Familia',
-            'Laboral': '/busqueda?Laboral',
-            'Civil': '/busqueda?Civil'
-        };
+        // URLs del sitio judicial (JURIS_BASE_URL permite apuntar a un servidor de fixtures)
+        this.BASE_URL = this.config.baseUrl.replace(/\/+$/, '');
+        this.SEARCH_URLS = SEARCH_URLS;
+        
+        // Selectores y formatos de fecha del tribunal (profiles/)
+        this.perfil = perfilPara(this.config.tribunal);
+        
+        // Ritmo de navegación compartido con las demás corridas del proceso
+        this.rateLimiter = obtenerLimitador(this.config);
+        
+        // Proporción de extracciones inválidas de las últimas sentencias; si salta, cambió el marcado
+        this.monitorCalidad = new MonitorCalidad({ ventana: this.config.qualityWindow, umbral: this.config.qualityMaxInvalid });
+        // Error con que se detiene la corrida si qualityAction es abortar
+        this.deriva = null;
     }
 
     /**
      * Inicializar conexiones y servicios
      */
     async initialize() {
+        if (this.compartidos.browser) {
+            // Corrida de un tribunal dentro de una multi-tribunal: solo falta su página de listado
+            this.page = await this.createPage();
+            return;
+        }
+        
         log.info('Inicializando scraper para Render.com...');
         
-        // Inicializar Supabase
-        if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-            this.supabase = createClient(
-                process.env.SUPABASE_URL,
-                process.env.SUPABASE_ANON_KEY
-            );
-            log.info('Supabase inicializado correctamente');
-        } else {
-            log.warning('Supabase no inicializado - faltan variables de entorno');
-            this.supabase = null;
-        }
+        // Inicializar backend de almacenamiento
+        this.storage = createStorage(this.config);
+        await this.storage.init();
+        log.info(`Almacenamiento inicializado: ${this.storage.nombre}`);
+        await this.verifySchema();
         
-        // Inicializar OpenAI si está habilitado
-        if (this.config.enableEmbeddings && process.env.OPENAI_API_KEY) {
-            this.openai = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-            log.info('OpenAI inicializado para embeddings');
+        // Inicializar el proveedor de embeddings si está habilitado
+        if (this.config.enableEmbeddings) {
+            try {
+                this.embedder = createEmbedder(this.config, this.storage);
+                log.info(`Embeddings con ${this.embedder.provider.nombre} (${this.embedder.modelo})`);
+            } catch (error) {
+                log.warning(`Embeddings deshabilitados: ${error.message}`);
+            }
         } else {
-            log.info('OpenAI no inicializado - embeddings deshabilitados');
+            log.info('Embeddings deshabilitados');
         }
         
         // Inicializar navegador optimizado para Render
@@ -112,486 +205,1527 @@ class JurisprudenciaScraper {
             ]
         });
 
-        this.page = await this.browser.newPage();
+        this.page = await this.createPage();
+        
+        // Pestañas para los detalles de sentencias, compartidas entre tribunales
+        this.pagePool = new PagePool({
+            createPage: () => this.createPage(),
+            size: this.config.pagePoolSize,
+            hostConcurrency: this.config.hostConcurrency
+        });
+        
+        log.info(`Scraper inicializado correctamente para Render.com (${this.config.pagePoolSize} pestañas, ${this.config.hostConcurrency} por host)`);
+    }
+
+    /**
+     * Abrir una pestaña con el user agent y los headers del scraper
+     */
+    async createPage() {
+        const page = await this.browser.newPage();
         
         // Configurar user agent y headers
-        await this.page.setUserAgent(
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        );
+        await page.setUserAgent(USER_AGENT);
         
-        await this.page.setExtraHTTPHeaders({
+        await page.setExtraHTTPHeaders({
             'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8',
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
         });
         
-        log.info('Scraper inicializado correctamente para Render.com');
+        // Las respuestas 429/5xx del sitio (también las de clics y XHR) frenan al limitador
+        page.on('response', (response) => {
+            if (!['document', 'xhr', 'fetch'].includes(response.request().resourceType())) return;
+            this.rateLimiter.registrarRespuesta(response.url(), response.status(), response.headers()['retry-after']);
+        });
+        
+        return page;
+    }
+
+    /**
+     * Ejecutar una navegación hacia `url` respetando el limitador
+     */
+    async throttle(url, navegar) {
+        return this.rateLimiter.programar(url, navegar, { signal: this.cancelacion.signal });
+    }
+
+    /**
+     * Verificar que las migraciones del esquema estén aplicadas
+     */
+    async verifySchema() {
+        const estado = await this.storage.checkSchema();
+        if (!estado) return;
+        
+        if (estado.error) {
+            log.warning(`No se pudo leer schema_migrations: ${estado.error}`);
+        }
+        if (estado.modificadas.length > 0) {
+            log.warning(`Migraciones modificadas después de aplicarse: ${estado.modificadas.map(m => m.archivo).join(', ')}`);
+        }
+        if (estado.pendientes.length > 0) {
+            const pendientes = estado.pendientes.map(m => m.archivo).join(', ');
+            if (process.env.REQUIRE_MIGRATIONS === 'true') {
+                throw new Error(`Migraciones pendientes: ${pendientes}. Ejecuta npm run migrate`);
+            }
+            log.warning(`Migraciones pendientes: ${pendientes}. Ejecuta npm run migrate`);
+        } else {
+            log.info('Esquema de base de datos al día');
+        }
     }
 
     /**
      * Ejecutar proceso completo de scraping
+     *
+     * Los logs de la corrida llevan su run_id y tribunal; los de cada
+     * resultado, además, el ROL y la página del listado
      */
     async run() {
+        return conContexto({ tribunal: this.config.tribunales.join(',') }, () => this.ejecutar());
+    }
+
+    async ejecutar() {
         try {
             await this.initialize();
+            this.throwIfCancelled();
+            await this.startRun();
             
-            log.info(`Iniciando scraping de ${this.config.tribunal}...`);
-            log.info(`Rango de fechas: ${this.config.startDate} - ${this.config.endDate}`);
-            log.info(`Máximo de sentencias: ${this.config.maxSentencias}`);
-            
-            // Navegar a la página de búsqueda
-            await this.navigateToSearchPage();
-            
-            // Configurar filtros de búsqueda
-            await this.setupSearchFilters();
-            
-            // Ejecutar búsqueda y obtener resultados
-            const resultados = await this.executeSearch();
-            
-            // Procesar cada resultado
-            await this.processResults(resultados);
+            if (this.config.replay) {
+                await this.runReplay();
+            } else if (this.config.tribunales.length > 1) {
+                await this.runTribunales();
+            } else {
+                await this.crawl();
+            }
             
             // Imprimir estadísticas finales
             await this.printFinalStats();
+            await this.finishRun('completado');
+            
+            return this.getProgress();
             
         } catch (error) {
-            log.error('Error en proceso principal:', error);
+            if (this.cancelled) {
+                log.info('Scraping cancelado antes de terminar');
+                await this.finishRun('cancelado');
+                return this.getProgress();
+            }
+            log.error('Error en proceso principal', error);
+            await this.finishRun('fallido', error);
             throw error;
         } finally {
-            if (this.browser) {
-                await this.browser.close();
+            await this.closeBrowser();
+            if (this.storage) {
+                await this.storage.close();
             }
         }
     }
 
     /**
-     * Navegar a página de búsqueda del tribunal seleccionado
+     * Recorrer la búsqueda del tribunal configurado
      */
-    async navigateToSearchPage() {
-        const searchUrl = this.BASE_URL + this.SEARCH_URLS[this.config.tribunal];
-        log.info(`Navegando a: ${searchUrl}`);
+    async crawl() {
+        log.info(`Iniciando scraping de ${this.config.tribunal}...`);
+        log.info(`Rango de fechas: ${this.config.startDate} - ${this.config.endDate}`);
         
-        await this.page.goto(searchUrl, {
-            waitUntil: 'networkidle2',
-            timeout: 30000
+        if (this.config.backfill) {
+            log.info(`Backfill por ${this.config.backfill}, hasta ${this.config.backfillLimit} resultados por ventana`);
+            await this.runBackfill();
+        } else {
+            log.info(`Máximo de sentencias: ${this.config.maxSentencias}`);
+            
+            // Listar resultados, retomando el checkpoint si lo hay
+            const resultados = await this.medir('listado', () => this.listResults());
+            
+            // Procesar cada resultado
+            await this.processResults(resultados);
+            await this.completeCheckpoint();
+        }
+        
+        await this.advanceWatermark();
+    }
+
+    /**
+     * Recorrer varios tribunales a la vez con el mismo navegador y pool de páginas
+     *
+     * Cada tribunal lleva sus propios contadores y checkpoint; el fallo de
+     * uno no detiene a los demás. Los contadores de la corrida son la suma.
+     */
+    async runTribunales() {
+        const { tribunales } = this.config;
+        log.info(`Corrida multi-tribunal: ${tribunales.join(', ')}`);
+        
+        const compartidos = {
+            browser: this.browser,
+            storage: this.storage,
+            embedder: this.embedder,
+            pagePool: this.pagePool,
+            runId: this.runId
+        };
+        this.hijos = tribunales.map(tribunal => new JurisprudenciaScraper(
+            { ...this.config, tribunal, tribunales: [tribunal] },
+            compartidos
+        ));
+        
+        const resultados = await Promise.allSettled(this.hijos.map(hijo => conContexto({ tribunal: hijo.config.tribunal }, async () => {
+            try {
+                await hijo.initialize();
+                await hijo.crawl();
+            } finally {
+                await hijo.closeBrowser();
+            }
+        })));
+        
+        this.throwIfCancelled();
+        
+        this.porTribunal = {};
+        resultados.forEach((resultado, i) => {
+            const hijo = this.hijos[i];
+            const fallido = resultado.status === 'rejected';
+            if (fallido) {
+                log.error(`Error en ${hijo.config.tribunal}`, resultado.reason, { tribunal: hijo.config.tribunal });
+            }
+            this.porTribunal[hijo.config.tribunal] = {
+                estado: fallido ? 'fallido' : 'completado',
+                error: fallido ? resultado.reason.message : null,
+                ...hijo.getProgress()
+            };
         });
         
-        // Esperar a que cargue la interfaz de búsqueda
-        await this.page.waitForSelector('input[type="submit"]', { timeout: 15000 });
+        this.stats = sumarStats(this.hijos.map(hijo => hijo.stats), this.stats.inicio);
         
-        if (this.config.debugMode) {
-            log.info('Página de búsqueda cargada correctamente');
+        if (resultados.every(resultado => resultado.status === 'rejected')) {
+            throw new Error(`Fallaron todos los tribunales: ${tribunales.join(', ')}`);
         }
     }
 
     /**
-     * Configurar filtros de búsqueda
+     * Reprocesar las sentencias fallidas pendientes de los tribunales de la corrida
+     *
+     * Se usa el resultado guardado del listado, sin volver a buscar. Las que
+     * salen bien quedan `reprocesada`; las que vuelven a fallar se actualizan.
      */
-    async setupSearchFilters() {
-        log.info('Configurando filtros de búsqueda...');
+    async runReplay() {
+        const cartas = await this.storage.listDeadLetters({
+            tribunales: this.config.tribunales,
+            clase: this.config.claseError || null
+        });
+        log.info(`Reprocesando ${cartas.length} sentencias fallidas de ${this.config.tribunales.join(', ')}`);
         
+        const tribunalOriginal = this.config.tribunal;
         try {
-            // Establecer fechas si existen campos de fecha
-            const fechaDesdeField = await this.page.$('input[name*="fecha"][name*="desde"], input[name*="fec_desde"]');
-            const fechaHastaField = await this.page.$('input[name*="fecha"][name*="hasta"], input[name*="fec_hasta"]');
-            
-            if (fechaDesdeField && fechaHastaField) {
-                await fechaDesdeField.clear();
-                await fechaDesdeField.type(this.config.startDate);
-                
-                await fechaHastaField.clear();
-                await fechaHastaField.type(this.config.endDate);
-                
-                log.info(`Filtros de fecha establecidos: ${this.config.startDate} - ${this.config.endDate}`);
-            }
-            
-            // Establecer término de búsqueda si existe
-            if (this.config.searchTerm) {
-                const searchField = await this.page.$('input[name*="texto"], textarea[name*="texto"]');
-                if (searchField) {
-                    await searchField.type(this.config.searchTerm);
-                    log.info(`Término de búsqueda establecido: ${this.config.searchTerm}`);
-                }
-            }
-            
-            // Configurar para mostrar con descripción (más información)
-            const conDescripcionRadio = await this.page.$('input[value*="descripcion"]');
-            if (conDescripcionRadio) {
-                await conDescripcionRadio.click();
-                log.info('Configurado para mostrar con descripción');
+            for (const [tribunal, propias] of Object.entries(_.groupBy(cartas, 'tribunal'))) {
+                this.throwIfCancelled();
+                this.config.tribunal = tribunal;
+                await conContexto({ tribunal }, () => this.processResults(propias.map(carta => carta.resultado)));
             }
-            
-        } catch (error) {
-            log.warning('Error configurando filtros:', error.message);
+        } finally {
+            this.config.tribunal = tribunalOriginal;
         }
     }
 
     /**
-     * Ejecutar búsqueda y obtener resultados
+     * Registrar el inicio de la corrida en el almacenamiento
      */
-    async executeSearch() {
-        log.info('Ejecutando búsqueda...');
+    async startRun() {
+        this.runId = uuidv4();
+        agregarContexto({ run_id: this.runId });
         
         try {
-            // Hacer clic en el botón de búsqueda
-            await this.page.click('input[type="submit"]');
-        
-            // Esperar a que carguen los resultados
-            await this.page.waitForSelector('.resultado, .sentencia, table', { timeout: 20000 });
-        
-            // Extraer resultados de todas las páginas
-            const resultados = [];
-            let pagina = 1;
-        
-            while (resultados.length < this.config.maxSentencias) {
-                log.info(`Procesando página ${pagina}...`);
-            
-            const resultadosPagina = await this.extractResultsFromPage();
-                resultados.push(...resultadosPagina);
-            
-                log.info(`Encontrados ${resultadosPagina.length} resultados en página ${pagina}`);
-            
-                // Verificar si hay más páginas
-                const siguientePagina = await this.goToNextPage();
-                if (!siguientePagina) {
-                    log.info('No hay más páginas disponibles');
-                    break;
+            await this.storage.startRun({
+                id: this.runId,
+                tribunal: this.config.tribunales.join(','),
+                parametros: {
+                    ..._.pick(this.config, ['tribunal', 'tribunales', 'startDate', 'endDate', 'searchTerm', 'maxSentencias', 'updateMode', 'backfill', 'replay', 'claseError', 'fetchMode']),
+                    perfil: etiquetaPerfil(this.perfil)
                 }
-                
-                pagina++;
-                await this.delay(this.config.delayBetweenRequests);
-            }
-            
-            log.info(`Total de resultados encontrados: ${resultados.length}`);
-            return resultados.slice(0, this.config.maxSentencias);
-            
+            });
         } catch (error) {
-            log.error('Error ejecutando búsqueda:', error);
-            throw error;
+            log.warning(`No se pudo registrar el inicio de la corrida: ${error.message}`);
         }
     }
 
     /**
-     * Extraer resultados de la página actual
+     * Obtener el listado de resultados de la búsqueda configurada
+     *
+     * Retoma una corrida anterior con los mismos parámetros si quedó a medias.
      */
-    async extractResultsFromPage() {
-        const resultados = await this.page.evaluate(() => {
-            const items = [];
-            
-            // Buscar diferentes tipos de selectores para resultados
-            const selectores = [
-                '.resultado',
-                '.sentencia', 
-                'table tr',
-                '.item-resultado',
-                '[class*="resultado"]'
-            ];
-            
-            let elementos = [];
-            for (const selector of selectores) {
-                elementos = document.querySelectorAll(selector);
-                if (elementos.length > 0) break;
-            }
-            
-            elementos.forEach((elemento, index) => {
-                // Extraer información básica
-                const rol = elemento.querySelector('[class*="rol"], [class*="numero"]')?.textContent?.trim();
-                const fecha = elemento.querySelector('[class*="fecha"]')?.textContent?.trim();
-                const tribunal = elemento.querySelector('[class*="tribunal"]')?.textContent?.trim();
-                const caratulado = elemento.querySelector('[class*="caratulado"], [class*="materia"]')?.textContent?.trim();
-                
-                // Buscar enlace al detalle
-                const enlace = elemento.querySelector('a[href*="detalle"], a[href*="sentencia"]')?.href;
-                
-                if (rol || fecha || tribunal) {
-                    items.push({
-                        rol: rol || `ROL-${Date.now()}-${index}`,
-                        fecha: fecha || '',
-                        tribunal: tribunal || '',
-                        caratulado: caratulado || '',
-                        enlace: enlace || '',
-                        index: index
-                    });
-                }
-            });
-            
-            return items;
-        });
+    async listResults() {
+        await this.loadCheckpoint();
         
-        return resultados;
+        if (this.checkpoint.listado_completo) {
+            // El listado ya se leyó completo: no hace falta volver a buscar
+            const resultados = this.checkpoint.resultados.map(fila => fila.resultado);
+            this.currentPage = this.checkpoint.ultima_pagina;
+            this.ultimoListado = { listados: resultados.length, total_reportado: null, hay_mas: false };
+            log.info(`Listado completo en el checkpoint: ${resultados.length} resultados`);
+            return resultados.slice(0, this.config.maxSentencias);
+        }
+        
+        // Navegar a la página de búsqueda
+        await this.navigateToSearchPage();
+        
+        // Configurar filtros de búsqueda
+        await this.setupSearchFilters();
+        
+        // Ejecutar búsqueda y obtener resultados
+        return this.executeSearch();
     }
 
     /**
-     * Ir a la siguiente página de resultados
+     * Recorrer el rango configurado en ventanas de fechas
+     *
+     * Las ventanas completas de corridas anteriores se saltan; las que
+     * parecen truncadas se reemplazan por ventanas más chicas.
      */
-    async goToNextPage() {
+    async runBackfill() {
+        const { tribunal, searchTerm, startDate, endDate, maxSentencias } = this.config;
+        const rango = {
+            tribunal,
+            searchTerm: searchTerm || '',
+            desde: fechaVentana(startDate),
+            hasta: fechaVentana(endDate)
+        };
+        
+        const registradas = new Map();
         try {
-            const siguienteEnlace = await this.page.$('a[href*="pagina"], a:contains("Siguiente"), a:contains(">")');
-            if (siguienteEnlace) {
-                await siguienteEnlace.click();
-                await this.page.waitForSelector('.resultado, .sentencia, table', { timeout: 10000 });
-                return true;
+            for (const ventana of await this.storage.listBackfillWindows(rango)) {
+                registradas.set(`${ventana.desde}|${ventana.hasta}`, ventana);
             }
-            return false;
         } catch (error) {
-            log.debug('No se encontró siguiente página');
-            return false;
+            log.warning(`No se pudieron leer las ventanas del backfill: ${error.message}`);
         }
-    }
-
-    /**
-     * Procesar todos los resultados
-     */
-    async processResults(resultados) {
-        log.info(`Procesando ${resultados.length} resultados...`);
         
-        for (let i = 0; i < resultados.length; i++) {
-            const resultado = resultados[i];
-            this.stats.total_procesadas++;
-            
-            try {
-                await this.processSingleResult(resultado);
-                await this.delay(this.config.delayBetweenRequests);
-            } catch (error) {
-                log.error(`Error procesando resultado ${i + 1}:`, error.message);
-                this.stats.errores++;
+        const cola = dividirRango(startDate, endDate, this.config.backfill);
+        try {
+            while (cola.length > 0) {
+                this.throwIfCancelled();
+                const ventana = cola.shift();
+                const previa = registradas.get(`${ventana.desde}|${ventana.hasta}`);
+                
+                if (previa && previa.estado === ESTADOS_VENTANA.COMPLETA) {
+                    log.info(`Ventana ${ventana.desde} - ${ventana.hasta} ya completa`);
+                    continue;
+                }
+                if (previa && previa.estado === ESTADOS_VENTANA.DIVIDIDA) {
+                    cola.unshift(...subdividir(ventana));
+                    continue;
+                }
+                
+                const hijas = await this.crawlWindow(ventana, rango);
+                if (hijas) {
+                    cola.unshift(...hijas);
+                }
             }
+        } finally {
+            Object.assign(this.config, { startDate, endDate, maxSentencias });
+            this.ventanaActual = null;
+        }
+        
+        try {
+            this.cobertura = calcularCobertura(await this.storage.listBackfillWindows(rango), startDate, endDate);
+        } catch (error) {
+            log.warning(`No se pudo calcular la cobertura: ${error.message}`);
         }
     }
 
     /**
-     * Procesar un resultado individual
+     * Listar y procesar una ventana del backfill
+     *
+     * @returns {Object[]|null} ventanas hijas si hubo que dividirla
      */
-    async processSingleResult(resultado) {
-        log.info(`Procesando: ${resultado.rol}`);
+    async crawlWindow(ventana, rango) {
+        this.ventanaActual = ventana;
+        Object.assign(this.config, {
+            startDate: fechaBusqueda(ventana.desde),
+            endDate: fechaBusqueda(ventana.hasta),
+            maxSentencias: this.config.backfillLimit
+        });
+        log.info(`Ventana ${ventana.desde} - ${ventana.hasta} (${ventana.granularidad})`);
         
-        // Verificar si ya existe en la base de datos
-        if (this.supabase) {
-            const existe = await this.checkDuplicateByRol(resultado.rol);
-                if (existe) {
-                log.info(`Duplicado encontrado: ${resultado.rol}`);
-                this.stats.duplicadas++;
-                    return;
-                }
-            }
+        const registro = {
+            tribunal: rango.tribunal,
+            search_term: rango.searchTerm,
+            desde: ventana.desde,
+            hasta: ventana.hasta,
+            granularidad: ventana.granularidad,
+            run_id: this.runId
+        };
         
-        // Extraer detalles completos de la sentencia
-        const sentencia = await this.extractSentenceDetails(resultado);
-            
-            // Generar embeddings si está habilitado
-        if (this.config.enableEmbeddings && this.openai) {
-                await this.generateEmbeddings(sentencia);
-            }
-            
-            // Guardar en Supabase
-        if (this.supabase) {
-            await this.saveSentenceToSupabase(sentencia);
-            this.stats.exitosas++;
-            log.info(`Sentencia guardada: ${resultado.rol}`);
-        } else {
-            log.info(`Sentencia procesada (sin guardar): ${resultado.rol}`);
+        const resultados = await this.medir('listado', () => this.listResults());
+        const listado = this.ultimoListado;
+        const truncado = pareceTruncado(listado, this.config.backfillLimit);
+        Object.assign(registro, { listados: listado.listados, total_reportado: listado.total_reportado });
+        
+        const hijas = truncado ? subdividir(ventana) : null;
+        if (hijas) {
+            log.warning(`Ventana ${ventana.desde} - ${ventana.hasta} truncada (${listado.listados} resultados), se divide en ${hijas.length}`);
+            await this.saveWindow({ ...registro, estado: ESTADOS_VENTANA.DIVIDIDA });
+            await this.discardCheckpoint();
+            return hijas;
+        }
+        
+        const antes = { ...this.stats };
+        await this.processResults(resultados);
+        await this.completeCheckpoint();
+        
+        const delta = (campo) => this.stats[campo] - antes[campo];
+        const errores = delta('errores');
+        const guardadas = ['exitosas', 'duplicadas', 'actualizadas', 'sin_cambios', 'ya_procesadas'].reduce((total, campo) => total + delta(campo), 0);
+        
+        let estado = ESTADOS_VENTANA.COMPLETA;
+        if (truncado) {
+            log.warning(`Ventana ${ventana.desde} truncada y no se puede achicar más: quedará como hueco`);
+            estado = ESTADOS_VENTANA.TRUNCADA;
+        } else if (errores > 0) {
+            estado = ESTADOS_VENTANA.CON_ERRORES;
         }
+        
+        await this.saveWindow({ ...registro, estado, guardadas, errores });
+        return null;
     }
 
     /**
-     * Extraer detalles completos de una sentencia
+     * Registrar el estado de una ventana del backfill
      */
-    async extractSentenceDetails(resultado) {
-        let sentencia = {
-            rol: resultado.rol,
-            fecha: resultado.fecha,
-            tribunal: resultado.tribunal,
-            caratulado: resultado.caratulado,
-            enlace: resultado.enlace,
-            texto_completo: '',
-            considerandos: '',
-            resolucion: '',
-            fecha_ingreso: new Date().toISOString(),
-            hash_contenido: '',
-            embeddings: null
-        };
-            
-        // Si hay enlace al detalle, navegar y extraer información completa
-        if (resultado.enlace) {
-            try {
-                await this.page.goto(resultado.enlace, { waitUntil: 'networkidle2', timeout: 15000 });
-                
-                const detalles = await this.page.evaluate(() => {
-                const extraerTexto = (selector) => {
-                        const elemento = document.querySelector(selector);
-                        return elemento ? elemento.textContent.trim() : '';
-                };
-                
-                const extraerTextoMultiple = (selectores) => {
-                    for (const selector of selectores) {
-                        const texto = extraerTexto(selector);
-                        if (texto) return texto;
-                    }
-                    return '';
-                };
-                
-                    return {
-                        texto_completo: extraerTextoMultiple([
-                            '.texto-sentencia',
-                            '.contenido-sentencia',
-                            '.sentencia-texto',
-                            '#contenido',
-                            '.main-content'
-                        ]),
-                        considerandos: extraerTextoMultiple([
-                            '.considerandos',
-                            '[class*="considerando"]',
-                            '.fundamentos'
-                        ]),
-                        resolucion: extraerTextoMultiple([
-                            '.resolucion',
-                            '.fallo',
-                            '[class*="resuelve"]'
-                        ]),
-                        fecha: extraerTextoMultiple([
-                            '.fecha-sentencia',
-                    '[class*="fecha"]',
-                            '.fecha'
-                        ]),
-                        tribunal: extraerTextoMultiple([
-                            '.tribunal',
-                            '[class*="tribunal"]',
-                            '.corte'
-                        ])
-                    };
-                });
-                
-                // Actualizar sentencia con detalles extraídos
-                sentencia = { ...sentencia, ...detalles };
-                
-            } catch (error) {
-                log.warning(`Error extrayendo detalles de ${resultado.rol}:`, error.message);
-            }
+    async saveWindow(ventana) {
+        try {
+            await this.storage.saveBackfillWindow(ventana);
+        } catch (error) {
+            log.warning(`No se pudo registrar la ventana ${ventana.desde} - ${ventana.hasta}: ${error.message}`);
         }
-            
-            // Procesar fecha
-            if (sentencia.fecha) {
-            sentencia.fecha = this.processFecha(sentencia.fecha);
-            }
-            
-            // Generar hash del contenido
-        const contenidoParaHash = `${sentencia.rol}${sentencia.texto_completo}${sentencia.considerandos}`;
-        sentencia.hash_contenido = crypto.createHash('sha256').update(contenidoParaHash).digest('hex');
-            
-            return sentencia;
     }
 
     /**
-     * Procesar fecha de texto a formato ISO
+     * Cargar el checkpoint de estos parámetros o empezar uno nuevo
+     *
+     * Solo se retoma un checkpoint en curso con al menos una página leída;
+     * con `resume: false`, o si el anterior terminó, se descarta y se parte de cero.
      */
-    processFecha(fechaTexto) {
+    async loadCheckpoint() {
+        const nuevo = CrawlCheckpoint.nuevo(this.config, this.runId);
+        
         try {
-            // Intentar diferentes formatos de fecha
-            const formatos = [
-                'DD/MM/YYYY',
-                'DD-MM-YYYY',
-                'YYYY-MM-DD',
-                'DD/MM/YY',
-                'DD-MM-YY'
-            ];
+            const guardado = this.config.resume ? await this.storage.getCheckpoint(nuevo.clave) : null;
+            const previo = guardado && new CrawlCheckpoint(guardado.encabezado, guardado.resultados);
             
-            for (const formato of formatos) {
-                const fecha = moment(fechaTexto, formato, true);
-                if (fecha.isValid()) {
-                    return fecha.toISOString();
-                }
+            if (previo && previo.reanudable) {
+                const resumen = previo.resumen();
+                log.info(`Reanudando checkpoint ${previo.clave}: página ${previo.ultima_pagina}, ${resumen.hecho} hechos, ${resumen.pendiente} pendientes, ${resumen.fallido} fallidos`);
+                previo.run_id = this.runId;
+                this.checkpoint = previo;
+                await this.storage.saveCheckpoint(previo.encabezado());
+                return;
             }
             
-            // Si no coincide ningún formato, devolver la fecha original
-            return fechaTexto;
+            this.checkpoint = nuevo;
+            await this.storage.deleteCheckpoint(nuevo.clave);
+            await this.storage.saveCheckpoint(nuevo.encabezado());
         } catch (error) {
-            log.warning(`Error procesando fecha: ${fechaTexto}`);
-            return fechaTexto;
+            log.warning(`Checkpoints deshabilitados para esta corrida: ${error.message}`);
+            this.checkpoint = this.checkpoint || nuevo;
+            this.checkpointActivo = false;
         }
     }
 
     /**
-     * Verificar si existe duplicado por ROL
+     * Persistir el encabezado del checkpoint y las filas de resultados dadas
+     *
+     * Un fallo no detiene la corrida: se avisa y se deja de persistir.
      */
-    async checkDuplicateByRol(rol) {
-        try {
-            const { data, error } = await this.supabase
-                .from('jurisprudencia_cs')
-                .select('rol')
-                .eq('rol', rol)
-                .limit(1);
+    async saveCheckpoint(filas = []) {
+        // Las escrituras van en fila: varios resultados se procesan a la vez
+        this.colaCheckpoint = this.colaCheckpoint.then(async () => {
+            if (!this.checkpointActivo) return;
             
-            if (error) {
-                log.error('Error verificando duplicado:', error);
+            try {
+                await this.storage.saveCheckpointResults(filas);
+                await this.storage.saveCheckpoint(this.checkpoint.encabezado());
+            } catch (error) {
+                log.warning(`No se pudo guardar el checkpoint, se deja de persistir: ${error.message}`);
+                this.checkpointActivo = false;
+            }
+        });
+        return this.colaCheckpoint;
+    }
+
+    /**
+     * Marcar un resultado del listado como hecho o fallido
+     */
+    async markResult(posicion, estado, error = null) {
+        const fila = this.checkpoint && this.checkpoint.marcar(posicion, estado, error ? error.message : null);
+        if (fila) {
+            await this.saveCheckpoint([fila]);
+        }
+    }
+
+    /**
+     * Descartar el checkpoint actual (p. ej. una ventana que se dividió)
+     */
+    async discardCheckpoint() {
+        if (!this.checkpoint || !this.checkpointActivo) return;
+        
+        try {
+            await this.storage.deleteCheckpoint(this.checkpoint.clave);
+        } catch (error) {
+            log.warning(`No se pudo descartar el checkpoint ${this.checkpoint.clave}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Dar por terminado el checkpoint: la próxima corrida empieza de cero
+     */
+    async completeCheckpoint() {
+        if (!this.checkpoint) return;
+        
+        this.checkpoint.estado = ESTADOS_CHECKPOINT.COMPLETADO;
+        this.checkpoint.tocar();
+        await this.saveCheckpoint();
+    }
+
+    /**
+     * Ejecutar una etapa sumando su duración a `tiempos_ms` (y al histograma, si se indica)
+     */
+    async medir(etapa, fn, histograma = null) {
+        const inicio = Date.now();
+        try {
+            return await fn();
+        } finally {
+            const ms = Date.now() - inicio;
+            this.stats.tiempos_ms[etapa] += ms;
+            if (histograma) {
+                histograma.observe({ tribunal: this.config.tribunal }, ms / 1000);
+            }
+        }
+    }
+
+    /**
+     * Contar una página obtenida por HTTP o con el navegador
+     */
+    contarPagina(via) {
+        this.stats.paginas[via]++;
+        metricas.paginas.inc({ tribunal: this.config.tribunal, via });
+    }
+
+    /**
+     * Recordar la fecha de una sentencia guardada si es la más reciente de la corrida
+     */
+    registrarFecha(row) {
+        if (row.fecha_sentencia && (!this.fechaMaxima || row.fecha_sentencia > this.fechaMaxima)) {
+            this.fechaMaxima = row.fecha_sentencia;
+        }
+    }
+
+    /**
+     * Avanzar la marca de agua del tribunal hasta la última fecha_sentencia guardada
+     *
+     * No avanza si maxSentencias cortó el listado: pudieron quedar sentencias
+     * anteriores sin leer y la próxima corrida programada las saltaría.
+     */
+    async advanceWatermark() {
+        if (!this.fechaMaxima || this.cancelled) return;
+        
+        const listado = this.ultimoListado;
+        if (!this.config.backfill && listado && (listado.hay_mas || listado.listados > this.config.maxSentencias)) {
+            log.warning(`Listado de ${this.config.tribunal} cortado en ${this.config.maxSentencias} resultados: la marca de agua no avanza`);
+            return;
+        }
+        
+        try {
+            await this.storage.saveWatermark({ tribunal: this.config.tribunal, fecha_sentencia: this.fechaMaxima, run_id: this.runId });
+        } catch (error) {
+            log.warning(`No se pudo guardar la marca de agua de ${this.config.tribunal}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar el término de la corrida con sus contadores
+     */
+    async finishRun(estado, error = null) {
+        const duracionMs = Date.now() - this.stats.inicio.getTime();
+        metricas.corridas.inc({ estado });
+        metricas.duracionCorrida.observe({ estado }, duracionMs / 1000);
+        
+        if (!this.storage || !this.runId) return;
+        
+        try {
+            await this.storage.finishRun(this.runId, {
+                estado,
+                stats: this.getProgress(),
+                error: error ? error.message : null,
+                duracion_ms: duracionMs,
+                ..._.pick(this.stats, ['total_procesadas', 'exitosas', 'duplicadas', 'actualizadas', 'errores', 'tiempos_ms'])
+            });
+        } catch (err) {
+            log.warning(`No se pudo registrar el término de la corrida: ${err.message}`);
+        }
+    }
+
+    /**
+     * Cancelar la corrida en curso y cerrar el navegador
+     */
+    async cancel() {
+        if (this.cancelled) return;
+        
+        log.info('Cancelación solicitada');
+        this.cancelled = true;
+        this.cancelacion.abort(new Error('Scraping cancelado'));
+        await Promise.all(this.hijos.map(hijo => hijo.cancel()));
+        await this.closeBrowser();
+    }
+
+    /**
+     * Lanzar error si la corrida fue cancelada
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error('Scraping cancelado');
+        }
+    }
+
+    /**
+     * Cerrar el navegador si sigue abierto
+     */
+    async closeBrowser() {
+        const browser = this.browser;
+        const page = this.page;
+        const pagePool = this.pagePool;
+        this.browser = null;
+        this.page = null;
+        this.pagePool = null;
+        
+        if (this.compartidos.browser) {
+            // El navegador es de la corrida multi-tribunal: solo se cierra la página de listado
+            if (page && !page.isClosed()) {
+                await page.close().catch(() => null);
+            }
+            return;
+        }
+        
+        if (pagePool) {
+            await pagePool.close();
+        }
+        
+        if (browser) {
+            try {
+                await browser.close();
+            } catch (error) {
+                log.warning(`Error cerrando navegador: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Progreso actual de la corrida (contadores y página)
+     */
+    getProgress() {
+        const progreso = {
+            ...this.stats,
+            pagina_actual: this.currentPage,
+            checkpoint: this.checkpoint ? this.checkpoint.clave : null,
+            cancelado: this.cancelled
+        };
+        
+        if (this.config.tribunales.length > 1) {
+            // Durante la corrida los contadores salen de los tribunales en curso
+            if (!this.porTribunal) {
+                Object.assign(progreso, sumarStats(this.hijos.map(hijo => hijo.stats), this.stats.inicio));
+            }
+            progreso.por_tribunal = this.porTribunal || Object.fromEntries(
+                this.hijos.map(hijo => [hijo.config.tribunal, { estado: 'en_ejecucion', ...hijo.getProgress() }])
+            );
+        }
+        
+        progreso.limitador = this.rateLimiter.estado();
+        
+        if (this.config.backfill) {
+            progreso.ventana_actual = this.ventanaActual;
+            progreso.cobertura = this.cobertura;
+        }
+        
+        return progreso;
+    }
+
+    /**
+     * Navegar a página de búsqueda del tribunal seleccionado
+     */
+    async navigateToSearchPage() {
+        const searchUrl = this.BASE_URL + this.SEARCH_URLS[this.config.tribunal];
+        log.info(`Navegando a: ${searchUrl}`);
+        this.listado = null;
+        
+        await this.throttle(searchUrl, () => this.page.goto(searchUrl, {
+            waitUntil: 'networkidle2',
+            timeout: 30000
+        }));
+        
+        // Esperar a que cargue la interfaz de búsqueda
+        await this.page.waitForSelector(this.selector(this.perfil.formulario.enviar), { timeout: 15000 });
+        
+        if (this.config.debugMode) {
+            log.info('Página de búsqueda cargada correctamente');
+        }
+    }
+
+    /**
+     * Configurar filtros de búsqueda
+     */
+    async setupSearchFilters() {
+        log.info('Configurando filtros de búsqueda...');
+        
+        try {
+            // Establecer fechas si existen campos de fecha
+            const { formulario } = this.perfil;
+            const fechaDesdeField = formulario.fecha_desde && await this.page.$(this.selector(formulario.fecha_desde));
+            const fechaHastaField = formulario.fecha_hasta && await this.page.$(this.selector(formulario.fecha_hasta));
+            
+            if (fechaDesdeField && fechaHastaField) {
+                await this.clearField(fechaDesdeField);
+                await fechaDesdeField.type(this.config.startDate);
+                
+                await this.clearField(fechaHastaField);
+                await fechaHastaField.type(this.config.endDate);
+                
+                log.info(`Filtros de fecha establecidos: ${this.config.startDate} - ${this.config.endDate}`);
+            }
+            
+            // Establecer término de búsqueda si existe
+            if (this.config.searchTerm) {
+                const searchField = formulario.texto && await this.page.$(this.selector(formulario.texto));
+                if (searchField) {
+                    await searchField.type(this.config.searchTerm);
+                    log.info(`Término de búsqueda establecido: ${this.config.searchTerm}`);
+                }
+            }
+            
+            // Configurar para mostrar con descripción (más información)
+            const conDescripcionRadio = formulario.con_descripcion && await this.page.$(this.selector(formulario.con_descripcion));
+            if (conDescripcionRadio) {
+                await conDescripcionRadio.click();
+                log.info('Configurado para mostrar con descripción');
+            }
+            
+        } catch (error) {
+            log.warning('Error configurando filtros', error);
+        }
+    }
+
+    /**
+     * Regla del perfil como un solo selector CSS (las listas se unen con coma)
+     */
+    selector(regla) {
+        return selectoresDe(regla).join(', ');
+    }
+
+    /**
+     * Vaciar un campo de formulario (ElementHandle no tiene clear())
+     */
+    async clearField(field) {
+        await field.evaluate(el => { el.value = ''; });
+    }
+
+    /**
+     * Ejecutar búsqueda y obtener resultados
+     */
+    async executeSearch() {
+        log.info('Ejecutando búsqueda...');
+        
+        try {
+            // Hacer clic en el botón de búsqueda y esperar a que carguen los resultados
+            await this.throttle(this.page.url(), async () => {
+                await this.page.click(this.selector(this.perfil.formulario.enviar));
+                await this.page.waitForSelector(this.selector(this.perfil.listado.espera), { timeout: 20000 });
+            });
+            
+            // Las páginas siguientes y los detalles pueden pedirse por HTTP con esta sesión
+            this.listado = null;
+            await this.syncCookies(this.page);
+        
+            // Extraer resultados de todas las páginas
+            const resultados = [];
+            let pagina = 1;
+            let hayMas = false;
+            
+            // Total que informa el sitio, si lo muestra (sirve para detectar listados truncados)
+            const totalReportado = await this.extractTotalResults();
+            // Los resultados sin ROL no se procesan, pero el sitio los cuenta en su total
+            const sinRolAntes = this.stats.sin_rol;
+        
+            while (resultados.length < this.config.maxSentencias) {
+                this.throwIfCancelled();
+                this.currentPage = pagina;
+                agregarContexto({ pagina });
+                
+                // Páginas ya leídas en una corrida anterior salen del checkpoint
+                let resultadosPagina;
+                if (this.checkpoint && pagina <= this.checkpoint.ultima_pagina) {
+                    resultadosPagina = this.checkpoint.resultadosDePagina(pagina);
+                    log.info(`Página ${pagina} tomada del checkpoint (${resultadosPagina.length} resultados)`);
+                } else {
+                    log.info(`Procesando página ${pagina}...`);
+                    resultadosPagina = await this.extractResultsFromPage();
+                    if (this.checkpoint) {
+                        await this.saveCheckpoint(this.checkpoint.registrarPagina(pagina, resultadosPagina));
+                    }
+                    log.info(`Encontrados ${resultadosPagina.length} resultados en página ${pagina}`);
+                }
+                resultados.push(...resultadosPagina);
+            
+                // Verificar si hay más páginas
+                hayMas = await this.goToNextPage();
+                if (!hayMas) {
+                    log.info('No hay más páginas disponibles');
+                    if (this.checkpoint) {
+                        this.checkpoint.listado_completo = true;
+                        await this.saveCheckpoint();
+                    }
+                    break;
+                }
+                
+                pagina++;
+                await this.delay(this.config.delayBetweenRequests);
+            }
+            
+            agregarContexto({ pagina: undefined });
+            log.info(`Total de resultados encontrados: ${resultados.length}`);
+            this.ultimoListado = {
+                listados: resultados.length + this.stats.sin_rol - sinRolAntes,
+                total_reportado: totalReportado,
+                hay_mas: hayMas
+            };
+            return resultados.slice(0, this.config.maxSentencias);
+            
+        } catch (error) {
+            log.error('Error ejecutando búsqueda', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leer el total de resultados que informa la página ("Se encontraron 1.234 resultados")
+     */
+    async extractTotalResults() {
+        try {
+            const selectorTotal = this.selector(this.perfil.listado.total);
+            const texto = await this.page.evaluate(selector => {
+                const contador = selector && document.querySelector(selector);
+                return (contador || document.body).innerText || '';
+            }, selectorTotal);
+            const match = texto.match(/(?:se encontraron|total(?: de)?(?: resultados)?:?)\s*([\d.]+)/i) ||
+                texto.match(/([\d.]+)\s+(?:resultados|sentencias|documentos)\s+encontrad/i);
+            return match ? parseInt(match[1].replace(/\./g, ''), 10) : null;
+        } catch (error) {
+            log.debug(`No se pudo leer el total de resultados: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Extraer resultados de la página actual del listado
+     */
+    async extractResultsFromPage() {
+        let listado;
+        if (this.listado) {
+            this.contarPagina('http');
+            listado = extraerListado(this.listado.html, this.listado.url, this.perfil);
+        } else {
+            this.contarPagina('navegador');
+            listado = extraerListado(await this.page.content(), this.page.url(), this.perfil);
+        }
+        
+        const { resultados, selector, descartados, sinRol } = listado;
+        this.stats.descartados_listado += descartados;
+        for (const rechazado of sinRol) {
+            log.warning(`Resultado sin ROL reconocible, no se procesa: "${rechazado.rol}"`, { enlace: rechazado.enlace || null, posicion: rechazado.index });
+            this.stats.sin_rol++;
+            metricas.sentencias.inc({ tribunal: this.config.tribunal, resultado: 'sin_rol' });
+        }
+        if (descartados > 0 && resultados.length === 0) {
+            log.warning(`Ningún elemento del listado parece un resultado (${descartados} descartados con "${selector}"); ¿cambió el marcado?`, { selector });
+        } else if (descartados > 0) {
+            log.debug(`${descartados} elementos del listado descartados con "${selector}"`);
+        }
+        return resultados;
+    }
+
+    /**
+     * Ir a la siguiente página de resultados
+     *
+     * Salvo en modo `navegador`, la página se pide por HTTP y queda en
+     * this.listado; si no trae resultados se abre en el navegador.
+     */
+    async goToNextPage() {
+        // Fuera del modo navegador se intenta seguir el enlace por HTTP
+        if (this.config.fetchMode !== 'navegador') {
+            const html = this.listado ? this.listado.html : await this.page.content();
+            const siguiente = enlaceSiguiente(html, this.listado ? this.listado.url : this.page.url(), this.perfil);
+            if (!siguiente) return false;
+            
+            if (siguiente.url) {
+                let pagina = null;
+                try {
+                    const respuesta = await this.fetchHttp(siguiente.url);
+                    if (respuesta.status < 400) {
+                        pagina = { url: respuesta.url, html: respuesta.texto() };
+                    }
+                } catch (error) {
+                    if (this.config.fetchMode === 'http') throw error;
+                    log.debug(`Error pidiendo la página siguiente por HTTP: ${error.message}`);
+                }
+                if (pagina && extraerResultados(pagina.html, pagina.url, this.perfil).length > 0) {
+                    this.listado = pagina;
+                    return true;
+                }
+                if (this.config.fetchMode === 'http') {
+                    throw new ScrapeError(`La página siguiente del listado no trajo resultados por HTTP: ${siguiente.url}`, CLASES_ERROR.PARSEO);
+                }
+                
+                // Respaldo: abrir la misma URL en el navegador
+                log.debug(`Página siguiente sin resultados por HTTP, se usa el navegador: ${siguiente.url}`);
+                this.listado = null;
+                await this.throttle(siguiente.url, () => this.page.goto(siguiente.url, { waitUntil: 'networkidle2', timeout: 15000 }));
+                return true;
+            }
+            
+            // Enlace sin URL (javascript:): para el clic el navegador tiene que estar en la página leída
+            if (this.listado) {
+                const { url } = this.listado;
+                this.listado = null;
+                await this.throttle(url, () => this.page.goto(url, { waitUntil: 'networkidle2', timeout: 15000 }));
+            }
+        }
+        
+        try {
+            // Mismo criterio que enlaceSiguiente: selector del perfil o texto del enlace
+            const { siguiente, texto_siguiente: textoSiguiente } = this.perfil.paginacion;
+            const handle = await this.page.evaluateHandle((selectores, patron) => {
+                for (const selector of selectores) {
+                    const enlace = document.querySelector(selector);
+                    if (enlace) return enlace;
+                }
+                if (!patron) return null;
+                const expresion = new RegExp(patron, 'i');
+                return Array.from(document.querySelectorAll('a')).find(a => expresion.test(a.textContent.trim())) || null;
+            }, selectoresDe(siguiente), textoSiguiente || null);
+            const siguienteEnlace = handle.asElement();
+            if (!siguienteEnlace) {
+                await handle.dispose();
                 return false;
             }
+            await this.throttle(this.page.url(), async () => {
+                await siguienteEnlace.click();
+                await this.page.waitForSelector(this.selector(this.perfil.listado.espera), { timeout: 10000 });
+            });
+            return true;
+        } catch (error) {
+            log.debug('No se encontró siguiente página');
+            return false;
+        }
+    }
+
+    /**
+     * Procesar todos los resultados
+     */
+    async processResults(resultados) {
+        // Un trabajador por pestaña del pool; cada uno toma el siguiente resultado libre
+        const trabajadores = Math.max(1, Math.min(this.pagePool ? this.pagePool.size : 1, resultados.length));
+        log.info(`Procesando ${resultados.length} resultados (${trabajadores} en paralelo)...`);
+        
+        let siguiente = 0;
+        const trabajar = async () => {
+            while (siguiente < resultados.length) {
+                this.throwIfCancelled();
+                if (this.deriva) throw this.deriva;
+                const i = siguiente++;
+                const resultado = resultados[i];
+                
+                // Resultados terminados en una corrida anterior no se vuelven a consultar
+                const fila = this.checkpoint && this.checkpoint.resultados[i];
+                if (fila && fila.estado === ESTADOS_RESULTADO.HECHO) {
+                    this.stats.ya_procesadas++;
+                    continue;
+                }
+                
+                this.stats.total_procesadas++;
+                
+                // Los logs de este resultado llevan su ROL y la página del listado (si hay checkpoint)
+                await conContexto({ rol: resultado.rol, pagina: fila ? fila.pagina : undefined }, async () => {
+                    try {
+                        // Los errores transitorios se reintentan; el resto falla a la primera
+                        await conReintentos(() => this.processSingleResult(resultado), this.retryPolicy(), {
+                            alReintentar: (error, intento, espera) => {
+                                this.throwIfCancelled();
+                                this.stats.reintentos++;
+                                metricas.reintentos.inc({ tribunal: this.config.tribunal });
+                                log.warning(`Reintento ${intento} de ${resultado.rol} en ${espera} ms: ${error.message}`);
+                            }
+                        });
+                        await this.markResult(i, ESTADOS_RESULTADO.HECHO);
+                        if (this.config.replay) {
+                            await this.resolveDeadLetter(resultado);
+                        }
+                        await this.delay(this.config.delayBetweenRequests);
+                    } catch (error) {
+                        this.throwIfCancelled();
+                        const clase = clasificarError(error);
+                        log.error(`Error ${clase} procesando resultado ${i + 1} (${resultado.rol})`, error);
+                        // Sin texto también es una extracción fallida para el monitor de calidad
+                        if (clase === CLASES_ERROR.PARSEO) {
+                            this.registrarCalidad(resultado.rol, { es_valido: false, errores_procesamiento: [MOTIVOS.SIN_TEXTO] });
+                        }
+                        this.stats.errores++;
+                        this.stats.errores_por_clase[clase]++;
+                        metricas.errores.inc({ tribunal: this.config.tribunal, clase });
+                        await this.markResult(i, ESTADOS_RESULTADO.FALLIDO, error);
+                        await this.saveDeadLetter(resultado, error);
+                    }
+                });
+            }
+        };
+        
+        await Promise.all(Array.from({ length: trabajadores }, trabajar));
+    }
+
+    /**
+     * Política de reintentos de la configuración
+     */
+    retryPolicy() {
+        return {
+            intentos: this.config.maxAttempts,
+            esperaBase: this.config.retryBaseDelay,
+            esperaMaxima: this.config.retryMaxDelay
+        };
+    }
+
+    /**
+     * Guardar un resultado que falló en sentencias_fallidas
+     *
+     * Si no se puede guardar, se avisa: el resultado igual queda `fallido` en el checkpoint.
+     */
+    async saveDeadLetter(resultado, error) {
+        try {
+            await this.storage.saveDeadLetter(cartaFallida(resultado, error, {
+                tribunal: this.config.tribunal,
+                runId: this.runId
+            }));
+        } catch (err) {
+            log.warning(`No se pudo guardar ${resultado.rol} en sentencias fallidas: ${err.message}`);
+        }
+    }
+
+    /**
+     * Marcar como reprocesada la sentencia fallida de un resultado que salió bien
+     */
+    async resolveDeadLetter(resultado) {
+        const [carta] = (await this.storage.listDeadLetters({ tribunales: [this.config.tribunal] }))
+            .filter(fila => fila.rol === resultado.rol);
+        if (!carta) return;
+        
+        await this.storage.saveDeadLetter({ ...carta, estado: ESTADOS_FALLIDA.REPROCESADA, run_id: this.runId });
+        this.stats.reprocesadas++;
+    }
+
+    /**
+     * Ejecutar una operación del almacenamiento, marcando sus errores como de almacenamiento
+     */
+    async withStorage(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.clase) throw error;
+            throw new ScrapeError(`Error de almacenamiento: ${error.message}`, CLASES_ERROR.ALMACENAMIENTO, { cause: error });
+        }
+    }
+
+    /**
+     * Procesar un resultado individual
+     */
+    async processSingleResult(resultado) {
+        log.info(`Procesando: ${resultado.rol}`);
+        
+        // Resultados de checkpoints anteriores pueden traer ROL sin forma reconocible
+        const identidad = identidadSentencia({
+            tribunal: this.config.tribunal,
+            rol: resultado.rol,
+            k_parameter: extractKParameter(resultado.enlace)
+        });
+        if (!identidad) {
+            throw new ScrapeError(`ROL no reconocible: "${resultado.rol}"`, CLASES_ERROR.PARSEO);
+        }
+        
+        // Verificar si ya existe en el almacenamiento; en modo actualización se vuelve a descargar
+        const existe = await this.checkDuplicate(identidad);
+        if (existe && !this.config.updateMode) {
+            log.info(`Duplicado encontrado: ${resultado.rol}`);
+            this.stats.duplicadas++;
+            metricas.sentencias.inc({ tribunal: this.config.tribunal, resultado: 'duplicada' });
+            return;
+        }
+        
+        // Extraer detalles completos de la sentencia
+        const sentencia = await this.medir('detalle', () => this.extractSentenceDetails(resultado), metricas.detalle);
+        this.registrarCalidad(sentencia.rol, sentencia);
+        
+        // Validar campos requeridos por el esquema antes de seguir
+        const { row, faltantes } = mapSentenciaToRow(sentencia, { tribunal: this.config.tribunal });
+        if (faltantes.length > 0) {
+            if (this.storage.strict) {
+                throw new ScrapeError(`Faltan campos requeridos en ${resultado.rol}: ${faltantes.join(', ')}`, CLASES_ERROR.PARSEO);
+            }
+            log.warning(`Guardando ${resultado.rol} con campos faltantes: ${faltantes.join(', ')}`);
+        }
+        
+        if (existe) {
+            await this.withStorage(() => this.updateSentence(sentencia));
+            return;
+        }
+            
+        // Generar embeddings si está habilitado
+        if (this.embedder) {
+            await this.generateEmbeddings(sentencia);
+            Object.assign(row, _.pick(sentencia, COLUMNAS_EMBEDDING));
+        }
+        
+        // Guardar en el almacenamiento configurado
+        await this.withStorage(() => this.medir('guardado', () => this.saveSentence(sentencia, row)));
+        this.stats.exitosas++;
+        metricas.sentencias.inc({ tribunal: this.config.tribunal, resultado: 'guardada' });
+        log.info(`Sentencia guardada: ${resultado.rol}`);
+    }
+
+    /**
+     * Extraer detalles completos de una sentencia
+     */
+    async extractSentenceDetails(resultado) {
+        let sentencia = {
+            rol: resultado.rol,
+            rol_original: resultado.rol_original,
+            fecha: resultado.fecha,
+            tribunal: resultado.tribunal,
+            caratulado: resultado.caratulado,
+            enlace: resultado.enlace,
+            texto_completo: '',
+            considerandos: '',
+            resolucion: '',
+            fecha_ingreso: new Date().toISOString(),
+            hash_contenido: ''
+        };
+            
+        // Metadatos en orden de prioridad: listado "con descripción" y luego detalle
+        const metadatos = [resultado.metadatos];
+            
+        // Si hay enlace al detalle, obtener la página y extraer información completa
+        // Los errores de navegación se propagan para que processResults los reintente
+        if (resultado.enlace) {
+            const detalles = await this.fetchDetail(resultado.enlace);
+            
+            // Actualizar sentencia con detalles extraídos
+            const { metadatos: metadatosDetalle, ...campos } = detalles;
+            sentencia = { ...sentencia, ...campos };
+            metadatos.push(metadatosDetalle);
+        }
+        
+        // Sin texto no hay sentencia que guardar
+        if (!sentencia.texto_completo) {
+            throw new ScrapeError(`No se obtuvo el texto de ${resultado.rol}${resultado.enlace ? ` en ${resultado.enlace}` : ' (sin enlace al detalle)'}`, CLASES_ERROR.PARSEO);
+        }
+        sentencia.fuente_texto = sentencia.fuente_texto || FUENTES_TEXTO.HTML;
+            
+        // Descomponer el texto en sus partes
+        this.applySentenceParts(sentencia);
+        
+        // Materia, recurso, resultado, corte de origen y descriptores
+        Object.assign(sentencia, extraerMetadatos(metadatos, {
+            parte_expositiva: sentencia.parte_expositiva,
+            parte_resolutiva: sentencia.resolucion
+        }));
+        
+        // Procesar fecha
+        if (sentencia.fecha) {
+            sentencia.fecha = this.processFecha(sentencia.fecha);
+        }
+        
+        // Hash del texto, igual al que calcula el trigger actualizar_hash_contenido
+        sentencia.hash_contenido = crypto.createHash('sha256').update(sentencia.texto_completo || '').digest('hex');
+        
+        // Largo del texto y puntaje según las partes, la fecha y el ROL
+        Object.assign(sentencia, estadisticasTexto(sentencia.texto_completo), evaluarCalidad(sentencia, { calidadMinima: this.config.qualityMinScore }));
+        
+        return sentencia;
+    }
+
+    /**
+     * Contar el puntaje de una extracción y vigilar la proporción de inválidas
+     *
+     * Cuando salta por encima de qualityMaxInvalid se alerta una vez; con
+     * qualityAction `abortar` la corrida se detiene antes del siguiente resultado.
+     */
+    registrarCalidad(rol, evaluacion) {
+        const { calidad } = this.stats;
+        const { tribunal } = this.config;
+        if (evaluacion.calidad_extraccion !== undefined) {
+            calidad.evaluadas++;
+            calidad.suma += evaluacion.calidad_extraccion;
+        }
+        if (!evaluacion.es_valido) {
+            calidad.invalidas++;
+            evaluacion.errores_procesamiento.forEach(motivo => metricas.invalidas.inc({ tribunal, motivo }));
+            log.warning(`Extracción no válida de ${rol}: ${evaluacion.errores_procesamiento.join(', ')}`, { calidad_extraccion: evaluacion.calidad_extraccion });
+        }
+        
+        const deriva = this.monitorCalidad.registrar(evaluacion);
+        if (!deriva) return;
+        
+        calidad.alertas++;
+        metricas.derivas.inc({ tribunal });
+        const mensaje = `${deriva.invalidas} de las últimas ${deriva.ventana} extracciones de ${tribunal} no son válidas; es probable que el sitio haya cambiado su marcado`;
+        log.error(`🚨 ${mensaje}`, { deriva });
+        if (this.config.qualityAction === 'abortar' && !this.deriva) {
+            this.deriva = new ScrapeError(`Corrida detenida: ${mensaje}`, CLASES_ERROR.PARSEO);
+        }
+    }
+
+    /**
+     * Obtener los campos de la página de detalle de una sentencia
+     *
+     * Salvo en modo `navegador` la página se pide por HTTP, y la pestaña se
+     * usa solo si la respuesta no trae el texto ni un PDF (páginas que lo
+     * cargan con JavaScript). Si el texto está solo en un PDF adjunto, se
+     * extrae de ahí.
+     */
+    async fetchDetail(url) {
+        // Enlace directo a un PDF: no hay página de detalle que leer
+        if (this.config.enablePdf && esPdf(url)) {
+            return { metadatos: {}, ...(await this.extractPdfText(url)) };
+        }
+        
+        let detalles = null;
+        if (this.config.fetchMode !== 'navegador') {
+            detalles = await this.fetchDetailHttp(url);
+        }
+        if (!detalles) {
+            detalles = await this.fetchDetailBrowser(url);
+        }
+        
+        // Sentencia publicada solo como PDF adjunto
+        const { enlaces_pdf: enlacesPdf, ...campos } = detalles;
+        if (!campos.texto_completo && enlacesPdf.length > 0 && this.config.enablePdf) {
+            return { ...campos, ...(await this.extractPdfText(enlacesPdf[0])) };
+        }
+        return campos;
+    }
+
+    /**
+     * Detalle por HTTP; null si en modo `auto` hace falta el navegador
+     */
+    async fetchDetailHttp(url) {
+        const respuesta = await this.withHostSlot(url, () => this.fetchHttp(url, { maxBytes: this.config.pdfMaxBytes }));
+        
+        // El enlace al detalle devolvió directamente el PDF
+        if (this.config.enablePdf && esPdf(respuesta.url, respuesta.headers['content-type'])) {
+            this.contarPagina('http');
+            return { metadatos: {}, enlaces_pdf: [], ...(await this.extractPdfText(respuesta.url, respuesta.datos)) };
+        }
+        
+        const detalles = respuesta.status < 400 ? extraerDetalle(respuesta.texto(), respuesta.url, this.perfil) : null;
+        if (!detalles) {
+            if (this.config.fetchMode === 'http') {
+                throw new ScrapeError(`HTTP ${respuesta.status} en ${url}`, CLASES_ERROR.PARSEO, { status: respuesta.status });
+            }
+            log.debug(`${url} respondió HTTP ${respuesta.status}, se usa el navegador`);
+            return null;
+        }
+        if (this.config.fetchMode === 'http' || detalles.texto_completo || detalles.enlaces_pdf.length > 0) {
+            this.contarPagina('http');
+            return detalles;
+        }
+        
+        log.debug(`${url} no trae el texto sin JavaScript (HTTP ${respuesta.status}), se usa el navegador`);
+        return null;
+    }
+
+    /**
+     * Detalle con una pestaña del navegador
+     */
+    async fetchDetailBrowser(url) {
+        return this.withDetailPage(url, async (page) => {
+            const respuesta = await this.throttle(url, () => page.goto(url, { waitUntil: 'networkidle2', timeout: 15000 }));
+            if (respuesta && (respuesta.status() >= 500 || respuesta.status() === 429)) {
+                throw new ScrapeError(`HTTP ${respuesta.status()} en ${url}`, CLASES_ERROR.TRANSITORIO, { status: respuesta.status() });
+            }
+            this.contarPagina('navegador');
             
-            return data && data.length > 0;
+            // Las cookies que fije la página sirven para descargar el PDF adjunto
+            await this.syncCookies(page);
+            return extraerDetalle(await page.content(), page.url(), this.perfil);
+        });
+    }
+
+    /**
+     * GET por HTTP con la sesión del scraper, respetando el limitador
+     *
+     * Las respuestas 429/5xx frenan al limitador y se lanzan como transitorias.
+     */
+    async fetchHttp(url, opciones = {}) {
+        const respuesta = await this.throttle(url, () => this.http.get(url, opciones));
+        
+        this.rateLimiter.registrarRespuesta(url, respuesta.status, respuesta.headers['retry-after']);
+        if (respuesta.status >= 500 || respuesta.status === 429) {
+            throw new ScrapeError(`HTTP ${respuesta.status} en ${url}`, CLASES_ERROR.TRANSITORIO, { status: respuesta.status });
+        }
+        return respuesta;
+    }
+
+    /**
+     * Copiar a la sesión HTTP las cookies de una pestaña
+     */
+    async syncCookies(page) {
+        this.http.importarCookies(await page.cookies());
+    }
+
+    /**
+     * Descargar el PDF de una sentencia y extraer su texto por página
+     *
+     * Un PDF escaneado sin capa de texto no se guarda vacío: se lanza
+     * REQUIERE_OCR y queda en sentencias_fallidas.
+     *
+     * @param {string} url
+     * @param {Buffer} [buffer] - Contenido ya descargado
+     */
+    async extractPdfText(url, buffer = null) {
+        const datos = buffer || await this.downloadPdf(url);
+        
+        let pdf;
+        try {
+            pdf = await extraerTextoPdf(datos);
         } catch (error) {
-            log.error('Error en checkDuplicateByRol:', error);
-            return false;
+            throw new ScrapeError(`PDF ilegible en ${url}: ${error.message}`, CLASES_ERROR.PARSEO, { cause: error });
+        }
+        if (pdf.requiere_ocr) {
+            throw new ScrapeError(`El PDF ${url} no tiene capa de texto (${pdf.num_paginas} páginas), requiere OCR`, CLASES_ERROR.REQUIERE_OCR);
+        }
+        
+        this.stats.desde_pdf++;
+        log.debug(`Texto obtenido del PDF ${url}: ${pdf.num_paginas} páginas`);
+        return {
+            texto_completo: pdf.texto,
+            fuente_texto: FUENTES_TEXTO.PDF,
+            url_pdf: url,
+            paginas_pdf: pdf.paginas
+        };
+    }
+
+    /**
+     * Descargar un PDF con la sesión HTTP (el sitio sirve los adjuntos dentro de la sesión)
+     */
+    async downloadPdf(url) {
+        const respuesta = await this.fetchHttp(url, { maxBytes: this.config.pdfMaxBytes, accept: 'application/pdf,*/*;q=0.8' });
+        
+        if (respuesta.status >= 400 || respuesta.datos.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            throw new ScrapeError(`No se obtuvo un PDF de ${url} (HTTP ${respuesta.status})`, CLASES_ERROR.PARSEO, { status: respuesta.status });
         }
+        return respuesta.datos;
     }
 
     /**
-     * Generar embeddings para la sentencia
+     * Ejecutar `fn` dentro del límite de concurrencia del host de `url`
      */
-    async generateEmbeddings(sentencia) {
+    async withHostSlot(url, fn) {
+        if (!this.pagePool) {
+            return fn();
+        }
+        return this.pagePool.hostSemaphore(url).use(fn);
+    }
+
+    /**
+     * Ejecutar `fn(page)` con una pestaña del pool para la URL de un detalle
+     *
+     * Sin pool (p. ej. en tests que no inicializan) se usa la página de listado.
+     */
+    async withDetailPage(url, fn) {
+        if (!this.pagePool) {
+            return fn(this.page);
+        }
+        return this.pagePool.use(url, fn);
+    }
+
+    /**
+     * Completar la sentencia con las partes obtenidas del texto
+     *
+     * Lo que el parser encuentra tiene prioridad sobre los selectores CSS.
+     */
+    applySentenceParts(sentencia) {
+        const partes = parseSentencia(sentencia.texto_completo);
+        
+        sentencia.texto_completo = partes.texto;
+        sentencia.parte_expositiva = partes.parte_expositiva;
+        sentencia.considerandos_detalle = partes.considerandos;
+        if (partes.considerandos.length > 0) {
+            sentencia.considerandos = partes.considerandos.map(c => `${c.etiqueta} ${c.texto}`).join('\n');
+        }
+        if (partes.parte_resolutiva) {
+            sentencia.resolucion = partes.parte_resolutiva;
+        }
+        sentencia.votos = partes.votos;
+        sentencia.votos_minoria = partes.votos.map(voto => voto.texto).join('\n');
+        sentencia.sala = partes.sala;
+        sentencia.ministro_redactor = partes.ministro_redactor;
+        sentencia.ministros = partes.ministros;
+        sentencia.abogados_integrantes = partes.abogados_integrantes;
+        sentencia.citas = extraerCitas(sentencia);
+        
+        log.debug(`${sentencia.rol}: ${partes.considerandos.length} considerandos, ${partes.votos.length} votos, ${sentencia.citas.length} citas`);
+    }
+
+    /**
+     * Procesar fecha de texto a formato ISO
+     */
+    processFecha(fechaTexto) {
         try {
-            const textoParaEmbedding = `${sentencia.caratulado} ${sentencia.considerandos} ${sentencia.resolucion}`.trim();
-            
-            if (!textoParaEmbedding) {
-                log.warning('No hay texto para generar embeddings');
-                return;
+            // Formatos de fecha del perfil, en orden
+            for (const formato of this.perfil.fechas) {
+                const fecha = moment(fechaTexto, formato, true);
+                if (fecha.isValid()) {
+                    return fecha.toISOString();
+                }
             }
             
-            const response = await this.openai.embeddings.create({
-                    model: 'text-embedding-3-small',
-                input: textoParaEmbedding,
-                    encoding_format: 'float'
-                });
-            
-            sentencia.embeddings = response.data[0].embedding;
-            log.info('Embeddings generados correctamente');
-            
+            // Si no coincide ningún formato, devolver la fecha original
+            return fechaTexto;
         } catch (error) {
-            log.error('Error generando embeddings:', error);
+            log.warning(`Error procesando fecha: ${fechaTexto}`);
+            return fechaTexto;
         }
     }
 
     /**
-     * Guardar sentencia en Supabase
+     * Verificar si existe duplicado por identidad (tribunal, ROL canónico y k)
      */
-    async saveSentenceToSupabase(sentencia) {
+    async checkDuplicate(identidad) {
         try {
-            const { data, error } = await this.supabase
-                .from('jurisprudencia_cs')
-                .insert([{
-                    rol: sentencia.rol,
-                    fecha: sentencia.fecha,
-                    tribunal: sentencia.tribunal,
-                    caratulado: sentencia.caratulado,
-                    texto_completo: sentencia.texto_completo,
-                    considerandos: sentencia.considerandos,
-                    resolucion: sentencia.resolucion,
-                    enlace: sentencia.enlace,
-                    hash_contenido: sentencia.hash_contenido,
-                    embeddings: sentencia.embeddings,
-                    fecha_ingreso: sentencia.fecha_ingreso
-                }]);
-            
-            if (error) {
-                log.error('Error guardando en Supabase:', error);
-                throw error;
+            return await this.storage.exists(identidad);
+        } catch (error) {
+            log.error('Error en checkDuplicate', error);
+            return false;
+        }
+    }
+
+    /**
+     * Generar los embeddings de la sentencia y de sus chunks
+     *
+     * Los errores del proveedor se propagan: los de red, 429 y 5xx como
+     * transitorios (se reintentan), el resto como desconocidos.
+     */
+    async generateEmbeddings(sentencia) {
+        let resultado;
+        try {
+            resultado = await this.medir('embeddings', () => this.embedder.embedSentencia(sentencia));
+        } catch (error) {
+            if (error.clase) throw error;
+
+            const transitorio = error.status === 429 || /APIConnection/.test(error.name || '') ||
+                clasificarError(error) === CLASES_ERROR.TRANSITORIO;
+            throw new ScrapeError(
+                `Error generando embeddings de ${sentencia.rol}: ${error.message}`,
+                transitorio ? CLASES_ERROR.TRANSITORIO : CLASES_ERROR.DESCONOCIDO,
+                { cause: error, status: error.status }
+            );
+        }
+        
+        Object.assign(sentencia, resultado.columnas);
+        sentencia.chunks = resultado.chunks;
+        this.stats.embeddings.generados += resultado.nuevos;
+        this.stats.embeddings.en_cache += resultado.en_cache;
+        metricas.textosEmbeddings.inc({ origen: 'proveedor' }, resultado.nuevos);
+        metricas.textosEmbeddings.inc({ origen: 'cache' }, resultado.en_cache);
+        log.debug(`Embeddings de ${sentencia.rol}: ${resultado.chunks.length} chunks, ${resultado.nuevos} nuevos, ${resultado.en_cache} en caché`);
+    }
+
+    /**
+     * Guardar sentencia en el backend de almacenamiento
+     *
+     * @param {Object} sentencia - Sentencia extraída, con sus chunks y citas
+     * @param {Object} row - Fila ya mapeada y validada por processSingleResult
+     */
+    async saveSentence(sentencia, row) {
+        try {
+            await this.storage.insert(row);
+            this.registrarFecha(row);
+            if (sentencia.chunks) {
+                await this.storage.saveChunks(row, sentencia.chunks);
             }
-            
-                log.info(`Sentencia guardada en Supabase: ${sentencia.rol}`);
+            if (sentencia.citas) {
+                await this.storage.saveCitations(row, sentencia.citas);
+            }
+            log.debug(`Sentencia guardada en ${this.storage.nombre}: ${sentencia.rol}`);
             
         } catch (error) {
-            log.error('Error en saveSentenceToSupabase:', error);
+            log.error('Error en saveSentence', error);
             throw error;
         }
     }
 
+    /**
+     * Comparar una sentencia ya guardada con la recién extraída y actualizarla si cambió
+     *
+     * La versión anterior queda en el historial de revisiones. Cada embedding
+     * se recalcula si cambió su texto de origen (carátula, descriptores y
+     * materia, o texto completo); los demás se conservan de la fila guardada.
+     */
+    async updateSentence(sentencia) {
+        const { row: nueva } = mapSentenciaToRow(sentencia, { tribunal: this.config.tribunal });
+        const anterior = nueva.identidad && await this.storage.findByIdentidad(nueva.identidad);
+        if (!anterior) {
+            throw new Error(`No se encontró la versión guardada de ${sentencia.rol}`);
+        }
+        
+        const cambios = compararFilas(anterior, nueva);
+        if (cambios.campos_cambiados.length === 0) {
+            log.info(`Sin cambios: ${sentencia.rol}`);
+            this.stats.sin_cambios++;
+            metricas.sentencias.inc({ tribunal: this.config.tribunal, resultado: 'sin_cambios' });
+            return;
+        }
+        
+        log.info(`Cambios en ${sentencia.rol}: ${cambios.campos_cambiados.join(', ')}`);
+        
+        const desactualizados = embeddingsDesactualizados(cambios);
+        if (desactualizados.length > 0 && this.embedder) {
+            await this.generateEmbeddings(sentencia);
+        }
+        
+        const { row } = mapSentenciaToRow(sentencia, { tribunal: this.config.tribunal });
+        for (const columna of COLUMNAS_EMBEDDING) {
+            if (!desactualizados.includes(columna)) {
+                row[columna] = anterior[columna] ?? null;
+            }
+        }
+        
+        await this.medir('guardado', async () => {
+            // Primero el historial, para no perder la versión anterior si falla el upsert
+            await this.storage.insertRevision({
+                identidad: row.identidad,
+                rol: row.rol,
+                run_id: this.runId,
+                hash_anterior: anterior.hash_contenido || null,
+                hash_nuevo: row.hash_contenido,
+                texto_cambiado: cambios.texto_cambiado,
+                campos_cambiados: cambios.campos_cambiados,
+                resumen_diff: cambios.resumen_diff,
+                version_anterior: sinEmbeddings(anterior)
+            });
+            await this.storage.upsert(row);
+            if (cambios.texto_cambiado && sentencia.chunks) {
+                await this.storage.saveChunks(row, sentencia.chunks);
+            }
+            if (cambios.texto_cambiado && sentencia.citas) {
+                await this.storage.saveCitations(row, sentencia.citas);
+            }
+        });
+        this.registrarFecha(row);
+        
+        this.stats.actualizadas++;
+        metricas.sentencias.inc({ tribunal: this.config.tribunal, resultado: 'actualizada' });
+        log.info(`Sentencia actualizada: ${sentencia.rol}`);
+    }
+
     /**
      * Imprimir estadísticas finales
      */
@@ -603,7 +1737,61 @@ class JurisprudenciaScraper {
         log.info(`Total procesadas: ${this.stats.total_procesadas}`);
         log.info(`Exitosas: ${this.stats.exitosas}`);
         log.info(`Duplicadas: ${this.stats.duplicadas}`);
+        if (this.stats.ya_procesadas > 0) {
+            log.info(`Ya procesadas (checkpoint): ${this.stats.ya_procesadas}`);
+        }
+        if (this.config.updateMode) {
+            log.info(`Actualizadas: ${this.stats.actualizadas}`);
+            log.info(`Sin cambios: ${this.stats.sin_cambios}`);
+        }
         log.info(`Errores: ${this.stats.errores}`);
+        if (this.stats.errores > 0) {
+            const porClase = Object.entries(this.stats.errores_por_clase).filter(([, n]) => n > 0);
+            log.info(`Errores por clase: ${porClase.map(([clase, n]) => `${clase} ${n}`).join(', ')}`);
+        }
+        if (this.stats.reintentos > 0) {
+            log.info(`Reintentos: ${this.stats.reintentos}`);
+        }
+        if (this.config.replay) {
+            log.info(`Reprocesadas: ${this.stats.reprocesadas}`);
+        }
+        log.info(`Páginas por HTTP: ${this.stats.paginas.http}, con navegador: ${this.stats.paginas.navegador}`);
+        const { listado, detalle, embeddings, guardado } = this.stats.tiempos_ms;
+        log.info(`Tiempo por etapa (s): listado ${listado / 1000}, detalle ${detalle / 1000}, embeddings ${embeddings / 1000}, guardado ${guardado / 1000}`);
+        if (this.stats.desde_pdf > 0) {
+            log.info(`Texto desde PDF: ${this.stats.desde_pdf}`);
+        }
+        const { calidad } = this.stats;
+        if (calidad.evaluadas > 0) {
+            log.info(`Calidad promedio: ${Math.round(calidad.suma / calidad.evaluadas)}, no válidas: ${calidad.invalidas}${calidad.alertas > 0 ? `, alertas de cambio de marcado: ${calidad.alertas}` : ''}`);
+        }
+        if (this.stats.descartados_listado > 0) {
+            log.info(`Elementos del listado descartados: ${this.stats.descartados_listado}`);
+        }
+        if (this.stats.sin_rol > 0) {
+            log.info(`Resultados sin ROL reconocible: ${this.stats.sin_rol}`);
+        }
+        if (this.embedder) {
+            log.info(`Embeddings generados: ${this.stats.embeddings.generados}, desde caché: ${this.stats.embeddings.en_cache}`);
+        }
+        if (this.porTribunal) {
+            for (const [tribunal, progreso] of Object.entries(this.porTribunal)) {
+                log.info(`--- ${tribunal}: ${progreso.estado}${progreso.error ? ` (${progreso.error})` : ''}`);
+                log.info(`    Procesadas: ${progreso.total_procesadas}, exitosas: ${progreso.exitosas}, duplicadas: ${progreso.duplicadas}, errores: ${progreso.errores}`);
+                if (progreso.cobertura) {
+                    const { ventanas, huecos } = progreso.cobertura;
+                    log.info(`    Ventanas: ${ventanas.completas}/${ventanas.total} completas, ${huecos.length} huecos`);
+                }
+            }
+        }
+        if (this.cobertura) {
+            const { ventanas, sentencias, huecos } = this.cobertura;
+            log.info(`Ventanas: ${ventanas.completas}/${ventanas.total} completas, ${ventanas.con_errores} con errores, ${ventanas.truncadas} truncadas`);
+            log.info(`Sentencias en ventanas: ${sentencias}`);
+            log.info(huecos.length === 0
+                ? 'Cobertura sin huecos'
+                : `Huecos: ${huecos.map(h => h.desde === h.hasta ? h.desde : `${h.desde} - ${h.hasta}`).join(', ')}`);
+        }
         log.info('============================');
     }
 
@@ -622,38 +1810,402 @@ const PORT = process.env.PORT || 3000;
 
 // Manejo global de errores para debug en Render
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('UNHANDLED REJECTION:', reason);
+    log.error('Promesa rechazada sin manejar', reason);
 });
 process.on('uncaughtException', (err) => {
-    console.error('UNCAUGHT EXCEPTION:', err);
+    log.error('Excepción no capturada', err);
 });
 
+app.use(express.json());
+
+// Cola de corridas en segundo plano
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 1,
+    historyLimit: parseInt(process.env.JOBS_HISTORY_LIMIT) || 100,
+    createScraper: (params) => new JurisprudenciaScraper(params)
+});
+
+// Backend de almacenamiento para las consultas de la API (se abre al primer uso)
+let storageConsultas = null;
+
+function getStorage() {
+    if (!storageConsultas) {
+        const storage = createStorage(buildScrapeConfig());
+        storageConsultas = storage.init().then(() => storage);
+        storageConsultas.catch(() => { storageConsultas = null; });
+    }
+    return storageConsultas;
+}
+
+/**
+ * Programaciones de SCHEDULES; si no se pueden leer el proceso sigue sin programador
+ */
+function leerProgramaciones() {
+    try {
+        return parseProgramaciones(process.env.SCHEDULES);
+    } catch (error) {
+        log.error(`SCHEDULES ignorado`, error);
+        return [];
+    }
+}
+
+// Corridas incrementales por tribunal según SCHEDULES, desde la marca de agua de cada uno
+const scheduler = new Scheduler({
+    programaciones: leerProgramaciones(),
+    jobQueue,
+    getStorage,
+    solapeDias: parseInt(process.env.SCHEDULE_OVERLAP_DAYS) || 3,
+    diasIniciales: parseInt(process.env.SCHEDULE_INITIAL_DAYS) || 30
+});
+
+// Proveedor de embeddings para las consultas de búsqueda (null si están deshabilitados)
+let proveedorBusqueda;
+
+function getSearchProvider() {
+    if (proveedorBusqueda === undefined) {
+        const config = buildScrapeConfig();
+        proveedorBusqueda = null;
+        if (config.enableEmbeddings) {
+            try {
+                proveedorBusqueda = createEmbeddingProvider(config);
+            } catch (error) {
+                log.warning(`Búsqueda sin embeddings: ${error.message}`);
+            }
+        }
+    }
+    return proveedorBusqueda;
+}
+
+// Navegador, base de datos y proveedor de embeddings, para GET /health
+const salud = new HealthCheck({
+    navegador: () => fs.promises.access(puppeteer.executablePath()),
+    base_de_datos: async () => (await getStorage()).ping(),
+    embeddings: async () => {
+        const provider = getSearchProvider();
+        if (!provider) return DESHABILITADO;
+        await provider.embed(['ping']);
+    }
+});
+
+/**
+ * Validar parámetros de la corrida desde el body JSON o el query string
+ */
+function readScrapeParams(req, res) {
+    const input = { ...req.query, ...(req.body || {}) };
+    const { params, errores } = validateScrapeParams(input);
+    
+    if (errores.length > 0) {
+        res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+        return null;
+    }
+    
+    return params;
+}
+
 app.get('/', (req, res) => {
-    res.send('🟢 Scraper de Jurisprudencia listo. Usa /run-scraper para ejecutar.');
+    res.send('🟢 Scraper de Jurisprudencia listo. Usa POST /jobs para encolar una corrida.');
 });
 
-app.get('/run-scraper', async (req, res) => {
-    log.info('🔔 Solicitud recibida en /run-scraper');
+app.post('/jobs', (req, res) => {
+    const params = readScrapeParams(req, res);
+    if (!params) return;
+    
+    const job = jobQueue.enqueue(params);
+    log.info(`🔔 Trabajo encolado: ${job.id}`);
+    res.status(202).json(jobQueue.serialize(job));
+});
+
+app.get('/jobs', (req, res) => {
+    res.json(jobQueue.list().map(job => jobQueue.serialize(job)));
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Trabajo no encontrado' });
+    }
+    res.json(jobQueue.serialize(job));
+});
+
+app.delete('/jobs/:id', async (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Trabajo no encontrado' });
+    }
+    if (job.finalizado) {
+        return res.status(409).json({ error: `El trabajo ya terminó con estado ${job.estado}` });
+    }
+    
+    log.info(`🛑 Cancelando trabajo: ${job.id}`);
+    await jobQueue.cancel(job.id);
+    res.json(jobQueue.serialize(job));
+});
+
+// Historial de cambios de una sentencia republicada
+app.get('/sentencias/:rol/revisiones', async (req, res) => {
+    // Acepta el ROL como lo muestra el sitio ("Rol N° 12.345-2023") o ya canónico
+    const rol = normalizarRol(req.params.rol);
+    if (!rol) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: [`ROL no reconocible: ${req.params.rol}`] });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await storage.listRevisions(rol));
+    } catch (error) {
+        log.error(`Error leyendo revisiones de ${req.params.rol}`, error);
+        res.status(500).json({ error: 'No se pudieron leer las revisiones' });
+    }
+});
+
+// Normas y causas que cita una sentencia
+app.get('/sentencias/:rol/citas', async (req, res) => {
+    const rol = normalizarRol(req.params.rol);
+    if (!rol) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: [`ROL no reconocible: ${req.params.rol}`] });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await storage.listCitations(rol));
+    } catch (error) {
+        log.error(`Error leyendo citas de ${req.params.rol}`, error);
+        res.status(500).json({ error: 'No se pudieron leer las citas' });
+    }
+});
+
+// Sentencias guardadas que citan un ROL (?rol=) o una norma (?norma=&articulo=)
+app.get('/citas', async (req, res) => {
+    const { params, errores } = validarConsultaCitas(req.query);
+    if (errores.length > 0) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await buscarCitantes({ storage, ...params }));
+    } catch (error) {
+        log.error(`Error buscando citas de ${params.rolCitado || params.norma}`, error);
+        res.status(500).json({ error: 'No se pudieron buscar las citas' });
+    }
+});
+
+// Cobertura del backfill: ventanas completas, sentencias por ventana y huecos
+app.get('/backfill/cobertura', async (req, res) => {
+    const params = readScrapeParams(req, res);
+    if (!params) return;
+    
+    const { tribunal, searchTerm, startDate, endDate } = buildScrapeConfig(params);
+    try {
+        const storage = await getStorage();
+        const ventanas = await storage.listBackfillWindows({
+            tribunal,
+            searchTerm: searchTerm || '',
+            desde: fechaVentana(startDate),
+            hasta: fechaVentana(endDate)
+        });
+        res.json({ tribunal, search_term: searchTerm || '', ...calcularCobertura(ventanas, startDate, endDate) });
+    } catch (error) {
+        log.error(`Error calculando cobertura`, error);
+        res.status(500).json({ error: 'No se pudo calcular la cobertura' });
+    }
+});
+
+// Búsqueda híbrida: semántica sobre chunks + texto completo, con filtros y fragmentos resaltados
+app.get('/search', async (req, res) => {
+    const { params, errores } = validarBusqueda(req.query);
+    if (errores.length > 0) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await buscarSentencias({ storage, provider: getSearchProvider(), ...params }));
+    } catch (error) {
+        log.error(`Error buscando "${params.consulta}"`, error);
+        res.status(500).json({ error: 'No se pudo completar la búsqueda' });
+    }
+});
+
+// Exportación del corpus filtrado como NDJSON, CSV o Akoma Ntoso, escrita a medida que se lee
+app.get('/export', async (req, res) => {
+    const { params, errores } = validarExportacion(req.query);
+    if (errores.length > 0) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+    }
+    
+    try {
+        const storage = await getStorage();
+        const { contentType, extension } = FORMATOS[params.formato];
+        res.set('Content-Type', contentType);
+        res.attachment(`jurisprudencia-${moment().format('YYYYMMDD')}.${extension}`);
+        
+        const { exportadas } = await exportarSentencias({ storage, salida: res, ...params });
+        log.info(`Exportación ${params.formato}: ${exportadas} sentencias`);
+    } catch (error) {
+        log.error(`Error exportando`, error);
+        // Si el volcado ya empezó, pipeline() cortó la conexión y solo queda registrarlo
+        if (!res.headersSent && !res.destroyed) {
+            res.status(500).json({ error: 'No se pudo completar la exportación' });
+        }
+    }
+});
+
+// Programaciones: próxima y última ejecución, con la marca de agua de cada tribunal
+app.get('/schedules', async (req, res) => {
+    try {
+        const storage = await getStorage();
+        const marcas = new Map((await storage.listWatermarks()).map(marca => [marca.tribunal, marca]));
+        res.json(scheduler.list().map(programacion => ({
+            ...programacion,
+            marca_agua: marcas.get(programacion.tribunal) || null
+        })));
+    } catch (error) {
+        log.error(`Error listando programaciones`, error);
+        res.status(500).json({ error: 'No se pudieron leer las programaciones' });
+    }
+});
+
+// Historial de corridas persistido en scrape_runs
+app.get('/runs', async (req, res) => {
+    const errores = [];
+    const limite = req.query.limite === undefined ? 50 : parseInt(req.query.limite);
+    if (!(limite >= 1 && limite <= 500)) {
+        errores.push('limite debe ser un entero entre 1 y 500');
+    }
+    if (req.query.desde && !moment(req.query.desde, 'YYYY-MM-DD', true).isValid()) {
+        errores.push('desde debe tener formato YYYY-MM-DD');
+    }
+    if (errores.length > 0) {
+        return res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await storage.listRuns({ desde: req.query.desde || null, estado: req.query.estado || null, limite }));
+    } catch (error) {
+        log.error(`Error listando corridas`, error);
+        res.status(500).json({ error: 'No se pudo leer el historial de corridas' });
+    }
+});
+
+// Contadores e histogramas del proceso en formato Prometheus
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+});
+
+// Conectividad con el navegador, la base de datos y el proveedor de embeddings
+app.get('/health', async (req, res) => {
+    const resultado = await salud.estado();
+    res.status(resultado.estado === 'ok' ? 200 : 503).json(resultado);
+});
+
+// Checkpoints de corridas reanudables
+app.get('/checkpoints', async (req, res) => {
+    try {
+        const storage = await getStorage();
+        res.json(await storage.listCheckpoints());
+    } catch (error) {
+        log.error(`Error listando checkpoints`, error);
+        res.status(500).json({ error: 'No se pudieron leer los checkpoints' });
+    }
+});
+
+app.get('/checkpoints/:clave', async (req, res) => {
     try {
-        const scraper = new JurisprudenciaScraper();
-        await scraper.run();
-        res.send('✅ Scraping completado. Revisa logs y base de datos.');
+        const storage = await getStorage();
+        const checkpoint = await storage.getCheckpoint(req.params.clave);
+        if (!checkpoint) {
+            return res.status(404).json({ error: 'Checkpoint no encontrado' });
+        }
+        res.json({ ...checkpoint.encabezado, resumen: resumirResultados(checkpoint.resultados), resultados: checkpoint.resultados });
     } catch (error) {
-        log.error('❌ Error ejecutando el scraper vía web:');
-        if (error && error.stack) {
-            console.error('STACK:', error.stack);
+        log.error(`Error leyendo checkpoint ${req.params.clave}`, error);
+        res.status(500).json({ error: 'No se pudo leer el checkpoint' });
+    }
+});
+
+// Descartar checkpoints sin actividad hace más de ?dias= días
+app.delete('/checkpoints', async (req, res) => {
+    const dias = Number(req.query.dias);
+    if (!Number.isFinite(dias) || dias < 0) {
+        return res.status(400).json({ error: 'Indica ?dias= con la antigüedad mínima de los checkpoints a descartar' });
+    }
+    
+    try {
+        const storage = await getStorage();
+        const obsoletos = checkpointsObsoletos(await storage.listCheckpoints(), dias);
+        for (const checkpoint of obsoletos) {
+            await storage.deleteCheckpoint(checkpoint.clave);
         }
-        if (error && error.message) {
-            console.error('MESSAGE:', error.message);
+        log.info(`🧹 ${obsoletos.length} checkpoints descartados`);
+        res.json({ descartados: obsoletos.map(checkpoint => checkpoint.clave) });
+    } catch (error) {
+        log.error(`Error descartando checkpoints`, error);
+        res.status(500).json({ error: 'No se pudieron descartar los checkpoints' });
+    }
+});
+
+app.delete('/checkpoints/:clave', async (req, res) => {
+    try {
+        const storage = await getStorage();
+        if (!await storage.deleteCheckpoint(req.params.clave)) {
+            return res.status(404).json({ error: 'Checkpoint no encontrado' });
         }
-        console.error('RAW ERROR:', error);
-        res.status(500).send('❌ Error ejecutando el scraper. Revisa logs.');
+        res.json({ descartados: [req.params.clave] });
+    } catch (error) {
+        log.error(`Error descartando checkpoint ${req.params.clave}`, error);
+        res.status(500).json({ error: 'No se pudo descartar el checkpoint' });
+    }
+});
+
+// Sentencias que fallaron tras los reintentos (?estado=pendiente|reprocesada|todas, ?tribunal=, ?claseError=)
+app.get('/sentencias-fallidas', async (req, res) => {
+    const estado = req.query.estado || ESTADOS_FALLIDA.PENDIENTE;
+    if (estado !== 'todas' && !Object.values(ESTADOS_FALLIDA).includes(estado)) {
+        return res.status(400).json({ error: `estado inválido: ${estado}. Opciones: ${Object.values(ESTADOS_FALLIDA).join(', ')}, todas` });
+    }
+    
+    try {
+        const storage = await getStorage();
+        res.json(await storage.listDeadLetters({
+            estado: estado === 'todas' ? null : estado,
+            tribunales: req.query.tribunal ? [req.query.tribunal] : null,
+            clase: req.query.claseError || null
+        }));
+    } catch (error) {
+        log.error(`Error listando sentencias fallidas`, error);
+        res.status(500).json({ error: 'No se pudieron leer las sentencias fallidas' });
     }
 });
 
+// Encolar una corrida que reprocesa las sentencias fallidas pendientes
+app.post('/sentencias-fallidas/reprocesar', (req, res) => {
+    const params = readScrapeParams(req, res);
+    if (!params) return;
+    
+    const job = jobQueue.enqueue({ ...params, replay: true });
+    log.info(`🔁 Reproceso de sentencias fallidas encolado: ${job.id}`);
+    res.status(202).json(jobQueue.serialize(job));
+});
+
+// Compatibilidad: /run-scraper ahora encola en vez de bloquear
+app.get('/run-scraper', (req, res) => {
+    log.info('🔔 Solicitud recibida en /run-scraper');
+    const params = readScrapeParams(req, res);
+    if (!params) return;
+    
+    const job = jobQueue.enqueue(params);
+    res.status(202).json(jobQueue.serialize(job));
+});
+
 // Solo iniciar el servidor si es el archivo principal
 if (require.main === module) {
     app.listen(PORT, () => {
         log.info(`🌐 Web Service escuchando en puerto ${PORT}`);
     });
-} 
\ No newline at end of file
+    scheduler.start();
+} 
+
+module.exports = { JurisprudenciaScraper, app, jobQueue, scheduler };
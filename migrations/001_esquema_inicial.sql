@@ -2,6 +2,8 @@
 -- ESQUEMA DE BASE DE DATOS PARA JURISPRUDENCIA
 -- ========================================
 -- Tabla específica para Corte Suprema con optimización para pgvector + OpenAI embeddings
+-- Se puede aplicar sobre una base donde ya se corrió el antiguo schema.sql:
+-- los triggers y las políticas se recrean en vez de fallar por existir
 
 -- Habilitar extensiones necesarias
 CREATE EXTENSION IF NOT EXISTS vector;
@@ -90,6 +92,7 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_jurisprudencia_cs_updated_at ON jurisprudencia_cs;
 CREATE TRIGGER update_jurisprudencia_cs_updated_at 
     BEFORE UPDATE ON jurisprudencia_cs 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -162,6 +165,7 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS trigger_actualizar_hash_contenido ON jurisprudencia_cs;
 CREATE TRIGGER trigger_actualizar_hash_contenido
     BEFORE INSERT OR UPDATE OF texto_completo ON jurisprudencia_cs
     FOR EACH ROW EXECUTE FUNCTION actualizar_hash_contenido();
@@ -170,14 +174,17 @@ CREATE TRIGGER trigger_actualizar_hash_contenido
 ALTER TABLE jurisprudencia_cs ENABLE ROW LEVEL SECURITY;
 
 -- Política para permitir lectura a todos los usuarios autenticados
+DROP POLICY IF EXISTS "jurisprudencia_cs_select_policy" ON jurisprudencia_cs;
 CREATE POLICY "jurisprudencia_cs_select_policy" ON jurisprudencia_cs
     FOR SELECT USING (true);
 
 -- Política para permitir inserción solo a usuarios con rol service_role
+DROP POLICY IF EXISTS "jurisprudencia_cs_insert_policy" ON jurisprudencia_cs;
 CREATE POLICY "jurisprudencia_cs_insert_policy" ON jurisprudencia_cs
     FOR INSERT WITH CHECK (true);
 
 -- Política para permitir actualización solo a usuarios con rol service_role
+DROP POLICY IF EXISTS "jurisprudencia_cs_update_policy" ON jurisprudencia_cs;
 CREATE POLICY "jurisprudencia_cs_update_policy" ON jurisprudencia_cs
     FOR UPDATE USING (true);
 
@@ -0,0 +1,31 @@
+-- ========================================
+-- REGISTRO DE CORRIDAS DEL SCRAPER
+-- ========================================
+-- Una fila por corrida con sus parámetros, estado final y contadores
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tribunal VARCHAR(100),
+    parametros JSONB NOT NULL DEFAULT '{}'::jsonb,
+    estado VARCHAR(20) NOT NULL DEFAULT 'en_ejecucion',
+    stats JSONB,
+    error TEXT,
+    iniciado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finalizado_en TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_iniciado ON scrape_runs(iniciado_en);
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_tribunal ON scrape_runs(tribunal);
+
+ALTER TABLE scrape_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "scrape_runs_select_policy" ON scrape_runs
+    FOR SELECT USING (true);
+
+CREATE POLICY "scrape_runs_insert_policy" ON scrape_runs
+    FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "scrape_runs_update_policy" ON scrape_runs
+    FOR UPDATE USING (true);
+
+COMMENT ON TABLE scrape_runs IS 'Historial de corridas del scraper con parámetros y contadores finales';
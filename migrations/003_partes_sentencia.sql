@@ -0,0 +1,16 @@
+-- ========================================
+-- PARTES ESTRUCTURADAS DE LA SENTENCIA
+-- ========================================
+-- Considerandos individuales e integración de la sala
+
+ALTER TABLE jurisprudencia_cs
+    ADD COLUMN IF NOT EXISTS considerandos_detalle JSONB, -- [{ numero, etiqueta, texto, inicio, fin }]
+    ADD COLUMN IF NOT EXISTS ministros TEXT[],
+    ADD COLUMN IF NOT EXISTS abogados_integrantes TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_ministro_redactor ON jurisprudencia_cs(ministro_redactor);
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_ministros ON jurisprudencia_cs USING GIN(ministros);
+
+COMMENT ON COLUMN jurisprudencia_cs.considerandos_detalle IS 'Considerandos numerados como arreglo JSON, con offsets sobre texto_completo';
+COMMENT ON COLUMN jurisprudencia_cs.ministros IS 'Ministros que integraron la sala';
+COMMENT ON COLUMN jurisprudencia_cs.abogados_integrantes IS 'Abogados integrantes que concurrieron al fallo';
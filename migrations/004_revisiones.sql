@@ -0,0 +1,32 @@
+-- ========================================
+-- HISTORIAL DE REVISIONES DE SENTENCIAS
+-- ========================================
+-- Versión anterior de cada sentencia republicada o corregida, con un
+-- resumen de qué cambió. Lo llena el scraper en modo actualización
+
+CREATE TABLE IF NOT EXISTS jurisprudencia_cs_revisiones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rol VARCHAR(50) NOT NULL REFERENCES jurisprudencia_cs(rol) ON DELETE CASCADE ON UPDATE CASCADE,
+    run_id UUID, -- Corrida que detectó el cambio (scrape_runs.id)
+    hash_anterior VARCHAR(64),
+    hash_nuevo VARCHAR(64) NOT NULL,
+    texto_cambiado BOOLEAN NOT NULL,
+    campos_cambiados TEXT[] NOT NULL,
+    resumen_diff JSONB, -- { parrafos_agregados, parrafos_eliminados, considerandos_modificados, cambios, ... }
+    version_anterior JSONB NOT NULL, -- Fila previa completa, sin embeddings
+    detectada_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_revisiones_rol ON jurisprudencia_cs_revisiones(rol, detectada_en DESC);
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_revisiones_detectada ON jurisprudencia_cs_revisiones(detectada_en);
+
+ALTER TABLE jurisprudencia_cs_revisiones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "jurisprudencia_cs_revisiones_select_policy" ON jurisprudencia_cs_revisiones
+    FOR SELECT USING (true);
+
+CREATE POLICY "jurisprudencia_cs_revisiones_insert_policy" ON jurisprudencia_cs_revisiones
+    FOR INSERT WITH CHECK (true);
+
+COMMENT ON TABLE jurisprudencia_cs_revisiones IS 'Versiones anteriores de sentencias cuyo texto o metadatos cambiaron en el sitio';
+COMMENT ON COLUMN jurisprudencia_cs_revisiones.texto_cambiado IS 'true si cambió hash_contenido; solo entonces se recalculan los embeddings';
@@ -0,0 +1,42 @@
+-- ========================================
+-- CHECKPOINTS DE CORRIDAS REANUDABLES
+-- ========================================
+-- Estado del recorrido por combinación de parámetros de búsqueda: última
+-- página leída y estado de cada resultado, para reanudar tras una caída
+
+CREATE TABLE IF NOT EXISTS scrape_checkpoints (
+    clave VARCHAR(64) PRIMARY KEY, -- Hash de los parámetros de búsqueda
+    parametros JSONB NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'en_curso', -- en_curso | completado
+    run_id UUID, -- Última corrida que usó el checkpoint (scrape_runs.id)
+    ultima_pagina INTEGER NOT NULL DEFAULT 0,
+    listado_completo BOOLEAN NOT NULL DEFAULT false,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scrape_checkpoint_resultados (
+    clave VARCHAR(64) NOT NULL REFERENCES scrape_checkpoints(clave) ON DELETE CASCADE,
+    posicion INTEGER NOT NULL, -- Orden en el listado de resultados
+    pagina INTEGER NOT NULL,
+    rol VARCHAR(50),
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente', -- pendiente | hecho | fallido
+    error TEXT,
+    resultado JSONB NOT NULL, -- Fila del listado (rol, fecha, enlace, metadatos...)
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (clave, posicion)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_checkpoints_actualizado ON scrape_checkpoints(actualizado_en);
+
+ALTER TABLE scrape_checkpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scrape_checkpoint_resultados ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "scrape_checkpoints_all_policy" ON scrape_checkpoints
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "scrape_checkpoint_resultados_all_policy" ON scrape_checkpoint_resultados
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE scrape_checkpoints IS 'Progreso persistido de corridas para reanudarlas con los mismos parámetros';
+COMMENT ON TABLE scrape_checkpoint_resultados IS 'Estado de cada resultado del listado dentro de un checkpoint';
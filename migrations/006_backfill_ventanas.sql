@@ -0,0 +1,31 @@
+-- ========================================
+-- VENTANAS DEL BACKFILL HISTÓRICO
+-- ========================================
+-- Una fila por ventana de fechas recorrida en modo backfill, con su
+-- estado y conteos, para calcular la cobertura del corpus
+
+CREATE TABLE IF NOT EXISTS backfill_ventanas (
+    tribunal VARCHAR(100) NOT NULL,
+    search_term TEXT NOT NULL DEFAULT '',
+    desde DATE NOT NULL,
+    hasta DATE NOT NULL,
+    granularidad VARCHAR(10) NOT NULL, -- mes | semana | dia
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente', -- pendiente | completa | con_errores | dividida | truncada
+    listados INTEGER, -- Resultados leídos del listado
+    total_reportado INTEGER, -- Total que informa el sitio, si lo muestra
+    guardadas INTEGER, -- Sentencias de la ventana presentes en la base al terminar
+    errores INTEGER,
+    run_id UUID, -- Última corrida que procesó la ventana (scrape_runs.id)
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (tribunal, search_term, desde, hasta),
+    CHECK (desde <= hasta)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_ventanas_rango ON backfill_ventanas(tribunal, desde, hasta);
+
+ALTER TABLE backfill_ventanas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "backfill_ventanas_all_policy" ON backfill_ventanas
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE backfill_ventanas IS 'Ventanas de fechas del backfill histórico y su estado, para reportar cobertura';
@@ -0,0 +1,30 @@
+-- ========================================
+-- SENTENCIAS FALLIDAS (DEAD LETTERS)
+-- ========================================
+-- Resultados que no se pudieron procesar después de los reintentos,
+-- con la clase de error, para revisarlos y reprocesarlos después
+
+CREATE TABLE IF NOT EXISTS sentencias_fallidas (
+    tribunal VARCHAR(100) NOT NULL,
+    rol VARCHAR(100) NOT NULL,
+    enlace TEXT,
+    clase_error VARCHAR(20) NOT NULL, -- transitorio | parseo | almacenamiento | desconocido
+    error TEXT,
+    stack TEXT,
+    intentos INTEGER NOT NULL DEFAULT 1, -- Intentos de la última corrida que falló
+    resultado JSONB NOT NULL, -- Resultado del listado, para reprocesarlo sin volver a buscar
+    run_id UUID, -- Última corrida que tocó la fila (scrape_runs.id)
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente', -- pendiente | reprocesada
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (tribunal, rol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sentencias_fallidas_pendientes ON sentencias_fallidas(estado, clase_error);
+
+ALTER TABLE sentencias_fallidas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "sentencias_fallidas_all_policy" ON sentencias_fallidas
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE sentencias_fallidas IS 'Resultados que fallaron tras los reintentos (dead letters), para reprocesar';
@@ -0,0 +1,16 @@
+-- ========================================
+-- ORIGEN DEL TEXTO DE LA SENTENCIA
+-- ========================================
+-- Sentencias publicadas solo como PDF adjunto: de dónde salió el texto
+-- y dónde empieza cada página del PDF dentro de texto_completo
+
+ALTER TABLE jurisprudencia_cs
+    ADD COLUMN IF NOT EXISTS fuente_texto VARCHAR(10) DEFAULT 'html', -- html | pdf
+    ADD COLUMN IF NOT EXISTS url_pdf TEXT,
+    ADD COLUMN IF NOT EXISTS paginas_pdf JSONB; -- [{ pagina, inicio, fin }]
+
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_fuente_texto ON jurisprudencia_cs(fuente_texto);
+
+COMMENT ON COLUMN jurisprudencia_cs.fuente_texto IS 'Origen de texto_completo: html (página de detalle) o pdf (adjunto)';
+COMMENT ON COLUMN jurisprudencia_cs.url_pdf IS 'PDF del que se extrajo el texto, si corresponde';
+COMMENT ON COLUMN jurisprudencia_cs.paginas_pdf IS 'Páginas del PDF como arreglo JSON, con offsets sobre texto_completo';
@@ -0,0 +1,44 @@
+-- ========================================
+-- CHUNKS Y CACHÉ DE EMBEDDINGS
+-- ========================================
+-- El texto de cada sentencia se divide en chunks que caben en el modelo,
+-- cada uno con su vector y sus offsets sobre texto_completo. Los vectores
+-- se guardan también por hash del texto para no volver a calcularlos
+
+CREATE TABLE IF NOT EXISTS sentencia_chunks (
+    rol VARCHAR(50) NOT NULL REFERENCES jurisprudencia_cs(rol) ON DELETE CASCADE ON UPDATE CASCADE,
+    indice INTEGER NOT NULL, -- Posición del chunk dentro de la sentencia, desde 0
+    inicio INTEGER NOT NULL, -- Offset sobre texto_completo
+    fin INTEGER NOT NULL,
+    tokens INTEGER NOT NULL, -- Tokens estimados
+    texto TEXT NOT NULL,
+    hash_contenido VARCHAR(64) NOT NULL, -- sha256 de texto (clave en embeddings_cache)
+    embedding VECTOR(1536),
+    modelo VARCHAR(100),
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (rol, indice),
+    CHECK (inicio <= fin)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sentencia_chunks_embedding ON sentencia_chunks USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+
+CREATE TABLE IF NOT EXISTS embeddings_cache (
+    hash VARCHAR(64) NOT NULL, -- sha256 del texto enviado al modelo
+    modelo VARCHAR(100) NOT NULL,
+    embedding VECTOR(1536) NOT NULL,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (hash, modelo)
+);
+
+ALTER TABLE sentencia_chunks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE embeddings_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "sentencia_chunks_all_policy" ON sentencia_chunks
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "embeddings_cache_all_policy" ON embeddings_cache
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE sentencia_chunks IS 'Chunks del texto de cada sentencia con su embedding y offsets sobre texto_completo';
+COMMENT ON TABLE embeddings_cache IS 'Embeddings por hash del texto y modelo, para no recalcular texto sin cambios';
+COMMENT ON COLUMN jurisprudencia_cs.embedding_contenido IS 'Promedio de los embeddings de sentencia_chunks, ponderado por tokens';
@@ -0,0 +1,81 @@
+-- ========================================
+-- BÚSQUEDA HÍBRIDA
+-- ========================================
+-- Recuperación semántica (chunks más cercanos a la consulta) y por texto
+-- completo en español, con los mismos filtros. La API combina ambos
+-- rankings; las funciones sirven tanto por PostgREST como por SQL directo
+
+CREATE OR REPLACE FUNCTION buscar_chunks(
+    query_embedding VECTOR(1536),
+    limite INTEGER DEFAULT 50,
+    filtro_tribunal TEXT DEFAULT NULL,
+    filtro_desde DATE DEFAULT NULL,
+    filtro_hasta DATE DEFAULT NULL,
+    filtro_materia TEXT DEFAULT NULL,
+    filtro_tipo_recurso TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    rol VARCHAR(50),
+    similaridad FLOAT,
+    chunk_indice INTEGER,
+    chunk_inicio INTEGER,
+    chunk_fin INTEGER
+) AS $$
+    -- Se piden más chunks que sentencias: varias pueden aportar más de uno
+    WITH cercanos AS (
+        SELECT c.rol, c.indice, c.inicio, c.fin, 1 - (c.embedding <=> query_embedding) AS similaridad
+        FROM sentencia_chunks c
+        JOIN jurisprudencia_cs j ON j.rol = c.rol
+        WHERE c.embedding IS NOT NULL
+            AND (filtro_tribunal IS NULL OR j.tribunal ILIKE filtro_tribunal || '%')
+            AND (filtro_desde IS NULL OR j.fecha_sentencia >= filtro_desde)
+            AND (filtro_hasta IS NULL OR j.fecha_sentencia <= filtro_hasta)
+            AND (filtro_materia IS NULL OR j.materia ILIKE filtro_materia)
+            AND (filtro_tipo_recurso IS NULL OR j.tipo_recurso = filtro_tipo_recurso)
+        ORDER BY c.embedding <=> query_embedding
+        LIMIT limite * 5
+    ),
+    mejor_por_rol AS (
+        SELECT DISTINCT ON (cercanos.rol) cercanos.*
+        FROM cercanos
+        ORDER BY cercanos.rol, cercanos.similaridad DESC
+    )
+    SELECT m.rol, m.similaridad, m.indice, m.inicio, m.fin
+    FROM mejor_por_rol m
+    ORDER BY m.similaridad DESC
+    LIMIT limite;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION buscar_texto(
+    consulta TEXT,
+    limite INTEGER DEFAULT 50,
+    filtro_tribunal TEXT DEFAULT NULL,
+    filtro_desde DATE DEFAULT NULL,
+    filtro_hasta DATE DEFAULT NULL,
+    filtro_materia TEXT DEFAULT NULL,
+    filtro_tipo_recurso TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    rol VARCHAR(50),
+    rango FLOAT
+) AS $$
+    -- Usa los índices GIN de to_tsvector('spanish', ...) sobre texto_completo y caratula
+    SELECT j.rol,
+        ts_rank_cd(
+            setweight(to_tsvector('spanish', j.caratula), 'A') || setweight(to_tsvector('spanish', j.texto_completo), 'D'),
+            websearch_to_tsquery('spanish', consulta)
+        )::FLOAT AS rango
+    FROM jurisprudencia_cs j
+    WHERE (to_tsvector('spanish', j.texto_completo) @@ websearch_to_tsquery('spanish', consulta)
+            OR to_tsvector('spanish', j.caratula) @@ websearch_to_tsquery('spanish', consulta))
+        AND (filtro_tribunal IS NULL OR j.tribunal ILIKE filtro_tribunal || '%')
+        AND (filtro_desde IS NULL OR j.fecha_sentencia >= filtro_desde)
+        AND (filtro_hasta IS NULL OR j.fecha_sentencia <= filtro_hasta)
+        AND (filtro_materia IS NULL OR j.materia ILIKE filtro_materia)
+        AND (filtro_tipo_recurso IS NULL OR j.tipo_recurso = filtro_tipo_recurso)
+    ORDER BY rango DESC
+    LIMIT limite;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION buscar_chunks IS 'Sentencias con el chunk más cercano a la consulta (similaridad coseno), con filtros';
+COMMENT ON FUNCTION buscar_texto IS 'Sentencias que calzan con la consulta en texto completo o carátula (ts_rank_cd), con filtros';
@@ -0,0 +1,19 @@
+-- ========================================
+-- MARCAS DE AGUA DE LAS CORRIDAS PROGRAMADAS
+-- ========================================
+-- Última fecha_sentencia guardada por tribunal en una corrida completa;
+-- las corridas programadas siguen desde ahí (menos un solape)
+
+CREATE TABLE IF NOT EXISTS scrape_watermarks (
+    tribunal VARCHAR(100) PRIMARY KEY,
+    fecha_sentencia DATE NOT NULL, -- Solo avanza
+    run_id UUID, -- Corrida que la dejó (scrape_runs.id)
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE scrape_watermarks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "scrape_watermarks_all_policy" ON scrape_watermarks
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE scrape_watermarks IS 'Última fecha_sentencia guardada por tribunal, punto de partida de las corridas programadas';
@@ -0,0 +1,19 @@
+-- ========================================
+-- HISTORIAL DE CORRIDAS: DURACIÓN Y CONTADORES
+-- ========================================
+-- Los contadores principales y los tiempos por etapa salen del JSON de
+-- `stats` a columnas propias, para consultarlos sin desarmarlo
+
+ALTER TABLE scrape_runs
+    ADD COLUMN IF NOT EXISTS duracion_ms BIGINT,
+    ADD COLUMN IF NOT EXISTS total_procesadas INTEGER,
+    ADD COLUMN IF NOT EXISTS exitosas INTEGER,
+    ADD COLUMN IF NOT EXISTS duplicadas INTEGER,
+    ADD COLUMN IF NOT EXISTS actualizadas INTEGER,
+    ADD COLUMN IF NOT EXISTS errores INTEGER,
+    ADD COLUMN IF NOT EXISTS tiempos_ms JSONB; -- { listado, detalle, embeddings, guardado }
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_estado ON scrape_runs(estado, iniciado_en);
+
+COMMENT ON COLUMN scrape_runs.duracion_ms IS 'Duración total de la corrida';
+COMMENT ON COLUMN scrape_runs.tiempos_ms IS 'Milisegundos sumados por etapa (listado, detalle, embeddings, guardado)';
@@ -0,0 +1,256 @@
+-- ========================================
+-- ROL CANÓNICO E IDENTIDAD DE LAS SENTENCIAS
+-- ========================================
+-- `rol` pasa a guardarse en forma canónica ("12345-2023", "C-1234-2022",
+-- "RIT-O-123-2023", "RUC-2300123456-7"); el texto del sitio queda en
+-- `rol_original`. Los duplicados se detectan por `identidad`
+-- (tribunal|ROL canónico|k), ver lib/rolParser.js.
+-- `rol` deja de ser único: dos tribunales (o dos `k`) pueden tener el mismo
+-- ROL. Las revisiones y los chunks pasan a referenciar `identidad`
+
+ALTER TABLE jurisprudencia_cs
+    ADD COLUMN IF NOT EXISTS rol_original VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS rol_sistema VARCHAR(3), -- ROL, RIT o RUC
+    ADD COLUMN IF NOT EXISTS rol_tipo VARCHAR(30), -- Letra o nombre de la competencia (C, O, PROTECCION)
+    ADD COLUMN IF NOT EXISTS rol_numero BIGINT,
+    ADD COLUMN IF NOT EXISTS rol_anio SMALLINT,
+    ADD COLUMN IF NOT EXISTS identidad TEXT;
+
+ALTER TABLE jurisprudencia_cs_revisiones ADD COLUMN IF NOT EXISTS identidad TEXT;
+ALTER TABLE sentencia_chunks ADD COLUMN IF NOT EXISTS identidad TEXT;
+
+UPDATE jurisprudencia_cs SET rol_original = rol WHERE rol_original IS NULL;
+
+-- Las referencias por ROL se reemplazan más abajo por referencias a `identidad`
+ALTER TABLE jurisprudencia_cs_revisiones DROP CONSTRAINT IF EXISTS jurisprudencia_cs_revisiones_rol_fkey;
+ALTER TABLE sentencia_chunks DROP CONSTRAINT IF EXISTS sentencia_chunks_rol_fkey;
+ALTER TABLE jurisprudencia_cs DROP CONSTRAINT IF EXISTS jurisprudencia_cs_rol_key;
+
+-- Forma canónica de un ROL, RIT o RUC con las mismas reglas que parsearRol()
+-- de lib/rolParser.js (lo que cambie en uno va en el otro; tests/rolParser.test.js
+-- compara ambos). NULL si no se reconoce
+CREATE OR REPLACE FUNCTION rol_canonico(texto TEXT) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN ruc IS NOT NULL AND sistema <> 'RIT'
+            THEN 'RUC-' || replace(ruc[1], '.', '') || '-' || upper(ruc[2])
+        WHEN rol IS NOT NULL AND sistema <> 'RUC'
+                AND replace(rol[2], '.', '')::BIGINT > 0 AND rol[3]::INTEGER BETWEEN 1900 AND 2099
+            THEN concat_ws('-', nullif(sistema, 'ROL'), upper(rol[1]), replace(rol[2], '.', '')::BIGINT, rol[3])
+    END
+    FROM (
+        SELECT coalesce(upper(prefijo[2]), 'ROL') AS sistema,
+            regexp_match(resto, '^(\d{2}(?:\.?\d){8})\s*-\s*([\dk])$', 'i') AS ruc,
+            regexp_match(resto, '^(?:([a-z]{1,20})\s*-?\s*)?(\d{1,3}(?:\.\d{3})+|\d{1,9})\s*-\s*(\d{4})$', 'i') AS rol
+        FROM (
+            SELECT prefijo, substr(limpio, coalesce(length(prefijo[1]), 0) + 1) AS resto
+            FROM (
+                SELECT limpio, regexp_match(limpio, '^((rol|rit|ruc)\M\s*(?:n(?:ro\.?|[°º.])?\s*)?[:-]?\s*)', 'i') AS prefijo
+                FROM (SELECT regexp_replace(btrim(translate(texto, 'áéíóúüñÁÉÍÓÚÜÑ', 'aeiouunAEIOUUN')), '\s+', ' ', 'g') AS limpio) texto_limpio
+            ) con_prefijo
+        ) sin_prefijo
+    ) partes;
+$$ LANGUAGE sql IMMUTABLE;
+
+UPDATE jurisprudencia_cs
+SET rol = rol_canonico(rol)
+WHERE rol_canonico(rol) <> rol;
+
+-- Las partes salen de la forma canónica: [RIT-][tipo-]número-año o RUC-número-dígito
+UPDATE jurisprudencia_cs
+SET rol_sistema = CASE WHEN rol LIKE 'RIT-%' THEN 'RIT' ELSE 'ROL' END,
+    rol_tipo = substring(regexp_replace(rol, '^RIT-', '') FROM '^([A-Z]+)-'),
+    rol_numero = substring(rol FROM '(\d+)-\d{4}$')::BIGINT,
+    rol_anio = substring(rol FROM '-(\d{4})$')::SMALLINT
+WHERE rol ~ '^(RIT-)?([A-Z]+-)?\d+-\d{4}$';
+
+UPDATE jurisprudencia_cs
+SET rol_sistema = 'RUC',
+    rol_tipo = NULL,
+    rol_numero = substring(rol FROM '^RUC-(\d{10})-')::BIGINT,
+    rol_anio = 2000 + substring(rol FROM '^RUC-(\d{2})')::SMALLINT
+WHERE rol ~ '^RUC-\d{10}-[0-9K]$';
+
+-- El tribunal guardado es el nombre que muestra el sitio ("Corte de Apelaciones
+-- de Santiago"); la identidad usa la clave de la corrida (Corte_de_Apelaciones),
+-- con las mismas reglas que claveTribunal() de lib/rolParser.js
+CREATE OR REPLACE FUNCTION clave_tribunal(tribunal TEXT) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN nombre ~ '^corte suprema' THEN 'Corte_Suprema'
+        WHEN nombre ~ '^corte de apelaciones' THEN 'Corte_de_Apelaciones'
+        WHEN nombre ~ 'garantia|juicio oral|penal' THEN 'Penales'
+        WHEN nombre ~ 'familia' THEN 'Familia'
+        WHEN nombre ~ 'trabajo|laboral|cobranza' THEN 'Laboral'
+        WHEN nombre ~ 'civil|juzgado de letras' THEN 'Civil'
+        ELSE regexp_replace(btrim(tribunal), '\s+', '_', 'g')
+    END
+    FROM (
+        SELECT btrim(regexp_replace(lower(translate(tribunal, 'áéíóúüñÁÉÍÓÚÜÑ', 'aeiouunAEIOUUN')), '[\s_]+', ' ', 'g')) AS nombre
+    ) tribunal_limpio;
+$$ LANGUAGE sql IMMUTABLE;
+
+UPDATE jurisprudencia_cs
+SET identidad = clave_tribunal(tribunal) || '|' || rol || '|' || coalesce(k_parameter, '')
+WHERE identidad IS NULL;
+
+-- Los hijos todavía apuntan al ROL anterior, que era único
+UPDATE jurisprudencia_cs_revisiones r
+SET identidad = j.identidad
+FROM jurisprudencia_cs j
+WHERE r.identidad IS NULL AND j.rol_original = r.rol;
+
+UPDATE sentencia_chunks c
+SET identidad = j.identidad
+FROM jurisprudencia_cs j
+WHERE c.identidad IS NULL AND j.rol_original = c.rol;
+
+-- Filas que eran distintas solo por el formato del ROL ("Rol N° 12.345-2023" y
+-- "12345-2023") quedan con la misma identidad. Se conserva la más reciente;
+-- las demás pasan al historial como revisión de la conservada, y sus
+-- revisiones anteriores ya quedaron con la misma identidad
+CREATE TEMP TABLE identidades_repetidas ON COMMIT DROP AS
+SELECT id, conservada
+FROM (
+    SELECT id,
+        first_value(id) OVER ventana AS conservada,
+        row_number() OVER ventana AS orden
+    FROM jurisprudencia_cs
+    WINDOW ventana AS (PARTITION BY identidad ORDER BY updated_at DESC NULLS LAST, fecha_scraping DESC NULLS LAST, id)
+) filas
+WHERE orden > 1;
+
+INSERT INTO jurisprudencia_cs_revisiones (
+    rol, identidad, hash_anterior, hash_nuevo, texto_cambiado, campos_cambiados, resumen_diff, version_anterior
+)
+SELECT d.rol, d.identidad, d.hash_contenido, c.hash_contenido,
+    d.hash_contenido IS DISTINCT FROM c.hash_contenido,
+    ARRAY['rol_original'],
+    jsonb_build_object('motivo', 'identidad_repetida', 'rol_original', d.rol_original),
+    to_jsonb(d) - 'embedding_titulo' - 'embedding_contenido' - 'embedding_descriptores'
+FROM identidades_repetidas r
+JOIN jurisprudencia_cs d ON d.id = r.id
+JOIN jurisprudencia_cs c ON c.id = r.conservada;
+
+DELETE FROM sentencia_chunks c
+USING identidades_repetidas r
+JOIN jurisprudencia_cs d ON d.id = r.id
+WHERE c.rol = d.rol_original;
+
+DELETE FROM jurisprudencia_cs j
+USING identidades_repetidas r
+WHERE j.id = r.id;
+
+UPDATE jurisprudencia_cs_revisiones r
+SET rol = j.rol
+FROM jurisprudencia_cs j
+WHERE j.identidad = r.identidad AND r.rol IS DISTINCT FROM j.rol;
+
+UPDATE sentencia_chunks c
+SET rol = j.rol
+FROM jurisprudencia_cs j
+WHERE j.identidad = c.identidad AND c.rol IS DISTINCT FROM j.rol;
+
+-- Restricción (no solo índice) para que las tablas hijas la puedan referenciar
+ALTER TABLE jurisprudencia_cs ALTER COLUMN identidad SET NOT NULL;
+ALTER TABLE jurisprudencia_cs ADD CONSTRAINT jurisprudencia_cs_identidad_key UNIQUE (identidad);
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_rol_anio ON jurisprudencia_cs(rol_anio, rol_numero);
+
+ALTER TABLE jurisprudencia_cs_revisiones
+    ALTER COLUMN identidad SET NOT NULL,
+    ADD CONSTRAINT jurisprudencia_cs_revisiones_identidad_fkey
+        FOREIGN KEY (identidad) REFERENCES jurisprudencia_cs(identidad) ON DELETE CASCADE ON UPDATE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_jurisprudencia_cs_revisiones_identidad ON jurisprudencia_cs_revisiones(identidad, detectada_en DESC);
+
+ALTER TABLE sentencia_chunks
+    ALTER COLUMN identidad SET NOT NULL,
+    DROP CONSTRAINT sentencia_chunks_pkey,
+    ADD PRIMARY KEY (identidad, indice),
+    ADD CONSTRAINT sentencia_chunks_identidad_fkey
+        FOREIGN KEY (identidad) REFERENCES jurisprudencia_cs(identidad) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- La búsqueda agrupa por sentencia (identidad) y devuelve también el ROL;
+-- cambia el tipo de retorno, así que se recrean
+DROP FUNCTION IF EXISTS buscar_chunks(VECTOR, INTEGER, TEXT, DATE, DATE, TEXT, TEXT);
+DROP FUNCTION IF EXISTS buscar_texto(TEXT, INTEGER, TEXT, DATE, DATE, TEXT, TEXT);
+
+CREATE FUNCTION buscar_chunks(
+    query_embedding VECTOR(1536),
+    limite INTEGER DEFAULT 50,
+    filtro_tribunal TEXT DEFAULT NULL,
+    filtro_desde DATE DEFAULT NULL,
+    filtro_hasta DATE DEFAULT NULL,
+    filtro_materia TEXT DEFAULT NULL,
+    filtro_tipo_recurso TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    identidad TEXT,
+    rol VARCHAR(50),
+    similaridad FLOAT,
+    chunk_indice INTEGER,
+    chunk_inicio INTEGER,
+    chunk_fin INTEGER
+) AS $$
+    -- Se piden más chunks que sentencias: varias pueden aportar más de uno
+    WITH cercanos AS (
+        SELECT c.identidad, j.rol, c.indice, c.inicio, c.fin, 1 - (c.embedding <=> query_embedding) AS similaridad
+        FROM sentencia_chunks c
+        JOIN jurisprudencia_cs j ON j.identidad = c.identidad
+        WHERE c.embedding IS NOT NULL
+            AND (filtro_tribunal IS NULL OR j.tribunal ILIKE filtro_tribunal || '%')
+            AND (filtro_desde IS NULL OR j.fecha_sentencia >= filtro_desde)
+            AND (filtro_hasta IS NULL OR j.fecha_sentencia <= filtro_hasta)
+            AND (filtro_materia IS NULL OR j.materia ILIKE filtro_materia)
+            AND (filtro_tipo_recurso IS NULL OR j.tipo_recurso = filtro_tipo_recurso)
+        ORDER BY c.embedding <=> query_embedding
+        LIMIT limite * 5
+    ),
+    mejor_por_sentencia AS (
+        SELECT DISTINCT ON (cercanos.identidad) cercanos.*
+        FROM cercanos
+        ORDER BY cercanos.identidad, cercanos.similaridad DESC
+    )
+    SELECT m.identidad, m.rol, m.similaridad, m.indice, m.inicio, m.fin
+    FROM mejor_por_sentencia m
+    ORDER BY m.similaridad DESC
+    LIMIT limite;
+$$ LANGUAGE sql STABLE;
+
+CREATE FUNCTION buscar_texto(
+    consulta TEXT,
+    limite INTEGER DEFAULT 50,
+    filtro_tribunal TEXT DEFAULT NULL,
+    filtro_desde DATE DEFAULT NULL,
+    filtro_hasta DATE DEFAULT NULL,
+    filtro_materia TEXT DEFAULT NULL,
+    filtro_tipo_recurso TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    identidad TEXT,
+    rol VARCHAR(50),
+    rango FLOAT
+) AS $$
+    -- Usa los índices GIN de to_tsvector('spanish', ...) sobre texto_completo y caratula
+    SELECT j.identidad, j.rol,
+        ts_rank_cd(
+            setweight(to_tsvector('spanish', j.caratula), 'A') || setweight(to_tsvector('spanish', j.texto_completo), 'D'),
+            websearch_to_tsquery('spanish', consulta)
+        )::FLOAT AS rango
+    FROM jurisprudencia_cs j
+    WHERE (to_tsvector('spanish', j.texto_completo) @@ websearch_to_tsquery('spanish', consulta)
+            OR to_tsvector('spanish', j.caratula) @@ websearch_to_tsquery('spanish', consulta))
+        AND (filtro_tribunal IS NULL OR j.tribunal ILIKE filtro_tribunal || '%')
+        AND (filtro_desde IS NULL OR j.fecha_sentencia >= filtro_desde)
+        AND (filtro_hasta IS NULL OR j.fecha_sentencia <= filtro_hasta)
+        AND (filtro_materia IS NULL OR j.materia ILIKE filtro_materia)
+        AND (filtro_tipo_recurso IS NULL OR j.tipo_recurso = filtro_tipo_recurso)
+    ORDER BY rango DESC
+    LIMIT limite;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION buscar_chunks IS 'Sentencias con el chunk más cercano a la consulta (similaridad coseno), con filtros';
+COMMENT ON FUNCTION buscar_texto IS 'Sentencias que calzan con la consulta en texto completo o carátula (ts_rank_cd), con filtros';
+
+COMMENT ON COLUMN jurisprudencia_cs.rol IS 'ROL canónico (lib/rolParser); no es único entre tribunales';
+COMMENT ON COLUMN jurisprudencia_cs.rol_original IS 'ROL tal como lo muestra el sitio';
+COMMENT ON FUNCTION rol_canonico IS 'ROL canónico, igual que normalizarRol() de lib/rolParser.js';
+COMMENT ON FUNCTION clave_tribunal IS 'Clave del tribunal para la identidad, igual que claveTribunal() de lib/rolParser.js';
+COMMENT ON COLUMN jurisprudencia_cs.identidad IS 'tribunal|ROL canónico|k: clave anti-duplicados';
@@ -0,0 +1,32 @@
+-- ========================================
+-- CITAS NORMATIVAS Y JURISPRUDENCIALES
+-- ========================================
+-- Artículos de códigos y leyes, leyes citadas sin artículo y ROLs de otras
+-- causas que menciona cada sentencia en sus considerandos (lib/citations.js).
+-- `norma` va normalizada ("Código Civil", "Ley 19.496") y `rol_citado` en
+-- forma canónica, para poder buscar quién cita qué. Como los chunks, las
+-- citas cuelgan de la `identidad` de la sentencia: el ROL se repite entre tribunales
+
+CREATE TABLE IF NOT EXISTS sentencia_citas (
+    id BIGSERIAL PRIMARY KEY,
+    identidad TEXT NOT NULL REFERENCES jurisprudencia_cs(identidad) ON DELETE CASCADE ON UPDATE CASCADE,
+    rol VARCHAR(50) NOT NULL, -- ROL canónico de la sentencia que cita
+    tipo VARCHAR(10) NOT NULL CHECK (tipo IN ('articulo', 'ley', 'rol')),
+    norma VARCHAR(150), -- Nombre normalizado del código o ley (articulo y ley)
+    articulo VARCHAR(30), -- "1545", "474 bis" (solo articulo)
+    rol_citado VARCHAR(50), -- ROL canónico de la causa citada (solo rol)
+    considerando INTEGER, -- Primer considerando donde aparece
+    menciones INTEGER NOT NULL DEFAULT 1, -- Veces que se cita en la sentencia
+    contexto TEXT, -- Fragmento alrededor de la primera mención
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sentencia_citas_identidad ON sentencia_citas(identidad);
+CREATE INDEX IF NOT EXISTS idx_sentencia_citas_rol ON sentencia_citas(rol);
+CREATE INDEX IF NOT EXISTS idx_sentencia_citas_norma ON sentencia_citas(norma, articulo);
+CREATE INDEX IF NOT EXISTS idx_sentencia_citas_rol_citado ON sentencia_citas(rol_citado);
+
+ALTER TABLE sentencia_citas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "sentencia_citas_all_policy" ON sentencia_citas
+    FOR ALL USING (true) WITH CHECK (true);
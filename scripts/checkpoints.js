@@ -0,0 +1,93 @@
+/**
+ * Administrar checkpoints de corridas reanudables
+ * Ejecutar con: npm run checkpoints -- list
+ *               npm run checkpoints -- show <clave>
+ *               npm run checkpoints -- discard <clave>
+ *               npm run checkpoints -- discard --dias <N>   (sin actividad hace más de N días)
+ *
+ * Usa el backend configurado en STORAGE_BACKEND (o el por defecto)
+ */
+
+require('dotenv').config();
+const { log } = require('../lib/logger');
+const { buildScrapeConfig } = require('../lib/scrapeConfig');
+const { createStorage } = require('../lib/storage');
+const { resumirResultados, checkpointsObsoletos } = require('../lib/checkpoint');
+
+/**
+ * Línea de resumen de un checkpoint
+ */
+function describir(checkpoint) {
+    const { tribunal, startDate, endDate, searchTerm } = checkpoint.parametros || {};
+    const { total, hecho, pendiente, fallido } = checkpoint.resumen;
+    const busqueda = `${tribunal} ${startDate}-${endDate}${searchTerm ? ` "${searchTerm}"` : ''}`;
+    return `${checkpoint.clave}  ${checkpoint.estado}  ${busqueda}  página ${checkpoint.ultima_pagina}` +
+        `  ${hecho}/${total} hechos, ${pendiente} pendientes, ${fallido} fallidos  (${checkpoint.actualizado_en})`;
+}
+
+async function main() {
+    const [comando, ...args] = process.argv.slice(2);
+    const storage = createStorage(buildScrapeConfig());
+    await storage.init();
+
+    try {
+        if (comando === 'list') {
+            const checkpoints = await storage.listCheckpoints();
+            if (checkpoints.length === 0) {
+                log.info('No hay checkpoints');
+            }
+            checkpoints.forEach(checkpoint => log.info(describir(checkpoint)));
+            return;
+        }
+
+        if (comando === 'show' && args[0]) {
+            const checkpoint = await storage.getCheckpoint(args[0]);
+            if (!checkpoint) {
+                log.error(`Checkpoint no encontrado: ${args[0]}`);
+                process.exitCode = 1;
+                return;
+            }
+            log.info(describir({ ...checkpoint.encabezado, resumen: resumirResultados(checkpoint.resultados) }));
+            for (const fila of checkpoint.resultados) {
+                log.info(`  #${fila.posicion} p${fila.pagina} ${fila.estado.padEnd(9)} ${fila.rol || '-'}${fila.error ? `  ${fila.error}` : ''}`);
+            }
+            return;
+        }
+
+        if (comando === 'discard' && args[0] === '--dias') {
+            const dias = Number(args[1]);
+            if (!Number.isFinite(dias) || dias < 0) {
+                log.error('--dias requiere un número de días');
+                process.exitCode = 1;
+                return;
+            }
+            const obsoletos = checkpointsObsoletos(await storage.listCheckpoints(), dias);
+            for (const checkpoint of obsoletos) {
+                await storage.deleteCheckpoint(checkpoint.clave);
+                log.info(`Descartado: ${describir(checkpoint)}`);
+            }
+            log.info(`${obsoletos.length} checkpoints descartados`);
+            return;
+        }
+
+        if (comando === 'discard' && args[0]) {
+            if (await storage.deleteCheckpoint(args[0])) {
+                log.info(`Checkpoint descartado: ${args[0]}`);
+            } else {
+                log.error(`Checkpoint no encontrado: ${args[0]}`);
+                process.exitCode = 1;
+            }
+            return;
+        }
+
+        log.error('Uso: npm run checkpoints -- list | show <clave> | discard <clave> | discard --dias <N>');
+        process.exitCode = 1;
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch((error) => {
+    log.error(`Error administrando checkpoints`, error);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Volver a extraer las citas de las sentencias ya guardadas
+ * Ejecutar con: npm run citas -- [--tribunal X] [--startDate DD/MM/YYYY] [--endDate DD/MM/YYYY]
+ *               [--materia M] [--tipo_recurso T]
+ *
+ * Sirve para el corpus guardado antes de que existieran las citas y para
+ * aplicar mejoras de lib/citations.js sin volver a scrapear. Usa el backend
+ * configurado en STORAGE_BACKEND (o el por defecto)
+ */
+
+require('dotenv').config();
+const { log } = require('../lib/logger');
+const { buildScrapeConfig } = require('../lib/scrapeConfig');
+const { createStorage } = require('../lib/storage');
+const { validarFiltros } = require('../lib/search');
+const { extraerCitas } = require('../lib/citations');
+
+/**
+ * Leer argumentos `--clave valor`
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const errores = [];
+    const filtros = validarFiltros(parseArgs(process.argv.slice(2)), errores);
+    if (errores.length > 0) {
+        errores.forEach(error => log.error(error));
+        process.exitCode = 1;
+        return;
+    }
+
+    const storage = createStorage(buildScrapeConfig());
+    await storage.init();
+
+    try {
+        let sentencias = 0;
+        let citas = 0;
+        const filas = storage.streamRows({ filtros, columnas: ['identidad', 'rol', 'considerandos_detalle', 'texto_completo'] });
+        for await (const fila of filas) {
+            const encontradas = extraerCitas(fila);
+            await storage.saveCitations(fila, encontradas);
+            sentencias++;
+            citas += encontradas.length;
+        }
+        log.info(`${citas} citas en ${sentencias} sentencias`);
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch((error) => {
+    log.error(`Error extrayendo citas`, error);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Exportar el corpus como NDJSON, CSV o Akoma Ntoso
+ * Ejecutar con: npm run exportar -- [--formato ndjson|csv|akn] [--tribunal X] [--startDate DD/MM/YYYY]
+ *               [--endDate DD/MM/YYYY] [--materia M] [--tipo_recurso T] [--embeddings true] [--salida archivo]
+ *
+ * Sin `--salida` escribe en stdout. Usa el backend configurado en
+ * STORAGE_BACKEND (o el por defecto)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { log } = require('../lib/logger');
+const { buildScrapeConfig } = require('../lib/scrapeConfig');
+const { createStorage } = require('../lib/storage');
+const { validarExportacion, exportarSentencias } = require('../lib/export');
+
+/**
+ * Leer argumentos `--clave valor`
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { salida, ...args } = parseArgs(process.argv.slice(2));
+    const { params, errores } = validarExportacion(args);
+    if (errores.length > 0) {
+        errores.forEach(error => log.error(error));
+        process.exitCode = 1;
+        return;
+    }
+
+    const storage = createStorage(buildScrapeConfig());
+    await storage.init();
+
+    try {
+        const destino = salida ? fs.createWriteStream(salida) : process.stdout;
+        const { exportadas } = await exportarSentencias({ storage, salida: destino, ...params });
+        // En stdout el resumen se mezclaría con el volcado
+        if (salida) {
+            log.info(`${exportadas} sentencias exportadas a ${salida}`);
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch((error) => {
+    log.error(`Error exportando`, error);
+    process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Aplicar migraciones pendientes del esquema
+ * Ejecutar con: npm run migrate            (aplica pendientes)
+ *               npm run migrate -- --status (solo muestra el estado)
+ *
+ * Requiere DATABASE_URL con la cadena de conexión de Postgres/Supabase
+ */
+
+require('dotenv').config();
+const { Client } = require('pg');
+const { log } = require('../lib/logger');
+const { loadMigrations, compareMigrations, applyMigrations, MIGRATIONS_TABLE } = require('../lib/migrations');
+
+async function main() {
+    if (!process.env.DATABASE_URL) {
+        log.error('DATABASE_URL no configurada');
+        process.exit(1);
+    }
+
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        if (process.argv.includes('--status')) {
+            const { rows } = await client.query(`SELECT to_regclass('${MIGRATIONS_TABLE}') AS tabla`);
+            const aplicadas = rows[0].tabla
+                ? (await client.query(`SELECT version, checksum FROM ${MIGRATIONS_TABLE}`)).rows
+                : [];
+            const estado = compareMigrations(loadMigrations(), aplicadas);
+
+            log.info(`Aplicadas: ${estado.aplicadas.join(', ') || 'ninguna'}`);
+            log.info(`Pendientes: ${estado.pendientes.map(m => m.archivo).join(', ') || 'ninguna'}`);
+            if (estado.modificadas.length > 0) {
+                log.warning(`Modificadas tras aplicarse: ${estado.modificadas.map(m => m.archivo).join(', ')}`);
+            }
+            return;
+        }
+
+        const aplicadas = await applyMigrations(client, {
+            onApply: (migracion) => log.info(`Migración aplicada: ${migracion.archivo}`)
+        });
+
+        log.info(aplicadas.length > 0
+            ? `${aplicadas.length} migraciones aplicadas`
+            : 'El esquema ya está al día');
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch((error) => {
+    log.error(`Error en migraciones`, error);
+    process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * Grabar fixtures desde el sitio en vivo para el servidor local
+ * Ejecutar con: npm run record-fixtures -- --nombre <carpeta> [--tribunal X] [--startDate DD/MM/YYYY]
+ *                                          [--endDate DD/MM/YYYY] [--searchTerm texto] [--maxSentencias N]
+ *
+ * Corre el scraper completo contra JURIS_BASE_URL (por defecto juris.pjud.cl)
+ * y guarda cada documento, XHR y fetch del sitio en tests/fixtures/<carpeta>/
+ * junto a un manifest.json que el servidor de fixtures puede reproducir.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { log } = require('../lib/logger');
+const { validateScrapeParams } = require('../lib/scrapeConfig');
+const { JurisprudenciaScraper } = require('../main');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures');
+const TIPOS_GRABADOS = ['document', 'xhr', 'fetch'];
+
+/**
+ * Leer argumentos `--clave valor`
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Nombre de archivo legible para una ruta grabada
+ */
+function nombreArchivo(indice, pathname, contentType) {
+    const base = pathname.replace(/^\/+/, '').replace(/[^\w-]+/g, '_') || 'index';
+    const extension = contentType.includes('json') ? 'json' : 'html';
+    return `${String(indice).padStart(3, '0')}_${base}.${extension}`;
+}
+
+/**
+ * Escuchar respuestas de las páginas y guardarlas como fixtures
+ *
+ * `attach(page)` se llama con cada pestaña que abre el scraper (listado y pool de detalles).
+ */
+function createRecorder({ dir, baseUrl }) {
+    const origen = new URL(baseUrl).origin;
+    const routes = new Map();
+    const pendientes = [];
+    let indice = 0;
+
+    const grabar = (response) => {
+        const request = response.request();
+        const url = new URL(response.url());
+
+        if (!TIPOS_GRABADOS.includes(request.resourceType()) || url.origin !== origen) return;
+        if (response.status() >= 300 && response.status() < 400) return;
+
+        pendientes.push((async () => {
+            let body;
+            try {
+                body = await response.text();
+            } catch (error) {
+                log.warning(`Sin body para ${url.href}: ${error.message}`);
+                return;
+            }
+
+            const contentType = response.headers()['content-type'] || 'text/html; charset=utf-8';
+            const form = request.postData() ? Object.fromEntries(new URLSearchParams(request.postData())) : {};
+            const match = { ...Object.fromEntries(url.searchParams), ...form };
+            const file = nombreArchivo(++indice, url.pathname, contentType);
+
+            // Enlaces absolutos al sitio pasan a ser relativos al servidor local
+            fs.writeFileSync(path.join(dir, file), body.split(origen).join(''), 'utf8');
+
+            const route = { method: request.method(), path: url.pathname, match, file, status: response.status(), contentType };
+            routes.set(`${route.method} ${route.path} ${JSON.stringify(match)}`, route);
+            log.info(`Grabado: ${route.method} ${url.pathname}${url.search} -> ${file}`);
+        })());
+    };
+
+    return {
+        attach(page) {
+            page.on('response', grabar);
+        },
+
+        async finish() {
+            await Promise.all(pendientes);
+            return [...routes.values()];
+        }
+    };
+}
+
+async function main() {
+    const { nombre, ...input } = parseArgs(process.argv.slice(2));
+    if (!nombre) {
+        log.error('Falta --nombre <carpeta> para los fixtures');
+        process.exit(1);
+    }
+
+    const { params, errores } = validateScrapeParams(input);
+    if (errores.length > 0) {
+        errores.forEach(error => log.error(error));
+        process.exit(1);
+    }
+
+    const dir = path.join(FIXTURES_DIR, nombre);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // La salida del scraper va a un directorio temporal, no a la base de datos
+    const scraper = new JurisprudenciaScraper({
+        maxSentencias: 5,
+        ...params,
+        // El grabador escucha las respuestas de las pestañas: nada por HTTP directo
+        fetchMode: 'navegador',
+        storageBackend: 'ndjson',
+        storagePath: fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'))
+    });
+
+    const recorder = createRecorder({ dir, baseUrl: scraper.BASE_URL });
+    const createPage = scraper.createPage.bind(scraper);
+    scraper.createPage = async () => {
+        const page = await createPage();
+        recorder.attach(page);
+        return page;
+    };
+
+    try {
+        await scraper.run();
+    } finally {
+        const routes = await recorder.finish();
+        const manifest = {
+            descripcion: `Grabado desde ${scraper.BASE_URL} el ${new Date().toISOString()}`,
+            parametros: _.pick(scraper.config, ['tribunal', 'startDate', 'endDate', 'searchTerm', 'maxSentencias']),
+            routes
+        };
+        fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 4) + '\n', 'utf8');
+        log.info(`${routes.length} rutas grabadas en ${dir}`);
+    }
+}
+
+main().catch((error) => {
+    log.error(`Error grabando fixtures`, error);
+    process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Revisar y reprocesar sentencias que fallaron tras los reintentos
+ * Ejecutar con: npm run sentencias-fallidas -- list [--estado pendiente|reprocesada|todas] [--tribunal X] [--clase Y]
+ *               npm run sentencias-fallidas -- replay [--tribunal X | --tribunales X,Y] [--clase Y]
+ *
+ * `replay` corre el scraper en este proceso sobre las pendientes de los
+ * tribunales indicados (por defecto TRIBUNAL / TRIBUNALES)
+ */
+
+require('dotenv').config();
+const { log } = require('../lib/logger');
+const { buildScrapeConfig, validateScrapeParams } = require('../lib/scrapeConfig');
+const { createStorage } = require('../lib/storage');
+const { JurisprudenciaScraper } = require('../main');
+
+/**
+ * Leer argumentos `--clave valor`
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Línea de resumen de una sentencia fallida
+ */
+function describir(carta) {
+    return `${carta.tribunal}  ${carta.rol}  ${carta.estado}  ${carta.clase_error}  ${carta.intentos} intentos` +
+        `  ${carta.error}  (${carta.actualizado_en || carta.creado_en})`;
+}
+
+async function listar({ estado = 'pendiente', tribunal, clase }) {
+    const storage = createStorage(buildScrapeConfig());
+    await storage.init();
+
+    try {
+        const cartas = await storage.listDeadLetters({
+            estado: estado === 'todas' ? null : estado,
+            tribunales: tribunal ? [tribunal] : null,
+            clase: clase || null
+        });
+        if (cartas.length === 0) {
+            log.info('No hay sentencias fallidas');
+        }
+        cartas.forEach(carta => log.info(describir(carta)));
+    } finally {
+        await storage.close();
+    }
+}
+
+async function reprocesar({ tribunal, tribunales, clase }) {
+    const { params, errores } = validateScrapeParams({ tribunal, tribunales, claseError: clase });
+    if (errores.length > 0) {
+        errores.forEach(error => log.error(error));
+        process.exitCode = 1;
+        return;
+    }
+
+    const progreso = await new JurisprudenciaScraper({ ...params, replay: true }).run();
+    log.info(`${progreso.reprocesadas} reprocesadas, ${progreso.errores} siguen fallando`);
+}
+
+async function main() {
+    const [comando, ...resto] = process.argv.slice(2);
+    const args = parseArgs(resto);
+
+    if (comando === 'list') {
+        await listar(args);
+        return;
+    }
+
+    if (comando === 'replay') {
+        await reprocesar(args);
+        return;
+    }
+
+    log.error('Uso: npm run sentencias-fallidas -- list [--estado E] [--tribunal X] [--clase Y] | replay [--tribunal X] [--clase Y]');
+    process.exitCode = 1;
+}
+
+main().catch((error) => {
+    log.error(`Error con sentencias fallidas`, error);
+    process.exit(1);
+});
@@ -0,0 +1,26 @@
+/**
+ * Servir fixtures grabados como sustituto local de juris.pjud.cl
+ * Ejecutar con: npm run serve-fixtures -- [carpeta] [puerto]
+ *
+ * Luego correr el scraper con JURIS_BASE_URL=http://127.0.0.1:<puerto>
+ */
+
+const path = require('path');
+const { log } = require('../lib/logger');
+const { createFixtureServer } = require('../lib/fixtureServer');
+
+async function main() {
+    const carpeta = process.argv[2] || 'juris';
+    const puerto = parseInt(process.argv[3]) || 4000;
+
+    const fixtures = createFixtureServer({ dir: path.join(__dirname, '..', 'tests', 'fixtures', carpeta) });
+    const url = await fixtures.start(puerto);
+
+    log.info(`Fixtures '${carpeta}' disponibles en ${url}`);
+    log.info(`Parámetros grabados: ${JSON.stringify(fixtures.manifest.parametros)}`);
+}
+
+main().catch((error) => {
+    log.error(`Error iniciando servidor de fixtures`, error);
+    process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Validar un perfil de extracción y probarlo contra HTML guardado
+ * Ejecutar con: npm run validar-perfil -- [--perfil nombre|archivo.json] [--tribunal X]
+ *               [--busqueda busqueda.html] [--listado resultados.html] [--detalle detalle.html]
+ *
+ * Sin `--perfil` usa el del tribunal (o el común). Revisa el perfil contra
+ * el esquema y escribe en stdout, como JSON, qué selector de cada regla
+ * calzó en cada página. Termina con código 1 si el perfil es inválido o si
+ * no se encontraron filas, ROL, enlace o texto completo
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { log } = require('../lib/logger');
+const { validarPerfil, cargarPerfiles, perfilPara, etiquetaPerfil } = require('../lib/profiles');
+const { probarPerfil } = require('../lib/htmlExtractor');
+
+/**
+ * Leer argumentos `--clave valor`
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Perfil por archivo, por nombre o por tribunal
+ */
+function obtenerPerfil({ perfil, tribunal }) {
+    if (perfil && perfil.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(perfil, 'utf8'));
+    }
+    if (perfil) {
+        const encontrado = cargarPerfiles().find(p => p.nombre === perfil);
+        if (!encontrado) throw new Error(`No hay un perfil llamado ${perfil}`);
+        return encontrado;
+    }
+    return perfilPara(tribunal);
+}
+
+/**
+ * Reglas imprescindibles que no calzaron en las páginas probadas
+ */
+function faltantes(reporte) {
+    const faltan = [];
+    if (reporte.listado) {
+        if (reporte.listado.filas.resultados === 0) faltan.push('listado.filas');
+        for (const campo of ['rol', 'enlace']) {
+            if (Object.keys(reporte.listado.campos[campo].selectores).length === 0) faltan.push(`listado.campos.${campo}`);
+        }
+    }
+    if (reporte.detalle && !reporte.detalle.campos.texto_completo.selector) {
+        faltan.push('detalle.campos.texto_completo');
+    }
+    return faltan;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const perfil = obtenerPerfil(args);
+
+    const errores = validarPerfil(perfil);
+    if (errores.length > 0) {
+        errores.forEach(error => log.error(error));
+        process.exitCode = 1;
+        return;
+    }
+    log.info(`Perfil ${etiquetaPerfil(perfil)} válido`);
+
+    const paginas = {};
+    for (const clave of ['busqueda', 'listado', 'detalle']) {
+        if (args[clave]) paginas[clave] = fs.readFileSync(args[clave], 'utf8');
+    }
+    if (Object.keys(paginas).length === 0) return;
+
+    const reporte = probarPerfil(perfil, { ...paginas, baseUrl: args.baseUrl });
+    process.stdout.write(`${JSON.stringify(reporte, null, 2)}\n`);
+
+    const faltan = faltantes(reporte);
+    if (faltan.length > 0) {
+        log.error(`Reglas sin coincidencias: ${faltan.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    log.error('Error validando el perfil', error);
+    process.exit(1);
+});
@@ -4,17 +4,23 @@
  */
 
 require('dotenv').config();
+const { defaultBackend } = require('./lib/storage');
 
 console.log('🧪 Probando configuración del scraper...\n');
 
-// Verificar variables de entorno
-const requiredVars = [
-    'SUPABASE_URL',
-    'SUPABASE_ANON_KEY'
-];
+// Verificar variables de entorno según el backend de almacenamiento
+const storageBackend = defaultBackend();
+const requiredVarsByBackend = {
+    supabase: ['SUPABASE_URL', 'SUPABASE_ANON_KEY'],
+    postgres: ['DATABASE_URL'],
+    ndjson: []
+};
+const requiredVars = requiredVarsByBackend[storageBackend] || [];
 
 const optionalVars = [
     'OPENAI_API_KEY',
+    'STORAGE_BACKEND',
+    'STORAGE_PATH',
     'TRIBUNAL',
     'START_DATE',
     'END_DATE',
@@ -46,6 +52,7 @@ optionalVars.forEach(varName => {
 });
 
 console.log('\n🔧 Configuración actual:');
+console.log(`  Almacenamiento: ${storageBackend}`);
 console.log(`  Tribunal: ${process.env.TRIBUNAL || 'Corte_Suprema'}`);
 console.log(`  Fecha inicio: ${process.env.START_DATE || 'No configurada'}`);
 console.log(`  Fecha fin: ${process.env.END_DATE || 'No configurada'}`);
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dividirRango, subdividir, pareceTruncado, calcularCobertura } = require('../lib/backfill');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { JurisprudenciaScraper } = require('../main');
+
+describe('dividirRango', () => {
+    test('recorta meses a los bordes del rango', () => {
+        expect(dividirRango('15/01/2024', '10/03/2024', 'mes')).toEqual([
+            { desde: '2024-01-15', hasta: '2024-01-31', granularidad: 'mes' },
+            { desde: '2024-02-01', hasta: '2024-02-29', granularidad: 'mes' },
+            { desde: '2024-03-01', hasta: '2024-03-10', granularidad: 'mes' }
+        ]);
+    });
+
+    test('alinea semanas de lunes a domingo', () => {
+        const semanas = dividirRango('2024-02-01', '2024-02-29', 'semana');
+
+        expect(semanas[0]).toEqual({ desde: '2024-02-01', hasta: '2024-02-04', granularidad: 'semana' });
+        expect(semanas[1]).toEqual({ desde: '2024-02-05', hasta: '2024-02-11', granularidad: 'semana' });
+        expect(semanas[semanas.length - 1]).toEqual({ desde: '2024-02-26', hasta: '2024-02-29', granularidad: 'semana' });
+    });
+
+    test('rechaza granularidades desconocidas', () => {
+        expect(() => dividirRango('01/01/2024', '31/01/2024', 'año')).toThrow('Granularidad inválida');
+    });
+});
+
+describe('subdividir', () => {
+    test('pasa de mes a semanas y de semana a días', () => {
+        expect(subdividir({ desde: '2024-03-01', hasta: '2024-03-31', granularidad: 'mes' })).toHaveLength(5);
+        expect(subdividir({ desde: '2024-03-04', hasta: '2024-03-10', granularidad: 'semana' })).toHaveLength(7);
+    });
+
+    test('un día no se puede achicar', () => {
+        expect(subdividir({ desde: '2024-03-04', hasta: '2024-03-04', granularidad: 'dia' })).toBeNull();
+    });
+});
+
+describe('pareceTruncado', () => {
+    test('el límite alcanzado con más páginas o un total mayor al listado', () => {
+        expect(pareceTruncado({ listados: 100, total_reportado: null, hay_mas: true }, 100)).toBe(true);
+        expect(pareceTruncado({ listados: 100, total_reportado: null, hay_mas: false }, 100)).toBe(false);
+        expect(pareceTruncado({ listados: 40, total_reportado: 250, hay_mas: false }, 100)).toBe(true);
+        expect(pareceTruncado({ listados: 40, total_reportado: 40, hay_mas: false }, 100)).toBe(false);
+    });
+
+    test('los resultados sin ROL cuentan como listados frente al total del sitio', async () => {
+        const scraper = new JurisprudenciaScraper({ tribunal: 'Corte_Suprema', delayBetweenRequests: 0 });
+        const html = `
+            <div class="resultado"><span class="rol">Rol N° 12.345-2023</span><a href="/detalle?k=1">Ver</a></div>
+            <div class="resultado"><span class="rol">En trámite</span><span class="fecha">10/03/2024</span><a href="/detalle?k=2">Ver</a></div>
+            <div class="resultado"><span class="rol">Rol N° 678-2024</span><a href="/detalle?k=3">Ver</a></div>`;
+        scraper.page = {
+            url: () => 'http://127.0.0.1/resultados',
+            click: async () => {},
+            waitForSelector: async () => {},
+            content: async () => html
+        };
+        scraper.throttle = async (url, navegar) => navegar();
+        scraper.syncCookies = async () => {};
+        scraper.extractTotalResults = async () => 3;
+        scraper.goToNextPage = async () => false;
+
+        const resultados = await scraper.executeSearch();
+
+        expect(resultados).toHaveLength(2);
+        expect(scraper.ultimoListado).toEqual({ listados: 3, total_reportado: 3, hay_mas: false });
+        expect(pareceTruncado(scraper.ultimoListado, 100)).toBe(false);
+    });
+});
+
+describe('calcularCobertura', () => {
+    test('informa huecos y sentencias por ventana', () => {
+        const cobertura = calcularCobertura([
+            { desde: '2024-01-01', hasta: '2024-01-31', granularidad: 'mes', estado: 'dividida' },
+            { desde: '2024-01-01', hasta: '2024-01-07', granularidad: 'semana', estado: 'completa', guardadas: 12 },
+            { desde: '2024-01-08', hasta: '2024-01-14', granularidad: 'semana', estado: 'con_errores', guardadas: 8, errores: 1 },
+            { desde: '2024-01-15', hasta: '2024-01-31', granularidad: 'semana', estado: 'completa', guardadas: 20 }
+        ], '01/01/2024', '02/02/2024');
+
+        expect(cobertura.ventanas).toEqual({ total: 3, completas: 2, con_errores: 1, truncadas: 0, pendientes: 0 });
+        expect(cobertura.sentencias).toBe(40);
+        expect(cobertura.dias_cubiertos).toBe(24);
+        expect(cobertura.huecos).toEqual([
+            { desde: '2024-01-08', hasta: '2024-01-14' },
+            { desde: '2024-02-01', hasta: '2024-02-02' }
+        ]);
+        expect(cobertura.sin_huecos).toBe(false);
+    });
+});
+
+describe('runBackfill', () => {
+    let dir;
+    let scraper;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+        scraper = new JurisprudenciaScraper({
+            tribunal: 'Corte_Suprema',
+            startDate: '01/02/2024',
+            endDate: '29/02/2024',
+            backfill: 'mes',
+            backfillLimit: 50,
+            storageBackend: 'ndjson',
+            storagePath: dir
+        });
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+
+        // Listado simulado: el mes tiene 90 resultados y la semana del 12 al 18, 60 (8 por día); el resto 10 por semana
+        scraper.ventanasListadas = [];
+        scraper.listResults = async function () {
+            await this.loadCheckpoint();
+            const { startDate, endDate } = this.config;
+            this.ventanasListadas.push(`${startDate}-${endDate}`);
+
+            const dia = Number(startDate.slice(0, 2));
+            let cantidad = 10;
+            if (startDate === '01/02/2024' && endDate === '29/02/2024') {
+                cantidad = 90;
+            } else if (startDate === '12/02/2024' && endDate === '18/02/2024') {
+                cantidad = 60;
+            } else if (startDate === endDate && dia >= 12 && dia <= 18) {
+                cantidad = 8;
+            }
+            const listados = Math.min(cantidad, this.config.maxSentencias);
+            this.ultimoListado = { listados, total_reportado: null, hay_mas: cantidad > listados };
+            return Array.from({ length: listados }, (_, i) => ({ rol: `${startDate}-${i}` }));
+        };
+        scraper.processResults = async function (resultados) {
+            this.stats.exitosas += resultados.length;
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('divide las ventanas truncadas y reporta cobertura completa', async () => {
+        await scraper.runBackfill();
+
+        expect(scraper.ventanasListadas).toContain('01/02/2024-29/02/2024');
+        expect(scraper.ventanasListadas).toContain('12/02/2024-18/02/2024');
+        expect(scraper.ventanasListadas).toContain('12/02/2024-12/02/2024');
+        expect(scraper.cobertura.sin_huecos).toBe(true);
+        expect(scraper.cobertura.ventanas.total).toBe(5 + 6);
+        expect(scraper.cobertura.sentencias).toBe(4 * 10 + 7 * 8);
+        expect(scraper.config.startDate).toBe('01/02/2024');
+    });
+
+    test('salta las ventanas completas en una nueva corrida', async () => {
+        await scraper.runBackfill();
+        scraper.ventanasListadas = [];
+
+        await scraper.runBackfill();
+
+        expect(scraper.ventanasListadas).toEqual([]);
+        expect(scraper.cobertura.sin_huecos).toBe(true);
+    });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { claveCheckpoint, checkpointsObsoletos, CrawlCheckpoint } = require('../lib/checkpoint');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { JurisprudenciaScraper } = require('../main');
+
+const PARAMETROS = {
+    tribunal: 'Corte_Suprema',
+    startDate: '01/03/2024',
+    endDate: '31/03/2024',
+    searchTerm: 'indemnización'
+};
+
+const PAGINA_1 = [{ rol: 'Rol N° 12.345-2023' }, { rol: 'Rol N° 23.456-2023' }];
+const PAGINA_2 = [{ rol: 'Rol N° 34.567-2023' }];
+
+describe('CrawlCheckpoint', () => {
+    test('la clave depende solo de los parámetros de búsqueda', () => {
+        expect(claveCheckpoint({ ...PARAMETROS, maxSentencias: 10 })).toBe(claveCheckpoint({ ...PARAMETROS, maxSentencias: 500 }));
+        expect(claveCheckpoint(PARAMETROS)).not.toBe(claveCheckpoint({ ...PARAMETROS, endDate: '30/04/2024' }));
+    });
+
+    test('registra páginas y marca resultados por posición', () => {
+        const checkpoint = CrawlCheckpoint.nuevo(PARAMETROS);
+        expect(checkpoint.reanudable).toBe(false);
+
+        checkpoint.registrarPagina(1, PAGINA_1);
+        const [nueva] = checkpoint.registrarPagina(2, PAGINA_2);
+        checkpoint.marcar(0, 'hecho');
+        checkpoint.marcar(1, 'fallido', 'Timeout');
+
+        expect(nueva).toMatchObject({ posicion: 2, pagina: 2, rol: 'Rol N° 34.567-2023', estado: 'pendiente' });
+        expect(checkpoint.reanudable).toBe(true);
+        expect(checkpoint.ultima_pagina).toBe(2);
+        expect(checkpoint.resultadosDePagina(1)).toEqual(PAGINA_1);
+        expect(checkpoint.resumen()).toEqual({ total: 3, pendiente: 1, hecho: 1, fallido: 1 });
+    });
+
+    test('detecta checkpoints sin actividad reciente', () => {
+        const ahora = new Date('2024-04-10T00:00:00Z');
+        const encabezados = [
+            { clave: 'viejo', actualizado_en: '2024-04-01T00:00:00Z' },
+            { clave: 'reciente', actualizado_en: '2024-04-09T00:00:00Z' }
+        ];
+
+        expect(checkpointsObsoletos(encabezados, 7, ahora).map(c => c.clave)).toEqual(['viejo']);
+    });
+});
+
+describe('checkpoints en el backend ndjson', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('guarda, actualiza, lista y descarta', async () => {
+        const checkpoint = CrawlCheckpoint.nuevo(PARAMETROS, 'corrida-1');
+        await storage.saveCheckpoint(checkpoint.encabezado());
+        await storage.saveCheckpointResults(checkpoint.registrarPagina(1, PAGINA_1));
+        await storage.saveCheckpointResults([checkpoint.marcar(1, 'hecho')]);
+
+        const guardado = await storage.getCheckpoint(checkpoint.clave);
+        expect(guardado.encabezado).toMatchObject({ clave: checkpoint.clave, run_id: 'corrida-1', ultima_pagina: 0 });
+        expect(guardado.resultados.map(fila => fila.estado)).toEqual(['pendiente', 'hecho']);
+
+        const [listado] = await storage.listCheckpoints();
+        expect(listado.resumen).toEqual({ total: 2, pendiente: 1, hecho: 1, fallido: 0 });
+
+        expect(await storage.deleteCheckpoint(checkpoint.clave)).toBe(true);
+        expect(await storage.deleteCheckpoint(checkpoint.clave)).toBe(false);
+        expect(await storage.getCheckpoint(checkpoint.clave)).toBeNull();
+    });
+});
+
+describe('corridas reanudables', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reanudar-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function crearScraper(opciones = {}) {
+        const scraper = new JurisprudenciaScraper({
+            ...PARAMETROS,
+            storageBackend: 'ndjson',
+            storagePath: dir,
+            delayBetweenRequests: 0,
+            maxAttempts: 1,
+            ...opciones
+        });
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+        scraper.procesados = [];
+        scraper.processSingleResult = async (resultado) => {
+            if (resultado.rol === 'Rol N° 23.456-2023' && scraper.procesados.length === 1) {
+                throw new Error('Timeout de navegación');
+            }
+            scraper.procesados.push(resultado.rol);
+        };
+        await scraper.loadCheckpoint();
+        return scraper;
+    }
+
+    test('retoma resultados pendientes y fallidos de la corrida anterior', async () => {
+        const primera = await crearScraper();
+        await primera.saveCheckpoint(primera.checkpoint.registrarPagina(1, PAGINA_1));
+        await primera.processResults(PAGINA_1);
+        expect(primera.checkpoint.resumen()).toMatchObject({ hecho: 1, fallido: 1 });
+
+        const segunda = await crearScraper();
+        expect(segunda.checkpoint.ultima_pagina).toBe(1);
+        await segunda.saveCheckpoint(segunda.checkpoint.registrarPagina(2, PAGINA_2));
+        await segunda.processResults([...segunda.checkpoint.resultadosDePagina(1), ...PAGINA_2]);
+
+        expect(segunda.procesados).toEqual(['Rol N° 23.456-2023', 'Rol N° 34.567-2023']);
+        expect(segunda.stats.ya_procesadas).toBe(1);
+        expect(segunda.checkpoint.resumen()).toEqual({ total: 3, pendiente: 0, hecho: 3, fallido: 0 });
+    });
+
+    test('empieza de cero si el checkpoint terminó o si resume es false', async () => {
+        const primera = await crearScraper();
+        await primera.saveCheckpoint(primera.checkpoint.registrarPagina(1, PAGINA_1));
+
+        const sinReanudar = await crearScraper({ resume: false });
+        expect(sinReanudar.checkpoint.resultados).toEqual([]);
+
+        await sinReanudar.saveCheckpoint(sinReanudar.checkpoint.registrarPagina(1, PAGINA_1));
+        await sinReanudar.completeCheckpoint();
+
+        const tercera = await crearScraper();
+        expect(tercera.checkpoint.ultima_pagina).toBe(0);
+        expect(tercera.checkpoint.estado).toBe('en_curso');
+    });
+});
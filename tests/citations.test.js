@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TIPOS_CITA, normalizarNorma, extraerCitas, validarConsultaCitas, buscarCitantes } = require('../lib/citations');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+
+const CONSIDERANDOS = [
+    { numero: 1, texto: 'Que la recurrente denuncia la infracción de los artículos 1545, 1546 y 1698 del Código Civil, y del artículo 19 N° 24 de la Constitución Política de la República.' },
+    { numero: 2, texto: 'Que conforme al artículo 3° letra b) de la Ley N° 19.496, y al artículo 12 del mismo cuerpo legal, el proveedor responde. Véase también la Ley 20.555 y el D.L. N° 2.695.' },
+    { numero: 3, texto: 'Que así lo ha resuelto esta Corte en los autos Rol N° 12.345-2019 y en roles N°s 5.678-2020 y C-99-2021, además de la causa RIT O-123-2022. La presente causa Rol N° 1-2024 no se cita.' },
+    { numero: 4, texto: 'Que el artículo 768 N° 5 del C.P.C. y el art. 474 bis del Código del Trabajo; además el artículo 1545 del C.C. Según el artículo 20 no se aplica.' }
+];
+
+// [tipo, norma, articulo, rol_citado, considerando, menciones]
+const resumen = citas => citas.map(c => [c.tipo, c.norma, c.articulo, c.rol_citado, c.considerando, c.menciones]);
+
+describe('extraerCitas', () => {
+    const citas = extraerCitas({ rol: 'Rol N° 1-2024', considerandos_detalle: CONSIDERANDOS });
+
+    test('atribuye cada artículo de una lista a la norma que la cierra', () => {
+        expect(resumen(citas.filter(c => c.considerando === 1))).toEqual([
+            ['articulo', 'Código Civil', '1545', null, 1, 2],
+            ['articulo', 'Código Civil', '1546', null, 1, 1],
+            ['articulo', 'Código Civil', '1698', null, 1, 1],
+            ['articulo', 'Constitución Política de la República', '19', null, 1, 1]
+        ]);
+    });
+
+    test('normaliza leyes y siglas y resuelve "el mismo cuerpo legal"', () => {
+        expect(resumen(citas.filter(c => [2, 4].includes(c.considerando)))).toEqual([
+            ['articulo', 'Ley 19.496', '3', null, 2, 1],
+            ['articulo', 'Ley 19.496', '12', null, 2, 1],
+            ['ley', 'Ley 20.555', null, null, 2, 1],
+            ['ley', 'Decreto Ley 2.695', null, null, 2, 1],
+            ['articulo', 'Código de Procedimiento Civil', '768', null, 4, 1],
+            ['articulo', 'Código del Trabajo', '474 bis', null, 4, 1]
+        ]);
+    });
+
+    test('cita otras causas por su ROL canónico, sin la propia', () => {
+        expect(citas.filter(c => c.tipo === TIPOS_CITA.ROL).map(c => c.rol_citado))
+            .toEqual(['12345-2019', '5678-2020', 'C-99-2021', 'RIT-O-123-2022']);
+    });
+
+    test('guarda el fragmento donde aparece la cita', () => {
+        expect(citas.find(c => c.norma === 'Ley 20.555').contexto).toMatch(/Véase también la Ley 20\.555/);
+    });
+
+    test('sin considerandos lee el texto completo', () => {
+        expect(resumen(extraerCitas({ texto_completo: 'Se aplica el artículo 2314 del Código Civil.' })))
+            .toEqual([['articulo', 'Código Civil', '2314', null, null, 1]]);
+        expect(extraerCitas({ texto_completo: 'Según el artículo 20 no se aplica.' })).toEqual([]);
+    });
+});
+
+describe('normalizarNorma', () => {
+    test('lleva siglas y variantes al nombre oficial', () => {
+        expect(['C.C.', 'codigo civil', 'Ley n° 19496', 'DFL 1', 'Constitución', 'cualquier cosa'].map(normalizarNorma)).toEqual([
+            'Código Civil',
+            'Código Civil',
+            'Ley 19.496',
+            'Decreto con Fuerza de Ley 1',
+            'Constitución Política de la República',
+            null
+        ]);
+    });
+});
+
+describe('validarConsultaCitas', () => {
+    test('normaliza el ROL, la norma y el artículo', () => {
+        expect(validarConsultaCitas({ rol: 'Rol N° 12.345-2019' })).toEqual({
+            params: { rolCitado: '12345-2019', norma: null, articulo: null, limite: 50 },
+            errores: []
+        });
+        expect(validarConsultaCitas({ norma: 'C.C.', articulo: '1545', limite: '10' }).params)
+            .toEqual({ rolCitado: null, norma: 'Código Civil', articulo: '1545', limite: 10 });
+    });
+
+    test('exige rol o norma y rechaza lo que no reconoce', () => {
+        expect(validarConsultaCitas({}).errores).toEqual(['Indicar rol o norma (no ambos)']);
+        expect(validarConsultaCitas({ rol: '12-2020', norma: 'Código Civil' }).errores).toEqual(['Indicar rol o norma (no ambos)']);
+        expect(validarConsultaCitas({ rol: 'sin rol', articulo: '5', orden: 'x' }).errores).toEqual([
+            'Parámetro desconocido: orden',
+            'rol no reconocible: sin rol',
+            'articulo requiere norma'
+        ]);
+        expect(validarConsultaCitas({ norma: 'Reglamento', limite: '0' }).errores).toEqual([
+            'norma no reconocida: Reglamento (p. ej. "Código Civil", "Ley 19.496")',
+            'limite debe ser un entero entre 1 y 500'
+        ]);
+    });
+});
+
+describe('buscarCitantes', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citas-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+
+        const sentencias = [
+            { identidad: 'Corte_Suprema|1-2024|a1', rol: '1-2024', caratula: 'A con B', tribunal: 'Corte Suprema', fecha_sentencia: '2024-03-10', considerandos_detalle: CONSIDERANDOS },
+            { identidad: 'Corte_Suprema|2-2023|b2', rol: '2-2023', caratula: 'C con D', tribunal: 'Corte Suprema', fecha_sentencia: '2023-05-02', texto_completo: 'Infringe el artículo 1545 del Código Civil, como se dijo en Rol 12345-2019.' },
+            { identidad: 'Corte_Suprema|3-2024|c3', rol: '3-2024', caratula: 'E con F', tribunal: 'Corte Suprema', fecha_sentencia: '2024-01-15', texto_completo: 'Se aplica el artículo 2314 del Código Civil.' }
+        ];
+        for (const sentencia of sentencias) {
+            await storage.insert(sentencia);
+            await storage.saveCitations(sentencia, extraerCitas(sentencia));
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('encuentra las sentencias que citan un artículo, las más recientes primero', async () => {
+        const { total, sentencias } = await buscarCitantes({ storage, norma: 'Código Civil', articulo: '1545' });
+
+        expect(total).toBe(2);
+        expect(sentencias.map(s => [s.rol, s.caratula, s.fecha_sentencia])).toEqual([
+            ['1-2024', 'A con B', '2024-03-10'],
+            ['2-2023', 'C con D', '2023-05-02']
+        ]);
+        expect(sentencias[0].citas).toEqual([expect.objectContaining({ articulo: '1545', considerando: 1, menciones: 2 })]);
+    });
+
+    test('encuentra las sentencias que citan un ROL y respeta el límite', async () => {
+        const { total, sentencias } = await buscarCitantes({ storage, rolCitado: '12345-2019', limite: 1 });
+
+        expect(total).toBe(2);
+        expect(sentencias.map(s => s.rol)).toEqual(['1-2024']);
+    });
+
+    test('las citas guardadas de nuevo reemplazan a las anteriores', async () => {
+        await storage.saveCitations({ identidad: 'Corte_Suprema|3-2024|c3', rol: '3-2024' }, []);
+
+        expect(await storage.listCitations('3-2024')).toEqual([]);
+        expect((await storage.listCitations('2-2023')).map(c => c.rol_citado || c.articulo)).toEqual(['1545', '12345-2019']);
+        expect((await buscarCitantes({ storage, norma: 'Código Civil', articulo: '2314' })).total).toBe(0);
+    });
+
+    test('no mezcla las citas de sentencias de distintos tribunales con el mismo ROL', async () => {
+        const otra = { identidad: 'Corte_de_Apelaciones|2-2023|d4', rol: '2-2023', caratula: 'G con H', tribunal: 'Corte de Apelaciones', fecha_sentencia: '2023-02-01', texto_completo: 'Se aplica el artículo 2314 del Código Civil.' };
+        await storage.insert(otra);
+        await storage.saveCitations(otra, extraerCitas(otra));
+
+        const { sentencias } = await buscarCitantes({ storage, norma: 'Código Civil', articulo: '2314' });
+        expect(sentencias.map(s => [s.rol, s.tribunal])).toEqual([
+            ['3-2024', 'Corte Suprema'],
+            ['2-2023', 'Corte de Apelaciones']
+        ]);
+        expect((await buscarCitantes({ storage, norma: 'Código Civil', articulo: '1545' })).total).toBe(2);
+        expect((await storage.listCitations('2-2023')).map(c => [c.identidad, c.articulo || c.rol_citado])).toEqual([
+            ['Corte_Suprema|2-2023|b2', '1545'],
+            ['Corte_Suprema|2-2023|b2', '12345-2019'],
+            ['Corte_de_Apelaciones|2-2023|d4', '2314']
+        ]);
+    });
+});
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { contarTokens, recortarTokens, dividirEnChunks } = require('../lib/embeddings/chunker');
+const { LocalProvider } = require('../lib/embeddings/localProvider');
+const { Embedder, hashTexto } = require('../lib/embeddings/embedder');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { CLASES_ERROR } = require('../lib/retryPolicy');
+const { mapSentenciaToRow } = require('../lib/recordMapper');
+const { JurisprudenciaScraper } = require('../main');
+
+const PARRAFO = 'Que el recurso de casación en el fondo denuncia la infracción de los artículos 1545 y 1546 del Código Civil, por cuanto la sentencia impugnada desconoce el contrato celebrado entre las partes.';
+
+const coseno = (a, b) => a.reduce((suma, x, i) => suma + x * b[i], 0);
+
+/**
+ * Proveedor local que registra cada pedido
+ */
+function proveedorEspia() {
+    const provider = new LocalProvider({ dimensiones: 64 });
+    const embed = provider.embed.bind(provider);
+    provider.embed = jest.fn(embed);
+    return provider;
+}
+
+describe('dividirEnChunks', () => {
+    const texto = Array.from({ length: 12 }, (_, i) => `${i + 1}° ${PARRAFO}`).join('\n');
+
+    test('respeta el máximo de tokens y los offsets sobre el texto', () => {
+        const chunks = dividirEnChunks(texto, { maxTokens: 120, solapamiento: 0 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        for (const chunk of chunks) {
+            expect(chunk.tokens).toBeLessThanOrEqual(120);
+            expect(texto.slice(chunk.inicio, chunk.fin)).toBe(chunk.texto);
+        }
+        expect(chunks.map(c => c.indice)).toEqual(chunks.map((_, i) => i));
+        expect(chunks[0].texto.startsWith('1°')).toBe(true);
+        expect(chunks[chunks.length - 1].texto.endsWith('partes.')).toBe(true);
+    });
+
+    test('repite el final de un chunk al comienzo del siguiente', () => {
+        const chunks = dividirEnChunks(texto, { maxTokens: 120, solapamiento: 60 });
+
+        for (let i = 1; i < chunks.length; i++) {
+            expect(chunks[i].inicio).toBeLessThan(chunks[i - 1].fin);
+        }
+    });
+
+    test('parte por oraciones y palabras los párrafos que no caben', () => {
+        const largo = 'palabra '.repeat(400).trim();
+        const chunks = dividirEnChunks(largo, { maxTokens: 50 });
+
+        expect(chunks.every(c => c.tokens <= 50)).toBe(true);
+        expect(chunks.map(c => c.texto).join(' ')).toBe(largo);
+    });
+
+    test('recorta un texto al máximo de tokens', () => {
+        const recortado = recortarTokens(PARRAFO, 10);
+
+        expect(contarTokens(recortado)).toBeLessThanOrEqual(10);
+        expect(PARRAFO.startsWith(recortado)).toBe(true);
+        expect(recortarTokens('corto', 10)).toBe('corto');
+    });
+});
+
+describe('LocalProvider', () => {
+    test('es determinista, normalizado y acerca textos con palabras en común', async () => {
+        const provider = new LocalProvider({ dimensiones: 256 });
+        const [a, b, c] = await provider.embed(['Recurso de casación civil', 'recurso de CASACION civil', 'Divorcio y compensación económica']);
+
+        expect(a).toHaveLength(256);
+        expect(coseno(a, a)).toBeCloseTo(1);
+        expect(b).toEqual(a);
+        expect(coseno(a, c)).toBeLessThan(0.5);
+    });
+});
+
+describe('Embedder', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sentencia = (rol, texto) => ({
+        rol,
+        caratulado: `Demandante ${rol} con Banco del Estado`,
+        descriptores: ['Contratos', 'Indemnización'],
+        materia: 'Civil',
+        texto_completo: texto
+    });
+
+    test('llena las tres columnas y un vector por chunk', async () => {
+        const embedder = new Embedder({ provider: proveedorEspia(), storage, chunkTokens: 60, esperaLote: 0 });
+
+        const { columnas, chunks, nuevos } = await embedder.embedSentencia(sentencia('C-1-2024', `${PARRAFO}\n${PARRAFO.toUpperCase()}`));
+
+        expect(columnas.embedding_titulo).toHaveLength(64);
+        expect(columnas.embedding_descriptores).toHaveLength(64);
+        expect(coseno(columnas.embedding_contenido, columnas.embedding_contenido)).toBeCloseTo(1);
+        expect(chunks).toHaveLength(2);
+        expect(chunks[0]).toMatchObject({ indice: 0, hash_contenido: hashTexto(chunks[0].texto), modelo: 'local-hash-64' });
+        expect(chunks[0].embedding).toHaveLength(64);
+        expect(nuevos).toBe(4);
+    });
+
+    test('no vuelve a pedir textos que ya están en el caché del almacenamiento', async () => {
+        const primero = new Embedder({ provider: proveedorEspia(), storage, esperaLote: 0 });
+        await primero.embedSentencia(sentencia('C-1-2024', PARRAFO));
+
+        // Otra corrida: caché en memoria vacío, el almacenamiento lo tiene
+        const provider = proveedorEspia();
+        const segundo = new Embedder({ provider, storage: new NdjsonStorage({ dir }), esperaLote: 0 });
+        const resultado = await segundo.embedSentencia(sentencia('C-1-2024', PARRAFO));
+
+        expect(provider.embed).not.toHaveBeenCalled();
+        expect(resultado).toMatchObject({ nuevos: 0, en_cache: 3 });
+    });
+
+    test('junta en un pedido los textos de sentencias que se procesan a la vez', async () => {
+        const provider = proveedorEspia();
+        const embedder = new Embedder({ provider, storage, esperaLote: 20 });
+
+        const resultados = await Promise.all([
+            embedder.embedSentencia(sentencia('C-1-2024', PARRAFO)),
+            embedder.embedSentencia(sentencia('C-2-2024', `${PARRAFO} Se acoge.`)),
+            // Mismo texto que la primera: se comparte el pedido en curso
+            embedder.embedSentencia(sentencia('C-1-2024', PARRAFO))
+        ]);
+
+        expect(provider.embed).toHaveBeenCalledTimes(1);
+        expect(provider.embed.mock.calls[0][0]).toHaveLength(5);
+        expect(resultados[2].columnas).toEqual(resultados[0].columnas);
+    });
+
+    test('respeta el tamaño de lote', async () => {
+        const provider = proveedorEspia();
+        const embedder = new Embedder({ provider, loteTextos: 2, esperaLote: 10 });
+
+        await embedder.embed(['uno', 'dos', 'tres', 'cuatro', 'cinco']);
+
+        expect(provider.embed.mock.calls.map(([textos]) => textos.length)).toEqual([2, 2, 1]);
+    });
+
+    test('propaga los errores del proveedor a todas las sentencias del lote', async () => {
+        const provider = new LocalProvider({ dimensiones: 8 });
+        provider.embed = jest.fn(async () => {
+            throw Object.assign(new Error('Rate limit reached'), { status: 429 });
+        });
+        const embedder = new Embedder({ provider, esperaLote: 0 });
+
+        await expect(embedder.embed(['uno'])).rejects.toThrow('Rate limit reached');
+        expect(embedder.enCurso.size).toBe(0);
+    });
+});
+
+describe('embeddings en el scraper', () => {
+    let dir;
+    let scraper;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-scraper-'));
+        scraper = new JurisprudenciaScraper({ storageBackend: 'ndjson', storagePath: dir, enableEmbeddings: true });
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sentencia = () => ({
+        rol: 'Rol N° 12.345-2023',
+        caratulado: 'González con Banco Austral',
+        fecha: '12/03/2024',
+        enlace: 'https://juris.pjud.cl/detalle?k=a1b2c3d4',
+        descriptores: ['Daño moral'],
+        texto_completo: PARRAFO,
+        hash_contenido: hashTexto(PARRAFO)
+    });
+
+    test('guarda las columnas de embeddings y los chunks de la sentencia', async () => {
+        scraper.embedder = new Embedder({ provider: new LocalProvider({ dimensiones: 16 }), storage: scraper.storage, esperaLote: 0 });
+        const datos = sentencia();
+
+        await scraper.generateEmbeddings(datos);
+        await scraper.saveSentence(datos, mapSentenciaToRow(datos, { tribunal: scraper.config.tribunal }).row);
+
+        const [fila] = await scraper.storage.readAll();
+        const chunks = await scraper.storage.listChunks(fila.identidad);
+        expect(fila.embedding_titulo).toHaveLength(16);
+        expect(fila.embedding_contenido).toHaveLength(16);
+        expect(fila.embedding_descriptores).toHaveLength(16);
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0]).toMatchObject({ identidad: fila.identidad, rol: '12345-2023', indice: 0, inicio: 0, fin: PARRAFO.length });
+        expect(scraper.stats.embeddings).toEqual({ generados: 3, en_cache: 0 });
+    });
+
+    test('processSingleResult guarda la fila validada con sus embeddings', async () => {
+        scraper.embedder = new Embedder({ provider: new LocalProvider({ dimensiones: 16 }), storage: scraper.storage, esperaLote: 0 });
+        scraper.extractSentenceDetails = jest.fn(async () => ({ ...sentencia(), es_valido: true, errores_procesamiento: [] }));
+
+        await scraper.processSingleResult({ rol: '12345-2023', enlace: 'https://juris.pjud.cl/detalle?k=a1b2c3d4' });
+
+        const [fila] = await scraper.storage.readAll();
+        expect(scraper.stats.exitosas).toBe(1);
+        expect(fila).toMatchObject({ identidad: 'Corte_Suprema|12345-2023|a1b2c3d4', caratula: 'González con Banco Austral' });
+        expect(fila.embedding_titulo).toHaveLength(16);
+        expect(fila.embedding_contenido).toHaveLength(16);
+        expect(await scraper.storage.listChunks(fila.identidad)).toHaveLength(1);
+    });
+
+    test('dos sentencias con el mismo ROL guardan cada una sus chunks', async () => {
+        scraper.embedder = new Embedder({ provider: new LocalProvider({ dimensiones: 16 }), storage: scraper.storage, esperaLote: 0 });
+        const otroTexto = `${PARRAFO} Se acoge el recurso.`;
+        const primera = sentencia();
+        const segunda = { ...sentencia(), enlace: 'https://juris.pjud.cl/detalle?k=e5f6g7h8', texto_completo: otroTexto, hash_contenido: hashTexto(otroTexto) };
+
+        for (const datos of [primera, segunda]) {
+            await scraper.generateEmbeddings(datos);
+            await scraper.saveSentence(datos, mapSentenciaToRow(datos, { tribunal: scraper.config.tribunal }).row);
+        }
+
+        const filas = await scraper.storage.readAll();
+        expect(filas.map(fila => fila.identidad)).toEqual(['Corte_Suprema|12345-2023|a1b2c3d4', 'Corte_Suprema|12345-2023|e5f6g7h8']);
+        expect((await scraper.storage.listChunks(filas[0].identidad))[0].fin).toBe(PARRAFO.length);
+        expect((await scraper.storage.listChunks(filas[1].identidad))[0].fin).toBe(otroTexto.length);
+    });
+
+    test('un 429 del proveedor es transitorio en vez de guardarse sin embeddings', async () => {
+        const provider = new LocalProvider({ dimensiones: 8 });
+        provider.embed = async () => {
+            throw Object.assign(new Error('Rate limit reached'), { status: 429 });
+        };
+        scraper.embedder = new Embedder({ provider, esperaLote: 0 });
+
+        await expect(scraper.generateEmbeddings(sentencia())).rejects.toMatchObject({ clase: CLASES_ERROR.TRANSITORIO, status: 429 });
+    });
+
+    test('un error de credenciales no se reintenta', async () => {
+        const provider = new LocalProvider({ dimensiones: 8 });
+        provider.embed = async () => {
+            throw Object.assign(new Error('Incorrect API key provided'), { status: 401 });
+        };
+        scraper.embedder = new Embedder({ provider, esperaLote: 0 });
+
+        await expect(scraper.generateEmbeddings(sentencia())).rejects.toMatchObject({ clase: CLASES_ERROR.DESCONOCIDO });
+    });
+});
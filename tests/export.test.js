@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { validarExportacion, celdaCsv, judgmentAkn, exportarSentencias } = require('../lib/export');
+const { parseSentencia } = require('../lib/sentenceParser');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+
+/**
+ * Writable que junta lo escrito, con un buffer chico para forzar la contrapresión
+ */
+function destinoEnMemoria() {
+    const partes = [];
+    const destino = new Writable({
+        highWaterMark: 16,
+        write(parte, encoding, callback) {
+            partes.push(parte.toString());
+            setImmediate(callback);
+        }
+    });
+    destino.texto = () => partes.join('');
+    return destino;
+}
+
+describe('validarExportacion', () => {
+    test('usa NDJSON por defecto y reutiliza los filtros de la búsqueda', () => {
+        const { params, errores } = validarExportacion({ tribunal: 'Corte_Suprema', startDate: '01/01/2024', materia: 'Laboral' });
+
+        expect(errores).toEqual([]);
+        expect(params).toEqual({
+            formato: 'ndjson',
+            filtros: { tribunal: 'Corte Suprema', desde: '2024-01-01', materia: 'Laboral' },
+            embeddings: false
+        });
+    });
+
+    test('rechaza formato, embeddings y parámetros desconocidos', () => {
+        const { errores } = validarExportacion({ formato: 'xlsx', embeddings: 'quizas', endDate: '2024-12-31', q: 'x' });
+
+        expect(errores).toHaveLength(4);
+    });
+});
+
+describe('celdaCsv', () => {
+    test('cita comas, comillas y saltos de línea y pasa los arrays a JSON', () => {
+        expect(celdaCsv('Soto con "Andes", S.A.')).toBe('"Soto con ""Andes"", S.A."');
+        expect(celdaCsv('línea\nsiguiente')).toBe('"línea\nsiguiente"');
+        expect(celdaCsv(['Laboral', 'Despido'])).toBe('"[""Laboral"",""Despido""]"');
+        expect(celdaCsv(null)).toBe('');
+    });
+});
+
+describe('judgmentAkn', () => {
+    const texto = 'VISTOS:\nSe ha interpuesto recurso de nulidad.\nCONSIDERANDO:\nPRIMERO: Que la demandante <no> fue oída.\n' +
+        'SEGUNDO: Que procede acoger el recurso.\nPor estas consideraciones se acoge el recurso.';
+    const partes = parseSentencia(texto);
+    const fila = {
+        rol: '100-2024',
+        caratula: 'Soto con Comercial Andes & Cía.',
+        fecha_sentencia: '2024-03-10',
+        tribunal: 'Corte Suprema',
+        materia: 'Laboral',
+        parte_expositiva: partes.parte_expositiva,
+        considerandos_detalle: partes.considerandos,
+        parte_resolutiva: partes.parte_resolutiva,
+        texto_completo: texto,
+        embedding_contenido: [0.5, -0.25]
+    };
+
+    test('mapea VISTOS, considerandos y parte resolutiva', () => {
+        const xml = judgmentAkn(fila);
+
+        expect(xml).toContain('<FRBRthis value="/akn/cl/judgment/corte-suprema/2024-03-10/100-2024/!main"/>');
+        expect(xml).toMatch(/<introduction>\s*<p>VISTOS:<\/p>\s*<p>Se ha interpuesto recurso de nulidad.<\/p>\s*<\/introduction>/);
+        expect(xml).toMatch(/<paragraph eId="para_1">\s*<num>PRIMERO:<\/num>\s*<content>\s*<p>Que la demandante &lt;no&gt; fue oída.<\/p>/);
+        expect(xml).toContain('<paragraph eId="para_2">');
+        expect(xml).toMatch(/<decision>\s*<p>Por estas consideraciones se acoge el recurso.<\/p>\s*<\/decision>/);
+        expect(xml).toContain('<docTitle>Soto con Comercial Andes &amp; Cía.</docTitle>');
+        expect(xml).not.toContain('rj:embedding');
+    });
+
+    test('incluye los embeddings solo si se piden', () => {
+        expect(judgmentAkn(fila, { embeddings: true }))
+            .toContain('<rj:embedding campo="embedding_contenido" dimensiones="2">0.5 -0.25</rj:embedding>');
+    });
+
+    test('sin partes separadas deja el texto completo en la introducción', () => {
+        const xml = judgmentAkn({ rol: '1-2024', fecha_sentencia: '2024-01-02', texto_completo: 'Texto sin estructura.' });
+
+        expect(xml).toMatch(/<introduction>\s*<p>Texto sin estructura.<\/p>\s*<\/introduction>/);
+        expect(xml).not.toContain('<motivation>');
+    });
+});
+
+describe('exportarSentencias', () => {
+    let dir;
+    let storage;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exportacion-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+
+        await storage.insert({ rol: '100-2024', caratula: 'Soto con Andes', fecha_sentencia: '2024-03-10', tribunal: 'Corte Suprema', materia: 'Laboral', texto_completo: 'Primera versión.', embedding_contenido: [0.1, 0.2] });
+        await storage.insert({ rol: '200-2024', caratula: 'Banco con Pérez', fecha_sentencia: '2024-05-02', tribunal: 'Corte Suprema', materia: 'Civil', texto_completo: 'Mutuo.' });
+        await storage.insert({ rol: '300-2023', caratula: 'Muñoz con Sur', fecha_sentencia: '2023-08-20', tribunal: 'Corte Suprema', materia: 'Laboral', texto_completo: 'Nulidad.' });
+        await storage.upsert({ rol: '100-2024', caratula: 'Soto con Andes', fecha_sentencia: '2024-03-10', tribunal: 'Corte Suprema', materia: 'Laboral', texto_completo: 'Segunda versión.', embedding_contenido: [0.1, 0.2] });
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('NDJSON con la última versión de cada ROL que cumple los filtros', async () => {
+        const salida = destinoEnMemoria();
+        const { exportadas } = await exportarSentencias({ storage, salida, filtros: { materia: 'laboral' } });
+
+        const filas = salida.texto().trim().split('\n').map(linea => JSON.parse(linea));
+        expect(exportadas).toBe(2);
+        expect(filas.map(fila => fila.rol).sort()).toEqual(['100-2024', '300-2023']);
+        expect(filas.find(fila => fila.rol === '100-2024').texto_completo).toBe('Segunda versión.');
+        expect(filas[0]).not.toHaveProperty('embedding_contenido');
+    });
+
+    test('CSV con cabecera y embeddings opcionales', async () => {
+        const salida = destinoEnMemoria();
+        await exportarSentencias({ storage, salida, formato: 'csv', filtros: { desde: '2024-01-01' }, embeddings: true });
+
+        const lineas = salida.texto().trim().split('\r\n');
+        expect(lineas[0].split(',').slice(0, 3)).toEqual(['rol', 'caratula', 'fecha_sentencia']);
+        expect(lineas[0]).toContain('embedding_contenido');
+        expect(lineas).toHaveLength(3);
+        expect(salida.texto()).toContain('"[0.1,0.2]"');
+    });
+
+    test('Akoma Ntoso como una colección bien cerrada', async () => {
+        const salida = destinoEnMemoria();
+        const { exportadas } = await exportarSentencias({ storage, salida, formato: 'akn', filtros: { tribunal: 'Corte Suprema' } });
+
+        const xml = salida.texto();
+        expect(exportadas).toBe(3);
+        expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<akomaNtoso')).toBe(true);
+        expect(xml.match(/<judgment name="sentencia">/g)).toHaveLength(3);
+        expect(xml.trim().endsWith('</collectionBody>\n  </documentCollection>\n</akomaNtoso>')).toBe(true);
+    });
+});
@@ -0,0 +1,50 @@
+const path = require('path');
+const { createFixtureServer } = require('../lib/fixtureServer');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'juris');
+
+describe('servidor de fixtures', () => {
+    let fixtures;
+
+    beforeAll(async () => {
+        fixtures = createFixtureServer({ dir: FIXTURES });
+        await fixtures.start();
+    });
+
+    afterAll(async () => {
+        await fixtures.stop();
+    });
+
+    test('sirve el formulario de búsqueda', async () => {
+        const response = await fetch(`${fixtures.url}/busqueda?Corte_Suprema`);
+        const html = await response.text();
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/html');
+        expect(html).toContain('name="fec_desde"');
+    });
+
+    test('elige la ruta más específica según los parámetros', async () => {
+        const pagina1 = await (await fetch(`${fixtures.url}/resultados?fec_desde=01/03/2024`)).text();
+        const pagina2 = await (await fetch(`${fixtures.url}/resultados?pagina=2&fec_desde=01/03/2024`)).text();
+
+        expect(pagina1).toContain('Rol N° 12.345-2023');
+        expect(pagina2).toContain('Rol N° 34.567-2023');
+    });
+
+    test('responde 404 cuando no hay fixture', async () => {
+        const response = await fetch(`${fixtures.url}/detalle?k=inexistente`);
+        expect(response.status).toBe(404);
+    });
+
+    test('registra las solicitudes recibidas', async () => {
+        await fetch(`${fixtures.url}/resultados?texto=indemnizaci%C3%B3n`);
+        const ultima = fixtures.requests[fixtures.requests.length - 1];
+
+        expect(ultima).toEqual({
+            method: 'GET',
+            pathname: '/resultados',
+            params: { texto: 'indemnización' }
+        });
+    });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer } = require('../lib/fixtureServer');
+const { extraerResultados, extraerDetalle, enlaceSiguiente } = require('../lib/htmlExtractor');
+const { HttpSession, parseSetCookie } = require('../lib/httpSession');
+const { JurisprudenciaScraper } = require('../main');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'juris');
+const leer = (archivo) => fs.readFileSync(path.join(FIXTURES, archivo), 'utf8');
+
+describe('htmlExtractor', () => {
+    test('extrae los resultados del listado con enlaces absolutos', () => {
+        const resultados = extraerResultados(leer('resultados_1.html'), 'http://127.0.0.1/resultados');
+
+        expect(resultados).toHaveLength(2);
+        expect(resultados[0]).toMatchObject({
+            rol: '12345-2023',
+            rol_original: 'Rol N° 12.345-2023',
+            fecha: '15/03/2024',
+            tribunal: 'Corte Suprema',
+            caratulado: 'Pérez con Banco del Estado de Chile',
+            enlace: 'http://127.0.0.1/detalle?k=a1b2c3d4'
+        });
+        expect(resultados[0].metadatos).toMatchObject({
+            materia: 'Civil',
+            tipo_recurso: 'Recurso de casación en el fondo',
+            corte_origen: 'Corte de Apelaciones de Santiago'
+        });
+    });
+
+    test('encuentra el enlace "Siguiente" y no confunde "Anterior" con él', () => {
+        expect(enlaceSiguiente(leer('resultados_1.html'), 'http://127.0.0.1/resultados')).toEqual({ url: 'http://127.0.0.1/resultados?pagina=2' });
+        expect(enlaceSiguiente(leer('resultados_2.html'), 'http://127.0.0.1/resultados?pagina=2')).toBeNull();
+        expect(enlaceSiguiente('<a href="javascript:__doPostBack(\'pag\',\'3\')">Siguiente »</a>', 'http://127.0.0.1/')).toEqual({ url: null });
+    });
+
+    test('extrae el detalle y los PDFs adjuntos', () => {
+        const detalle = extraerDetalle(leer('detalle_a1b2c3d4.html'), 'http://127.0.0.1/detalle?k=a1b2c3d4');
+
+        expect(detalle.texto_completo).toContain('VISTOS:');
+        expect(detalle.considerandos).toContain('PRIMERO: Que el recurso denuncia');
+        expect(detalle).toMatchObject({ fecha: '15/03/2024', tribunal: 'Corte Suprema', enlaces_pdf: [] });
+
+        const conPdf = extraerDetalle('<iframe src="/docs/sentencia.pdf#page=1"></iframe><a href="/docs/sentencia.pdf#page=1">PDF</a>', 'http://127.0.0.1/detalle');
+        expect(conPdf.enlaces_pdf).toEqual(['http://127.0.0.1/docs/sentencia.pdf#page=1']);
+    });
+});
+
+describe('HttpSession', () => {
+    test('envía solo las cookies del dominio de la URL', () => {
+        const sesion = new HttpSession();
+        sesion.importarCookies([
+            { name: 'JSESSIONID', value: 'abc', domain: 'juris.pjud.cl' },
+            { name: 'tema', value: 'claro', domain: '.pjud.cl' },
+            { name: 'otra', value: 'x', domain: 'example.com' }
+        ]);
+
+        expect(sesion.cookieHeader('https://juris.pjud.cl/detalle?k=1')).toBe('JSESSIONID=abc; tema=claro');
+        expect(sesion.cookieHeader('https://www.pjud.cl/')).toBe('tema=claro');
+    });
+
+    test('lee Set-Cookie con y sin Domain', () => {
+        expect(parseSetCookie('JSESSIONID=abc=1; Path=/; HttpOnly', 'juris.pjud.cl')).toEqual({ name: 'JSESSIONID', value: 'abc=1', domain: 'juris.pjud.cl' });
+        expect(parseSetCookie('tema=claro; Domain=.pjud.cl', 'juris.pjud.cl')).toMatchObject({ domain: '.pjud.cl' });
+    });
+});
+
+describe('descarga por HTTP', () => {
+    let fixtures;
+
+    beforeAll(async () => {
+        fixtures = createFixtureServer({ dir: FIXTURES });
+        await fixtures.start();
+    });
+
+    afterAll(async () => {
+        await fixtures.stop();
+    });
+
+    function crearScraper(opciones = {}) {
+        return new JurisprudenciaScraper({
+            ...fixtures.manifest.parametros,
+            baseUrl: fixtures.url,
+            delayBetweenRequests: 0,
+            respectRobots: false,
+            requestsPerSecond: 100,
+            rateLimitBurst: 100,
+            ...opciones
+        });
+    }
+
+    test('obtiene el detalle sin abrir el navegador', async () => {
+        const scraper = crearScraper({ fetchMode: 'http' });
+
+        const sentencia = await scraper.extractSentenceDetails({
+            rol: 'Rol N° 12.345-2023',
+            enlace: `${fixtures.url}/detalle?k=a1b2c3d4`
+        });
+
+        expect(sentencia.considerandos_detalle.map(c => c.numero)).toEqual([1, 2, 3]);
+        expect(sentencia).toMatchObject({ tribunal: 'Corte Suprema', fuente_texto: 'html' });
+        expect(scraper.stats.paginas).toEqual({ http: 1, navegador: 0 });
+    });
+
+    test('sigue el listado por HTTP desde la página del navegador', async () => {
+        const scraper = crearScraper();
+        scraper.page = {
+            url: () => `${fixtures.url}/resultados`,
+            content: async () => leer('resultados_1.html')
+        };
+
+        expect(await scraper.goToNextPage()).toBe(true);
+        const resultados = await scraper.extractResultsFromPage();
+
+        expect(resultados.map(r => r.rol)).toEqual(['34567-2023']);
+        expect(resultados[0].enlace).toBe(`${fixtures.url}/detalle?k=i9j0k1l2`);
+        expect(await scraper.goToNextPage()).toBe(false);
+        expect(scraper.stats.paginas).toEqual({ http: 1, navegador: 0 });
+    });
+
+    describe('páginas que necesitan JavaScript', () => {
+        let dir;
+        let sitio;
+
+        beforeAll(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-js-'));
+            fs.writeFileSync(path.join(dir, 'detalle.html'), '<div id="app"></div><script src="/app.js"></script>');
+            fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+                routes: [{ method: 'GET', path: '/detalle', file: 'detalle.html' }]
+            }));
+            sitio = createFixtureServer({ dir });
+            await sitio.start();
+        });
+
+        afterAll(async () => {
+            await sitio.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('en modo auto caen al navegador', async () => {
+            const scraper = crearScraper({ baseUrl: sitio.url });
+            const enlace = `${sitio.url}/detalle?k=a1b2c3d4`;
+            scraper.page = {
+                goto: jest.fn(async () => ({ status: () => 200 })),
+                cookies: async () => [],
+                url: () => enlace,
+                content: async () => leer('detalle_a1b2c3d4.html')
+            };
+
+            const sentencia = await scraper.extractSentenceDetails({ rol: 'Rol N° 12.345-2023', enlace });
+
+            expect(scraper.page.goto).toHaveBeenCalledWith(enlace, expect.anything());
+            expect(sentencia.texto_completo).toContain('VISTOS:');
+            expect(scraper.stats.paginas).toEqual({ http: 0, navegador: 1 });
+        });
+
+        test('en modo auto un 4xx del detalle también cae al navegador', async () => {
+            const scraper = crearScraper({ baseUrl: sitio.url });
+            const enlace = `${sitio.url}/no-existe?k=a1b2c3d4`;
+            scraper.page = {
+                goto: jest.fn(async () => ({ status: () => 200 })),
+                cookies: async () => [],
+                url: () => enlace,
+                content: async () => leer('detalle_a1b2c3d4.html')
+            };
+
+            const sentencia = await scraper.extractSentenceDetails({ rol: 'Rol N° 12.345-2023', enlace });
+
+            expect(scraper.page.goto).toHaveBeenCalledWith(enlace, expect.anything());
+            expect(sentencia.texto_completo).toContain('VISTOS:');
+            expect(scraper.stats.paginas).toEqual({ http: 0, navegador: 1 });
+        });
+
+        test('en modo http fallan como parseo', async () => {
+            const scraper = crearScraper({ baseUrl: sitio.url, fetchMode: 'http' });
+
+            await expect(scraper.extractSentenceDetails({ rol: 'Rol N° 12.345-2023', enlace: `${sitio.url}/detalle?k=x` }))
+                .rejects.toMatchObject({ clase: 'parseo' });
+        });
+    });
+});
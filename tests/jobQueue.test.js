@@ -0,0 +1,143 @@
+const { JobQueue, ESTADOS } = require('../lib/jobQueue');
+const { log } = require('../lib/logger');
+
+/**
+ * Cola cuyos scrapers falsos quedan en ejecución hasta que el test los
+ * libera (`terminar`) o los hace fallar (`fallar`)
+ */
+function colaControlada(opciones = {}) {
+    const corridas = [];
+    const jobQueue = new JobQueue({
+        ...opciones,
+        createScraper: (params) => {
+            let terminar, fallar;
+            const fin = new Promise((resolve, reject) => { terminar = resolve; fallar = reject; });
+            const corrida = { params, terminar, fallar, cancelada: false };
+            corridas.push(corrida);
+            return {
+                run: () => fin,
+                cancel: async () => {
+                    corrida.cancelada = true;
+                    terminar({ cancelado: true });
+                },
+                getProgress: () => ({ params })
+            };
+        }
+    });
+    return { jobQueue, corridas };
+}
+
+describe('JobQueue', () => {
+    test('no inicia más trabajos que el límite de concurrencia', async () => {
+        const { jobQueue, corridas } = colaControlada({ concurrency: 2 });
+
+        const jobs = [1, 2, 3].map(n => jobQueue.enqueue({ n }));
+
+        expect(corridas).toHaveLength(2);
+        expect(jobQueue.running).toBe(2);
+        expect(jobs.map(job => job.estado)).toEqual([ESTADOS.EN_EJECUCION, ESTADOS.EN_EJECUCION, ESTADOS.PENDIENTE]);
+
+        corridas[0].terminar({ guardadas: 1 });
+        await jobQueue.waitFor(jobs[0].id);
+
+        expect(corridas).toHaveLength(3);
+        expect(jobs[2].estado).toBe(ESTADOS.EN_EJECUCION);
+        expect(jobQueue.running).toBe(2);
+    });
+
+    test('inicia los trabajos en el orden en que se encolaron', async () => {
+        const { jobQueue, corridas } = colaControlada({ concurrency: 1 });
+
+        const jobs = [1, 2, 3].map(n => jobQueue.enqueue({ n }));
+        for (let i = 0; i < jobs.length; i++) {
+            expect(corridas).toHaveLength(i + 1);
+            corridas[i].terminar();
+            await jobQueue.waitFor(jobs[i].id);
+        }
+
+        expect(corridas.map(corrida => corrida.params.n)).toEqual([1, 2, 3]);
+        expect(jobs.map(job => job.estado)).toEqual([ESTADOS.COMPLETADO, ESTADOS.COMPLETADO, ESTADOS.COMPLETADO]);
+    });
+
+    test('cancelar un trabajo pendiente lo saca de la cola sin ejecutarlo', async () => {
+        const { jobQueue, corridas } = colaControlada({ concurrency: 1 });
+
+        const primero = jobQueue.enqueue({ n: 1 });
+        const segundo = jobQueue.enqueue({ n: 2 });
+        await jobQueue.cancel(segundo.id);
+
+        expect(segundo.estado).toBe(ESTADOS.CANCELADO);
+        expect(segundo.finalizado).toBeInstanceOf(Date);
+        expect(jobQueue.pending).toEqual([]);
+
+        corridas[0].terminar();
+        await jobQueue.waitFor(primero.id);
+
+        expect(corridas).toHaveLength(1);
+        expect(segundo.iniciado).toBeNull();
+    });
+
+    test('cancelar un trabajo en ejecución detiene su scraper y lo marca cancelado', async () => {
+        const { jobQueue, corridas } = colaControlada();
+
+        const job = jobQueue.enqueue({ n: 1 });
+        await jobQueue.cancel(job.id);
+        const terminado = await jobQueue.waitFor(job.id);
+
+        expect(corridas[0].cancelada).toBe(true);
+        expect(terminado.estado).toBe(ESTADOS.CANCELADO);
+        expect(terminado.resultado).toEqual({ cancelado: true });
+        expect(terminado.progresoFinal).toEqual({ params: { n: 1 } });
+        expect(jobQueue.running).toBe(0);
+
+        // Cancelar un trabajo ya terminado no cambia nada
+        await jobQueue.cancel(job.id);
+        expect(terminado.estado).toBe(ESTADOS.CANCELADO);
+    });
+
+    test('descarta los trabajos terminados más antiguos sobre el límite del historial', async () => {
+        const { jobQueue, corridas } = colaControlada({ concurrency: 3, historyLimit: 2 });
+
+        const jobs = [1, 2, 3].map(n => jobQueue.enqueue({ n }));
+        const enCurso = jobQueue.enqueue({ n: 4 });
+        for (let i = 0; i < jobs.length; i++) {
+            corridas[i].terminar();
+            await jobQueue.waitFor(jobs[i].id);
+        }
+
+        expect(jobQueue.get(jobs[0].id)).toBeNull();
+        expect(jobQueue.list().map(job => job.parametros.n)).toEqual([4, 3, 2]);
+        expect(jobQueue.get(enCurso.id).estado).toBe(ESTADOS.EN_EJECUCION);
+    });
+
+    test('recorre los estados y registra el error de un trabajo fallido', async () => {
+        jest.spyOn(log, 'error').mockImplementation(() => {});
+        const { jobQueue, corridas } = colaControlada();
+
+        const job = jobQueue.enqueue({ n: 1 });
+        expect(job.estado).toBe(ESTADOS.EN_EJECUCION);
+        expect(job.iniciado).toBeInstanceOf(Date);
+        expect(jobQueue.serialize(job).progreso).toEqual({ params: { n: 1 } });
+
+        corridas[0].fallar(new Error('Tiempo de espera agotado'));
+        const terminado = await jobQueue.waitFor(job.id);
+
+        expect(terminado.estado).toBe(ESTADOS.FALLIDO);
+        expect(terminado.error).toBe('Tiempo de espera agotado');
+        expect(terminado.resultado).toBeNull();
+        expect(jobQueue.serialize(terminado)).toMatchObject({
+            estado: ESTADOS.FALLIDO,
+            error: 'Tiempo de espera agotado',
+            progreso: { params: { n: 1 } }
+        });
+        expect(log.error).toHaveBeenCalled();
+
+        log.error.mockRestore();
+    });
+
+    test('waitFor rechaza ids desconocidos', async () => {
+        const { jobQueue } = colaControlada();
+
+        await expect(jobQueue.waitFor('no-existe')).rejects.toThrow('Trabajo inexistente');
+    });
+});
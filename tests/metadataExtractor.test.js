@@ -0,0 +1,91 @@
+const {
+    normalizarTipoRecurso,
+    normalizarResultado,
+    parseDescriptores,
+    parseDescripcion,
+    resultadoDesdeResolutiva,
+    extraerMetadatos
+} = require('../lib/metadataExtractor');
+
+describe('vocabulario controlado', () => {
+    test.each([
+        ['Recurso de casación en el fondo', 'casacion_fondo'],
+        ['CASACION EN LA FORMA', 'casacion_forma'],
+        ['Casación en la forma y en el fondo', 'casacion_forma_fondo'],
+        ['Protección', 'proteccion'],
+        ['Apelación protección', 'proteccion'],
+        ['Recurso de nulidad', 'nulidad'],
+        ['Apelación', 'apelacion'],
+        ['Unificación de jurisprudencia', 'unificacion_jurisprudencia'],
+        ['Recurso extraordinario', null],
+        ['Casación', null],
+        ['', null]
+    ])('tipo %p -> %p', (valor, esperado) => {
+        expect(normalizarTipoRecurso(valor)).toBe(esperado);
+    });
+
+    test.each([
+        ['Acogido', 'acogido'],
+        ['RECHAZADO', 'rechazado'],
+        ['Declarado inadmisible', 'inadmisible'],
+        ['Acogido parcialmente', 'acogido_parcialmente'],
+        ['Desierto', 'desierto'],
+        ['Sentencia confirmada', 'confirmada'],
+        ['Sin información', null]
+    ])('resultado %p -> %p', (valor, esperado) => {
+        expect(normalizarResultado(valor)).toBe(esperado);
+    });
+});
+
+describe('parseDescriptores', () => {
+    test('separa, limpia y quita duplicados', () => {
+        expect(parseDescriptores(' Daño moral ; daño  moral| Prescripción\nDolo ;')).toEqual(['Daño moral', 'Prescripción', 'Dolo']);
+    });
+});
+
+describe('parseDescripcion', () => {
+    test('lee pares etiqueta: valor en líneas o separados por punto y coma', () => {
+        expect(parseDescripcion('Materia: Laboral; Tipo de recurso: Unificación de jurisprudencia\nResultado: Rechazado\nVoces: Despido; Tutela')).toEqual({
+            materia: 'Laboral',
+            tipo_recurso: 'Unificación de jurisprudencia',
+            resultado_recurso: 'Rechazado',
+            descriptores: 'Despido; Tutela'
+        });
+    });
+});
+
+describe('resultadoDesdeResolutiva', () => {
+    test('no elige cuando el fallo acoge y rechaza a la vez', () => {
+        expect(resultadoDesdeResolutiva('SE RESUELVE que se rechaza el recurso de casación en la forma y se acoge el de fondo')).toBeNull();
+    });
+
+    test('reconoce inadmisibilidad', () => {
+        expect(resultadoDesdeResolutiva('SE DECLARA INADMISIBLE el recurso de nulidad')).toBe('inadmisible');
+    });
+});
+
+describe('extraerMetadatos', () => {
+    test('el listado tiene prioridad sobre el texto', () => {
+        const metadatos = extraerMetadatos(
+            [{ tipo_recurso: 'Recurso de nulidad', resultado_recurso: 'Inadmisible' }, { materia: 'Penal' }],
+            { parte_expositiva: 'VISTOS: dedujo recurso de apelación contra la sentencia', parte_resolutiva: 'se acoge el recurso' }
+        );
+
+        expect(metadatos).toMatchObject({ materia: 'Penal', tipo_recurso: 'nulidad', resultado_recurso: 'inadmisible' });
+    });
+
+    test('infiere recurso, resultado y corte de origen desde el texto', () => {
+        const metadatos = extraerMetadatos([], {
+            parte_expositiva: 'VISTOS: la demandada dedujo recurso de casación en el fondo en contra de la sentencia de la Corte de Apelaciones de San Miguel.',
+            parte_resolutiva: 'SE RESUELVE que se rechaza el recurso de casación en el fondo.'
+        });
+
+        expect(metadatos).toEqual({
+            materia: null,
+            tipo_recurso: 'casacion_fondo',
+            resultado_recurso: 'rechazado',
+            corte_origen: 'Corte de Apelaciones de San Miguel',
+            descriptores: []
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Registry } = require('../lib/metrics');
+const { HealthCheck, DESHABILITADO } = require('../lib/health');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+
+describe('Registry', () => {
+    test('expone contadores con etiquetas en el formato de Prometheus', () => {
+        const registry = new Registry();
+        const paginas = registry.counter({ nombre: 'paginas_total', ayuda: 'Páginas', etiquetas: ['tribunal', 'via'] });
+
+        paginas.inc({ tribunal: 'Corte_Suprema', via: 'http' });
+        paginas.inc({ tribunal: 'Corte_Suprema', via: 'http' }, 2);
+        paginas.inc({ tribunal: 'Civil "1"', via: 'navegador' });
+
+        expect(registry.render()).toBe([
+            '# HELP paginas_total Páginas',
+            '# TYPE paginas_total counter',
+            'paginas_total{tribunal="Corte_Suprema",via="http"} 3',
+            'paginas_total{tribunal="Civil \\"1\\"",via="navegador"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    test('los histogramas acumulan buckets, suma y cuenta', async () => {
+        const registry = new Registry();
+        const detalle = registry.histogram({ nombre: 'detalle_seconds', ayuda: 'Detalle', buckets: [1, 0.1] });
+
+        detalle.observe({}, 0.05);
+        detalle.observe({}, 0.5);
+        detalle.observe({}, 3);
+        await expect(detalle.time({}, async () => { throw new Error('falla'); })).rejects.toThrow('falla');
+
+        const texto = registry.render();
+        expect(texto).toContain('detalle_seconds_bucket{le="0.1"} 2');
+        expect(texto).toContain('detalle_seconds_bucket{le="1"} 3');
+        expect(texto).toContain('detalle_seconds_bucket{le="+Inf"} 4');
+        expect(texto).toContain('detalle_seconds_count 4');
+        expect(texto).toMatch(/detalle_seconds_sum 3\.55\d*/);
+    });
+});
+
+describe('HealthCheck', () => {
+    test('marca degradado si una dependencia falla y guarda el resultado mientras está vigente', async () => {
+        let instante = 0;
+        let llamadas = 0;
+        const salud = new HealthCheck({
+            navegador: async () => {},
+            base_de_datos: async () => {
+                llamadas++;
+                throw new Error('conexión rechazada');
+            },
+            embeddings: async () => DESHABILITADO
+        }, { vigenciaMs: 1000, ahora: () => instante });
+
+        const resultado = await salud.estado();
+        expect(resultado.estado).toBe('degradado');
+        expect(resultado.comprobaciones).toEqual({
+            navegador: { estado: 'ok', latencia_ms: 0 },
+            base_de_datos: { estado: 'error', latencia_ms: 0, error: 'conexión rechazada' },
+            embeddings: { estado: DESHABILITADO }
+        });
+
+        instante = 500;
+        await salud.estado();
+        expect(llamadas).toBe(1);
+
+        instante = 1500;
+        await salud.estado();
+        expect(llamadas).toBe(2);
+    });
+
+    test('corta las comprobaciones que no responden', async () => {
+        const salud = new HealthCheck({ embeddings: () => new Promise(() => {}) }, { tiempoLimiteMs: 10 });
+
+        const resultado = await salud.estado();
+        expect(resultado.estado).toBe('degradado');
+        expect(resultado.comprobaciones.embeddings.error).toBe('Sin respuesta en 10ms');
+    });
+});
+
+describe('historial de corridas', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corridas-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('junta inicio y término de cada corrida, de la más reciente a la más antigua', async () => {
+        await storage.startRun({ id: 'a', tribunal: 'Corte Suprema', parametros: { startDate: '01/01/2026' } });
+        await storage.finishRun('a', {
+            estado: 'completado',
+            duracion_ms: 1200,
+            exitosas: 3,
+            errores: 1,
+            tiempos_ms: { listado: 200, detalle: 800, embeddings: 0, guardado: 100 }
+        });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await storage.startRun({ id: 'b', tribunal: 'Laboral', parametros: {} });
+
+        const corridas = await storage.listRuns();
+        expect(corridas.map(corrida => corrida.id)).toEqual(['b', 'a']);
+        expect(corridas[1]).toMatchObject({
+            tribunal: 'Corte Suprema',
+            parametros: { startDate: '01/01/2026' },
+            estado: 'completado',
+            duracion_ms: 1200,
+            tiempos_ms: { detalle: 800 },
+            error: null
+        });
+        expect(await storage.listRuns({ estado: 'en_ejecucion' })).toHaveLength(1);
+        expect(await storage.listRuns({ limite: 1 })).toHaveLength(1);
+    });
+
+    test('ping falla si el directorio no existe', async () => {
+        await expect(storage.ping()).resolves.toBeUndefined();
+        await expect(new NdjsonStorage({ dir: path.join(dir, 'no-existe') }).ping()).rejects.toThrow();
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { MIGRATIONS_DIR, loadMigrations, compareMigrations, applyMigrations } = require('../lib/migrations');
+
+const sha256 = texto => crypto.createHash('sha256').update(texto).digest('hex');
+
+/**
+ * Cliente `pg` falso que registra las consultas y devuelve las migraciones aplicadas
+ */
+function clienteFalso(aplicadas = [], { fallaCon = null } = {}) {
+    const consultas = [];
+    return {
+        consultas,
+        query: jest.fn(async (sql, valores) => {
+            consultas.push(valores ? [sql.trim(), valores] : sql.trim());
+            if (fallaCon && sql.includes(fallaCon)) throw new Error('sintaxis inválida');
+            return { rows: sql.startsWith('SELECT version') ? aplicadas : [] };
+        })
+    };
+}
+
+describe('loadMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migraciones-'));
+        fs.writeFileSync(path.join(dir, '010_indices.sql'), 'CREATE INDEX x;');
+        fs.writeFileSync(path.join(dir, '002_corridas.sql'), 'CREATE TABLE y;');
+        fs.writeFileSync(path.join(dir, 'LEEME.md'), 'no es una migración');
+        fs.writeFileSync(path.join(dir, 'borrador.sql'), 'sin número');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('ordena por versión numérica e ignora los archivos que no son migraciones', () => {
+        expect(loadMigrations(dir).map(m => [m.version, m.nombre, m.archivo])).toEqual([
+            [2, 'corridas', '002_corridas.sql'],
+            [10, 'indices', '010_indices.sql']
+        ]);
+    });
+
+    test('el checksum es el sha256 del SQL', () => {
+        expect(loadMigrations(dir)[0].checksum).toBe(sha256('CREATE TABLE y;'));
+    });
+});
+
+describe('compareMigrations', () => {
+    const locales = [
+        { version: 1, archivo: '001_a.sql', checksum: 'aaa' },
+        { version: 2, archivo: '002_b.sql', checksum: 'bbb' },
+        { version: 3, archivo: '003_c.sql', checksum: 'ccc' }
+    ];
+
+    test('separa aplicadas, pendientes y modificadas', () => {
+        // pg devuelve la versión como número y Supabase a veces como texto
+        const estado = compareMigrations(locales, [{ version: '1', checksum: 'aaa' }, { version: 2, checksum: 'otro' }]);
+
+        expect(estado.aplicadas).toEqual([1, 2]);
+        expect(estado.pendientes.map(m => m.version)).toEqual([3]);
+        expect(estado.modificadas.map(m => m.archivo)).toEqual(['002_b.sql']);
+    });
+
+    test('sin nada aplicado todo está pendiente', () => {
+        expect(compareMigrations(locales, [])).toEqual({ aplicadas: [], pendientes: locales, modificadas: [] });
+    });
+});
+
+describe('applyMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migraciones-'));
+        fs.writeFileSync(path.join(dir, '001_inicial.sql'), 'CREATE TABLE a;');
+        fs.writeFileSync(path.join(dir, '002_corridas.sql'), 'CREATE TABLE b;');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('aplica solo las pendientes, cada una en su transacción, y las registra', async () => {
+        const cliente = clienteFalso([{ version: 1, checksum: sha256('CREATE TABLE a;') }]);
+        const onApply = jest.fn();
+
+        const aplicadas = await applyMigrations(cliente, { dir, onApply });
+
+        expect(aplicadas.map(m => m.archivo)).toEqual(['002_corridas.sql']);
+        expect(cliente.consultas.slice(2)).toEqual([
+            'BEGIN',
+            'CREATE TABLE b;',
+            [expect.stringMatching(/^INSERT INTO schema_migrations/), [2, 'corridas', sha256('CREATE TABLE b;')]],
+            'COMMIT'
+        ]);
+        expect(onApply).toHaveBeenCalledWith(expect.objectContaining({ version: 2 }));
+    });
+
+    test('no aplica nada si una migración ya aplicada cambió', async () => {
+        const cliente = clienteFalso([{ version: 1, checksum: 'otro' }]);
+
+        await expect(applyMigrations(cliente, { dir })).rejects.toThrow('Migraciones ya aplicadas fueron modificadas: 001_inicial.sql');
+        expect(cliente.consultas).not.toContain('BEGIN');
+    });
+
+    test('revierte la migración que falla y no sigue con las siguientes', async () => {
+        const cliente = clienteFalso([], { fallaCon: 'TABLE a' });
+
+        await expect(applyMigrations(cliente, { dir })).rejects.toThrow('Error aplicando 001_inicial.sql: sintaxis inválida');
+        expect(cliente.consultas.slice(2)).toEqual(['BEGIN', 'CREATE TABLE a;', 'ROLLBACK']);
+    });
+});
+
+describe('migraciones del repositorio', () => {
+    const migraciones = loadMigrations(MIGRATIONS_DIR);
+
+    test('las versiones son correlativas desde 1', () => {
+        expect(migraciones.map(m => m.version)).toEqual(migraciones.map((m, i) => i + 1));
+    });
+
+    test('001 recrea sus triggers y políticas, así que se puede aplicar sobre el antiguo schema.sql', () => {
+        const { sql } = migraciones[0];
+        const creados = [...sql.matchAll(/CREATE (TRIGGER|POLICY) ("[^"]+"|\w+)/g)];
+
+        expect(creados.length).toBeGreaterThan(0);
+        for (const [, tipo, nombre] of creados) {
+            const borrado = sql.indexOf(`DROP ${tipo} IF EXISTS ${nombre} ON jurisprudencia_cs;`);
+            expect(borrado).toBeGreaterThan(-1);
+            expect(borrado).toBeLessThan(sql.indexOf(`CREATE ${tipo} ${nombre}`));
+        }
+    });
+});
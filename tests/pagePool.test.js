@@ -0,0 +1,122 @@
+const { Semaphore, PagePool } = require('../lib/pagePool');
+const { JurisprudenciaScraper } = require('../main');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function paginaFalsa() {
+    let cerrada = false;
+    return {
+        setUserAgent: async () => {},
+        setExtraHTTPHeaders: async () => {},
+        on: () => {},
+        isClosed: () => cerrada,
+        close: async () => { cerrada = true; }
+    };
+}
+
+/**
+ * Medir cuántas tareas corren a la vez
+ */
+function medidor() {
+    const medida = { activas: 0, maximo: 0 };
+    medida.tarea = async () => {
+        medida.activas++;
+        medida.maximo = Math.max(medida.maximo, medida.activas);
+        await esperar(5);
+        medida.activas--;
+    };
+    return medida;
+}
+
+describe('Semaphore', () => {
+    test('no deja pasar más tareas que cupos', async () => {
+        const semaforo = new Semaphore(2);
+        const medida = medidor();
+
+        await Promise.all(Array.from({ length: 6 }, () => semaforo.use(medida.tarea)));
+
+        expect(medida.maximo).toBe(2);
+        expect(semaforo.enUso).toBe(0);
+    });
+});
+
+describe('PagePool', () => {
+    test('reutiliza pestañas y respeta el límite por host', async () => {
+        const creadas = [];
+        const pool = new PagePool({
+            createPage: async () => {
+                const pagina = paginaFalsa();
+                creadas.push(pagina);
+                return pagina;
+            },
+            size: 4,
+            hostConcurrency: 2
+        });
+        const medida = medidor();
+
+        await Promise.all(Array.from({ length: 8 }, (_, i) => pool.use(`https://juris.pjud.cl/sentencia/${i}`, medida.tarea)));
+
+        expect(medida.maximo).toBe(2);
+        expect(creadas).toHaveLength(2);
+
+        await pool.close();
+        expect(creadas.every(pagina => pagina.isClosed())).toBe(true);
+    });
+
+    test('hosts distintos comparten el tamaño total del pool', async () => {
+        const pool = new PagePool({ createPage: async () => paginaFalsa(), size: 3, hostConcurrency: 2 });
+        const medida = medidor();
+
+        await Promise.all(['a', 'b', 'c', 'a', 'b', 'c'].map(host => pool.use(`https://${host}.example/x`, medida.tarea)));
+
+        expect(medida.maximo).toBe(3);
+    });
+
+    test('libera el cupo si la tarea falla', async () => {
+        const pool = new PagePool({ createPage: async () => paginaFalsa(), size: 1 });
+
+        await expect(pool.use('https://juris.pjud.cl/x', async () => { throw new Error('Timeout'); })).rejects.toThrow('Timeout');
+        await expect(pool.use('https://juris.pjud.cl/y', async () => 'ok')).resolves.toBe('ok');
+    });
+});
+
+describe('corrida multi-tribunal', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('procesa resultados en paralelo hasta el tamaño del pool', async () => {
+        const scraper = new JurisprudenciaScraper({ delayBetweenRequests: 0 });
+        scraper.pagePool = new PagePool({ createPage: async () => paginaFalsa(), size: 3 });
+        const medida = medidor();
+        scraper.processSingleResult = medida.tarea;
+
+        await scraper.processResults(Array.from({ length: 7 }, (_, i) => ({ rol: `C-${i}-2024` })));
+
+        expect(medida.maximo).toBe(3);
+        expect(scraper.stats.total_procesadas).toBe(7);
+    });
+
+    test('lleva contadores por tribunal y los suma en el reporte', async () => {
+        const scraper = new JurisprudenciaScraper({ tribunales: ['Corte_Suprema', 'Familia', 'Laboral'] });
+        scraper.browser = { newPage: async () => paginaFalsa() };
+
+        jest.spyOn(JurisprudenciaScraper.prototype, 'crawl').mockImplementation(async function () {
+            if (this.config.tribunal === 'Familia') {
+                throw new Error('Búsqueda sin respuesta');
+            }
+            this.stats.total_procesadas += 3;
+            this.stats.exitosas += this.config.tribunal === 'Laboral' ? 1 : 3;
+            this.stats.errores += this.config.tribunal === 'Laboral' ? 2 : 0;
+        });
+
+        await scraper.runTribunales();
+        const progreso = scraper.getProgress();
+
+        expect(progreso.por_tribunal.Corte_Suprema).toMatchObject({ estado: 'completado', exitosas: 3 });
+        expect(progreso.por_tribunal.Familia).toMatchObject({ estado: 'fallido', error: 'Búsqueda sin respuesta' });
+        expect(progreso.por_tribunal.Laboral).toMatchObject({ estado: 'completado', exitosas: 1, errores: 2 });
+        expect(progreso).toMatchObject({ total_procesadas: 6, exitosas: 4, errores: 2 });
+        expect(scraper.hijos.every(hijo => hijo.page === null)).toBe(true);
+    });
+});
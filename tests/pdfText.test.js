@@ -0,0 +1,115 @@
+const { extraerTextoPdf, esPdf } = require('../lib/pdfText');
+const { CLASES_ERROR } = require('../lib/retryPolicy');
+const { JurisprudenciaScraper } = require('../main');
+
+/**
+ * PDF mínimo con una página por arreglo de líneas (sin líneas = página escaneada)
+ */
+function pdfMinimo(paginas) {
+    const objetos = [];
+    const agregar = (cuerpo) => {
+        objetos.push(cuerpo);
+        return objetos.length;
+    };
+
+    const catalogo = agregar(null);
+    const raiz = agregar(null);
+    const fuente = agregar('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const hojas = paginas.map((lineas) => {
+        const flujo = lineas.length === 0
+            ? ''
+            : `BT /F1 12 Tf 72 720 Td ${lineas.map((linea, i) => `${i ? '0 -14 Td ' : ''}(${linea}) Tj`).join(' ')} ET`;
+        const contenido = agregar(`<< /Length ${flujo.length} >>\nstream\n${flujo}\nendstream`);
+        return agregar(`<< /Type /Page /Parent ${raiz} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fuente} 0 R >> >> /Contents ${contenido} 0 R >>`);
+    });
+    objetos[catalogo - 1] = `<< /Type /Catalog /Pages ${raiz} 0 R >>`;
+    objetos[raiz - 1] = `<< /Type /Pages /Kids [${hojas.map(hoja => `${hoja} 0 R`).join(' ')}] /Count ${hojas.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objetos.map((cuerpo, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${cuerpo}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objetos.length + 1} /Root ${catalogo} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+const SENTENCIA = [
+    ['Santiago, cuatro de marzo de dos mil veinticuatro.', 'VISTOS:', 'Se reproduce la sentencia en alzada.'],
+    ['Y TENIENDO PRESENTE:', 'PRIMERO: Que el recurso no puede prosperar.', 'Por estas consideraciones se confirma la sentencia apelada.']
+];
+
+describe('extraerTextoPdf', () => {
+    test('conserva los límites de cada página sobre el texto', async () => {
+        const pdf = await extraerTextoPdf(pdfMinimo(SENTENCIA));
+
+        expect(pdf).toMatchObject({ num_paginas: 2, requiere_ocr: false });
+        expect(pdf.paginas.map(p => p.pagina)).toEqual([1, 2]);
+        expect(pdf.texto.slice(pdf.paginas[0].inicio, pdf.paginas[0].fin)).toBe(SENTENCIA[0].join('\n'));
+        expect(pdf.texto.slice(pdf.paginas[1].inicio, pdf.paginas[1].fin)).toBe(SENTENCIA[1].join('\n'));
+    });
+
+    test('marca como escaneado un PDF sin capa de texto', async () => {
+        const pdf = await extraerTextoPdf(pdfMinimo([[], [], []]));
+
+        expect(pdf).toMatchObject({ texto: '', num_paginas: 3, requiere_ocr: true });
+    });
+});
+
+describe('esPdf', () => {
+    test('por Content-Type o por extensión de la URL', () => {
+        expect(esPdf('https://juris.pjud.cl/documento?id=9', 'application/pdf; charset=binary')).toBe(true);
+        expect(esPdf('https://juris.pjud.cl/adjuntos/C-1234-2024.PDF?v=2')).toBe(true);
+        expect(esPdf('https://juris.pjud.cl/busqueda/pagina?k=abc')).toBe(false);
+        expect(esPdf('no es una url')).toBe(false);
+    });
+});
+
+describe('sentencias publicadas como PDF', () => {
+    const ENLACE = 'https://juris.pjud.cl/busqueda/pagina_detalle_sentencia?k=abc';
+    const ADJUNTO = 'https://juris.pjud.cl/adjuntos/C-1234-2024.pdf';
+
+    function crearScraper(buffer) {
+        const scraper = new JurisprudenciaScraper({
+            tribunal: 'Corte_Suprema',
+            fetchMode: 'navegador',
+            delayBetweenRequests: 0,
+            respectRobots: false
+        });
+        scraper.page = {
+            goto: async () => ({ status: () => 200 }),
+            cookies: async () => [],
+            url: () => ENLACE,
+            content: async () => `<div class="tribunal">Corte Suprema</div>
+                <span class="fecha-sentencia">04/03/2024</span>
+                <div class="texto-sentencia"></div>
+                <a href="/adjuntos/C-1234-2024.pdf">Descargar sentencia</a>`
+        };
+        scraper.downloadPdf = jest.fn(async () => buffer);
+        return scraper;
+    }
+
+    test('descarga el adjunto y procesa su texto como el de una página', async () => {
+        const scraper = crearScraper(pdfMinimo(SENTENCIA));
+
+        const sentencia = await scraper.extractSentenceDetails({ rol: 'C-1234-2024', enlace: ENLACE });
+
+        expect(scraper.downloadPdf).toHaveBeenCalledWith(ADJUNTO);
+        expect(sentencia).toMatchObject({ fuente_texto: 'pdf', url_pdf: ADJUNTO });
+        expect(sentencia.paginas_pdf).toHaveLength(2);
+        expect(sentencia.considerandos_detalle.map(c => c.numero)).toEqual([1]);
+        expect(sentencia.hash_contenido).toMatch(/^[0-9a-f]{64}$/);
+        expect(scraper.stats.desde_pdf).toBe(1);
+    });
+
+    test('un PDF escaneado queda como requiere_ocr en vez de guardarse vacío', async () => {
+        const scraper = crearScraper(pdfMinimo([[]]));
+
+        await expect(scraper.extractSentenceDetails({ rol: 'C-1234-2024', enlace: ENLACE }))
+            .rejects.toMatchObject({ clase: CLASES_ERROR.REQUIERE_OCR });
+    });
+});
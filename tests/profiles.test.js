@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validarPerfil, cargarPerfiles, perfilPara, etiquetaPerfil } = require('../lib/profiles');
+const { extraerResultados, enlaceSiguiente, probarPerfil } = require('../lib/htmlExtractor');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'juris');
+const leer = archivo => fs.readFileSync(path.join(FIXTURES, archivo), 'utf8');
+
+// Copia profunda del perfil común para modificarlo en cada prueba
+const perfilComun = () => JSON.parse(JSON.stringify(perfilPara()));
+
+describe('validarPerfil', () => {
+    test('el perfil incluido es válido', () => {
+        expect(validarPerfil(perfilComun())).toEqual([]);
+        expect(etiquetaPerfil(perfilPara())).toBe('pjud@1.0.0');
+    });
+
+    test('informa las reglas que faltan o sobran según el esquema', () => {
+        const perfil = perfilComun();
+        delete perfil.listado.campos.rol;
+        perfil.version = 'uno';
+        perfil.detalle.campos.texto_completo = [];
+        perfil.paginacion.boton = 'a.siguiente';
+
+        expect(validarPerfil(perfil)).toEqual(expect.arrayContaining([
+            'version no calza con ^\\d+\\.\\d+\\.\\d+$',
+            'listado.campos.rol es obligatorio',
+            'detalle.campos.texto_completo necesita al menos 1 elemento(s)',
+            'paginacion.boton no es una propiedad conocida'
+        ]));
+    });
+
+    test('rechaza selectores que el navegador no entiende', () => {
+        const perfil = perfilComun();
+        perfil.paginacion.siguiente = 'a:contains("Siguiente")';
+        perfil.listado.campos.fecha = 'td[class*=';
+
+        const errores = validarPerfil(perfil);
+        expect(errores).toHaveLength(2);
+        expect(errores[0]).toMatch(/^listado\.campos\.fecha: selector inválido/);
+        expect(errores[1]).toBe('paginacion.siguiente: "a:contains("Siguiente")" usa :contains, que no existe en el navegador');
+    });
+});
+
+describe('cargarPerfiles', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perfiles-'));
+        fs.writeFileSync(path.join(dir, 'pjud.json'), JSON.stringify(perfilComun()));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('el perfil propio de un tribunal reemplaza al común', () => {
+        const laboral = { ...perfilComun(), nombre: 'laboral', version: '2.1.0', tribunales: ['Laboral'] };
+        laboral.listado.campos.rol = '.numero-causa';
+        fs.writeFileSync(path.join(dir, 'laboral.json'), JSON.stringify(laboral));
+
+        const perfiles = cargarPerfiles(dir);
+        expect(etiquetaPerfil(perfilPara('Laboral', perfiles))).toBe('laboral@2.1.0');
+        expect(etiquetaPerfil(perfilPara('Familia', perfiles))).toBe('pjud@1.0.0');
+    });
+
+    test('falla si dos perfiles reclaman el mismo tribunal', () => {
+        fs.writeFileSync(path.join(dir, 'otro.json'), JSON.stringify({ ...perfilComun(), nombre: 'otro' }));
+
+        expect(() => cargarPerfiles(dir)).toThrow('pjud.json: * ya tiene el perfil de otro.json');
+    });
+});
+
+describe('extracción con perfil', () => {
+    test('los selectores del listado y la paginación salen del perfil', () => {
+        const perfil = perfilComun();
+        perfil.listado.filas = ['.no-existe'];
+        perfil.paginacion = { siguiente: 'a[href*="pagina=2"]' };
+
+        expect(extraerResultados(leer('resultados_1.html'), 'http://localhost/')).toHaveLength(2);
+        expect(extraerResultados(leer('resultados_1.html'), 'http://localhost/', perfil)).toEqual([]);
+        expect(enlaceSiguiente(leer('resultados_1.html'), 'http://localhost/', perfil))
+            .toEqual({ url: 'http://localhost/resultados?pagina=2' });
+    });
+
+    test('probarPerfil informa qué selector calzó en cada regla', () => {
+        const reporte = probarPerfil(perfilPara(), {
+            busqueda: leer('busqueda.html'),
+            listado: leer('resultados_1.html'),
+            detalle: leer('detalle_a1b2c3d4.html')
+        });
+
+        expect(reporte.formulario.enviar.selector).toBe('input[type="submit"]');
+        expect(reporte.listado.filas).toEqual({ selector: '.resultado', encontradas: 2, resultados: 2, descartados: 0, sin_rol: 0 });
+        expect(reporte.listado.campos.rol).toEqual({ selectores: { '[class*="rol"], [class*="numero"]': 2 }, vacias: 0 });
+        expect(reporte.paginacion).toEqual({
+            regla: 'texto ^(siguiente|>|»|›)',
+            siguiente: { url: 'http://localhost/resultados?pagina=2' }
+        });
+        expect(reporte.detalle.campos.texto_completo.selector).toBe('.texto-sentencia');
+        expect(reporte.detalle.descripcion.selector).toBeNull();
+    });
+});
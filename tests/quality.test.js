@@ -0,0 +1,104 @@
+const { MOTIVOS, esRolBienFormado, estadisticasTexto, evaluarCalidad, MonitorCalidad } = require('../lib/quality');
+const { extraerListado } = require('../lib/htmlExtractor');
+const { parseSentencia } = require('../lib/sentenceParser');
+
+const TEXTO = [
+    'Santiago, diez de marzo de dos mil veinticuatro.',
+    'VISTOS:',
+    `Se ha interpuesto recurso de nulidad por la demandante. ${'Antecedentes del proceso. '.repeat(10)}`,
+    'CONSIDERANDO:',
+    `PRIMERO: Que la demandante no fue oída. ${'Fundamento del fallo. '.repeat(10)}`,
+    'SEGUNDO: Que procede acoger el recurso.',
+    'Por estas consideraciones se acoge el recurso.'
+].join('\n');
+
+/**
+ * Sentencia como la deja extractSentenceDetails
+ */
+function sentencia(campos = {}) {
+    const partes = parseSentencia(campos.texto_completo || TEXTO);
+    return {
+        rol: '1234-2024',
+        fecha: '2024-03-10T00:00:00.000Z',
+        texto_completo: partes.texto,
+        parte_expositiva: partes.parte_expositiva,
+        considerandos_detalle: partes.considerandos,
+        resolucion: partes.parte_resolutiva,
+        ...campos
+    };
+}
+
+describe('evaluarCalidad', () => {
+    test('una sentencia completa vale 100 y es válida', () => {
+        expect(evaluarCalidad(sentencia())).toEqual({ calidad_extraccion: 100, es_valido: true, errores_procesamiento: [] });
+    });
+
+    test('anota cada criterio que falta', () => {
+        const evaluacion = evaluarCalidad(sentencia({ considerandos_detalle: [], fecha: 'sin fecha' }));
+
+        expect(evaluacion).toEqual({
+            calidad_extraccion: 70,
+            es_valido: true,
+            errores_procesamiento: [MOTIVOS.SIN_CONSIDERANDOS, MOTIVOS.FECHA_INVALIDA]
+        });
+    });
+
+    test('un texto corto o un ROL inventado invalidan la fila aunque el puntaje alcance', () => {
+        expect(evaluarCalidad(sentencia({ rol: 'ROL-1718000000000-3' }))).toMatchObject({
+            calidad_extraccion: 90,
+            es_valido: false,
+            errores_procesamiento: [MOTIVOS.ROL_MAL_FORMADO]
+        });
+        expect(evaluarCalidad(sentencia(), { minimoCaracteres: 5000 }).es_valido).toBe(false);
+    });
+
+    test('reconoce los ROL con letra de competencia y prefijo', () => {
+        expect(['C-1234-2024', 'Rol N° 15230-2023', ' 98-2021 '].every(esRolBienFormado)).toBe(true);
+        expect(['1234', 'Sentencia', null].some(esRolBienFormado)).toBe(false);
+    });
+});
+
+describe('estadisticasTexto', () => {
+    test('cuenta caracteres, palabras y líneas con texto', () => {
+        expect(estadisticasTexto('VISTOS:\n\nSe acoge el recurso.\n')).toEqual({ num_caracteres: 29, num_palabras: 5, num_parrafos: 2 });
+        expect(estadisticasTexto(null)).toEqual({ num_caracteres: 0, num_palabras: 0, num_parrafos: 0 });
+    });
+});
+
+describe('MonitorCalidad', () => {
+    const valida = { es_valido: true, errores_procesamiento: [] };
+    const invalida = { es_valido: false, errores_procesamiento: [MOTIVOS.SIN_CONSIDERANDOS] };
+
+    test('avisa una vez cuando la proporción de inválidas llega al umbral', () => {
+        const monitor = new MonitorCalidad({ ventana: 4, umbral: 0.5 });
+
+        expect([valida, valida, valida, invalida].map(e => monitor.registrar(e))).toEqual([null, null, null, null]);
+        expect(monitor.registrar(invalida)).toEqual({ invalidas: 2, ventana: 4, proporcion: 0.5, motivos: { sin_considerandos: 2 } });
+        expect(monitor.registrar(invalida)).toBeNull();
+
+        // Vuelve a avisar solo después de bajar del umbral
+        [valida, valida, valida].forEach(e => monitor.registrar(e));
+        expect(monitor.registrar(invalida)).toBeNull();
+        expect(monitor.registrar(invalida)).not.toBeNull();
+    });
+});
+
+describe('extraerListado', () => {
+    test('no convierte filas de diseño en resultados', () => {
+        const html = `
+            <table><tr><td>
+                <table>
+                    <tr><th>Rol</th><th>Fecha</th></tr>
+                    <tr><td class="rol">1234-2024</td><td class="fecha">10/03/2024</td><td><a href="/detalle?k=1">Ver</a></td></tr>
+                    <tr><td class="rol">Página 1 de 3</td></tr>
+                    <tr><td class="fecha">Actualizado el 01/04/2024</td></tr>
+                </table>
+            </td></tr></table>`;
+
+        const { resultados, selector, descartados } = extraerListado(html, 'http://127.0.0.1/resultados');
+
+        expect(selector).toBe('table tr');
+        expect(resultados.map(r => [r.rol, r.enlace])).toEqual([['1234-2024', 'http://127.0.0.1/detalle?k=1']]);
+        expect(descartados).toBe(4);
+    });
+});
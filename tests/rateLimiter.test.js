@@ -0,0 +1,168 @@
+const {
+    RateLimiter,
+    parseRetryAfter,
+    parseHorarioSilencio,
+    esperaHorarioSilencio,
+    dormirCancelable,
+    parseRobots,
+    permitidoPorRobots
+} = require('../lib/rateLimiter');
+
+/**
+ * Limitador con reloj falso: dormir adelanta el reloj y anota la espera
+ */
+function limitadorFalso(opciones = {}) {
+    const reloj = { ahora: new Date('2024-03-04T12:00:00').getTime(), esperas: [] };
+    const limitador = new RateLimiter({
+        requestsPerSecond: 1,
+        burst: 2,
+        respectRobots: false,
+        ahora: () => reloj.ahora,
+        dormir: async (ms) => {
+            reloj.esperas.push(ms);
+            reloj.ahora += ms;
+        },
+        ...opciones
+    });
+    return { limitador, reloj };
+}
+
+const URL_DETALLE = 'https://juris.pjud.cl/busqueda/pagina_detalle_sentencia?k=abc';
+
+describe('RateLimiter', () => {
+    test('deja pasar la ráfaga y después uno por intervalo', async () => {
+        const { limitador, reloj } = limitadorFalso();
+
+        for (let i = 0; i < 4; i++) {
+            await limitador.esperarTurno(URL_DETALLE);
+        }
+
+        expect(reloj.esperas).toEqual([1000, 1000]);
+    });
+
+    test('los hosts tienen buckets separados', async () => {
+        const { limitador, reloj } = limitadorFalso({ burst: 1 });
+
+        await limitador.esperarTurno(URL_DETALLE);
+        await limitador.esperarTurno('https://otro.example/x');
+
+        expect(reloj.esperas).toEqual([]);
+    });
+
+    test('un 429 con Retry-After pausa el host y baja el ritmo', async () => {
+        const { limitador, reloj } = limitadorFalso({ burst: 1 });
+        await limitador.esperarTurno(URL_DETALLE);
+
+        limitador.registrarRespuesta(URL_DETALLE, 429, '30');
+        await limitador.esperarTurno(URL_DETALLE);
+
+        expect(reloj.esperas[0]).toBe(30000);
+        expect(limitador.estado()['juris.pjud.cl']).toMatchObject({ factor: 2, pedidos_por_segundo: 0.5 });
+    });
+
+    test('frena si la latencia sube y se recupera cuando baja', async () => {
+        const { limitador, reloj } = limitadorFalso();
+        const navegarEn = (ms) => limitador.programar(URL_DETALLE, async () => { reloj.ahora += ms; });
+
+        await navegarEn(200);
+        for (let i = 0; i < 10; i++) {
+            await navegarEn(3000);
+        }
+        const frenado = limitador.estado()['juris.pjud.cl'].factor;
+        expect(frenado).toBeGreaterThan(1);
+
+        for (let i = 0; i < 40; i++) {
+            await navegarEn(200);
+        }
+        expect(limitador.estado()['juris.pjud.cl'].factor).toBeLessThan(frenado);
+    });
+
+    test('respeta robots.txt y su Crawl-delay', async () => {
+        const robots = parseRobots('User-agent: *\nDisallow: /admin\nCrawl-delay: 4\n');
+        const { limitador, reloj } = limitadorFalso({ respectRobots: true, burst: 1, cargarRobots: async () => robots });
+
+        await expect(limitador.esperarTurno('https://juris.pjud.cl/admin/panel')).rejects.toMatchObject({ clase: 'bloqueado' });
+        await limitador.esperarTurno(URL_DETALLE);
+        await limitador.esperarTurno(URL_DETALLE);
+
+        expect(reloj.esperas).toEqual([4000]);
+    });
+
+    test('espera a que termine el horario de silencio', async () => {
+        const { limitador, reloj } = limitadorFalso({ quietHours: '11:30-12:15' });
+
+        await limitador.esperarTurno(URL_DETALLE);
+
+        expect(reloj.esperas).toEqual([15 * 60 * 1000]);
+    });
+
+    test('la cancelación corta la espera del horario de silencio', async () => {
+        const { limitador } = limitadorFalso({ quietHours: '11:30-12:15', dormir: dormirCancelable });
+        const cancelacion = new AbortController();
+
+        const turno = limitador.esperarTurno(URL_DETALLE, { signal: cancelacion.signal });
+        cancelacion.abort(new Error('Scraping cancelado'));
+
+        await expect(turno).rejects.toThrow('Scraping cancelado');
+    });
+
+    test('con la corrida ya cancelada no espera ni navega', async () => {
+        const { limitador, reloj } = limitadorFalso();
+        const cancelacion = new AbortController();
+        cancelacion.abort(new Error('Scraping cancelado'));
+        const navegar = jest.fn();
+
+        await expect(limitador.programar(URL_DETALLE, navegar, { signal: cancelacion.signal })).rejects.toThrow('Scraping cancelado');
+        expect(navegar).not.toHaveBeenCalled();
+        expect(reloj.esperas).toEqual([]);
+    });
+});
+
+describe('robots.txt', () => {
+    const robots = parseRobots([
+        'User-agent: Googlebot',
+        'Disallow: /',
+        '',
+        'User-agent: *',
+        'Disallow: /busqueda/',
+        'Allow: /busqueda/pagina_detalle_sentencia',
+        'Disallow: /*.pdf$'
+    ].join('\n'));
+
+    test('aplica solo el grupo de User-agent * y gana la regla más larga', () => {
+        expect(permitidoPorRobots(robots, 'https://juris.pjud.cl/')).toBe(true);
+        expect(permitidoPorRobots(robots, 'https://juris.pjud.cl/busqueda/resultados')).toBe(false);
+        expect(permitidoPorRobots(robots, URL_DETALLE)).toBe(true);
+        expect(permitidoPorRobots(robots, 'https://juris.pjud.cl/docs/fallo.pdf')).toBe(false);
+    });
+});
+
+describe('horario de silencio', () => {
+    test('cruza la medianoche', () => {
+        const horario = parseHorarioSilencio('22:00-06:00');
+
+        expect(esperaHorarioSilencio(horario, new Date('2024-03-04T23:00:00'))).toBe(7 * 60 * 60 * 1000);
+        expect(esperaHorarioSilencio(horario, new Date('2024-03-04T05:59:00'))).toBe(60 * 1000);
+        expect(esperaHorarioSilencio(horario, new Date('2024-03-04T12:00:00'))).toBe(0);
+    });
+
+    test('dormirCancelable espera el tiempo pedido si nadie cancela', async () => {
+        const cancelacion = new AbortController();
+        await expect(dormirCancelable(5, cancelacion.signal)).resolves.toBeUndefined();
+        await expect(dormirCancelable(5)).resolves.toBeUndefined();
+    });
+
+    test('rechaza formatos inválidos', () => {
+        expect(() => parseHorarioSilencio('22-6')).toThrow('Horario de silencio inválido');
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('acepta segundos o una fecha HTTP', () => {
+        const ahora = Date.parse('Mon, 04 Mar 2024 12:00:00 GMT');
+
+        expect(parseRetryAfter('120', ahora)).toBe(120000);
+        expect(parseRetryAfter('Mon, 04 Mar 2024 12:01:00 GMT', ahora)).toBe(60000);
+        expect(parseRetryAfter(undefined, ahora)).toBe(0);
+    });
+});
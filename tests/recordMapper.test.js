@@ -0,0 +1,80 @@
+const { COLUMNAS_REQUERIDAS, VERSION_SCRAPER, extractKParameter, toFechaSentencia, mapSentenciaToRow } = require('../lib/recordMapper');
+
+const sentencia = () => ({
+    rol: 'Rol N° 12.345-2023',
+    enlace: 'https://juris.pjud.cl/busqueda/pagina_detalle_sentencia?k=a1b2c3d4',
+    caratulado: 'Pérez con Fisco de Chile',
+    fecha: '15/03/2024',
+    tribunal: 'Corte Suprema',
+    texto_completo: 'VISTOS: ... SE RESUELVE: ...',
+    resolucion: 'SE RESUELVE: se rechaza el recurso.',
+    hash_contenido: 'abc123',
+    fecha_ingreso: '2024-03-20T10:00:00.000Z',
+    materia: 'Civil',
+    descriptores: ['responsabilidad extracontractual'],
+    votos_minoria: '',
+    ministros: []
+});
+
+describe('extractKParameter', () => {
+    test('lee `k` de la URL de detalle', () => {
+        expect(extractKParameter('https://juris.pjud.cl/detalle?id=1&k=a1b2')).toBe('a1b2');
+        expect(extractKParameter('https://juris.pjud.cl/detalle?id=1')).toBeNull();
+        expect(extractKParameter('no es una url')).toBeNull();
+        expect(extractKParameter(null)).toBeNull();
+    });
+});
+
+describe('toFechaSentencia', () => {
+    test('acepta ISO y las formas DD/MM/YYYY y DD-MM-YYYY', () => {
+        expect(['2024-03-15T00:00:00.000Z', '15/03/2024', '15-03-2024'].map(toFechaSentencia))
+            .toEqual(['2024-03-15', '2024-03-15', '2024-03-15']);
+    });
+
+    test('deja en null lo que no es una fecha válida', () => {
+        expect(['31/02/2024', '15 de marzo de 2024', '', undefined].map(toFechaSentencia)).toEqual([null, null, null, null]);
+    });
+});
+
+describe('mapSentenciaToRow', () => {
+    test('traduce los campos del scraper a las columnas de la tabla', () => {
+        const { row, faltantes } = mapSentenciaToRow(sentencia(), { tribunal: 'Corte_Suprema' });
+
+        expect(faltantes).toEqual([]);
+        expect(row).toMatchObject({
+            rol: '12345-2023',
+            k_parameter: 'a1b2c3d4',
+            url_detalle: 'https://juris.pjud.cl/busqueda/pagina_detalle_sentencia?k=a1b2c3d4',
+            caratula: 'Pérez con Fisco de Chile',
+            fecha_sentencia: '2024-03-15',
+            tribunal: 'Corte Suprema',
+            parte_resolutiva: 'SE RESUELVE: se rechaza el recurso.',
+            fecha_scraping: '2024-03-20T10:00:00.000Z',
+            version_scraper: VERSION_SCRAPER,
+            materia: 'Civil',
+            descriptores: ['responsabilidad extracontractual']
+        });
+    });
+
+    test('las columnas opcionales vacías quedan en null', () => {
+        const { row } = mapSentenciaToRow(sentencia());
+
+        expect(row.votos_minoria).toBeNull();
+        expect(row.ministros).toBeNull();
+        expect(row.sala).toBeNull();
+    });
+
+    test('usa el tribunal configurado si la página no lo trae, y si no hay ninguno lo omite', () => {
+        const { tribunal, ...sinTribunal } = sentencia();
+
+        expect(mapSentenciaToRow(sinTribunal, { tribunal: 'Corte_Apelaciones' }).row.tribunal).toBe('Corte Apelaciones');
+        expect(mapSentenciaToRow(sinTribunal).row).not.toHaveProperty('tribunal');
+    });
+
+    test('informa las columnas requeridas que faltan', () => {
+        const { faltantes } = mapSentenciaToRow({ ...sentencia(), caratulado: '', fecha: 'sin fecha', texto_completo: null });
+
+        expect(faltantes).toEqual(['caratula', 'fecha_sentencia', 'texto_completo']);
+        expect(mapSentenciaToRow({}).faltantes).toEqual(COLUMNAS_REQUERIDAS);
+    });
+});
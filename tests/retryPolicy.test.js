@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CLASES_ERROR, ScrapeError, clasificarError, calcularEspera, conReintentos } = require('../lib/retryPolicy');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { JurisprudenciaScraper } = require('../main');
+
+const POLITICA = { intentos: 3, esperaBase: 1000, esperaMaxima: 5000 };
+
+describe('clasificarError', () => {
+    test('timeouts, errores de red y 5xx son transitorios', () => {
+        const timeout = new Error('Navigation timeout of 15000 ms exceeded');
+        timeout.name = 'TimeoutError';
+
+        expect(clasificarError(timeout)).toBe(CLASES_ERROR.TRANSITORIO);
+        expect(clasificarError(new Error('net::ERR_CONNECTION_RESET at https://juris.pjud.cl'))).toBe(CLASES_ERROR.TRANSITORIO);
+        expect(clasificarError(Object.assign(new Error('Service Unavailable'), { status: 503 }))).toBe(CLASES_ERROR.TRANSITORIO);
+    });
+
+    test('respeta la clase de un ScrapeError y deja el resto como desconocido', () => {
+        expect(clasificarError(new ScrapeError('Sin texto', CLASES_ERROR.PARSEO))).toBe(CLASES_ERROR.PARSEO);
+        expect(clasificarError(new TypeError('x is undefined'))).toBe(CLASES_ERROR.DESCONOCIDO);
+    });
+});
+
+describe('calcularEspera', () => {
+    test('crece exponencialmente hasta el máximo, con jitter entre la mitad y el tope', () => {
+        expect(calcularEspera(1, POLITICA, () => 0)).toBe(500);
+        expect(calcularEspera(1, POLITICA, () => 1)).toBe(1000);
+        expect(calcularEspera(3, POLITICA, () => 1)).toBe(4000);
+        expect(calcularEspera(6, POLITICA, () => 1)).toBe(5000);
+        expect(calcularEspera(6, POLITICA, () => 0)).toBe(2500);
+    });
+});
+
+describe('conReintentos', () => {
+    const sinEspera = { esperar: async () => {} };
+
+    test('reintenta los transitorios hasta que salen bien', async () => {
+        let llamadas = 0;
+        const resultado = await conReintentos(async () => {
+            llamadas++;
+            if (llamadas < 3) throw new Error('Navigation timeout');
+            return 'ok';
+        }, POLITICA, sinEspera);
+
+        expect(resultado).toBe('ok');
+        expect(llamadas).toBe(3);
+    });
+
+    test('no reintenta otras clases y anota los intentos usados', async () => {
+        let llamadas = 0;
+        const fallo = conReintentos(async () => {
+            llamadas++;
+            throw new ScrapeError('Sin texto', CLASES_ERROR.PARSEO);
+        }, POLITICA, sinEspera);
+
+        await expect(fallo).rejects.toMatchObject({ clase: CLASES_ERROR.PARSEO, intentos: 1 });
+        expect(llamadas).toBe(1);
+    });
+
+    test('lanza el último error al agotar los intentos', async () => {
+        await expect(conReintentos(async () => { throw new Error('socket hang up'); }, POLITICA, sinEspera))
+            .rejects.toMatchObject({ message: 'socket hang up', intentos: 3 });
+    });
+});
+
+describe('sentencias fallidas', () => {
+    let dir;
+    let scraper;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fallidas-'));
+        scraper = new JurisprudenciaScraper({
+            tribunal: 'Corte_Suprema',
+            storageBackend: 'ndjson',
+            storagePath: dir,
+            delayBetweenRequests: 0,
+            retryBaseDelay: 1,
+            retryMaxDelay: 1
+        });
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('guarda lo que sigue fallando y cuenta errores por clase', async () => {
+        const intentos = {};
+        scraper.processSingleResult = async (resultado) => {
+            intentos[resultado.rol] = (intentos[resultado.rol] || 0) + 1;
+            if (resultado.rol === 'C-1-2024' && intentos[resultado.rol] < 2) throw new Error('Navigation timeout');
+            if (resultado.rol === 'C-2-2024') throw new ScrapeError('No se obtuvo el texto de C-2-2024', CLASES_ERROR.PARSEO);
+            if (resultado.rol === 'C-3-2024') throw new Error('net::ERR_CONNECTION_REFUSED');
+        };
+
+        await scraper.processResults([
+            { rol: 'C-1-2024', enlace: 'https://juris.pjud.cl/1' },
+            { rol: 'C-2-2024', enlace: 'https://juris.pjud.cl/2' },
+            { rol: 'C-3-2024', enlace: 'https://juris.pjud.cl/3' }
+        ]);
+
+        expect(scraper.stats.reintentos).toBe(1 + 2);
+        expect(scraper.stats.errores_por_clase).toMatchObject({ transitorio: 1, parseo: 1 });
+
+        const cartas = await scraper.storage.listDeadLetters();
+        expect(cartas.map(carta => [carta.rol, carta.clase_error, carta.intentos])).toEqual([
+            ['C-2-2024', 'parseo', 1],
+            ['C-3-2024', 'transitorio', 3]
+        ]);
+        expect(cartas[0]).toMatchObject({ tribunal: 'Corte_Suprema', enlace: 'https://juris.pjud.cl/2', estado: 'pendiente' });
+        expect(cartas[0].stack).toContain('ScrapeError');
+    });
+
+    test('el reproceso marca como reprocesadas las que salen bien', async () => {
+        scraper.processSingleResult = async (resultado) => {
+            if (resultado.rol === 'C-2-2024') throw new ScrapeError('Sin texto', CLASES_ERROR.PARSEO);
+        };
+        await scraper.storage.saveDeadLetter({ tribunal: 'Corte_Suprema', rol: 'C-1-2024', clase_error: 'transitorio', resultado: { rol: 'C-1-2024' }, estado: 'pendiente' });
+        await scraper.storage.saveDeadLetter({ tribunal: 'Corte_Suprema', rol: 'C-2-2024', clase_error: 'parseo', resultado: { rol: 'C-2-2024' }, estado: 'pendiente' });
+        await scraper.storage.saveDeadLetter({ tribunal: 'Familia', rol: 'F-9-2024', clase_error: 'parseo', resultado: { rol: 'F-9-2024' }, estado: 'pendiente' });
+        scraper.config.replay = true;
+
+        await scraper.runReplay();
+
+        expect(scraper.stats.reprocesadas).toBe(1);
+        expect((await scraper.storage.listDeadLetters({ tribunales: ['Corte_Suprema'] })).map(carta => carta.rol)).toEqual(['C-2-2024']);
+        expect((await scraper.storage.listDeadLetters({ estado: 'reprocesada' })).map(carta => carta.rol)).toEqual(['C-1-2024']);
+        expect(await scraper.storage.listDeadLetters({ tribunales: ['Familia'] })).toHaveLength(1);
+    });
+});
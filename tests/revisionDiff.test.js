@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { compararFilas, embeddingsDesactualizados, resumirDiffTexto, sinEmbeddings } = require('../lib/revisionDiff');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { JurisprudenciaScraper } = require('../main');
+
+const hash = (texto) => crypto.createHash('sha256').update(texto).digest('hex');
+
+const TEXTO = [
+    'VISTOS: el recurso de casación en el fondo deducido por la demandada.',
+    'PRIMERO: Que la recurrente sostiene que se infringió el artículo 2314 del Código Civil.',
+    'SEGUNDO: Que no se advierte la infracción denunciada.',
+    'Por estas consideraciones, se rechaza el recurso.'
+].join('\n');
+
+function fila(cambios = {}) {
+    const texto = cambios.texto_completo || TEXTO;
+    return {
+        rol: '12345-2023',
+        rol_original: 'Rol N° 12.345-2023',
+        identidad: 'Corte_Suprema|12345-2023|a1b2c3d4',
+        caratula: 'González con Banco Austral',
+        fecha_sentencia: '2024-03-12',
+        tribunal: 'Corte Suprema',
+        materia: 'Civil',
+        descriptores: ['Daño moral'],
+        considerandos_detalle: [{ numero: 1, etiqueta: 'PRIMERO:', texto: 'Que la recurrente...' }],
+        texto_completo: texto,
+        hash_contenido: hash(texto),
+        ...cambios
+    };
+}
+
+describe('compararFilas', () => {
+    test('no reporta cambios por diferencias de formato del backend', () => {
+        const guardada = fila({
+            fecha_sentencia: new Date(2024, 2, 12),
+            considerandos_detalle: [{ texto: 'Que la recurrente...', numero: 1, etiqueta: 'PRIMERO:' }],
+            embedding_contenido: '[0.1,0.2]'
+        });
+
+        expect(compararFilas(guardada, fila()).campos_cambiados).toEqual([]);
+    });
+
+    test('un cambio de metadatos no marca el texto como cambiado', () => {
+        const cambios = compararFilas(fila(), fila({ materia: 'Laboral' }));
+
+        expect(cambios.campos_cambiados).toEqual(['materia']);
+        expect(cambios.texto_cambiado).toBe(false);
+        expect(cambios.resumen_diff).toEqual({ materia: { antes: 'Civil', despues: 'Laboral' } });
+    });
+
+    test('resume párrafos agregados y eliminados cuando cambia el texto', () => {
+        const nuevo = TEXTO.replace('SEGUNDO: Que no se advierte la infracción denunciada.', 'SEGUNDO: Que se advierte un error de cita.\nTERCERO: Que ello no influye en lo dispositivo.');
+        const cambios = compararFilas(fila(), fila({ texto_completo: nuevo }));
+
+        expect(cambios.texto_cambiado).toBe(true);
+        expect(cambios.campos_cambiados).toContain('texto_completo');
+        expect(cambios.resumen_diff).toMatchObject({
+            parrafos_antes: 4,
+            parrafos_despues: 5,
+            parrafos_eliminados: 1,
+            parrafos_agregados: 2
+        });
+        expect(cambios.resumen_diff.cambios[0]).toEqual({
+            tipo: 'eliminado',
+            parrafo: 3,
+            texto: 'SEGUNDO: Que no se advierte la infracción denunciada.'
+        });
+    });
+
+    test('lista los considerandos modificados', () => {
+        const cambios = compararFilas(fila(), fila({
+            considerandos_detalle: [
+                { numero: 1, etiqueta: 'PRIMERO:', texto: 'Que la recurrente sostiene otra cosa' },
+                { numero: 2, etiqueta: 'SEGUNDO:', texto: 'Que se agrega un considerando' }
+            ]
+        }));
+
+        expect(cambios.resumen_diff.considerandos_modificados).toEqual([1, 2]);
+    });
+});
+
+describe('embeddingsDesactualizados', () => {
+    test('marca cada embedding cuyo texto de origen cambió', () => {
+        expect(embeddingsDesactualizados(compararFilas(fila(), fila({ caratula: 'González con Banco del Sur' }))))
+            .toEqual(['embedding_titulo']);
+        expect(embeddingsDesactualizados(compararFilas(fila(), fila({ materia: 'Familia' }))))
+            .toEqual(['embedding_descriptores']);
+        expect(embeddingsDesactualizados(compararFilas(fila(), fila({ descriptores: ['Daño moral', 'Lucro cesante'] }))))
+            .toEqual(['embedding_descriptores']);
+        expect(embeddingsDesactualizados(compararFilas(fila(), fila({ texto_completo: 'Otro texto.' }))))
+            .toEqual(['embedding_contenido']);
+        expect(embeddingsDesactualizados(compararFilas(fila(), fila({ sala: 'Primera' })))).toEqual([]);
+    });
+});
+
+describe('resumirDiffTexto', () => {
+    test('acorta los extractos largos', () => {
+        const resumen = resumirDiffTexto('', 'x'.repeat(500));
+        expect(resumen.cambios[0].texto).toHaveLength(201);
+    });
+});
+
+describe('modo actualización', () => {
+    let dir;
+    let scraper;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revisiones-'));
+        scraper = new JurisprudenciaScraper({ storageBackend: 'ndjson', storagePath: dir, updateMode: true });
+        scraper.runId = 'corrida-1';
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+        await scraper.storage.insert({ ...fila(), embedding_contenido: [0.1, 0.2] });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sentencia = (cambios = {}) => ({
+        rol: 'Rol N° 12.345-2023',
+        caratulado: 'González con Banco Austral',
+        fecha: '12/03/2024',
+        enlace: 'https://juris.pjud.cl/detalle?k=a1b2c3d4',
+        materia: 'Civil',
+        descriptores: ['Daño moral'],
+        considerandos_detalle: [{ numero: 1, etiqueta: 'PRIMERO:', texto: 'Que la recurrente...' }],
+        texto_completo: TEXTO,
+        hash_contenido: hash(TEXTO),
+        ...cambios
+    });
+
+    test('no guarda nada si la sentencia no cambió', async () => {
+        await scraper.updateSentence(sentencia());
+
+        expect(scraper.stats.sin_cambios).toBe(1);
+        expect(await scraper.storage.listRevisions('12345-2023')).toEqual([]);
+    });
+
+    test('guarda la versión anterior y conserva embeddings si el texto no cambió', async () => {
+        await scraper.updateSentence(sentencia({ materia: 'Familia' }));
+
+        const [revision] = await scraper.storage.listRevisions('12345-2023');
+        const [actual] = await scraper.storage.readAll();
+
+        expect(scraper.stats.actualizadas).toBe(1);
+        expect(revision).toMatchObject({
+            identidad: actual.identidad,
+            run_id: 'corrida-1',
+            texto_cambiado: false,
+            campos_cambiados: ['materia'],
+            version_anterior: sinEmbeddings(fila())
+        });
+        expect(actual.materia).toBe('Familia');
+        expect(actual.embedding_contenido).toEqual([0.1, 0.2]);
+    });
+
+    test('descarta los embeddings guardados si cambió el texto', async () => {
+        const texto = `${TEXTO}\nAcordada con el voto en contra del Ministro Sr. Muñoz.`;
+        await scraper.updateSentence(sentencia({ texto_completo: texto, hash_contenido: hash(texto) }));
+
+        const [revision] = await scraper.storage.listRevisions('12345-2023');
+        const [actual] = await scraper.storage.readAll();
+
+        expect(revision.texto_cambiado).toBe(true);
+        expect(revision.resumen_diff.parrafos_agregados).toBe(1);
+        expect(actual.texto_completo).toBe(texto);
+        expect(actual.embedding_contenido).toBeNull();
+    });
+
+    test('recalcula los embeddings de carátula y descriptores aunque el texto no cambie', async () => {
+        await scraper.storage.upsert({ ...fila(), embedding_titulo: [0.3], embedding_contenido: [0.1, 0.2], embedding_descriptores: [0.4] });
+        const embedSentencia = jest.fn(async () => ({
+            columnas: { embedding_titulo: [0.5], embedding_contenido: [0.9, 0.9], embedding_descriptores: [0.6] },
+            chunks: [],
+            nuevos: 2,
+            en_cache: 1
+        }));
+        scraper.embedder = { embedSentencia };
+
+        await scraper.updateSentence(sentencia({ caratulado: 'González con Banco del Sur' }));
+        let [actual] = await scraper.storage.readAll();
+
+        expect(embedSentencia).toHaveBeenCalledTimes(1);
+        expect(actual.embedding_titulo).toEqual([0.5]);
+        expect(actual.embedding_descriptores).toEqual([0.4]);
+        expect(actual.embedding_contenido).toEqual([0.1, 0.2]);
+
+        await scraper.updateSentence(sentencia({ caratulado: 'González con Banco del Sur', descriptores: ['Lucro cesante'] }));
+        [actual] = await scraper.storage.readAll();
+
+        expect(embedSentencia).toHaveBeenCalledTimes(2);
+        expect(actual.embedding_titulo).toEqual([0.5]);
+        expect(actual.embedding_descriptores).toEqual([0.6]);
+        expect(actual.embedding_contenido).toEqual([0.1, 0.2]);
+    });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { parsearRol, normalizarRol, claveTribunal, identidadSentencia } = require('../lib/rolParser');
+const { mapSentenciaToRow } = require('../lib/recordMapper');
+const { extraerListado } = require('../lib/htmlExtractor');
+const { CLASES_ERROR } = require('../lib/retryPolicy');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+const { MIGRATIONS_DIR, loadMigrations } = require('../lib/migrations');
+const { JurisprudenciaScraper } = require('../main');
+
+describe('parsearRol', () => {
+    test('separa tipo, número y año de las formas que muestra el sitio', () => {
+        expect(parsearRol('Rol N° 12.345-2023')).toEqual({
+            sistema: 'ROL', tipo: null, numero: 12345, anio: 2023, canonico: '12345-2023', original: 'Rol N° 12.345-2023'
+        });
+        expect(parsearRol('C-1234-2022')).toMatchObject({ tipo: 'C', numero: 1234, anio: 2022, canonico: 'C-1234-2022' });
+        expect(parsearRol('Protección-5678-2021')).toMatchObject({ tipo: 'PROTECCION', canonico: 'PROTECCION-5678-2021' });
+    });
+
+    test('reconoce RIT y RUC de los tribunales penales', () => {
+        expect(parsearRol('RIT: O-123-2023')).toMatchObject({ sistema: 'RIT', tipo: 'O', numero: 123, canonico: 'RIT-O-123-2023' });
+        expect(parsearRol('RUC 2300123456-k')).toMatchObject({
+            sistema: 'RUC', numero: 2300123456, anio: 2023, digito: 'K', canonico: 'RUC-2300123456-K'
+        });
+    });
+
+    test('la forma canónica se reconoce a sí misma', () => {
+        for (const texto of ['Rol Nro. 55-2020', 'c - 12 - 2021', 'RIT O-123-2023', 'RUC 23.001.234.56-7']) {
+            const canonico = normalizarRol(texto);
+            expect(normalizarRol(canonico)).toBe(canonico);
+        }
+    });
+
+    test('no inventa un ROL para lo que no lo es', () => {
+        expect(['ROL-1718000000000-3', 'Página 1 de 3', '0-2023', '1234-1850', '12,345-2023', '', null].map(parsearRol))
+            .toEqual([null, null, null, null, null, null, null]);
+    });
+});
+
+describe('identidad de la sentencia', () => {
+    test('junta tribunal, ROL canónico y k', () => {
+        expect(identidadSentencia({ tribunal: 'Corte_Suprema', rol: 'Rol N° 12.345-2023', k_parameter: 'a1b2' }))
+            .toBe('Corte_Suprema|12345-2023|a1b2');
+        expect(identidadSentencia({ tribunal: 'Corte Suprema', rol: '12345-2023' })).toBe('Corte_Suprema|12345-2023|');
+        expect(identidadSentencia({ tribunal: 'Corte_Suprema', rol: 'sin rol' })).toBeNull();
+    });
+
+    test('el nombre del tribunal en el sitio da la misma clave que la corrida', () => {
+        expect(['Corte de Apelaciones de Santiago', 'Juzgado de Garantía de Talca', 'Tribunal de Juicio Oral en lo Penal de Arica',
+            'Juzgado de Letras del Trabajo de Iquique', 'Juzgado de Familia de Pudahuel', '1° Juzgado Civil de Santiago', 'Corte_de_Apelaciones', 'Penales',
+            'Tribunal Ambiental']
+            .map(claveTribunal)).toEqual(['Corte_de_Apelaciones', 'Penales', 'Penales', 'Laboral', 'Familia', 'Civil', 'Corte_de_Apelaciones', 'Penales',
+            'Tribunal_Ambiental']);
+    });
+
+    test('la fila guarda el ROL canónico y se rechaza si no hay ROL reconocible', () => {
+        const sentencia = { rol: 'Rol N° 12.345-2023', enlace: 'https://juris.pjud.cl/detalle?k=a1b2' };
+
+        expect(mapSentenciaToRow(sentencia, { tribunal: 'Corte_Suprema' }).row).toMatchObject({
+            rol: '12345-2023',
+            rol_original: 'Rol N° 12.345-2023',
+            rol_sistema: 'ROL',
+            rol_numero: 12345,
+            rol_anio: 2023,
+            identidad: 'Corte_Suprema|12345-2023|a1b2'
+        });
+        expect(mapSentenciaToRow({ ...sentencia, rol: 'ROL-1718000000000-3' }).faltantes).toEqual(expect.arrayContaining(['rol', 'identidad']));
+    });
+
+    test('el listado rechaza los resultados sin ROL en vez de inventarles uno', () => {
+        const html = `
+            <div class="resultado"><span class="rol">Rol N° 12.345-2023</span><a href="/detalle?k=1">Ver</a></div>
+            <div class="resultado"><span class="rol">En trámite</span><span class="fecha">10/03/2024</span><a href="/detalle?k=2">Ver</a></div>`;
+
+        const { resultados, sinRol } = extraerListado(html, 'http://127.0.0.1/resultados');
+
+        expect(resultados.map(r => [r.rol, r.rol_original])).toEqual([['12345-2023', 'Rol N° 12.345-2023']]);
+        expect(sinRol).toEqual([{ index: 1, rol: 'En trámite', enlace: 'http://127.0.0.1/detalle?k=2' }]);
+    });
+});
+
+describe('duplicados por identidad', () => {
+    let dir;
+    let scraper;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identidad-'));
+        scraper = new JurisprudenciaScraper({ storageBackend: 'ndjson', storagePath: dir, tribunal: 'Corte_Suprema' });
+        scraper.storage = new NdjsonStorage({ dir });
+        await scraper.storage.init();
+        const { row } = mapSentenciaToRow({ rol: 'Rol N° 12.345-2023', enlace: 'https://juris.pjud.cl/detalle?k=a1b2' }, { tribunal: 'Corte_Suprema' });
+        await scraper.storage.insert(row);
+        scraper.extractSentenceDetails = jest.fn();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('el mismo ROL escrito de otra forma es un duplicado', async () => {
+        await scraper.processSingleResult({ rol: '12.345-2023', enlace: 'https://juris.pjud.cl/detalle?k=a1b2' });
+
+        expect(scraper.stats.duplicadas).toBe(1);
+        expect(scraper.extractSentenceDetails).not.toHaveBeenCalled();
+    });
+
+    test('un resultado sin ROL reconocible falla como error de parseo', async () => {
+        await expect(scraper.processSingleResult({ rol: 'ROL-1718000000000-3', enlace: 'https://juris.pjud.cl/detalle?k=x' }))
+            .rejects.toMatchObject({ clase: CLASES_ERROR.PARSEO });
+        expect(scraper.extractSentenceDetails).not.toHaveBeenCalled();
+    });
+
+    test('inserciones simultáneas de la misma identidad guardan una sola fila', async () => {
+        const { row } = mapSentenciaToRow({ rol: 'Rol N° 678-2024', enlace: 'https://juris.pjud.cl/detalle?k=c3d4' }, { tribunal: 'Corte_Suprema' });
+
+        const resultados = await Promise.allSettled([1, 2, 3].map(() => scraper.storage.insert(row)));
+        const guardadas = (await scraper.storage.readAll()).filter(fila => fila.identidad === row.identidad);
+        const lineas = fs.readFileSync(scraper.storage.archivoSentencias, 'utf8').trim().split('\n');
+
+        expect(resultados.map(resultado => resultado.status)).toEqual(['fulfilled', 'rejected', 'rejected']);
+        expect(resultados[1].reason.message).toContain('Sentencia duplicada');
+        expect(guardadas).toHaveLength(1);
+        expect(lineas).toHaveLength(2);
+    });
+});
+
+describe('migración 013', () => {
+    const { sql } = loadMigrations(MIGRATIONS_DIR).find(m => m.version === 13);
+    const funciones = [...sql.matchAll(/CREATE OR REPLACE FUNCTION [\s\S]+?\$\$ LANGUAGE sql IMMUTABLE;/g)].map(([funcion]) => funcion);
+
+    /**
+     * Evaluar una consulta por cada muestra en Postgres (PGlite, en WebAssembly) con
+     * las funciones de la migración cargadas. Corre en otro proceso porque PGlite
+     * importa módulos de Node con import() dinámico, que jest no admite
+     */
+    function evaluarEnPostgres(consulta, muestras) {
+        const script = `
+            const { PGlite } = require('@electric-sql/pglite');
+            const { funciones, consulta, muestras } = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+            (async () => {
+                const db = new PGlite();
+                for (const funcion of funciones) await db.exec(funcion);
+                const resultados = [];
+                for (const muestra of muestras) {
+                    resultados.push((await db.query(consulta, [muestra])).rows[0].resultado);
+                }
+                await db.close();
+                process.stdout.write(JSON.stringify(resultados));
+            })();
+        `;
+        const salida = execFileSync(process.execPath, ['-e', script], {
+            cwd: path.join(__dirname, '..'),
+            input: JSON.stringify({ funciones, consulta, muestras })
+        });
+        return JSON.parse(salida);
+    }
+
+    test('rol_canonico() da la misma forma canónica que normalizarRol()', () => {
+        const muestras = [
+            'Rol N° 12.345-2023', 'C-01234-2022', 'Protección-5678-2021', 'Protección 5678-2021', 'ROL-12345-2023',
+            'Rol Nro. 00055-2020', 'rol: 7-2019', 'c - 12 - 2021', 'Rol N° 1.234.567-2019', 'RIT O-123-2023',
+            'RIT: 045-2022', 'RUC 2300123456-k', '23.001.234.56-7', 'RUC 123-2023', 'ROL-1718000000000-3',
+            '0-2023', '1234-1850', '12,345-2023', 'Página 1 de 3', ''
+        ];
+
+        const canonicos = evaluarEnPostgres('SELECT rol_canonico($1) AS resultado', muestras);
+
+        expect(_.zip(muestras, canonicos)).toEqual(muestras.map(texto => [texto, normalizarRol(texto)]));
+    });
+
+    test('clave_tribunal() da la misma clave que claveTribunal()', () => {
+        const muestras = [
+            'Corte Suprema', 'Corte_Suprema', 'Corte de Apelaciones de Santiago', 'CORTE DE APELACIONES DE CONCEPCIÓN', 'Juzgado de Garantía de Talca',
+            'Tribunal de Juicio Oral en lo Penal de Arica', 'Juzgado de Letras del Trabajo de Iquique', 'Juzgado de Cobranza Laboral y Previsional de Santiago',
+            'Juzgado de Familia de Pudahuel', '1° Juzgado Civil de Santiago', 'Juzgado de Letras de Vallenar', 'Penales', 'Laboral',
+            '  Tribunal   Ambiental '
+        ];
+
+        const claves = evaluarEnPostgres('SELECT clave_tribunal($1) AS resultado', muestras);
+
+        expect(_.zip(muestras, claves)).toEqual(muestras.map(nombre => [nombre, claveTribunal(nombre)]));
+    });
+});
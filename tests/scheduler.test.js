@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCron, proximaEjecucion, parseProgramaciones, rangoIncremental, Scheduler } = require('../lib/scheduler');
+const { JobQueue } = require('../lib/jobQueue');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+
+/**
+ * Esperar a que se cumpla una condición que depende de trabajo asíncrono
+ */
+async function esperarA(condicion) {
+    for (let i = 0; i < 200 && !condicion(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('parseCron y proximaEjecucion', () => {
+    test('calcula la siguiente ejecución diaria', () => {
+        const cron = parseCron('30 3 * * *');
+
+        expect(proximaEjecucion(cron, new Date(2026, 0, 5, 2, 59))).toEqual(new Date(2026, 0, 5, 3, 30));
+        expect(proximaEjecucion(cron, new Date(2026, 0, 5, 3, 30))).toEqual(new Date(2026, 0, 6, 3, 30));
+    });
+
+    test('admite pasos, rangos, listas y atajos', () => {
+        expect(proximaEjecucion(parseCron('*/15 8-9 * * 1-5'), new Date(2026, 0, 9, 9, 50))).toEqual(new Date(2026, 0, 12, 8, 0));
+        expect(proximaEjecucion(parseCron('0 0 1,15 * *'), new Date(2026, 0, 2))).toEqual(new Date(2026, 0, 15));
+        expect(proximaEjecucion(parseCron('@weekly'), new Date(2026, 0, 5))).toEqual(new Date(2026, 0, 11));
+    });
+
+    test('con día del mes y de la semana basta uno de los dos', () => {
+        // 1 de febrero de 2026 es domingo; el lunes siguiente es el 2
+        expect(proximaEjecucion(parseCron('0 12 1 * 1'), new Date(2026, 0, 28))).toEqual(new Date(2026, 1, 1, 12));
+        expect(proximaEjecucion(parseCron('0 12 1 * 1'), new Date(2026, 1, 1, 13))).toEqual(new Date(2026, 1, 2, 12));
+    });
+
+    test('rechaza expresiones inválidas y devuelve null si nunca se cumplen', () => {
+        expect(() => parseCron('0 3 * *')).toThrow('Expresión cron inválida');
+        expect(() => parseCron('61 * * * *')).toThrow('minuto fuera de rango');
+        expect(() => parseCron('0 * * ene *')).toThrow('mes inválido');
+        expect(proximaEjecucion(parseCron('0 0 30 2 *'), new Date(2026, 0, 1))).toBeNull();
+    });
+});
+
+describe('parseProgramaciones', () => {
+    test('lee una programación por tribunal', () => {
+        const programaciones = parseProgramaciones('Corte_Suprema=0 3 * * *; Laboral=30 3 * * 1-5');
+
+        expect(programaciones.map(p => [p.tribunal, p.cron.expresion])).toEqual([
+            ['Corte_Suprema', '0 3 * * *'],
+            ['Laboral', '30 3 * * 1-5']
+        ]);
+        expect(parseProgramaciones('')).toEqual([]);
+    });
+
+    test('rechaza tribunales desconocidos y repetidos', () => {
+        expect(() => parseProgramaciones('Luna=0 3 * * *')).toThrow('Programación inválida');
+        expect(() => parseProgramaciones('Corte_Suprema=0 3 * * *;Corte_Suprema=0 4 * * *')).toThrow('repetida');
+    });
+});
+
+describe('rangoIncremental', () => {
+    const hoy = new Date(2026, 2, 10, 3, 0);
+
+    test('parte de la marca de agua menos el solape', () => {
+        expect(rangoIncremental({ fecha_sentencia: '2026-03-08' }, { solapeDias: 3, diasIniciales: 30, hoy }))
+            .toEqual({ startDate: '05/03/2026', endDate: '10/03/2026' });
+    });
+
+    test('sin marca de agua mira diasIniciales hacia atrás', () => {
+        expect(rangoIncremental(null, { solapeDias: 3, diasIniciales: 30, hoy }))
+            .toEqual({ startDate: '08/02/2026', endDate: '10/03/2026' });
+    });
+});
+
+describe('Scheduler', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'programador-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Cola con scrapers falsos que terminan cuando se llama a `liberar()`
+     */
+    function colaControlada() {
+        const corridas = [];
+        const jobQueue = new JobQueue({
+            concurrency: 2,
+            createScraper: (params) => {
+                let liberar;
+                const fin = new Promise(resolve => { liberar = resolve; });
+                corridas.push({ params, liberar });
+                return { run: () => fin, cancel: async () => {}, getProgress: () => ({}) };
+            }
+        });
+        return { jobQueue, corridas };
+    }
+
+    test('la marca de agua solo avanza', async () => {
+        await storage.saveWatermark({ tribunal: 'Corte_Suprema', fecha_sentencia: '2026-03-08', run_id: 'a' });
+        await storage.saveWatermark({ tribunal: 'Corte_Suprema', fecha_sentencia: '2026-02-01', run_id: 'b' });
+
+        expect(await storage.getWatermark('Corte_Suprema')).toMatchObject({ fecha_sentencia: '2026-03-08', run_id: 'a' });
+        expect(await storage.listWatermarks()).toHaveLength(1);
+    });
+
+    test('encola la corrida desde la marca de agua y no se superpone consigo misma', async () => {
+        await storage.saveWatermark({ tribunal: 'Corte_Suprema', fecha_sentencia: '2026-03-08' });
+        const { jobQueue, corridas } = colaControlada();
+        const scheduler = new Scheduler({
+            programaciones: parseProgramaciones('Corte_Suprema=0 3 * * *'),
+            jobQueue,
+            getStorage: async () => storage,
+            solapeDias: 2,
+            ahora: () => new Date(2026, 2, 10, 3, 0).getTime()
+        });
+        scheduler.activo = true;
+        const [programacion] = scheduler.programaciones;
+
+        const primera = scheduler.disparar(programacion);
+        await esperarA(() => corridas.length === 1);
+        expect(scheduler.disparar(programacion)).toBeNull();
+
+        expect(corridas).toHaveLength(1);
+        expect(corridas[0].params).toMatchObject({ tribunal: 'Corte_Suprema', startDate: '06/03/2026', endDate: '10/03/2026' });
+        expect(scheduler.list()[0]).toMatchObject({ en_curso: true, omitidas: 1, ultima: { estado: 'en_ejecucion', marca_agua: '2026-03-08' } });
+
+        corridas[0].liberar();
+        await primera;
+
+        expect(scheduler.list()[0]).toMatchObject({ en_curso: false, ultima: { estado: 'completado' } });
+        const segunda = scheduler.disparar(programacion);
+        await esperarA(() => corridas.length === 2);
+        expect(corridas).toHaveLength(2);
+        corridas[1].liberar();
+        await segunda;
+    });
+
+    test('start() muestra la próxima ejecución y stop() la quita', () => {
+        const { jobQueue } = colaControlada();
+        const scheduler = new Scheduler({
+            programaciones: parseProgramaciones('Corte_Suprema=0 3 * * *'),
+            jobQueue,
+            getStorage: async () => storage,
+            ahora: () => new Date(2026, 2, 10, 12, 0).getTime()
+        });
+
+        scheduler.start();
+        expect(scheduler.list()[0].proxima).toEqual(new Date(2026, 2, 11, 3, 0));
+
+        scheduler.stop();
+        expect(scheduler.list()[0].proxima).toBeNull();
+    });
+});
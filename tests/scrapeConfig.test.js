@@ -0,0 +1,77 @@
+// Límite por defecto de maxSentencias, sin depender del entorno de quien corre las pruebas
+delete process.env.MAX_SENTENCIAS_LIMIT;
+
+const { validateScrapeParams, leerHorarioSilencio } = require('../lib/scrapeConfig');
+const { log } = require('../lib/logger');
+
+const OPCIONES_TRIBUNAL = 'Corte_Suprema, Corte_de_Apelaciones, Penales, Familia, Laboral, Civil';
+
+describe('validateScrapeParams', () => {
+    test('acepta parámetros válidos y convierte números y booleanos', () => {
+        expect(validateScrapeParams({
+            tribunal: 'Laboral',
+            startDate: '01/01/2024',
+            endDate: '31/01/2024',
+            maxSentencias: '25',
+            hostConcurrency: 3,
+            updateMode: 'true'
+        })).toEqual({
+            params: { tribunal: 'Laboral', startDate: '01/01/2024', endDate: '31/01/2024', maxSentencias: 25, hostConcurrency: 3, updateMode: true },
+            errores: []
+        });
+    });
+
+    test('rechaza un tribunal desconocido', () => {
+        expect(validateScrapeParams({ tribunal: 'Corte_Marcial' }).errores)
+            .toEqual([`tribunal inválido: Corte_Marcial. Opciones: ${OPCIONES_TRIBUNAL}`]);
+        expect(validateScrapeParams({ tribunales: 'Laboral, Marcial' }).errores)
+            .toEqual([`tribunales inválidos: Marcial. Opciones: todos, ${OPCIONES_TRIBUNAL}`]);
+    });
+
+    test('rechaza fechas mal formadas', () => {
+        const { params, errores } = validateScrapeParams({ startDate: '2024-01-01', endDate: '31/02/2024' });
+
+        expect(errores).toEqual([
+            'startDate debe tener formato DD/MM/YYYY: 2024-01-01',
+            'endDate debe tener formato DD/MM/YYYY: 31/02/2024'
+        ]);
+        expect(params).toEqual({});
+    });
+
+    test('rechaza un rango de fechas invertido', () => {
+        expect(validateScrapeParams({ startDate: '31/12/2024', endDate: '01/01/2024' }).errores)
+            .toEqual(['Rango de fechas invertido: 31/12/2024 es posterior a 01/01/2024']);
+    });
+
+    test('rechaza límites fuera de rango', () => {
+        expect(validateScrapeParams({ maxSentencias: 0 }).errores)
+            .toEqual(['maxSentencias debe ser un entero entre 1 y 1000: 0']);
+        expect(validateScrapeParams({ maxSentencias: '1001' }).errores)
+            .toEqual(['maxSentencias debe ser un entero entre 1 y 1000: 1001']);
+        expect(validateScrapeParams({ maxSentencias: '2.5' }).errores)
+            .toEqual(['maxSentencias debe ser un entero entre 1 y 1000: 2.5']);
+        expect(validateScrapeParams({ hostConcurrency: 11 }).errores)
+            .toEqual(['hostConcurrency debe ser un entero entre 1 y 10: 11']);
+    });
+
+    test('rechaza parámetros desconocidos y entradas que no son objetos', () => {
+        expect(validateScrapeParams({ tribunal: 'Laboral', paginas: 3 }).errores).toEqual(['Parámetro desconocido: paginas']);
+        expect(validateScrapeParams([]).errores).toEqual(['Los parámetros deben ser un objeto']);
+        expect(validateScrapeParams({ updateMode: 'si' }).errores).toEqual(['updateMode debe ser true o false: si']);
+    });
+});
+
+describe('leerHorarioSilencio', () => {
+    test('un QUIET_HOURS inválido se ignora con un error en vez de fallar al crear el scraper', () => {
+        const error = jest.spyOn(log, 'error').mockImplementation(() => {});
+
+        expect(leerHorarioSilencio('22:00-06:00')).toBe('22:00-06:00');
+        expect(leerHorarioSilencio('')).toBeNull();
+        expect(leerHorarioSilencio('22-6')).toBeNull();
+        expect(error).toHaveBeenCalledWith('QUIET_HOURS ignorado', expect.objectContaining({
+            message: 'Horario de silencio inválido: 22-6. Formato: HH:MM-HH:MM'
+        }));
+
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Pruebas de punta a punta del scraper contra el servidor de fixtures
+ *
+ * Requieren un Chrome instalado por Puppeteer (o PUPPETEER_EXECUTABLE_PATH);
+ * sin navegador se omiten.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { createFixtureServer } = require('../lib/fixtureServer');
+const { JurisprudenciaScraper } = require('../main');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'juris');
+
+function browserDisponible() {
+    try {
+        return fs.existsSync(process.env.PUPPETEER_EXECUTABLE_PATH || puppeteer.executablePath());
+    } catch (error) {
+        return false;
+    }
+}
+
+const describeConNavegador = browserDisponible() ? describe : describe.skip;
+
+jest.setTimeout(60000);
+
+describeConNavegador('scraper contra fixtures de juris.pjud.cl', () => {
+    let fixtures;
+    let scraper;
+
+    beforeAll(async () => {
+        fixtures = createFixtureServer({ dir: FIXTURES });
+        await fixtures.start();
+    });
+
+    afterAll(async () => {
+        await fixtures.stop();
+    });
+
+    beforeEach(async () => {
+        scraper = new JurisprudenciaScraper({
+            ...fixtures.manifest.parametros,
+            baseUrl: fixtures.url,
+            delayBetweenRequests: 0,
+            storageBackend: 'ndjson',
+            storagePath: fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-e2e-'))
+        });
+        await scraper.initialize();
+    });
+
+    afterEach(async () => {
+        await scraper.closeBrowser();
+        await scraper.storage.close();
+    });
+
+    test('navigateToSearchPage abre el buscador del tribunal', async () => {
+        await scraper.navigateToSearchPage();
+
+        expect(scraper.page.url()).toBe(`${fixtures.url}/busqueda?Corte_Suprema`);
+    });
+
+    test('setupSearchFilters completa fechas, texto y modo con descripción', async () => {
+        await scraper.navigateToSearchPage();
+        await scraper.setupSearchFilters();
+
+        const valor = (selector) => scraper.page.$eval(selector, el => el.value);
+        expect(await valor('input[name="fec_desde"]')).toBe('01/03/2024');
+        expect(await valor('input[name="fec_hasta"]')).toBe('31/03/2024');
+        expect(await valor('textarea[name="texto"]')).toBe('indemnización');
+        expect(await scraper.page.$eval('input[value="con_descripcion"]', el => el.checked)).toBe(true);
+    });
+
+    test('executeSearch envía los filtros y extrae los resultados', async () => {
+        await scraper.navigateToSearchPage();
+        await scraper.setupSearchFilters();
+        const resultados = await scraper.executeSearch();
+
+        const busqueda = fixtures.requests.find(req => req.pathname === '/resultados');
+        expect(busqueda.params).toMatchObject({ fec_desde: '01/03/2024', fec_hasta: '31/03/2024' });
+
+        expect(resultados[0]).toMatchObject({
+            rol: 'Rol N° 12.345-2023',
+            fecha: '15/03/2024',
+            tribunal: 'Corte Suprema',
+            caratulado: 'Pérez con Banco del Estado de Chile',
+            enlace: `${fixtures.url}/detalle?k=a1b2c3d4`
+        });
+        expect(resultados[0].metadatos).toMatchObject({
+            materia: 'Civil',
+            tipo_recurso: 'Recurso de casación en el fondo',
+            resultado_recurso: 'Rechazado',
+            corte_origen: 'Corte de Apelaciones de Santiago'
+        });
+    });
+
+    // El selector a:contains("Siguiente") no es CSS válido: querySelector lanza
+    // y la paginación se detiene en la primera página
+    test.failing('goToNextPage avanza a la segunda página de resultados', async () => {
+        await scraper.page.goto(`${fixtures.url}/resultados`);
+
+        expect(await scraper.goToNextPage()).toBe(true);
+        expect(await scraper.page.content()).toContain('Rol N° 34.567-2023');
+    });
+
+    test('goToNextPage devuelve false en la última página', async () => {
+        await scraper.page.goto(`${fixtures.url}/resultados?pagina=2`);
+
+        expect(await scraper.goToNextPage()).toBe(false);
+    });
+
+    test('extractSentenceDetails obtiene texto, considerandos, resolución y fecha', async () => {
+        const sentencia = await scraper.extractSentenceDetails({
+            rol: 'Rol N° 12.345-2023',
+            fecha: '15/03/2024',
+            tribunal: 'Corte Suprema',
+            caratulado: 'Pérez con Banco del Estado de Chile',
+            enlace: `${fixtures.url}/detalle?k=a1b2c3d4`
+        });
+
+        expect(sentencia.texto_completo).toContain('VISTOS:');
+        expect(sentencia.considerandos).toContain('PRIMERO: Que el recurso denuncia');
+        expect(sentencia.resolucion).toContain('SE RESUELVE');
+        expect(sentencia.tribunal).toBe('Corte Suprema');
+        expect(sentencia.fecha).toBe(new Date(2024, 2, 15).toISOString());
+        expect(sentencia.hash_contenido).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('extractSentenceDetails normaliza metadatos del listado', async () => {
+        const sentencia = await scraper.extractSentenceDetails({
+            rol: 'Rol N° 23.456-2023',
+            enlace: `${fixtures.url}/detalle?k=e5f6g7h8`,
+            metadatos: {
+                materia: 'Contencioso administrativo',
+                tipo_recurso: 'Recurso de protección',
+                resultado_recurso: 'Acogido',
+                descriptores: 'Garantías constitucionales; Derecho de propiedad'
+            }
+        });
+
+        expect(sentencia).toMatchObject({
+            materia: 'Contencioso administrativo',
+            tipo_recurso: 'proteccion',
+            resultado_recurso: 'acogido',
+            corte_origen: 'Corte de Apelaciones de Talca',
+            descriptores: ['Garantías constitucionales', 'Derecho de propiedad']
+        });
+    });
+});
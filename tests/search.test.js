@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fusionarRankings, armarFragmento, terminosConsulta, validarBusqueda, buscarSentencias } = require('../lib/search');
+const { parseSentencia } = require('../lib/sentenceParser');
+const { LocalProvider } = require('../lib/embeddings/localProvider');
+const { Embedder } = require('../lib/embeddings/embedder');
+const { NdjsonStorage } = require('../lib/storage/ndjsonStorage');
+
+describe('fusionarRankings', () => {
+    test('premia lo que aparece arriba en ambos rankings', () => {
+        const fusion = fusionarRankings({ vector: ['A', 'B', 'C'], texto: ['B', 'D'] });
+
+        expect(fusion.map(r => r.identidad)).toEqual(['B', 'A', 'D', 'C']);
+        expect(fusion[0]).toMatchObject({ posiciones: { vector: 2, texto: 1 } });
+        expect(fusion[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+        expect(fusion[1].posiciones).toEqual({ vector: 1, texto: null });
+    });
+});
+
+describe('armarFragmento', () => {
+    test('resalta sin importar tildes ni mayúsculas y escapa el HTML', () => {
+        const fragmento = armarFragmento('Que la <indemnización> por DESPIDO injustificado procede.', terminosConsulta('indemnizacion despido'));
+
+        expect(fragmento.texto).toBe('Que la &lt;<mark>indemnización</mark>&gt; por <mark>DESPIDO</mark> injustificado procede.');
+        expect(fragmento).toMatchObject({ coincidencias: 2, terminos: 2 });
+    });
+
+    test('recorta alrededor de la primera coincidencia', () => {
+        const texto = `${'antes '.repeat(50)}despidos ${'después '.repeat(50)}`.trim();
+        const fragmento = armarFragmento(texto, ['despido'], 30);
+
+        expect(fragmento.texto).toMatch(/^….*<mark>despidos<\/mark>.*…$/);
+        expect(fragmento.texto.length).toBeLessThan(100);
+    });
+
+    test('no cuenta palabras vacías como términos', () => {
+        expect(terminosConsulta('Que el despido de la trabajadora')).toEqual(['despido', 'trabajadora']);
+        expect(armarFragmento('Que el recurso...', terminosConsulta('que el'))).toBeNull();
+    });
+});
+
+describe('validarBusqueda', () => {
+    test('convierte los filtros a los valores de la tabla', () => {
+        const { params, errores } = validarBusqueda({
+            q: ' despido injustificado ',
+            tribunal: 'Corte_Suprema',
+            startDate: '01/01/2024',
+            endDate: '31/12/2024',
+            tipo_recurso: 'recurso de unificación de jurisprudencia',
+            limite: '5'
+        });
+
+        expect(errores).toEqual([]);
+        expect(params).toEqual({
+            consulta: 'despido injustificado',
+            filtros: { tribunal: 'Corte Suprema', desde: '2024-01-01', hasta: '2024-12-31', tipo_recurso: 'unificacion_jurisprudencia' },
+            limite: 5
+        });
+    });
+
+    test('rechaza parámetros inválidos', () => {
+        const { errores } = validarBusqueda({ tribunal: 'Luna', startDate: '2024-01-01', tipo_recurso: 'xyz', limite: '0', orden: 'fecha' });
+
+        expect(errores).toHaveLength(6);
+        expect(errores).toContain('Falta q con el texto a buscar');
+    });
+});
+
+describe('buscarSentencias', () => {
+    let dir;
+    let storage;
+    const provider = new LocalProvider({ dimensiones: 256 });
+
+    const SENTENCIAS = [
+        {
+            identidad: 'Corte_Suprema|100-2024|a1',
+            rol: '100-2024',
+            caratula: 'Soto con Comercial Andes',
+            fecha_sentencia: '2024-03-10',
+            tribunal: 'Corte Suprema',
+            materia: 'Laboral',
+            tipo_recurso: 'unificacion_jurisprudencia',
+            texto_completo: 'VISTOS:\nSe ha interpuesto recurso de unificación.\nCONSIDERANDO:\nPRIMERO: Que la demandante fue separada de sus funciones.\nSEGUNDO: Que el despido injustificado da derecho a la indemnización por años de servicio.\nPor estas consideraciones se acoge el recurso.'
+        },
+        {
+            identidad: 'Corte_Suprema|200-2024|b2',
+            rol: '200-2024',
+            caratula: 'Banco Austral con Pérez',
+            fecha_sentencia: '2024-05-02',
+            tribunal: 'Corte Suprema',
+            materia: 'Civil',
+            tipo_recurso: 'casacion_fondo',
+            texto_completo: 'VISTOS:\nSe ha deducido recurso de casación en el fondo.\nCONSIDERANDO:\nPRIMERO: Que el contrato de mutuo fue incumplido por el deudor.\nSEGUNDO: Que procede la indemnización de perjuicios.\nPor estas consideraciones se rechaza el recurso.'
+        },
+        {
+            identidad: 'Corte_Suprema|300-2023|c3',
+            rol: '300-2023',
+            caratula: 'Muñoz con Transportes Sur',
+            fecha_sentencia: '2023-08-20',
+            tribunal: 'Corte Suprema',
+            materia: 'Laboral',
+            tipo_recurso: 'nulidad',
+            texto_completo: 'VISTOS:\nRecurso de nulidad laboral.\nCONSIDERANDO:\nPRIMERO: Que el trabajador alega un despido injustificado sin aviso previo.\nPor estas consideraciones se rechaza el recurso.'
+        }
+    ];
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'busqueda-'));
+        storage = new NdjsonStorage({ dir });
+        await storage.init();
+
+        const embedder = new Embedder({ provider, storage, chunkTokens: 40, esperaLote: 0 });
+        for (const sentencia of SENTENCIAS) {
+            await storage.insert({ ...sentencia, considerandos_detalle: parseSentencia(sentencia.texto_completo).considerandos });
+            const { chunks } = await embedder.embedSentencia(sentencia);
+            await storage.saveChunks(sentencia, chunks);
+        }
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('combina ambos rankings y devuelve considerandos resaltados', async () => {
+        const respuesta = await buscarSentencias({ storage, provider, consulta: 'despido injustificado', limite: 10 });
+
+        expect(respuesta.modos).toEqual(['vector', 'texto']);
+        expect(respuesta.resultados.slice(0, 2).map(r => r.rol).sort()).toEqual(['100-2024', '300-2023']);
+
+        const primero = respuesta.resultados.find(r => r.rol === '100-2024');
+        expect(primero.posiciones.texto).not.toBeNull();
+        expect(primero.similaridad).toBeGreaterThan(0);
+        expect(primero.fragmentos[0]).toMatchObject({ numero: 2, etiqueta: 'SEGUNDO:' });
+        expect(primero.fragmentos[0].texto).toContain('<mark>despido</mark> <mark>injustificado</mark>');
+        expect(primero).not.toHaveProperty('texto_completo');
+    });
+
+    test('aplica los filtros en ambos recuperadores', async () => {
+        const respuesta = await buscarSentencias({
+            storage,
+            provider,
+            consulta: 'despido injustificado',
+            filtros: { desde: '2024-01-01', materia: 'laboral' }
+        });
+
+        expect(respuesta.resultados.map(r => r.rol)).toEqual(['100-2024']);
+    });
+
+    test('sin proveedor busca solo por texto y lo avisa', async () => {
+        const respuesta = await buscarSentencias({ storage, consulta: 'indemnización', filtros: { tipo_recurso: 'casacion_fondo' } });
+
+        expect(respuesta.modos).toEqual(['texto']);
+        expect(respuesta.advertencias).toHaveLength(1);
+        expect(respuesta.resultados.map(r => r.rol)).toEqual(['200-2024']);
+        expect(respuesta.resultados[0].fragmentos[0].texto).toContain('<mark>indemnización</mark>');
+    });
+
+    test('no junta sentencias de distintos tribunales con el mismo ROL', async () => {
+        const otra = {
+            ...SENTENCIAS[2],
+            identidad: 'Corte_de_Apelaciones|300-2023|d4',
+            tribunal: 'Corte de Apelaciones',
+            caratula: 'Muñoz con Transportes Norte'
+        };
+        await storage.insert(otra);
+        await storage.saveChunks(otra, (await new Embedder({ provider, storage, chunkTokens: 40, esperaLote: 0 }).embedSentencia(otra)).chunks);
+
+        const respuesta = await buscarSentencias({ storage, provider, consulta: 'despido injustificado', filtros: { hasta: '2023-12-31' } });
+
+        expect(respuesta.resultados.map(r => [r.rol, r.tribunal]).sort()).toEqual([
+            ['300-2023', 'Corte Suprema'],
+            ['300-2023', 'Corte de Apelaciones']
+        ].sort());
+        expect(respuesta.resultados.every(r => r.posiciones.vector !== null && r.posiciones.texto !== null)).toBe(true);
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { parseSentencia, ordinalANumero, normalizarTexto } = require('../lib/sentenceParser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'juris');
+
+function textoFixture(archivo) {
+    const $ = cheerio.load(fs.readFileSync(path.join(FIXTURES, archivo), 'utf8'));
+    return $('.texto-sentencia').text();
+}
+
+describe('ordinalANumero', () => {
+    test.each([
+        ['PRIMERO', 1],
+        ['SÉPTIMO', 7],
+        ['DÉCIMO', 10],
+        ['UNDÉCIMO', 11],
+        ['DUODÉCIMO', 12],
+        ['DÉCIMO QUINTO', 15],
+        ['DECIMOCUARTO', 14],
+        ['VIGÉSIMO TERCERO', 23]
+    ])('%s -> %i', (ordinal, numero) => {
+        expect(ordinalANumero(ordinal)).toBe(numero);
+    });
+});
+
+describe('normalizarTexto', () => {
+    test('deja un párrafo por línea sin sangrías', () => {
+        expect(normalizarTexto('\n    VISTOS:\r\n\n   Se  trajeron\tlos autos.  \n')).toBe('VISTOS:\nSe trajeron los autos.');
+    });
+});
+
+describe('parseSentencia', () => {
+    test('casación con considerandos en palabras y voto en contra', () => {
+        const partes = parseSentencia(textoFixture('detalle_a1b2c3d4.html'));
+
+        expect(partes.parte_expositiva).toMatch(/^VISTOS:\nEn estos autos Rol N° 12\.345-2023/);
+        expect(partes.parte_expositiva).toMatch(/Se trajeron los autos en relación\.$/);
+
+        expect(partes.considerandos.map(c => c.numero)).toEqual([1, 2, 3]);
+        expect(partes.considerandos[0]).toMatchObject({
+            etiqueta: 'PRIMERO:',
+            texto: expect.stringMatching(/^Que el recurso denuncia la infracción/)
+        });
+        const { inicio, fin } = partes.considerandos[1];
+        expect(partes.texto.slice(inicio, fin)).toMatch(/^SEGUNDO: Que, como ha resuelto.*denunciado\.$/);
+
+        expect(partes.parte_resolutiva).toMatch(/^Por estas consideraciones.*SE RESUELVE/);
+        expect(partes.parte_resolutiva).not.toContain('Acordada');
+
+        expect(partes.votos).toEqual([{
+            tipo: 'disidencia',
+            texto: expect.stringMatching(/^Acordada con el voto en contra del Ministro señor Muñoz/),
+            ministros: ['Muñoz']
+        }]);
+        expect(partes.sala).toBe('Primera Sala');
+        expect(partes.ministro_redactor).toBe('Sergio Muñoz G.');
+        expect(partes.ministros).toEqual(['Sergio Muñoz G.', 'Andrea Muñoz S.', 'Mauricio Silva C.', 'María Angélica Repetto G.']);
+        expect(partes.abogados_integrantes).toEqual(['Diego Munita L.']);
+    });
+
+    test('protección con considerandos numéricos y redactora', () => {
+        const partes = parseSentencia(textoFixture('detalle_e5f6g7h8.html'));
+
+        expect(partes.parte_expositiva).not.toMatch(/presente:$/);
+        expect(partes.considerandos.map(c => c.etiqueta)).toEqual(['1°.-', '2°.-']);
+        expect(partes.parte_resolutiva).toMatch(/SE REVOCA la sentencia apelada y en su lugar SE DECLARA/);
+        expect(partes.votos).toEqual([]);
+        expect(partes.sala).toBe('Tercera Sala');
+        expect(partes.ministro_redactor).toBe('Adelita Ravanales A.');
+        expect(partes.abogados_integrantes).toEqual(['Enrique Alcalde R.', 'Pía Tavolari G.']);
+    });
+
+    test('texto sin saltos de línea y listas internas dentro de un considerando', () => {
+        const texto = 'Santiago, uno de abril de dos mil veinticuatro. Vistos: Se trajeron los autos. ' +
+            'Considerando: 1°) Que se alegan dos cosas: 1.- la primera; 2.- la segunda. ' +
+            '2°) Que ambas se desestiman. Por estas consideraciones, se rechaza el recurso. ' +
+            'Se previene que la Ministra señora Vivanco concurre al fallo. Regístrese. ' +
+            'Pronunciado por la 4ª Sala.';
+        const partes = parseSentencia(texto);
+
+        expect(partes.parte_expositiva).toBe('Vistos: Se trajeron los autos.');
+        expect(partes.considerandos.map(c => c.numero)).toEqual([1, 2]);
+        expect(partes.considerandos[0].texto).toBe('Que se alegan dos cosas: 1.- la primera; 2.- la segunda.');
+        expect(partes.parte_resolutiva).toBe('Por estas consideraciones, se rechaza el recurso.');
+        expect(partes.votos).toEqual([{
+            tipo: 'prevencion',
+            texto: 'Se previene que la Ministra señora Vivanco concurre al fallo.',
+            ministros: ['Vivanco']
+        }]);
+        expect(partes.sala).toBe('Cuarta Sala');
+    });
+
+    test('texto vacío', () => {
+        expect(parseSentencia('')).toMatchObject({ considerandos: [], parte_expositiva: '', sala: null });
+    });
+});